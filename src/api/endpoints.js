@@ -54,6 +54,7 @@ export const ENDPOINTS = {
     POTENTIAL: (userId) => `/api/matches/${userId}/potential`,
     LIKE: (userId, targetId) => `/api/matches/${userId}/like/${targetId}`,
     PASS: (userId, targetId) => `/api/matches/${userId}/pass/${targetId}`,
+    UNDO: (userId, targetId) => `/api/matches/${userId}/undo/${targetId}`,
     DETAILS: (matchId) => `/api/matches/details/${matchId}`,
   },
   
@@ -14,6 +14,7 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
+import { describeDistance } from '../services/location/LocationService';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 const CARD_WIDTH = screenWidth * 0.9;
@@ -24,6 +25,7 @@ const MatchCard = ({
   onSwipeLeft, 
   onSwipeRight, 
   onSuperLike,
+  viewerLocation,
   style,
   index = 0 
 }) => {
@@ -36,6 +38,10 @@ const MatchCard = ({
   const [currentPhotoIndex, setCurrentPhotoIndex] = useState(0);
   const [showDetails, setShowDetails] = useState(false);
 
+  // Approximate band only; never an exact distance
+  const distanceLabel = user?.distanceBand?.label ||
+    (viewerLocation && user?.geohash ? describeDistance(viewerLocation, user.geohash)?.label : null);
+
   const photos = user?.photos || [];
   const currentPhoto = photos[currentPhotoIndex] || { url: 'https://via.placeholder.com/400x600' };
 
@@ -327,6 +333,13 @@ const MatchCard = ({
                 </Text>
               </View>
             )}
+
+            {distanceLabel && (
+              <View style={styles.locationContainer}>
+                <Ionicons name="navigate-outline" size={16} color="white" />
+                <Text style={styles.location}>{distanceLabel}</Text>
+              </View>
+            )}
           </View>
 
           <TouchableOpacity
@@ -0,0 +1,74 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { COLORS } from '../../styles/globalStyles';
+
+// Sources behind a grounded AI answer, shown under the message text
+export default function CitationList({ grounding }) {
+  const citations = (grounding?.citations || []).filter(citation => citation.used);
+  const unsupportedCount = grounding?.unsupportedClaims?.length || 0;
+
+  if (citations.length === 0 && unsupportedCount === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      {citations.map(citation => (
+        <View key={citation.marker} style={styles.citationRow}>
+          <Text style={styles.marker}>[{citation.marker}]</Text>
+          <Text style={styles.source} numberOfLines={1}>
+            {citation.textbookTitle}
+            {citation.chapter ? ` · ${citation.chapter}` : ''}
+          </Text>
+        </View>
+      ))}
+
+      {unsupportedCount > 0 && (
+        <View style={styles.warningRow}>
+          <Ionicons name="alert-circle-outline" size={12} color={COLORS.warning} />
+          <Text style={styles.warningText}>
+            {unsupportedCount === 1
+              ? '1 statement isn\'t backed by these sources'
+              : `${unsupportedCount} statements aren't backed by these sources`}
+          </Text>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 8,
+    paddingTop: 6,
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: 'rgba(0, 0, 0, 0.1)',
+  },
+  citationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 2,
+  },
+  marker: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: COLORS.textSecondary,
+    marginRight: 4,
+  },
+  source: {
+    flex: 1,
+    fontSize: 11,
+    color: COLORS.textLight,
+  },
+  warningRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  warningText: {
+    fontSize: 11,
+    color: COLORS.textLight,
+    marginLeft: 4,
+  },
+});
@@ -15,6 +15,7 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { COLORS } from '../../styles/globalStyles';
 import { getRandomActionEmojis } from '../../utils/emojiUtils';
+import { describeDistance } from '../../services/location/LocationService';
 
 const { width } = Dimensions.get('window');
 
@@ -30,7 +31,8 @@ export default function RecommendationCard({
   onLike, 
   onPass, 
   onTellMeMore,
-  onViewProfile 
+  onViewProfile,
+  viewerLocation
 }) {
   const [isExpanded, setIsExpanded] = useState(false);
   const [actionEmojis] = useState(() => getRandomActionEmojis());
@@ -109,8 +111,16 @@ export default function RecommendationCard({
            'Getting to know this person...';
   };
 
+  // Approximate band only; never an exact distance
+  const getDistanceLabel = () => {
+    if (recommendation.distanceBand?.label) return recommendation.distanceBand.label;
+    const geohash = recommendation.fullProfile?.geohash || recommendation.candidateData?.geohash || recommendation.geohash;
+    return viewerLocation && geohash ? describeDistance(viewerLocation, geohash)?.label || null : null;
+  };
+
   const name = getName();
   const age = getAge();
+  const distanceLabel = getDistanceLabel();
   const photos = getPhotos();
   const bio = getBio();
 
@@ -123,9 +133,14 @@ export default function RecommendationCard({
         activeOpacity={0.7}
       >
         <View style={styles.headerContent}>
-          <Text style={styles.headerName}>
-            {name}{age ? `, ${age}` : ''}
-          </Text>
+          <View>
+            <Text style={styles.headerName}>
+              {name}{age ? `, ${age}` : ''}
+            </Text>
+            {distanceLabel && (
+              <Text style={styles.headerDistance}>{distanceLabel}</Text>
+            )}
+          </View>
           <Animated.View style={{ transform: [{ rotate: chevronRotation }] }}>
             <Ionicons name="chevron-down" size={20} color="rgba(255, 255, 255, 0.8)" />
           </Animated.View>
@@ -221,6 +236,11 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#FFFFFF',
   },
+  headerDistance: {
+    fontSize: 13,
+    color: 'rgba(255, 255, 255, 0.8)',
+    marginTop: 2,
+  },
   expandedContent: {
     padding: 16,
   },
@@ -0,0 +1,56 @@
+// hooks/useWebSocket.js - React Hook for WebSocket
+
+import { useEffect, useContext, useCallback } from 'react';
+import webSocketClient from '../services/WebSocketClient';
+
+export const useWebSocket = () => {
+  const connectWebSocket = useCallback(async (userId, token) => {
+    try {
+      await webSocketClient.connect(userId, token);
+    } catch (error) {
+      console.error('❌ Failed to connect WebSocket:', error);
+    }
+  }, []);
+
+  const sendMessage = useCallback((event, data) => {
+    webSocketClient.sendMessage(event, data);
+  }, []);
+
+  const addEventListener = useCallback((event, callback) => {
+    webSocketClient.on(event, callback);
+    return () => webSocketClient.off(event, callback);
+  }, []);
+
+  useEffect(() => {
+    return () => {
+      webSocketClient.cleanup();
+    };
+  }, []);
+
+  return {
+    connect: connectWebSocket,
+    sendMessage,
+    addEventListener,
+    connectionStatus: webSocketClient.getConnectionStatus(),
+    // Match actions
+    likeUser: webSocketClient.likeUser.bind(webSocketClient),
+    passUser: webSocketClient.passUser.bind(webSocketClient),
+    unmatchUser: webSocketClient.unmatchUser.bind(webSocketClient),
+    undoInteraction: webSocketClient.undoInteraction.bind(webSocketClient),
+    // Chat actions
+    joinConversation: webSocketClient.joinConversation.bind(webSocketClient),
+    leaveConversation: webSocketClient.leaveConversation.bind(webSocketClient),
+    sendChatMessage: webSocketClient.sendChatMessage.bind(webSocketClient),
+    startTyping: webSocketClient.startTyping.bind(webSocketClient),
+    stopTyping: webSocketClient.stopTyping.bind(webSocketClient),
+    markMessagesAsRead: webSocketClient.markMessagesAsRead.bind(webSocketClient),
+    deleteMessage: webSocketClient.deleteMessage.bind(webSocketClient),
+    // SoulAI actions
+    sendSoulAIMessage: webSocketClient.sendSoulAIMessage.bind(webSocketClient),
+    requestMatches: webSocketClient.requestMatches.bind(webSocketClient),
+    requestCoaching: webSocketClient.requestCoaching.bind(webSocketClient),
+    // User actions
+    updateStatus: webSocketClient.updateStatus.bind(webSocketClient),
+    updateLocation: webSocketClient.updateLocation.bind(webSocketClient)
+  };
+};
@@ -16,6 +16,7 @@ import ListScreen from '../screens/matches/ListScreen';
 import MatchProfileScreen from '../screens/matches/MatchProfileScreen';
 import ProfileScreen from '../screens/profile/ProfileScreen';
 import UserProfileScreen from '../screens/profile/UserProfileScreen';
+import LocationSettingsScreen from '../screens/profile/LocationSettingsScreen';
 
 // Import Tab Navigator if you want to use it
 import TabNavigator from './TabNavigator';
@@ -92,6 +93,11 @@ const AppNavigator = () => {
           component={UserProfileScreen}
           options={{ headerShown: false }}
         />
+        <Stack.Screen 
+          name="LocationSettings" 
+          component={LocationSettingsScreen}
+          options={{ title: 'Location & Travel' }}
+        />
       </Stack.Navigator>
     </NavigationContainer>
   );
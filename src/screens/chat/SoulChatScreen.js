@@ -31,13 +31,20 @@ import SoulMatchmakingService from '../../services/SoulMatchmakingService';
 import LearningConsentPopup from '../../components/LearningConsentPopup';
 import { learningConsentManager } from '../../services/personality/LearningConsentManager';
 import MatchmakingBackendService from '../../services/MatchmakingBackendService';
+import { INTENTS, INTENT_REPLIES } from '../../services/compatibility/MatchmakingIntentParser';
 import { useScreenMoodGradient } from '../../hooks/useMoodGradient';
 import MoodAnalysisService from '../../services/MoodAnalysisService';
 import { CompactMoodIndicator } from '../../components/MoodIndicator';
 import RecommendationCard from '../../components/chat/RecommendationCard';
+import LocationService from '../../services/location/LocationService';
+import CitationList from '../../components/chat/CitationList';
 import HighResolutionHHCService from '../../services/compatibility/HighResolutionHHCService';
 import SocraticPersonalityAnalyzer from '../../services/compatibility/SocraticPersonalityAnalyzer';
 import EnhancedSoulAIService from '../../services/EnhancedSoulAIService';
+import ToolRegistry from '../../services/tools/ToolRegistry';
+import PromptExperiments from '../../services/prompts/PromptExperiments';
+import SafetyMonitor from '../../services/safety/SafetyMonitor';
+import { useLocale } from '../../context/LocalizationContext';
 import PersonalityInsightsDashboard from '../../components/insights/PersonalityInsightsDashboard';
 
 export default function SoulChatScreen({ navigation, route }) {
@@ -48,6 +55,7 @@ export default function SoulChatScreen({ navigation, route }) {
   const [isAIThinking, setIsAIThinking] = useState(false);
   const [streamingMessage, setStreamingMessage] = useState('');
   const [isStreamingActive, setIsStreamingActive] = useState(false);
+  const [isGenerating, setIsGenerating] = useState(false); // A reply can be stopped
   const [isMatchmakingMode, setIsMatchmakingMode] = useState(true);
   const [matchmakingInitialized, setMatchmakingInitialized] = useState(false);
   const [isInitializing, setIsInitializing] = useState(true);
@@ -60,9 +68,11 @@ export default function SoulChatScreen({ navigation, route }) {
   // 🧠 Learning Consent state
   const [showConsentPopup, setShowConsentPopup] = useState(false);
   const [userId] = useState('demo_user_001'); // TODO: Get from auth context
+  const { locale } = useLocale(); // Picks helplines if a message needs safe-response mode
   const [learningEnabled, setLearningEnabled] = useState(true);
   
   const flatListRef = useRef(null);
+  const generationRef = useRef(null); // AbortController of the reply being generated
   const typingAnimation = useRef(new Animated.Value(0)).current;
 
   // Initialize systems
@@ -70,6 +80,15 @@ export default function SoulChatScreen({ navigation, route }) {
     initializeServices();
   }, []);
 
+  // Share the device's location cell; recommendation distances are measured from the search cell
+  const [viewerLocation, setViewerLocation] = useState(null);
+  useEffect(() => {
+    const loadViewerLocation = async () => setViewerLocation(await LocationService.getSearchLocation());
+    LocationService.refreshFromDevice().then(loadViewerLocation);
+    // Travel mode may have changed in location settings
+    return navigation?.addListener?.('focus', loadViewerLocation);
+  }, []);
+
   const initializeServices = async () => {
     try {
       console.log('🚀 Initializing SoulAI services (Enhanced + Matchmaking + Learning)...');
@@ -261,16 +280,17 @@ export default function SoulChatScreen({ navigation, route }) {
     try {
       let response;
       
+      // 🛟 Crisis check first: "no one would miss me" must never be read as a pass
+      const safety = await SafetyMonitor.assess(currentInput, {
+        userId,
+        conversationHistory: messages.slice(-10),
+        locale
+      });
+      
       // Try matchmaking system for specific commands only
-      if (matchmakingInitialized && isMatchmakingMode) {
-        // Only process matchmaking-specific messages (likes, passes, match requests)
-        const lowerInput = currentInput.toLowerCase();
-        const isMatchmakingCommand = 
-          lowerInput.includes('like') || lowerInput.includes('pass') || 
-          lowerInput.includes('yes') || lowerInput.includes('no') ||
-          lowerInput.includes('show me') || lowerInput.includes('more matches') ||
-          lowerInput.includes('recommendations') || lowerInput.includes('👍') ||
-          lowerInput.includes('👎') || lowerInput.includes('💕');
+      if (matchmakingInitialized && isMatchmakingMode && !safety.suppressMatchmaking) {
+        // Only process matchmaking-specific messages (likes, passes, questions about a match, criteria, undo, pause)
+        const isMatchmakingCommand = MatchmakingBackendService.isMatchmakingMessage(currentInput, messages);
         
         if (isMatchmakingCommand) {
           // Try backend service first
@@ -319,7 +339,12 @@ export default function SoulChatScreen({ navigation, route }) {
 
       setMessages(prev => [...prev, aiMessagePlaceholder]);
 
-      await AIProviderManager.sendMessage(currentInput, {
+      // Stream the reply; the stop button aborts it through generationRef
+      const controller = new AbortController();
+      generationRef.current = controller;
+      setIsGenerating(true);
+
+      const stream = AIProviderManager.stream(currentInput, {
         // 🎭 Personality adaptation parameters
         userId: 'demo_user_001', // TODO: Get from auth/user context
         userName: 'User', // TODO: Get from user profile
@@ -327,78 +352,88 @@ export default function SoulChatScreen({ navigation, route }) {
         includeMatches: false,
         conversationHistory: messages.slice(-10), // Last 10 messages for context
         userPreferences: {}, // TODO: Get from user settings
-        onStart: () => {
-          // Already set thinking to true
-        },
-        
-        onToken: (token, fullResponse, providerName) => {
-          setIsStreamingActive(true);
-          setStreamingMessage(fullResponse);
-          
-          setMessages(prev => prev.map(msg => 
-            msg.id === aiMessageId 
-              ? { 
-                  ...msg, 
-                  text: fullResponse, 
-                  isStreaming: true,
-                  aiProvider: providerName // Track which AI provider responded
-                }
-              : msg
-          ));
+        responseId: aiMessageId, // Ratings of this message are credited to its prompt variants
+        signal: controller.signal,
+        safety,
+        locale
+      });
 
-          // Don't auto-scroll during streaming - let user scroll freely
-        },
-        
-        onComplete: (finalResponse, providerName, personalityContext) => {
-          clearTimeout(typingTimeout);
-          setIsAIThinking(false);
-          setIsStreamingActive(false);
-          setStreamingMessage('');
-          
-          setMessages(prev => prev.map(msg => 
-            msg.id === aiMessageId 
-              ? { 
-                  ...msg, 
-                  text: finalResponse, 
-                  isStreaming: false,
-                  type: 'ai',
-                  aiProvider: providerName,
-                  personalityStyle: personalityContext?.personalityStyle,
-                  matches: personalityContext?.matches,
-                  hhcSummary: personalityContext?.hhcSummary
-                }
-              : msg
-          ));
+      const updateAIMessage = (changes) => {
+        setMessages(prev => prev.map(msg => 
+          msg.id === aiMessageId ? { ...msg, ...changes } : msg
+        ));
+      };
 
-          // 🎭 Log personality adaptation info for debugging
-          if (personalityContext?.personalityStyle) {
-            console.log('✨ AI responded with personality style:', personalityContext.personalityStyle.tone);
-          }
+      const toolCalls = []; // Tools the model called for this reply
+      try {
+        for await (const event of stream) {
+          if (event.type === 'tool_call') {
+            toolCalls.push(event);
+            updateAIMessage({ toolCalls: [...toolCalls] });
+          } else if (event.type === 'token') {
+            clearTimeout(typingTimeout); // Tokens are flowing, no need for the connection timeout
+            setIsStreamingActive(true);
+            setStreamingMessage(event.text);
+            
+            updateAIMessage({
+              text: event.text,
+              isStreaming: true,
+              aiProvider: event.provider // Track which AI provider responded
+            });
 
-          setTimeout(() => {
-            flatListRef.current?.scrollToEnd({ animated: true });
-          }, 100);
-        },
-        
-        onError: (error) => {
-          clearTimeout(typingTimeout);
-          setIsAIThinking(false);
-          setIsStreamingActive(false);
-          setStreamingMessage('');
-          console.error('Chat error:', error);
-          
-          setMessages(prev => prev.map(msg => 
-            msg.id === aiMessageId 
-              ? { 
-                  ...msg, 
-                  text: "I'm having trouble connecting right now, but I'm still here with you. What would you like to explore together?",
-                  isStreaming: false,
-                  type: 'error'
-                }
-              : msg
-          ));
+            // Don't auto-scroll during streaming - let user scroll freely
+          } else if (event.type === 'done') {
+            const personalityContext = event.context;
+            
+            updateAIMessage({
+              text: event.text,
+              isStreaming: false,
+              type: 'ai',
+              aiProvider: event.provider,
+              grounding: event.grounding, // 📚 Sources and grounding check for knowledge-base answers
+              timeToFirstTokenMs: event.timeToFirstTokenMs,
+              personalityStyle: personalityContext?.personalityStyle,
+              matches: personalityContext?.matches,
+              hhcSummary: personalityContext?.hhcSummary,
+              promptVariants: personalityContext?.prompts, // 🧪 Prompt versions behind this reply
+              safety: personalityContext?.safety // 🛟 Helplines when the reply was in safe-response mode
+            });
+
+            // 🎭 Log personality adaptation info for debugging
+            if (personalityContext?.personalityStyle) {
+              console.log('✨ AI responded with personality style:', personalityContext.personalityStyle.tone);
+            }
+
+            setTimeout(() => {
+              flatListRef.current?.scrollToEnd({ animated: true });
+            }, 100);
+          } else if (event.type === 'error' && event.aborted) {
+            // Keep whatever was generated before the user stopped it
+            updateAIMessage({
+              text: stream.text,
+              isStreaming: false,
+              type: 'ai',
+              stopped: true,
+              timeToFirstTokenMs: stream.getTimeToFirstToken()
+            });
+          } else if (event.type === 'error') {
+            console.error('Chat error:', event.error);
+            
+            updateAIMessage({
+              text: "I'm having trouble connecting right now, but I'm still here with you. What would you like to explore together?",
+              isStreaming: false,
+              type: 'error'
+            });
+          }
         }
-      });
+      } finally {
+        clearTimeout(typingTimeout);
+        generationRef.current = null;
+        setIsGenerating(false);
+        setIsAIThinking(false);
+        setIsStreamingActive(false);
+        setStreamingMessage('');
+      }
       
     } catch (error) {
       clearTimeout(typingTimeout);
@@ -416,7 +451,12 @@ export default function SoulChatScreen({ navigation, route }) {
       
       setMessages(prev => [...prev, errorMessage]);
     }
-  }, [input, isAIThinking, matchmakingInitialized, isMatchmakingMode]);
+  }, [input, isAIThinking, matchmakingInitialized, isMatchmakingMode, userId, locale]);
+
+  // Stop the reply being generated; the partial text stays in the chat
+  const handleStop = useCallback(() => {
+    generationRef.current?.abort();
+  }, []);
 
   // Render individual message with matchmaking enhancements
   const handleLikeFromCard = async (recommendation) => {
@@ -464,7 +504,10 @@ export default function SoulChatScreen({ navigation, route }) {
         text: aiResponseText,
         timestamp: new Date().toISOString(),
         type: 'like_response',
-        quickReplies: ['Yes, show me', 'Not yet']
+        // Offer a rewind while the like can still be taken back
+        quickReplies: result?.undoExpiresAt
+          ? ['Yes, show me', 'Not yet', INTENT_REPLIES[INTENTS.UNDO]]
+          : ['Yes, show me', 'Not yet']
       };
       
       setMessages(prev => [...prev, aiResponseMessage]);
@@ -516,7 +559,9 @@ export default function SoulChatScreen({ navigation, route }) {
         text: aiResponseText,
         timestamp: new Date().toISOString(),
         type: 'pass_response',
-        quickReplies: ['Yes, show me', 'Not yet']
+        quickReplies: result?.undoExpiresAt
+          ? ['Yes, show me', 'Not yet', INTENT_REPLIES[INTENTS.UNDO]]
+          : ['Yes, show me', 'Not yet']
       };
       
       setMessages(prev => [...prev, aiResponseMessage]);
@@ -536,7 +581,8 @@ export default function SoulChatScreen({ navigation, route }) {
     // Navigate to full profile screen
     navigation?.navigate?.('UserProfileScreen', { 
       userId: recommendation.userId || recommendation.candidateUserId,
-      fromMatch: false 
+      fromMatch: false,
+      distanceBand: recommendation.distanceBand || null
     });
   };
 
@@ -572,6 +618,7 @@ export default function SoulChatScreen({ navigation, route }) {
             onPass={handlePassFromCard}
             onTellMeMore={handleTellMeMoreFromCard}
             onViewProfile={handleViewProfileFromCard}
+            viewerLocation={viewerLocation}
           />
         </View>
       );
@@ -667,6 +714,45 @@ export default function SoulChatScreen({ navigation, route }) {
             {item.text}
           </Text>
           
+          {item.grounding && !item.isStreaming && !isUser && (
+            <CitationList grounding={item.grounding} />
+          )}
+          
+          {item.safety?.resources && !item.isStreaming && !isUser && (
+            <View style={styles.safetyResources}>
+              <Text style={styles.safetyResourcesTitle}>🛟 You don't have to go through this alone</Text>
+              {item.safety.resources.resources.map((resource, index) => (
+                <Text key={index} style={styles.safetyResourceLine}>
+                  {`${resource.name}: ${resource.contact}`}
+                </Text>
+              ))}
+              <Text style={styles.safetyResourceLine}>
+                {item.safety.resources.emergency
+                  ? `In immediate danger, call ${item.safety.resources.emergency}.`
+                  : 'In immediate danger, call your local emergency number.'}
+              </Text>
+            </View>
+          )}
+          
+          {ToolRegistry.debug && item.toolCalls?.length > 0 && !isUser && (
+            <View style={styles.toolTranscript}>
+              {item.toolCalls.map((call, index) => (
+                <Text key={call.id || index} style={styles.toolTranscriptLine}>
+                  {`🔧 ${call.name}(${JSON.stringify(call.arguments ?? {})}) ${call.error ? `❌ ${call.error}` : '✅'}${call.durationMs != null ? ` ${call.durationMs}ms` : ''}`}
+                </Text>
+              ))}
+            </View>
+          )}
+          
+          {(item.stopped || item.timeToFirstTokenMs != null) && !item.isStreaming && !isUser && (
+            <Text style={styles.messageMeta}>
+              {[
+                item.stopped && 'Stopped',
+                item.timeToFirstTokenMs != null && `First token in ${(item.timeToFirstTokenMs / 1000).toFixed(1)}s`
+              ].filter(Boolean).join(' · ')}
+            </Text>
+          )}
+          
           {item.isStreaming && !isUser && (
             <Animated.View
               style={[
@@ -744,12 +830,14 @@ export default function SoulChatScreen({ navigation, route }) {
 
   const handleGoodResponse = () => {
     console.log('Good response feedback for:', selectedMessage.text);
+    PromptExperiments.recordRating(selectedMessage.id, 1);
     setLongPressMenuVisible(false);
     setSelectedMessage(null);
   };
 
   const handleBadResponse = () => {
     console.log('Bad response feedback for:', selectedMessage.text);
+    PromptExperiments.recordRating(selectedMessage.id, -1);
     setLongPressMenuVisible(false);
     setSelectedMessage(null);
   };
@@ -1002,15 +1090,15 @@ export default function SoulChatScreen({ navigation, route }) {
                 editable={!isAIThinking}
               />
               <TouchableOpacity
-                onPress={handleSend}
-                disabled={!input.trim() || isAIThinking || quickReplyProcessing}
+                onPress={isGenerating ? handleStop : handleSend}
+                disabled={!isGenerating && (!input.trim() || isAIThinking || quickReplyProcessing)}
                 style={[
                   styles.sendButton, 
-                  (!input.trim() || isAIThinking || quickReplyProcessing) && styles.disabledButton
+                  !isGenerating && (!input.trim() || isAIThinking || quickReplyProcessing) && styles.disabledButton
                 ]}
               >
                 <Ionicons 
-                  name={isAIThinking ? "hourglass" : "send"} 
+                  name={isGenerating ? "stop" : isAIThinking ? "hourglass" : "send"} 
                   size={22} 
                   color="#FFFFFF" 
                 />
@@ -1406,6 +1494,42 @@ const styles = StyleSheet.create({
     color: COLORS.textPlaceholder,
     fontSize: 12,
   },
+  messageMeta: {
+    color: COLORS.textPlaceholder,
+    fontSize: 11,
+    marginTop: 6,
+  },
+  safetyResources: {
+    marginTop: 10,
+    padding: 10,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0, 0, 0, 0.04)',
+    borderWidth: 1,
+    borderColor: 'rgba(0, 0, 0, 0.08)',
+  },
+  safetyResourcesTitle: {
+    color: COLORS.textPrimary,
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  safetyResourceLine: {
+    color: COLORS.textSecondary,
+    fontSize: 13,
+    marginTop: 2,
+  },
+  toolTranscript: {
+    marginTop: 8,
+    paddingTop: 6,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  toolTranscriptLine: {
+    color: COLORS.textPlaceholder,
+    fontSize: 11,
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    marginTop: 2,
+  },
 
   // Thinking Indicator - Enhanced for dark background
   thinkingContainer: {
@@ -19,6 +19,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { COLORS, GRADIENTS } from '../../styles/globalStyles';
 import SoulService from '../../services/SoulService';
+import MatchmakingBackendService from '../../services/MatchmakingBackendService';
 
 const { width, height } = Dimensions.get('window');
 const SWIPE_THRESHOLD = width * 0.25;
@@ -29,6 +30,7 @@ export default function DiscoveryScreen({ navigation }) {
   const [potentialMatches, setPotentialMatches] = useState([]);
   const [loading, setLoading] = useState(true);
   const [soulInsight, setSoulInsight] = useState('');
+  const [lastSwipe, setLastSwipe] = useState(null); // { match, undoExpiresAt } while a rewind is possible
   
   const translateX = useRef(new Animated.Value(0)).current;
   const rotate = useRef(new Animated.Value(0)).current;
@@ -39,6 +41,16 @@ export default function DiscoveryScreen({ navigation }) {
     loadPotentialMatches();
   }, []);
 
+  // Hide the rewind button once its undo window closes
+  useEffect(() => {
+    if (!lastSwipe?.undoExpiresAt) return;
+    const timer = setTimeout(
+      () => setLastSwipe(current => (current === lastSwipe ? null : current)),
+      Math.max(0, lastSwipe.undoExpiresAt - Date.now())
+    );
+    return () => clearTimeout(timer);
+  }, [lastSwipe]);
+
   const loadPotentialMatches = async () => {
     try {
       setLoading(true);
@@ -138,10 +150,8 @@ export default function DiscoveryScreen({ navigation }) {
     try {
       console.log('Liked:', match.name);
       
-      // In a real app, this would:
-      // 1. Send like to backend
-      // 2. Check for mutual match
-      // 3. Create conversation if matched
+      const result = await MatchmakingBackendService.likeUser(match.id, { source: 'discovery' }, match);
+      setLastSwipe({ match, undoExpiresAt: result.undoExpiresAt });
       
       // Simulate match creation
       Alert.alert(
@@ -167,11 +177,37 @@ export default function DiscoveryScreen({ navigation }) {
     }
   };
 
-  const handlePass = (match) => {
+  const handlePass = async (match) => {
     console.log('Passed on:', match.name);
-    // In a real app, this would update the recommendation algorithm
+    const result = await MatchmakingBackendService.passUser(match.id, { source: 'discovery' }, match);
+    setLastSwipe({ match, undoExpiresAt: result.undoExpiresAt });
+  };
+
+  // Take back the last swipe and put that card on top again
+  const handleRewind = async () => {
+    if (!lastSwipe) return;
+    
+    // Undo this swipe specifically; the history also holds likes and passes made in chat
+    const result = await MatchmakingBackendService.undoLastInteraction(lastSwipe.match.id);
+    if (!result.success) {
+      setLastSwipe(null);
+      Alert.alert('Can\'t undo', result.message);
+      return;
+    }
+    
+    const { match } = lastSwipe;
+    const index = potentialMatches.findIndex(candidate => candidate.id === match.id);
+    if (index !== -1) {
+      setCurrentCardIndex(index);
+    } else {
+      // The deck was reloaded since the swipe; slot the card back in at the current position
+      setPotentialMatches(prev => [...prev.slice(0, currentCardIndex), match, ...prev.slice(currentCardIndex)]);
+    }
+    setLastSwipe(null);
   };
 
+  const canRewind = Boolean(lastSwipe?.undoExpiresAt && Date.now() < lastSwipe.undoExpiresAt);
+
   const renderCard = (match, index) => {
     if (index !== currentCardIndex) return null;
 
@@ -299,6 +335,15 @@ export default function DiscoveryScreen({ navigation }) {
       {/* Action Buttons */}
       {currentMatch && !loading && (
         <View style={styles.actionButtons}>
+          {canRewind && (
+            <TouchableOpacity 
+              style={[styles.actionButton, styles.rewindButton]}
+              onPress={handleRewind}
+            >
+              <Ionicons name="arrow-undo" size={24} color="#F5A623" />
+            </TouchableOpacity>
+          )}
+          
           <TouchableOpacity 
             style={[styles.actionButton, styles.passButton]}
             onPress={() => handleSwipe('left')}
@@ -535,6 +580,14 @@ const styles = StyleSheet.create({
     borderWidth: 2,
     borderColor: '#4ECDC4',
   },
+  rewindButton: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: '#fff',
+    borderWidth: 2,
+    borderColor: '#F5A623',
+  },
   loadingContainer: {
     alignItems: 'center',
     justifyContent: 'center',
@@ -0,0 +1,339 @@
+// Location Settings Screen
+// How precisely others can place you, your shared location and travel (passport) mode.
+// Only geohash cells leave the device; see LocationService.
+
+import React, { useState, useEffect } from 'react';
+import {
+  SafeAreaView,
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import { GRADIENTS } from '../../styles/globalStyles';
+import LocationService, { PRECISION_OPTIONS } from '../../services/location/LocationService';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 'YYYY-MM-DD' for a date input, in local time
+function formatDay(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Local midnight of a 'YYYY-MM-DD' string, or NaN
+function parseDay(value) {
+  const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return NaN;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+}
+
+export default function LocationSettingsScreen() {
+  const [settings, setSettings] = useState(null);
+  const [updatingLocation, setUpdatingLocation] = useState(false);
+  const [savingTrip, setSavingTrip] = useState(false);
+  const [destination, setDestination] = useState('');
+  const [startDate, setStartDate] = useState(formatDay(Date.now()));
+  const [endDate, setEndDate] = useState(formatDay(Date.now() + 7 * DAY));
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    const current = await LocationService.getSettings();
+    setSettings(current);
+    if (current.travel) {
+      setDestination(current.travel.label || '');
+      setStartDate(formatDay(current.travel.startsAt));
+      // The trip ends at midnight after its last day
+      setEndDate(formatDay(current.travel.endsAt - DAY));
+    }
+  };
+
+  const handlePrecision = async (precision) => {
+    await LocationService.setPrecision(precision);
+    await loadSettings();
+  };
+
+  const handleUpdateLocation = async () => {
+    setUpdatingLocation(true);
+    const home = await LocationService.refreshFromDevice();
+    setUpdatingLocation(false);
+    if (!home) {
+      Alert.alert('Location unavailable', 'Allow location access in your device settings so Soul can find people near you.');
+      return;
+    }
+    await loadSettings();
+  };
+
+  const handleSaveTrip = async () => {
+    const startsAt = parseDay(startDate);
+    const lastDay = parseDay(endDate);
+    if (!destination.trim()) {
+      Alert.alert('Travel mode', 'Enter the city you are travelling to.');
+      return;
+    }
+    if (Number.isNaN(startsAt) || Number.isNaN(lastDay)) {
+      Alert.alert('Travel mode', 'Enter dates as YYYY-MM-DD.');
+      return;
+    }
+
+    setSavingTrip(true);
+    try {
+      const location = await LocationService.findPlace(destination.trim());
+      if (!location) {
+        Alert.alert('Travel mode', `I couldn't find ${destination.trim()}. Try a city name.`);
+        return;
+      }
+      await LocationService.setTravelMode({
+        location,
+        label: destination.trim(),
+        startsAt,
+        endsAt: lastDay + DAY
+      });
+      await loadSettings();
+    } catch (error) {
+      Alert.alert('Travel mode', error.message);
+    } finally {
+      setSavingTrip(false);
+    }
+  };
+
+  const handleClearTrip = async () => {
+    await LocationService.clearTravelMode();
+    setDestination('');
+    await loadSettings();
+  };
+
+  if (!settings) {
+    return (
+      <LinearGradient colors={GRADIENTS.background} style={styles.loading}>
+        <ActivityIndicator size="large" color="#FFFFFF" />
+      </LinearGradient>
+    );
+  }
+
+  const { home, travel, precision, traveling } = settings;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <LinearGradient colors={GRADIENTS.background} style={styles.gradient}>
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          {/* Precision */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Location precision</Text>
+            <Text style={styles.sectionHint}>
+              Others only ever see an approximate distance. Choose how small an area your location is rounded to.
+            </Text>
+            {PRECISION_OPTIONS.map(option => {
+              const selected = option.precision === precision;
+              return (
+                <TouchableOpacity
+                  key={option.precision}
+                  style={[styles.option, selected && styles.optionSelected]}
+                  onPress={() => handlePrecision(option.precision)}
+                >
+                  <View>
+                    <Text style={styles.optionLabel}>{option.label}</Text>
+                    <Text style={styles.optionHint}>About {option.approximateKm} km across</Text>
+                  </View>
+                  <Ionicons
+                    name={selected ? 'radio-button-on' : 'radio-button-off'}
+                    size={22}
+                    color="#FFFFFF"
+                  />
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          {/* Shared location */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Your location</Text>
+            <Text style={styles.detailValue}>
+              {home
+                ? [home.city, home.state].filter(Boolean).join(', ') || 'Set'
+                : 'Not shared yet'}
+            </Text>
+            <TouchableOpacity style={styles.button} onPress={handleUpdateLocation} disabled={updatingLocation}>
+              {updatingLocation ? (
+                <ActivityIndicator color="#FFFFFF" />
+              ) : (
+                <>
+                  <Ionicons name="locate" size={18} color="#FFFFFF" />
+                  <Text style={styles.buttonText}>Use my current location</Text>
+                </>
+              )}
+            </TouchableOpacity>
+          </View>
+
+          {/* Travel mode */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Travel mode</Text>
+            <Text style={styles.sectionHint}>
+              {travel
+                ? `${traveling ? 'Searching' : 'Will search'} around ${travel.label || 'your destination'} until ${formatDay(travel.endsAt - DAY)}.`
+                : 'Meet people in another city before you arrive. People still see your home location.'}
+            </Text>
+
+            <Text style={styles.inputLabel}>Destination</Text>
+            <TextInput
+              style={styles.input}
+              value={destination}
+              onChangeText={setDestination}
+              placeholder="e.g. Lisbon"
+              placeholderTextColor="rgba(255, 255, 255, 0.6)"
+            />
+
+            <View style={styles.dateRow}>
+              <View style={styles.dateField}>
+                <Text style={styles.inputLabel}>From</Text>
+                <TextInput
+                  style={styles.input}
+                  value={startDate}
+                  onChangeText={setStartDate}
+                  placeholder="YYYY-MM-DD"
+                  placeholderTextColor="rgba(255, 255, 255, 0.6)"
+                />
+              </View>
+              <View style={styles.dateField}>
+                <Text style={styles.inputLabel}>Until</Text>
+                <TextInput
+                  style={styles.input}
+                  value={endDate}
+                  onChangeText={setEndDate}
+                  placeholder="YYYY-MM-DD"
+                  placeholderTextColor="rgba(255, 255, 255, 0.6)"
+                />
+              </View>
+            </View>
+
+            <TouchableOpacity style={styles.button} onPress={handleSaveTrip} disabled={savingTrip}>
+              {savingTrip ? (
+                <ActivityIndicator color="#FFFFFF" />
+              ) : (
+                <>
+                  <Ionicons name="airplane" size={18} color="#FFFFFF" />
+                  <Text style={styles.buttonText}>{travel ? 'Update trip' : 'Start travel mode'}</Text>
+                </>
+              )}
+            </TouchableOpacity>
+
+            {travel && (
+              <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={handleClearTrip}>
+                <Text style={styles.buttonText}>End travel mode</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </ScrollView>
+      </LinearGradient>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  gradient: {
+    flex: 1,
+  },
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    paddingVertical: 24,
+  },
+  section: {
+    marginBottom: 32,
+    paddingHorizontal: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+    marginBottom: 8,
+  },
+  sectionHint: {
+    fontSize: 14,
+    color: 'rgba(255, 255, 255, 0.85)',
+    marginBottom: 12,
+  },
+  option: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 14,
+    marginBottom: 8,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  optionSelected: {
+    backgroundColor: 'rgba(255, 255, 255, 0.25)',
+  },
+  optionLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  optionHint: {
+    fontSize: 13,
+    color: 'rgba(255, 255, 255, 0.75)',
+    marginTop: 2,
+  },
+  detailValue: {
+    fontSize: 16,
+    color: '#FFFFFF',
+    marginBottom: 12,
+  },
+  inputLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: 'rgba(255, 255, 255, 0.9)',
+    marginBottom: 6,
+  },
+  input: {
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#FFFFFF',
+    marginBottom: 12,
+  },
+  dateRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  dateField: {
+    width: '48%',
+  },
+  button: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255, 255, 255, 0.25)',
+    marginTop: 4,
+  },
+  secondaryButton: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    marginTop: 8,
+  },
+  buttonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+    marginLeft: 8,
+  },
+});
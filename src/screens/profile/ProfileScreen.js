@@ -143,10 +143,16 @@ export default function ProfileScreen({ navigation }) {
           <Text style={styles.detailLabel}>Age</Text>
           <Text style={styles.detailValue}>{userData.age}</Text>
         </View>
-        <View style={styles.detailRow}>
+        <TouchableOpacity
+          style={styles.detailRow}
+          onPress={() => navigation?.navigate?.('LocationSettings')}
+        >
           <Text style={styles.detailLabel}>Location</Text>
-          <Text style={styles.detailValue}>{userData.location}</Text>
-        </View>
+          <View style={styles.detailLink}>
+            <Text style={styles.detailValue}>{userData.location}</Text>
+            <Ionicons name="chevron-forward" size={16} color="rgba(255, 255, 255, 0.7)" />
+          </View>
+        </TouchableOpacity>
       </View>
     );
   };
@@ -421,6 +427,10 @@ const styles = StyleSheet.create({
     lineHeight: 24,
     color: 'rgba(255, 255, 255, 0.9)',
   },
+  detailLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   editButton: {
     padding: 4,
     backgroundColor: 'rgba(255, 255, 255, 0.2)',
@@ -16,11 +16,12 @@ import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { COLORS, GRADIENTS } from '../../styles/globalStyles';
 import { getRandomProfileEmojis } from '../../utils/emojiUtils';
+import LocationService, { describeDistance } from '../../services/location/LocationService';
 
 const { width } = Dimensions.get('window');
 
 export default function UserProfileScreen({ route, navigation }) {
-  const { userId, fromMatch = false } = route.params;
+  const { userId, fromMatch = false, distanceBand = null } = route.params;
   const insets = useSafeAreaInsets();
   const [profileData, setProfileData] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -29,6 +30,7 @@ export default function UserProfileScreen({ route, navigation }) {
   const [selectedImageIndex, setSelectedImageIndex] = useState(0);
   const [profileEmojis] = useState(() => getRandomProfileEmojis());
   const [isMatched, setIsMatched] = useState(fromMatch); // Track match status
+  const [distanceLabel, setDistanceLabel] = useState(distanceBand?.label || null);
 
   useEffect(() => {
     loadUserProfile();
@@ -69,6 +71,7 @@ export default function UserProfileScreen({ route, navigation }) {
           displayName: 'Jordan',
           age: 26,
           location: 'Brooklyn, NY',
+          geohash: 'dr5rm', // Cell shared by the user, never exact coordinates
           photos: ['https://i.pravatar.cc/400?img=32', 'https://i.pravatar.cc/400?img=33'],
           interests: ['Art', 'Coffee', 'Photography', 'Literature']
         },
@@ -76,6 +79,7 @@ export default function UserProfileScreen({ route, navigation }) {
           displayName: 'Alex',
           age: 28,
           location: 'San Francisco, CA',
+          geohash: '9q8yy',
           photos: ['https://i.pravatar.cc/400?img=45', 'https://i.pravatar.cc/400?img=46'],
           interests: ['Technology', 'Hiking', 'Photography', 'Startups']
         },
@@ -83,6 +87,7 @@ export default function UserProfileScreen({ route, navigation }) {
           displayName: 'Casey',
           age: 24,
           location: 'Austin, TX',
+          geohash: '9v6kp',
           photos: ['https://i.pravatar.cc/400?img=38', 'https://i.pravatar.cc/400?img=39'],
           interests: ['Writing', 'Travel', 'Music', 'Food']
         }
@@ -94,6 +99,7 @@ export default function UserProfileScreen({ route, navigation }) {
         displayName: baseProfile.displayName,
         age: baseProfile.age,
         location: baseProfile.location,
+        geohash: baseProfile.geohash,
         photos: baseProfile.photos,
         aiGeneratedContent: {
           bio: 'A creative soul with a passion for art, good coffee, and meaningful conversations. Always up for an adventure.',
@@ -120,6 +126,14 @@ export default function UserProfileScreen({ route, navigation }) {
       };
       
       setProfileData(mockProfile);
+
+      // Approximate band from the viewer's search cell (travel destination when travelling)
+      if (!distanceBand) {
+        const viewerLocation = await LocationService.getSearchLocation();
+        if (viewerLocation && mockProfile.geohash) {
+          setDistanceLabel(describeDistance(viewerLocation, mockProfile.geohash)?.label || null);
+        }
+      }
     } catch (error) {
       console.error('Error loading profile:', error);
       // TODO: Show error message to user
@@ -231,6 +245,12 @@ export default function UserProfileScreen({ route, navigation }) {
           <Ionicons name="location-outline" size={16} color="rgba(255, 255, 255, 0.8)" />
           <Text style={styles.location}>{profileData.location}</Text>
         </View>
+        {distanceLabel && (
+          <View style={styles.locationSection}>
+            <Ionicons name="navigate-outline" size={16} color="rgba(255, 255, 255, 0.8)" />
+            <Text style={styles.location}>{distanceLabel}</Text>
+          </View>
+        )}
         {profileData.lastActive && (
           <Text style={styles.lastActive}>
             Active {getTimeAgo(profileData.lastActive)}
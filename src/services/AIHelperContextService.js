@@ -4,6 +4,7 @@
 import ChatGPTService from './ChatGPTService';
 import PersonalityProfilingEngine from './PersonalityProfilingEngine';
 import CompatibilityMatchingEngine from './CompatibilityMatchingEngine';
+import PromptRegistry from './prompts/SoulPrompts';
 
 class AIHelperContextService {
   constructor() {
@@ -16,14 +17,7 @@ class AIHelperContextService {
   initializeContextPrompts() {
     // Match Chat Context
     this.contextPrompts.set('matchChat', {
-      systemPrompt: `You are Soul, an AI relationship assistant helping users craft perfect messages for their matches. 
-      Your expertise includes:
-      - Writing engaging conversation starters
-      - Improving message tone and clarity
-      - Suggesting response options based on personality compatibility
-      - Providing conversation coaching
-      
-      Keep responses concise (1-3 sentences) and actionable. Always maintain a warm, supportive tone.`,
+      prompt: 'ai_helper.matchChat', // Template in prompts/SoulPrompts
       
       capabilities: [
         'Draft conversation starters',
@@ -43,15 +37,7 @@ class AIHelperContextService {
 
     // Profile Context
     this.contextPrompts.set('profile', {
-      systemPrompt: `You are Soul, an AI relationship assistant helping users optimize their dating profile.
-      Your expertise includes:
-      - Profile optimization and suggestions
-      - Bio writing and improvement
-      - Photo selection advice
-      - Personality presentation tips
-      - First impression enhancement
-      
-      Focus on authentic self-presentation while maximizing attractiveness. Keep advice practical and implementable.`,
+      prompt: 'ai_helper.profile', // Template in prompts/SoulPrompts
       
       capabilities: [
         'Review and optimize profile content',
@@ -71,14 +57,7 @@ class AIHelperContextService {
 
     // Matches List Context
     this.contextPrompts.set('matches', {
-      systemPrompt: `You are Soul, an AI relationship assistant helping users navigate their matches and dating strategy.
-      Your expertise includes:
-      - Match analysis and compatibility insights
-      - Conversation starter suggestions
-      - Dating strategy and timing advice
-      - Relationship progression guidance
-      
-      Help users make informed decisions about their connections while maintaining authentic interactions.`,
+      prompt: 'ai_helper.matches', // Template in prompts/SoulPrompts
       
       capabilities: [
         'Analyze match compatibility',
@@ -98,14 +77,7 @@ class AIHelperContextService {
 
     // General Context
     this.contextPrompts.set('general', {
-      systemPrompt: `You are Soul, an AI relationship assistant providing general dating and relationship guidance.
-      Your expertise includes:
-      - General dating advice
-      - Relationship psychology
-      - Communication skills
-      - Personal growth for relationships
-      
-      Provide thoughtful, evidence-based advice that helps users build meaningful connections.`,
+      prompt: 'ai_helper.general', // Template in prompts/SoulPrompts
       
       capabilities: [
         'General dating advice',
@@ -149,45 +121,40 @@ class AIHelperContextService {
   // Build contextualized prompt for AI
   buildContextualPrompt(screenContext, userInput, contextData = {}) {
     const config = this.getContextConfig(screenContext);
-    let prompt = config.systemPrompt + '\n\n';
+    return PromptRegistry.render(config.prompt, this.getPromptVariables(screenContext, userInput, contextData)).text;
+  }
+
+  // Template variables for the screen's helper prompt
+  getPromptVariables(screenContext, userInput, contextData = {}) {
+    const variables = { userInput };
 
-    // Add context-specific information
     switch (screenContext) {
       case 'matchChat':
-        if (contextData.matchName) {
-          prompt += `You are helping the user message ${contextData.matchName}. `;
-        }
-        if (contextData.lastMessage) {
-          prompt += `Last message from match: "${contextData.lastMessage}" `;
-        }
-        if (contextData.conversationHistory) {
-          prompt += `Conversation history available for context. `;
-        }
+        variables.matchName = contextData.matchName || undefined;
+        variables.lastMessage = contextData.lastMessage || undefined;
+        variables.hasConversationHistory = Boolean(contextData.conversationHistory);
         break;
 
       case 'profile':
         if (contextData.userData) {
-          prompt += `User profile info: `;
-          prompt += `Name: ${contextData.userData.name || 'Not set'}, `;
-          prompt += `Age: ${contextData.userData.age || 'Not set'}, `;
-          prompt += `Personality: ${contextData.personalityType || 'Not analyzed'}, `;
-          prompt += `Interests: ${contextData.interests?.join(', ') || 'Not set'}, `;
-          prompt += `About: ${contextData.aboutMe || 'Not set'}. `;
+          variables.profile = {
+            name: contextData.userData.name || 'Not set',
+            age: contextData.userData.age || 'Not set',
+            personalityType: contextData.personalityType || 'Not analyzed',
+            interests: contextData.interests?.join(', ') || 'Not set',
+            aboutMe: contextData.aboutMe || 'Not set'
+          };
         }
         break;
 
       case 'matches':
-        if (contextData.matchesData) {
-          prompt += `User has ${contextData.matchesData.length} matches. `;
-        }
-        if (contextData.searchText) {
-          prompt += `Current search: "${contextData.searchText}". `;
-        }
+        variables.hasMatchesData = Boolean(contextData.matchesData);
+        variables.matchCount = contextData.matchesData?.length || 0;
+        variables.searchText = contextData.searchText || undefined;
         break;
     }
 
-    prompt += `\n\nUser request: ${userInput}`;
-    return prompt;
+    return variables;
   }
 
   // Handle quick action requests
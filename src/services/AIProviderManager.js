@@ -1,30 +1,53 @@
 // AI Provider Manager for SoulAI
-// Intelligently manages multiple AI providers (OpenAI, Google AI, Anthropic)
+// Intelligently manages multiple AI providers (OpenAI, Google AI, Anthropic, local LLMs)
 // Provides failover, load balancing, and optimal provider selection
 // Now includes HHC-based personality adaptation for truly personalized interactions
 
-import ChatGPTService from './ChatGPTService';
-import GoogleAIService from './GoogleAIService';
-import EnhancedSoulAIService from './EnhancedSoulAIService';
+import ProviderRegistry from './providers/ProviderRegistry';
+import CircuitBreaker from './providers/CircuitBreaker';
+import TokenBucket from './providers/TokenBucket';
+import SpendBudget from './providers/SpendBudget';
+import ResponseCache from './providers/ResponseCache';
+import MockLLMProvider from './providers/MockLLMProvider';
+import { streamFromCallbacks, isAbortError } from './providers/ChatStream';
+import { estimateTokens } from './rag/MarkdownChunker';
 import { agentOrchestrator } from './personality/AgentOrchestrator';
+import PromptExperiments from './prompts/PromptExperiments';
+import SafetyMonitor from './safety/SafetyMonitor';
+
+// Provider modules register themselves with ProviderRegistry when imported
+import './EnhancedSoulAIService';
+import './ChatGPTService';
+import './GoogleAIService';
+import './providers/AnthropicProvider';
+import './providers/LocalLLMProvider';
+// Tools the chat model can call (matches, date plans, knowledge base, relationship progress)
+import ToolRegistry from './tools/SoulAITools';
+
+// Request types that don't need the strongest model; they go to the cheapest capable provider
+const ECONOMY_REQUEST_TYPES = new Set(['mood_analysis', 'feedback_parsing', 'classification', 'summarization']);
+
+// Tools that suggest people or dates; withheld while a user is in safe-response mode
+const MATCHMAKING_TOOLS = new Set(['get_match_recommendations', 'plan_date']);
 
 class AIProviderManager {
   constructor() {
-    this.providers = {
-      enhanced_soulai: EnhancedSoulAIService, // Prioritize our enhanced service
-      openai: ChatGPTService,
-      google: GoogleAIService,
-      // Future: anthropic: AnthropicService
-    };
+    this.registry = ProviderRegistry;
     
     this.primaryProvider = process.env.EXPO_PUBLIC_PRIMARY_AI_PROVIDER || 'enhanced_soulai';
     this.fallbackProvider = process.env.EXPO_PUBLIC_FALLBACK_AI_PROVIDER || 'openai';
     
-    this.providerHealth = {
-      enhanced_soulai: { status: 'unknown', lastCheck: null },
-      openai: { status: 'unknown', lastCheck: null },
-      google: { status: 'unknown', lastCheck: null }
-    };
+    this.providerHealth = {};
+    this.breakers = {}; // providerName -> CircuitBreaker
+    this.rateLimiters = {}; // providerName -> TokenBucket
+    this.registry.getNames().forEach(name => this.initializeProvider(name));
+    this.registry.onRegister(entry => this.initializeProvider(entry.name));
+    
+    // Estimated USD spend per day, overall and per user
+    this.budget = new SpendBudget({
+      dailyLimit: parseFloat(process.env.EXPO_PUBLIC_AI_DAILY_BUDGET_USD) || 5,
+      userDailyLimit: parseFloat(process.env.EXPO_PUBLIC_AI_USER_DAILY_BUDGET_USD) || 0.5
+    });
     
     this.failoverCount = 0;
     this.maxFailovers = 3; // Maximum failovers before giving up
@@ -33,13 +56,92 @@ class AIProviderManager {
     console.log('🤖 AI Provider Manager initialized:', {
       primary: this.primaryProvider,
       fallback: this.fallbackProvider,
-      availableProviders: Object.keys(this.providers)
+      mode: MockLLMProvider.mode,
+      availableProviders: this.registry.getNames()
     });
     
     // Start periodic health checks
     this.startHealthChecks();
   }
 
+  // Registered provider services by name
+  get providers() {
+    return Object.fromEntries(this.registry.list().map(entry => [entry.name, entry.service]));
+  }
+
+  initializeProvider(providerName) {
+    if (!this.providerHealth[providerName]) {
+      this.providerHealth[providerName] = { status: 'unknown', lastCheck: null };
+    }
+    if (!this.breakers[providerName]) {
+      this.breakers[providerName] = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 60 * 1000 });
+    }
+    if (!this.rateLimiters[providerName]) {
+      const { requestsPerMinute } = this.registry.getCapabilities(providerName);
+      this.rateLimiters[providerName] = new TokenBucket({ capacity: requestsPerMinute, refillPerSecond: requestsPerMinute / 60 });
+    }
+  }
+
+  // Circuit closed (or ready for a half-open trial) and a rate-limit token free
+  isProviderAvailable(providerName) {
+    return Boolean(this.breakers[providerName]?.isAvailable() && this.rateLimiters[providerName]?.canRemove());
+  }
+
+  // Reserve the circuit's trial slot and a rate-limit token for one request
+  acquireProvider(providerName) {
+    const breaker = this.breakers[providerName];
+    const limiter = this.rateLimiters[providerName];
+    if (!breaker || !limiter) return false;
+    
+    if (!limiter.canRemove()) {
+      console.log(`⏳ ${providerName} rate limited, retry in ${limiter.msUntilAvailable()}ms`);
+      limiter.rejected++;
+      return false;
+    }
+    if (!breaker.tryAcquire()) {
+      console.log(`🚫 ${providerName} circuit ${breaker.getState()}, skipping`);
+      return false;
+    }
+    return limiter.tryRemove();
+  }
+
+  recordProviderSuccess(providerName) {
+    this.breakers[providerName]?.recordSuccess();
+    this.providerHealth[providerName] = {
+      status: 'healthy',
+      lastCheck: new Date().toISOString()
+    };
+  }
+
+  recordProviderFailure(providerName, error) {
+    this.breakers[providerName]?.recordFailure(error);
+    this.providerHealth[providerName] = {
+      status: 'unhealthy',
+      lastCheck: new Date().toISOString(),
+      error: error?.message
+    };
+  }
+
+  // Charge the estimated cost of a finished request to the day's budget
+  async recordUsage(userId, providerName, prompt, response) {
+    const cost = this.registry.estimateCost(
+      providerName,
+      estimateTokens(prompt),
+      estimateTokens(typeof response === 'string' ? response : '')
+    ) || 0;
+    
+    await this.budget.load();
+    await this.budget.recordSpend(userId, providerName, cost);
+  }
+
+  // 'standard', 'economy' (cheapest capable provider first) or 'free' (zero-cost providers only)
+  getRoutingTier(requestType = 'chat', userId = null) {
+    const budgetTier = this.budget.getTier(userId);
+    if (budgetTier === 'free') return 'free';
+    if (budgetTier === 'economy' || ECONOMY_REQUEST_TYPES.has(requestType)) return 'economy';
+    return 'standard';
+  }
+
   // Start periodic health monitoring
   startHealthChecks() {
     setInterval(async () => {
@@ -57,6 +159,9 @@ class AIProviderManager {
     console.log('🏥 Performing AI provider health checks...');
     
     for (const [providerName, provider] of Object.entries(this.providers)) {
+      // Offline test runs must not touch the network
+      if (MockLLMProvider.isMocking() && providerName !== MockLLMProvider.name) continue;
+      
       try {
         if (provider.healthCheck) {
           const health = await provider.healthCheck();
@@ -80,52 +185,78 @@ class AIProviderManager {
     }
   }
 
-  // Get the best available provider
-  getBestProvider() {
-    // Check if primary provider is healthy
-    if (this.providerHealth[this.primaryProvider]?.status === 'healthy') {
-      return {
-        name: this.primaryProvider,
-        service: this.providers[this.primaryProvider]
-      };
+  // Providers meeting the requirements. Standard tier: primary, then fallback, then the rest
+  // cheapest first. Economy and free tiers: cheapest first.
+  getCandidateProviders(requirements = {}, tier = 'standard') {
+    const rank = (name) => (name === this.primaryProvider ? 0 : name === this.fallbackProvider ? 1 : 2);
+    const cost = (name) => this.registry.getCapabilities(name).costPerOutputToken;
+    
+    return this.registry
+      .findProviders(requirements)
+      .sort((a, b) => (tier === 'standard'
+        ? rank(a) - rank(b) || cost(a) - cost(b)
+        : cost(a) - cost(b) || rank(a) - rank(b)));
+  }
+
+  // Get the best available provider by declared capability, circuit state, rate limit and health.
+  // requirements: { streaming, toolCalls, local, minContextTokens, maxCostPerInputToken, maxCostPerOutputToken }
+  // Returns null when every candidate is unavailable. In mock mode only the mock provider is chosen.
+  getBestProvider(requirements = {}, options = {}) {
+    const { tier = 'standard', exclude = [] } = options;
+    const mock = MockLLMProvider.isMocking();
+    const required = tier === 'free'
+      ? { ...requirements, mock, maxCostPerInputToken: 0, maxCostPerOutputToken: 0 }
+      : { ...requirements, mock };
+    
+    let candidates = this.getCandidateProviders(required, tier);
+    if (candidates.length === 0 && tier !== 'free') {
+      console.log('⚠️ No provider declares the required capabilities, ignoring requirements:', requirements);
+      candidates = this.getCandidateProviders({ mock }, tier);
     }
     
-    // Check if fallback provider is healthy
-    if (this.providerHealth[this.fallbackProvider]?.status === 'healthy') {
-      console.log(`🔄 Using fallback provider: ${this.fallbackProvider}`);
-      return {
-        name: this.fallbackProvider,
-        service: this.providers[this.fallbackProvider]
-      };
+    const available = candidates.filter(name => !exclude.includes(name) && this.isProviderAvailable(name));
+    if (available.length === 0) {
+      console.log(`⚠️ No ${tier} provider available (circuits open, rate limited or over budget)`);
+      return null;
     }
     
-    // Find any healthy provider
-    for (const [providerName, health] of Object.entries(this.providerHealth)) {
-      if (health.status === 'healthy') {
-        console.log(`🔄 Using alternative provider: ${providerName}`);
-        return {
-          name: providerName,
-          service: this.providers[providerName]
-        };
+    // Prefer a provider confirmed healthy
+    const healthy = available.find(name => this.providerHealth[name]?.status === 'healthy');
+    if (healthy) {
+      if (healthy !== this.primaryProvider) {
+        console.log(`🔄 Using ${healthy === this.fallbackProvider ? 'fallback' : 'alternative'} provider: ${healthy}`);
       }
+      return this.toProvider(healthy);
     }
     
-    // If no provider is confirmed healthy, try primary anyway
-    console.log(`⚠️ No healthy providers confirmed, attempting with primary: ${this.primaryProvider}`);
+    // If no provider is confirmed healthy, try the first one not known to be failing
+    const untested = available.find(name => this.providerHealth[name]?.status !== 'unhealthy') || available[0];
+    console.log(`⚠️ No healthy providers confirmed, attempting with: ${untested}`);
+    return this.toProvider(untested);
+  }
+
+  toProvider(providerName) {
     return {
-      name: this.primaryProvider,
-      service: this.providers[this.primaryProvider]
+      name: providerName,
+      service: this.registry.getService(providerName),
+      capabilities: this.registry.getCapabilities(providerName)
     };
   }
 
   // Send message with automatic failover and personality adaptation
   async sendMessage(message, options = {}) {
-    const {
+    let {
       onStart = () => {},
       onToken = () => {},
       onComplete = () => {},
       onError = () => {},
+      onGrounding = null,
+      onToolCall = () => {},
+      tools = true, // Tools offered to providers that support function calling: true, false or names
+      toolContext = {}, // Extra context for tool handlers; userId is added automatically
+      signal = null, // AbortSignal; stops the generation without failing over
       preferredProvider = null,
+      requirements = {}, // Capabilities the provider must declare, e.g. { streaming: true }
       maxRetries = 2,
       // New personality adaptation options
       userId = null,
@@ -133,18 +264,70 @@ class AIProviderManager {
       requestType = 'chat',
       includeMatches = false,
       conversationHistory = [],
-      userPreferences = {}
+      userPreferences = {},
+      responseId = null, // Id the caller rates the response by (PromptExperiments.recordRating)
+      // Response cache: false to bypass, or { text, key, userIds, ttlMs, semantic } (see providers/ResponseCache)
+      cache = {},
+      locale = null, // Picks helplines if the safety check escalates
+      safetyCheck = requestType === 'chat', // Classify the message for crisis risk first
+      safety = null // Assessment the caller already made with SafetyMonitor.assess
     } = options;
 
     let lastError = null;
     let attempts = 0;
     this.failoverCount = 0;
+    const attempted = []; // Providers already tried or skipped for this request
+    
+    // 🛟 SAFETY: crisis check before anything else sees the message
+    if (!safety && safetyCheck) {
+      safety = await SafetyMonitor.assess(message, { userId, userName, conversationHistory, locale });
+    }
+    if (safety?.suppressMatchmaking) {
+      includeMatches = false;
+      tools = safety.safeMode || tools === false
+        ? false
+        : ToolRegistry.select(tools).map(tool => tool.name).filter(name => !MATCHMAKING_TOOLS.has(name));
+    }
+
+    // Repeated requests are answered from the cache without touching a provider
+    const cacheOptions = cache === false || safety?.safeMode ? null : { ...cache, requestType, userId };
+    if (cacheOptions && !signal?.aborted) {
+      const cached = await ResponseCache.get(message, cacheOptions);
+      if (cached) {
+        onStart();
+        onToken(cached.response, cached.response, 'cache');
+        onComplete(cached.response, 'cache', { cached: true, cacheMatch: cached.match, cachedFrom: cached.provider });
+        return cached.response;
+      }
+    }
+
+    await this.budget.load();
+    const tier = this.getRoutingTier(requestType, userId);
+    if (tier !== 'standard') {
+      console.log(`💰 Routing ${requestType} request on the ${tier} tier`);
+    }
 
     // 🎭 PERSONALITY ADAPTATION: Orchestrate personalized interaction
     let personalizedContext = null;
     let finalMessage = message;
     
-    if (userId) {
+    if (safety?.safeMode) {
+      // Safe-response mode replaces the personality prompt; no matches, coaching or flirting
+      console.log(`🛟 Safe-response mode (${safety.level}) for this message`);
+      finalMessage = safety.systemPrompt + '\n\nUser: ' + message;
+      
+      const originalOnComplete = onComplete;
+      onComplete = (finalResponse, providerName) => {
+        originalOnComplete(finalResponse, providerName, {
+          safety: {
+            level: safety.level,
+            categories: safety.categories,
+            resources: safety.resources,
+            escalationId: safety.escalationId || null
+          }
+        });
+      };
+    } else if (userId) {
       try {
         console.log('🎭 Orchestrating personalized interaction for user:', userId);
         
@@ -165,17 +348,27 @@ class AIProviderManager {
         
         // Enhance callbacks with personality context
         const originalOnComplete = onComplete;
+        const promptResponseId = responseId || `response_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
         const enhancedOnComplete = (finalResponse, providerName) => {
+          // Log which prompt variants produced this response so ratings can be compared
+          PromptExperiments.recordResponse({
+            responseId: promptResponseId,
+            userId,
+            prompts: personalizedContext.prompts,
+            provider: providerName
+          }).catch(error => console.warn('⚠️ Could not log prompt experiment:', error.message));
+
           // Include personality context in the response
           originalOnComplete(finalResponse, providerName, {
             personalityStyle: personalizedContext.interactionProfile,
             matches: personalizedContext.matches,
-            hhcSummary: personalizedContext.userProfile?.hhcSummary
+            hhcSummary: personalizedContext.userProfile?.hhcSummary,
+            responseId: promptResponseId,
+            prompts: (personalizedContext.prompts || []).map(({ name, version, experiment, variant }) => ({ name, version, experiment, variant }))
           });
         };
         
-        // Update options with enhanced callback
-        options = { ...options, onComplete: enhancedOnComplete };
+        onComplete = enhancedOnComplete;
         
       } catch (error) {
         console.warn('⚠️ Personality orchestration failed, using standard interaction:', error.message);
@@ -187,13 +380,23 @@ class AIProviderManager {
 
     while (attempts < maxRetries && this.failoverCount < this.maxFailovers) {
       const provider = preferredProvider ? 
-        { name: preferredProvider, service: this.providers[preferredProvider] } :
-        this.getBestProvider();
+        this.toProvider(preferredProvider) :
+        this.getBestProvider(requirements, { tier, exclude: attempted });
 
+      if (!provider) break;
       if (!provider.service) {
         throw new Error(`Provider ${provider.name} not available`);
       }
 
+      attempted.push(provider.name);
+      if (!this.acquireProvider(provider.name)) {
+        preferredProvider = null; // Circuit open or rate limited: pick another provider
+        continue;
+      }
+
+      // Providers that fall back internally report errors through onError and still complete
+      let attemptError = null;
+
       try {
         console.log(`🤖 Attempting message with ${provider.name} (attempt ${attempts + 1})`);
         
@@ -206,41 +409,53 @@ class AIProviderManager {
             onToken(token, fullResponse, provider.name);
           },
           onComplete: (finalResponse) => {
-            console.log(`✅ ${provider.name} completed successfully`);
-            
-            // Mark provider as healthy
-            this.providerHealth[provider.name] = {
-              status: 'healthy',
-              lastCheck: new Date().toISOString()
-            };
+            if (!attemptError) {
+              console.log(`✅ ${provider.name} completed successfully`);
+              this.recordProviderSuccess(provider.name);
+            }
             
             onComplete(finalResponse, provider.name);
           },
+          // Citation/grounding report for RAG-backed answers (providers that support it)
+          onGrounding: onGrounding ? (grounding) => onGrounding(grounding, provider.name) : null,
+          onToolCall: (call) => onToolCall(call, provider.name),
+          tools,
+          toolContext: userId ? { userId, ...toolContext } : toolContext,
+          signal,
           onError: (error) => {
             console.log(`❌ ${provider.name} encountered error:`, error.message);
             lastError = error;
-            
-            // Mark provider as potentially unhealthy
-            this.providerHealth[provider.name] = {
-              status: 'unhealthy',
-              lastCheck: new Date().toISOString(),
-              error: error.message
-            };
+            attemptError = error;
           }
         });
 
+        if (attemptError) {
+          this.recordProviderFailure(provider.name, attemptError);
+        } else {
+          this.recordUsage(userId, provider.name, finalMessage, response)
+            .catch(error => console.log('Failed to record AI usage:', error.message));
+          if (cacheOptions) {
+            ResponseCache.set(message, response, { ...cacheOptions, provider: provider.name })
+              .catch(error => console.log('Failed to cache AI response:', error.message));
+          }
+        }
+
         return response;
 
       } catch (error) {
+        // Stopped by the caller: not the provider's fault, and no other provider should answer
+        if (isAbortError(error, signal)) {
+          console.log(`⏹️ ${provider.name} generation stopped`);
+          this.breakers[provider.name]?.release();
+          onError(error);
+          throw error;
+        }
+        
         console.error(`❌ ${provider.name} failed:`, error.message);
         lastError = error;
         
-        // Mark provider as unhealthy
-        this.providerHealth[provider.name] = {
-          status: 'unhealthy',
-          lastCheck: new Date().toISOString(),
-          error: error.message
-        };
+        // Count towards the provider's circuit breaker and mark it unhealthy
+        this.recordProviderFailure(provider.name, error);
 
         attempts++;
         this.failoverCount++;
@@ -253,17 +468,42 @@ class AIProviderManager {
       }
     }
 
-    // All providers failed
-    console.error('❌ All AI providers failed after maximum retries');
-    onError(lastError || new Error('All AI providers unavailable'));
+    // Over budget with no zero-cost provider to route to: say so rather than blaming a fault
+    const limitReached = tier === 'free' && attempted.length === 0 ? this.budget.getLimitReached(userId) : null;
+    if (limitReached) {
+      console.log(`💰 AI spend limit reached (${limitReached}), no free provider available`);
+      const budgetError = new Error(`AI spend limit reached (${limitReached})`);
+      budgetError.code = 'BUDGET_EXCEEDED';
+      onError(budgetError);
+    } else {
+      // All providers failed
+      console.error('❌ All AI providers failed after maximum retries');
+      onError(lastError || new Error('All AI providers unavailable'));
+    }
     
-    // Generate emergency fallback response
-    const emergencyResponse = await this.generateEmergencyFallback(message);
-    onComplete(emergencyResponse, 'fallback');
+    // Generate emergency fallback response; in safe mode it still carries the helplines
+    const emergencyResponse = safety?.safeMode
+      ? SafetyMonitor.buildSafeResponse(safety)
+      : limitReached
+        ? this.generateBudgetLimitResponse(limitReached)
+        : await this.generateEmergencyFallback(message);
+    onComplete(emergencyResponse, 'fallback', limitReached ? { budgetLimit: limitReached } : undefined);
     
     return emergencyResponse;
   }
 
+  // Reply when the day's AI spend is used up; budgets reset at local midnight
+  generateBudgetLimitResponse(limitReached) {
+    return limitReached === 'user'
+      ? "You've reached today's limit for conversations with me, so I can't answer this one. Your limit resets at midnight, and I'd love to pick this up with you then."
+      : "I've reached today's usage limit, so I can't answer right now. It resets at midnight, so please check back then.";
+  }
+
+  // Typed event stream with the same routing and failover as sendMessage (see providers/ChatStream)
+  stream(message, options = {}) {
+    return streamFromCallbacks((text, streamOptions) => this.sendMessage(text, streamOptions), message, options);
+  }
+
   // Generate emergency fallback when all providers fail
   async generateEmergencyFallback(userMessage) {
     const emergencyResponses = [
@@ -288,7 +528,7 @@ class AIProviderManager {
 
   // Switch primary provider
   switchPrimaryProvider(newProvider) {
-    if (!this.providers[newProvider]) {
+    if (!this.registry.has(newProvider)) {
       throw new Error(`Provider ${newProvider} not available`);
     }
     
@@ -296,25 +536,43 @@ class AIProviderManager {
     this.primaryProvider = newProvider;
   }
 
-  // Get provider statistics
-  getProviderStats() {
+  // Get provider statistics, with circuit breaker, rate limit and budget state
+  getProviderStats(userId = null) {
+    const byProvider = (build) => Object.fromEntries(this.registry.getNames().map(name => [name, build(name)]));
+    
     return {
       primary: this.primaryProvider,
       fallback: this.fallbackProvider,
       health: this.providerHealth,
       failoverCount: this.failoverCount,
-      availableProviders: Object.keys(this.providers)
+      availableProviders: this.registry.getNames(),
+      capabilities: byProvider(name => this.registry.getCapabilities(name)),
+      circuitBreakers: byProvider(name => this.breakers[name]?.toJSON() || null),
+      rateLimits: byProvider(name => this.rateLimiters[name]?.toJSON() || null),
+      budget: this.budget.getStatus(userId),
+      cache: ResponseCache.getStats()
     };
   }
 
+  // Hit/miss counts of the response cache, overall and per request type
+  getCacheStats() {
+    return ResponseCache.getStats();
+  }
+
+  // Forget cached responses about a user, e.g. after their HHC vector changed
+  invalidateUserCache(userId, reason = 'hhc_changed') {
+    return ResponseCache.invalidateUser(userId, reason);
+  }
+
   // Force health check for specific provider
   async checkProviderHealth(providerName) {
-    if (!this.providers[providerName]) {
+    const service = this.registry.getService(providerName);
+    if (!service) {
       throw new Error(`Provider ${providerName} not found`);
     }
 
     try {
-      const health = await this.providers[providerName].healthCheck();
+      const health = await service.healthCheck();
       this.providerHealth[providerName] = {
         status: health.status === 'healthy' ? 'healthy' : 'unhealthy',
         lastCheck: new Date().toISOString(),
@@ -346,7 +604,7 @@ class AIProviderManager {
 
   // Get conversation stats from active provider
   getConversationStats() {
-    const provider = this.getBestProvider();
+    const provider = this.getBestProvider() || this.toProvider(this.primaryProvider);
     
     if (provider.service.getConversationStats) {
       return {
@@ -364,7 +622,8 @@ class AIProviderManager {
 
   // Manual provider selection for testing/debugging
   async testProvider(providerName, testMessage = "Hello, this is a test message.") {
-    if (!this.providers[providerName]) {
+    const service = this.registry.getService(providerName);
+    if (!service) {
       throw new Error(`Provider ${providerName} not found`);
     }
 
@@ -373,7 +632,7 @@ class AIProviderManager {
     try {
       const startTime = Date.now();
       
-      const response = await this.providers[providerName].sendMessage(testMessage, {
+      const response = await service.sendMessage(testMessage, {
         onStart: () => console.log(`✅ ${providerName} test started`),
         onToken: (token) => process.stdout.write(token),
         onComplete: (response) => {
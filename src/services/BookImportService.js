@@ -0,0 +1,245 @@
+// Book Import Service
+// Imports user-supplied books (markdown, plain text, PDF text, EPUB) into the knowledge base:
+// converts to textbook markdown, extracts chapters and concepts, registers the book with
+// KnowledgeBaseService and indexes it into RAGService with provenance.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import KnowledgeBaseService from './KnowledgeBaseService';
+import RAGService from './RAGService';
+import TextbookAssetLoader from './TextbookAssetLoader';
+import TextbookContentParser from './TextbookContentParser';
+import { contentHash } from './rag/MarkdownChunker';
+import { base64ToBytes } from './importers/ZipArchive';
+import {
+  SUPPORTED_FORMATS,
+  detectFormat,
+  textToMarkdown,
+  pdfTextToMarkdown,
+  epubToMarkdown,
+  ensureBookStructure,
+  extractTitle
+} from './importers/DocumentConverters';
+
+class BookImportService {
+  constructor() {
+    this.storageKey = 'soulai_imported_books';
+    this.importedBooks = new Map(); // bookKey -> manifest record
+    this.initialized = false;
+  }
+
+  // Restore previously imported books so they are available after a restart
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      const stored = await AsyncStorage.getItem(this.storageKey);
+      const records = stored ? JSON.parse(stored) : [];
+
+      for (const record of records) {
+        this.importedBooks.set(record.bookKey, record);
+        TextbookAssetLoader.registerTextbook(record.bookKey);
+        RAGService.setBookSource(record.bookKey, record.source);
+        await KnowledgeBaseService.addTextbook(
+          record.bookKey,
+          this.toKnowledgeBaseEntry(record),
+          () => record.concepts || {}
+        );
+      }
+
+      console.log(`📚 Restored ${records.length} imported books`);
+    } catch (error) {
+      console.error('Error restoring imported books:', error);
+    }
+
+    this.initialized = true;
+  }
+
+  // Import a book. source: { uri | content | base64, fileName?, format?, title?, authors?, year?, publisher? }
+  async importBook(source, options = {}) {
+    await this.initialize();
+
+    const format = source.format || detectFormat(source.fileName || source.uri || '', source.content);
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw new Error(`Unsupported book format '${format}'. Supported: ${SUPPORTED_FORMATS.join(', ')}`);
+    }
+
+    console.log(`📚 Importing ${source.fileName || source.title || 'book'} as ${format}...`);
+    const converted = await this.convert(source, format);
+
+    const title = source.title || converted.title || extractTitle(converted.markdown) || this.titleFromFileName(source.fileName);
+    if (!title) {
+      throw new Error('Imported book needs a title');
+    }
+
+    const markdown = ensureBookStructure(converted.markdown, title);
+    const bookKey = options.bookKey || this.createBookKey(title);
+
+    // Chapters and concepts via the same parser as the bundled textbooks
+    const parsed = await TextbookContentParser.parseMarkdownContent(markdown, bookKey);
+    parsed.title = title;
+    const hasContent = parsed.chapters.some(chapter => chapter.content.trim().length > 100);
+    if (!hasContent) {
+      throw new Error(`No readable text found in ${source.fileName || title}`);
+    }
+
+    const authors = source.authors || converted.authors || parsed.authors;
+    const provenance = {
+      type: 'import',
+      format,
+      fileName: source.fileName || null,
+      title,
+      authors,
+      importedAt: new Date().toISOString(),
+      importedBy: options.importedBy || null,
+      contentHash: contentHash(markdown)
+    };
+
+    // Keep the converted markdown where TextbookAssetLoader looks for textbooks
+    const directory = TextbookAssetLoader.getUserTextbookDirectory();
+    await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+    await FileSystem.writeAsStringAsync(`${directory}${bookKey}.md`, markdown);
+
+    TextbookAssetLoader.registerTextbook(bookKey, markdown);
+    TextbookContentParser.parsedContent[bookKey] = parsed;
+    TextbookContentParser.buildContentIndex(bookKey);
+
+    const record = {
+      bookKey,
+      title,
+      authors,
+      year: source.year || null,
+      publisher: source.publisher || null,
+      source: provenance,
+      chapterCount: parsed.chapters.length,
+      concepts: this.extractKnowledgeBaseConcepts(parsed)
+    };
+    await KnowledgeBaseService.addTextbook(bookKey, this.toKnowledgeBaseEntry(record), () => record.concepts);
+
+    record.documentCount = await RAGService.indexBook(bookKey, parsed, provenance);
+
+    this.importedBooks.set(bookKey, record);
+    await this.saveManifest();
+
+    console.log(`📚 Imported "${title}" as ${bookKey}: ${record.chapterCount} chapters, ${Object.keys(record.concepts).length} concepts, ${record.documentCount} indexed documents`);
+    return this.summarize(record);
+  }
+
+  // Source -> { markdown, title?, authors? }
+  async convert(source, format) {
+    if (format === 'epub') {
+      const base64 = source.base64 || await FileSystem.readAsStringAsync(source.uri, {
+        encoding: FileSystem.EncodingType.Base64
+      });
+      return epubToMarkdown(base64ToBytes(base64));
+    }
+
+    const text = source.content ?? await FileSystem.readAsStringAsync(source.uri);
+    const title = source.title || '';
+
+    switch (format) {
+      case 'markdown':
+        return { markdown: text };
+      case 'pdf':
+        return { markdown: pdfTextToMarkdown(text, { title }) };
+      case 'text':
+      default:
+        return { markdown: textToMarkdown(text, { title }) };
+    }
+  }
+
+  // Parsed '**Concept**' + '- detail' entries in KnowledgeBaseService's concept shape
+  extractKnowledgeBaseConcepts(parsed) {
+    const concepts = {};
+    for (const [conceptKey, concept] of Object.entries(parsed.concepts)) {
+      if (!concept.details || concept.details.length === 0) continue;
+
+      concepts[conceptKey] = {
+        name: concept.name,
+        definition: concept.details[0],
+        details: concept.details,
+        chapter: concept.chapter
+      };
+    }
+    return concepts;
+  }
+
+  toKnowledgeBaseEntry(record) {
+    return {
+      title: record.title,
+      authors: record.authors || [],
+      year: record.year || null,
+      publisher: record.publisher || null,
+      source: record.source
+    };
+  }
+
+  // Remove an imported book from the knowledge base, the index and storage
+  async removeBook(bookKey) {
+    await this.initialize();
+    if (!this.importedBooks.has(bookKey)) {
+      throw new Error(`'${bookKey}' is not an imported book`);
+    }
+
+    await RAGService.removeBook(bookKey);
+    RAGService.setBookSource(bookKey, null);
+    KnowledgeBaseService.removeTextbook(bookKey);
+    TextbookAssetLoader.unregisterTextbook(bookKey);
+    delete TextbookContentParser.parsedContent[bookKey];
+    delete TextbookContentParser.contentIndex[bookKey];
+
+    await FileSystem.deleteAsync(`${TextbookAssetLoader.getUserTextbookDirectory()}${bookKey}.md`, { idempotent: true });
+
+    this.importedBooks.delete(bookKey);
+    await this.saveManifest();
+    console.log(`📚 Removed imported book ${bookKey}`);
+  }
+
+  getImportedBooks() {
+    return Array.from(this.importedBooks.values()).map(record => this.summarize(record));
+  }
+
+  summarize(record) {
+    return {
+      bookKey: record.bookKey,
+      title: record.title,
+      authors: record.authors,
+      format: record.source.format,
+      importedAt: record.source.importedAt,
+      chapterCount: record.chapterCount,
+      conceptCount: Object.keys(record.concepts || {}).length,
+      documentCount: record.documentCount || 0
+    };
+  }
+
+  async saveManifest() {
+    await AsyncStorage.setItem(this.storageKey, JSON.stringify(Array.from(this.importedBooks.values())));
+  }
+
+  // Slug from the title; re-importing the same title replaces the earlier import,
+  // but a bundled textbook's key is never taken over
+  createBookKey(title) {
+    const slug = title
+      .toLowerCase()
+      .replace(/[’']/g, '')
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .slice(0, 60) || 'imported_book';
+
+    const isBundled = TextbookAssetLoader.getHardcodedContent(slug) !== null ||
+      (TextbookAssetLoader.getAvailableTextbooks().includes(slug) && !this.importedBooks.has(slug));
+    return isBundled ? `${slug}_imported` : slug;
+  }
+
+  titleFromFileName(fileName) {
+    if (!fileName) return '';
+    return fileName
+      .split('/').pop()
+      .replace(/\.[^.]+$/, '')
+      .replace(/[_-]+/g, ' ')
+      .replace(/\b\w/g, letter => letter.toUpperCase())
+      .trim();
+  }
+}
+
+export default new BookImportService();
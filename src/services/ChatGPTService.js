@@ -3,6 +3,7 @@
 
 import SoulAILearningEngine from './SoulAILearningEngine';
 import KnowledgeBaseService from './KnowledgeBaseService';
+import BookImportService from './BookImportService';
 import AIAgentHierarchy from './AIAgentHierarchy';
 import TextbookContentParser from './TextbookContentParser';
 import TextbookAssetLoader from './TextbookAssetLoader';
@@ -10,6 +11,12 @@ import RAGService from './RAGService';
 import PersonalityProfilingEngine from './PersonalityProfilingEngine';
 import CompatibilityMatchingEngine from './CompatibilityMatchingEngine';
 import ApiService from '../api/ApiService';
+import ProviderRegistry from './providers/ProviderRegistry';
+import MockLLMProvider from './providers/MockLLMProvider';
+import { streamFromCallbacks, isAbortError, throwIfAborted } from './providers/ChatStream';
+import { accumulateToolCalls, completeToolCalls, openAIToolMessages } from './providers/ProviderUtils';
+import ToolRegistry from './tools/ToolRegistry';
+import { ContextManager } from './providers/ContextManager';
 
 class ChatGPTService {
   // Proper SSE stream parser for OpenAI responses
@@ -60,6 +67,11 @@ class ChatGPTService {
       keyPreview: this.apiKey ? this.apiKey.substring(0, 7) + '...' : 'None' 
     });
     this.conversationHistory = [];
+    this.contextWindow = new ContextManager({
+      provider: 'openai',
+      maxContextTokens: 8192, // gpt-4
+      reservedOutputTokens: 2000 // max_tokens of each request
+    });
     this.isStreaming = false;
     this.learningEngine = SoulAILearningEngine;
     this.knowledgeBase = KnowledgeBaseService;
@@ -77,6 +89,7 @@ class ChatGPTService {
   async initializeServices() {
     await this.knowledgeBase.initialize();
     await TextbookAssetLoader.initialize();
+    await BookImportService.initialize(); // User-imported books join the textbook library
     await this.textbookParser.parseAllTextbooks();
     await this.ragService.initialize();
     await this.personalityEngine.initialize();
@@ -141,7 +154,12 @@ class ChatGPTService {
       onStart = () => {},
       onToken = () => {},
       onComplete = () => {},
-      onError = () => {}
+      onError = () => {},
+      onGrounding = null,
+      onToolCall = () => {}, // Each finished tool call: { id, name, arguments, result, error, durationMs }
+      tools = true, // Offer registered tools: true, false or a list of tool names
+      toolContext = {}, // Passed to tool handlers; userId defaults to this.userId
+      signal = null // AbortSignal that stops the generation mid-stream
     } = options;
 
     // Check if API key is available
@@ -207,7 +225,7 @@ class ChatGPTService {
       );
 
       // Prepare the base conversation context with SoulAI personality and RAG context
-      let baseSystemContent = `You are an AI assistant integrated into the Soul app - think of yourself as that wise, intuitive friend who just "gets" people and relationships. You're having a genuine heart-to-heart conversation with someone about love, life, and finding their person.
+      const baseSystemContent = `You are an AI assistant integrated into the Soul app - think of yourself as that wise, intuitive friend who just "gets" people and relationships. You're having a genuine heart-to-heart conversation with someone about love, life, and finding their person.
 
 WHO YOU ARE:
 You're not a formal AI assistant - you have a warm, slightly playful personality backed by deep knowledge of psychology, relationships, and human nature. You've studied the wisdom of experts like Don Miguel Ruiz, Brené Brown, Gary Chapman, and leading relationship researchers. You use casual language, share relatable thoughts, and sometimes even use gentle humor. You're the friend who remembers what someone said three conversations ago and brings it up naturally. When referring to yourself, simply use "I" or "me" - you don't have a specific name.
@@ -267,18 +285,21 @@ EXAMPLES OF YOUR STYLE:
 Remember: You're having a natural conversation, not conducting an interview. Be genuinely curious, warm, and human-like. Use your knowledge to help, but always in service of understanding and connecting with this person.`;
 
       // Add RAG context if available
+      let ragSection = '';
       if (ragResponse && ragResponse.context) {
-        baseSystemContent += `\n\nRELEVANT CONTEXT from your knowledge base:
+        ragSection = `RELEVANT CONTEXT from your knowledge base:
 ${ragResponse.context}
 
-Use this context to inform your response, but integrate it naturally into your conversational style. Don't just quote - weave the insights into your natural way of talking.`;
+Use this context to inform your response, but integrate it naturally into your conversational style. Don't just quote - weave the insights into your natural way of talking.
+${this.ragService.getCitationInstructions()}`;
       }
 
       // Add personality insights for response adaptation
+      let personalitySection = '';
       if (this.currentPersonalityInsights) {
         const personalityGuidance = this.generatePersonalityGuidance(this.currentPersonalityInsights);
         if (personalityGuidance) {
-          baseSystemContent += `\n\nPERSONALITY INSIGHTS for response adaptation:
+          personalitySection = `PERSONALITY INSIGHTS for response adaptation:
 ${personalityGuidance}
 
 Adapt your communication style to match what works best for this person based on their personality profile.`;
@@ -288,63 +309,53 @@ Adapt your communication style to match what works best for this person based on
       // 🧠 ENHANCE WITH MIRIX MEMORY SYSTEM
       const systemContent = await this.enhancePromptWithMIRIX(message, baseSystemContent);
 
+      // Fit everything into the model's token budget; older turns become a rolling summary
+      const context = await this.contextWindow.build({
+        system: systemContent,
+        personality: personalitySection,
+        rag: ragSection,
+        history: this.conversationHistory
+      });
+
       const messages = [
         {
           role: 'system',
-          content: systemContent
+          content: context.systemPrompt
         },
-        ...this.getOptimalContextWindow() // Dynamic context management for infinite chat
+        ...context.history
       ];
 
-      console.log('🤖 Making OpenAI API request...');
-      console.log('🔑 API Key present:', !!this.apiKey);
-      console.log('📨 Request body:', JSON.stringify({
-        model: 'gpt-4',
-        messages: messages.map(m => ({ role: m.role, content: m.content.substring(0, 100) + '...' })),
-        stream: true,
-        temperature: 0.8,
-        max_tokens: 2000,
-        presence_penalty: 0.6,
-        frequency_penalty: 0.3,
-      }, null, 2));
-
-      let response;
-      try {
-        response = await fetch(this.baseUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiKey}`,
-          },
-          body: JSON.stringify({
-            model: 'gpt-4',
-            messages: messages,
-            stream: true,
-            temperature: 0.8,
-            max_tokens: 2000, // Increased from 300 to 2000 for longer responses
-            presence_penalty: 0.6,
-            frequency_penalty: 0.3,
-          }),
-        });
-      } catch (fetchError) {
-        console.error('❌ Fetch error:', fetchError);
-        throw new Error(`Network error: ${fetchError.message}`);
-      }
-
-      console.log('🤖 OpenAI API response status:', response.status);
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('🤖 OpenAI API error details:', errorText);
-        throw new Error(`API error: ${response.status} - ${errorText}`);
-      }
+      const toolDefinitions = tools ? ToolRegistry.toOpenAITools(Array.isArray(tools) ? tools : null) : [];
+      const response = await this.requestChatCompletion(messages, {
+        signal,
+        tools: toolDefinitions,
+        toolChoice: 'auto'
+      });
 
-      return await this.handleResponse(response, { onToken, onComplete, onError });
+      const citations = ragResponse?.citations || [];
+      return await this.handleResponse(response, {
+        onToken,
+        onComplete,
+        onError,
+        onGrounding,
+        citations,
+        message,
+        matchmakingMode: baseSystemContent.includes('matchmaker'),
+        signal,
+        messages,
+        tools: toolDefinitions,
+        toolContext: { userId: this.userId, ...toolContext },
+        onToolCall
+      });
 
     } catch (error) {
       console.error('ChatGPT API Error:', error);
       this.isStreaming = false;
       onError(error);
       
+      // A stopped generation ends here; no fallback answer
+      if (isAbortError(error, signal)) throw error;
+      
       // Fallback to SoulAI responses
       const fallbackResponse = await this.generateSoulAIFallback(message);
       onComplete(fallbackResponse);
@@ -352,36 +363,92 @@ Adapt your communication style to match what works best for this person based on
     }
   }
 
-  /**
-   * Intelligent context window management for infinite chat capability
-   * Balances conversation depth with token efficiency
-   */
-  getOptimalContextWindow() {
-    if (this.conversationHistory.length <= 20) {
-      // For shorter conversations, include everything
-      return this.conversationHistory;
+  // POST a streaming chat completion; tools are offered when given
+  async requestChatCompletion(messages, { signal = null, tools = [], toolChoice = 'auto' } = {}) {
+    const body = {
+      model: 'gpt-4',
+      messages: messages,
+      stream: true,
+      temperature: 0.8,
+      max_tokens: 2000, // Increased from 300 to 2000 for longer responses
+      presence_penalty: 0.6,
+      frequency_penalty: 0.3,
+    };
+    if (tools.length > 0) {
+      body.tools = tools;
+      body.tool_choice = toolChoice;
     }
 
-    if (this.conversationHistory.length <= 50) {
-      // Medium conversations: keep last 20 messages
-      return this.conversationHistory.slice(-20);
+    console.log('🤖 Making OpenAI API request...');
+    console.log('🔑 API Key present:', !!this.apiKey);
+    console.log('📨 Request body:', JSON.stringify({
+      ...body,
+      messages: messages.map(m => ({ role: m.role, content: String(m.content ?? '').substring(0, 100) + '...' })),
+      tools: tools.map(tool => tool.function.name)
+    }, null, 2));
+
+    let response;
+    try {
+      response = await fetch(this.baseUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`,
+        },
+        signal,
+        body: JSON.stringify(body),
+      });
+    } catch (fetchError) {
+      if (isAbortError(fetchError, signal)) throw fetchError;
+      console.error('❌ Fetch error:', fetchError);
+      throw new Error(`Network error: ${fetchError.message}`);
     }
 
-    // For long conversations: intelligent summarization
-    // Keep first 5 messages (important context), last 20 messages (recent context)
-    const earlyContext = this.conversationHistory.slice(0, 5);
-    const recentContext = this.conversationHistory.slice(-20);
-    
-    // Add a summary message to bridge the gap
-    const summarMessage = {
-      role: 'system',
-      content: `[Earlier in this conversation, we discussed various topics about relationships, personality, and compatibility. The conversation has been ongoing and natural.]`
-    };
+    console.log('🤖 OpenAI API response status:', response.status);
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('🤖 OpenAI API error details:', errorText);
+      throw new Error(`API error: ${response.status} - ${errorText}`);
+    }
 
-    return [...earlyContext, summarMessage, ...recentContext];
+    return response;
   }
 
-  async handleResponse(response, { onToken, onComplete, onError }) {
+  // Typed event stream of a reply (see providers/ChatStream)
+  stream(message, options = {}) {
+    return streamFromCallbacks((text, streamOptions) => this.sendMessage(text, streamOptions), message, {
+      provider: 'openai',
+      ...options
+    });
+  }
+
+  // Check the finished answer against the RAG passages it was given and report citations
+  reportGrounding(answer, citations, onGrounding) {
+    if (!onGrounding || !citations || citations.length === 0) return;
+
+    try {
+      onGrounding(this.ragService.verifyGrounding(answer, citations));
+    } catch (error) {
+      console.log('Grounding verification failed:', error);
+    }
+  }
+
+  async handleResponse(response, {
+    onToken,
+    onComplete,
+    onError,
+    onGrounding = null,
+    citations = [],
+    message = '',
+    matchmakingMode = false,
+    signal = null,
+    messages = [], // Request messages, extended with tool results between rounds
+    tools = [],
+    toolContext = {},
+    onToolCall = () => {},
+    toolRound = 0,
+    prefix = '' // Text already streamed in earlier tool rounds
+  }) {
     try {
       console.log('🔍 Handling OpenAI response, status:', response.status);
       console.log('🔍 Response headers:', JSON.stringify(Object.fromEntries(response.headers.entries())));
@@ -402,12 +469,14 @@ Adapt your communication style to match what works best for this person based on
           if (jsonResponse.choices && jsonResponse.choices[0] && jsonResponse.choices[0].message) {
             const content = jsonResponse.choices[0].message.content;
             console.log('✅ Successfully parsed non-streaming response');
+            this.reportGrounding(content, citations, onGrounding);
             onComplete(content);
             return content;
           }
         } catch (parseError) {
           console.warn('❌ Could not parse OpenAI response:', parseError.message);
         }
+        throwIfAborted(signal);
         
         // Use fallback response if parsing fails
         console.log('🔄 Using fallback response');
@@ -419,12 +488,18 @@ Adapt your communication style to match what works best for this person based on
       console.log('🚀 Starting streaming response processing');
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
-      let fullResponse = '';
+      let fullResponse = prefix;
       let chunkCount = 0;
       let chunkBuffer = ''; // Buffer for incomplete chunks
+      const toolCalls = [];
 
       try {
         while (true) {
+          if (signal?.aborted) {
+            await reader.cancel().catch(() => {});
+            throwIfAborted(signal);
+          }
+          
           const { value, done } = await reader.read();
           if (done) {
             console.log('✅ Streaming complete, total chunks processed:', chunkCount);
@@ -475,6 +550,9 @@ Adapt your communication style to match what works best for this person based on
                     onToken(content, fullResponse); // Stream tokens in real-time
                   }
                   
+                  // Function calls arrive in fragments across chunks
+                  accumulateToolCalls(toolCalls, delta?.tool_calls);
+                  
                   // Handle finish_reason
                   if (parsed.choices[0].finish_reason) {
                     console.log('🏁 Stream finished with reason:', parsed.choices[0].finish_reason);
@@ -511,6 +589,7 @@ Adapt your communication style to match what works best for this person based on
                     fullResponse += content;
                     onToken(content, fullResponse);
                   }
+                  accumulateToolCalls(toolCalls, parsed.choices[0].delta?.tool_calls);
                 }
               } catch (parseError) {
                 console.warn('⚠️ Parse error for final buffer:', parseError.message);
@@ -524,16 +603,51 @@ Adapt your communication style to match what works best for this person based on
         throw streamError;
       }
 
+      // The model asked for tools: run them, hand back the results and stream the follow-up
+      const calls = completeToolCalls(toolCalls);
+      if (calls.length > 0 && toolRound < ToolRegistry.maxToolRounds) {
+        const entries = await ToolRegistry.executeAll(calls, toolContext, onToolCall);
+        const followUpMessages = [
+          ...messages,
+          ...openAIToolMessages(fullResponse.slice(prefix.length), calls, entries)
+        ];
+        const nextRound = toolRound + 1;
+        const followUp = await this.requestChatCompletion(followUpMessages, {
+          signal,
+          tools,
+          toolChoice: nextRound < ToolRegistry.maxToolRounds ? 'auto' : 'none'
+        });
+
+        return await this.handleResponse(followUp, {
+          onToken,
+          onComplete,
+          onError,
+          onGrounding,
+          citations,
+          message,
+          matchmakingMode,
+          signal,
+          messages: followUpMessages,
+          tools,
+          toolContext,
+          onToolCall,
+          toolRound: nextRound,
+          prefix: fullResponse
+        });
+      }
+
       if (!fullResponse) {
         throw new Error('No response content received');
       }
 
+      this.reportGrounding(fullResponse, citations, onGrounding);
+
       // Add AI response to history
       this.conversationHistory.push({ role: 'assistant', content: fullResponse });
 
       // 📝 RECORD CONVERSATION IN MIRIX MEMORY SYSTEM
       await this.recordConversationInMIRIX(message, fullResponse, {
-        matchmakingMode: baseSystemContent.includes('matchmaker'),
+        matchmakingMode,
         personalityInsights: this.currentPersonalityInsights
       });
 
@@ -560,6 +674,10 @@ Adapt your communication style to match what works best for this person based on
     } catch (responseError) {
       console.error('Response error:', responseError);
       this.isStreaming = false;
+      
+      // Reported once by sendMessage
+      if (isAbortError(responseError, signal)) throw responseError;
+      
       onError(responseError);
       
       const fallbackResponse = await this.generateSoulAIFallback(this.conversationHistory[this.conversationHistory.length - 1]?.content || '');
@@ -620,6 +738,7 @@ Adapt your communication style to match what works best for this person based on
   // Additional utility methods
   clearHistory() {
     this.conversationHistory = [];
+    this.contextWindow.reset();
   }
 
   getConversationHistory() {
@@ -721,4 +840,14 @@ Adapt your communication style to match what works best for this person based on
 }
 
 // Export singleton instance
-export default new ChatGPTService();
+const chatGPTService = new ChatGPTService();
+ProviderRegistry.register('openai', chatGPTService, {
+  streaming: true,
+  toolCalls: true,
+  maxContextTokens: 8192, // gpt-4
+  costPerInputToken: 0.00003,
+  costPerOutputToken: 0.00006
+});
+MockLLMProvider.instrument(chatGPTService, 'openai'); // Fixture replay/record when used directly
+
+export default chatGPTService;
@@ -3,6 +3,8 @@
 // Provides intelligent conversation with memory persistence and personality insights
 
 import ApiService from '../api/ApiService';
+import ProviderRegistry from './providers/ProviderRegistry';
+import { emitText, streamFromCallbacks, isAbortError, throwIfAborted } from './providers/ChatStream';
 
 class EnhancedSoulAIService {
   constructor() {
@@ -71,7 +73,8 @@ class EnhancedSoulAIService {
       onToken = () => {},
       onComplete = () => {},
       onError = () => {},
-      onMemoryUpdate = () => {} // New callback for memory updates
+      onMemoryUpdate = () => {}, // New callback for memory updates
+      signal = null // AbortSignal that stops the reply mid-stream
     } = options;
 
     try {
@@ -94,8 +97,9 @@ class EnhancedSoulAIService {
       if (response.success) {
         const aiResponse = response.response;
         
-        // Simulate streaming for consistent UX
-        await this.simulateStreaming(aiResponse, onToken);
+        // The backend returns whole replies; pace them out word by word for consistent UX
+        throwIfAborted(signal);
+        await emitText(aiResponse, (token, text) => onToken(token, text, 'enhanced_soulai'), { signal, delayMs: 40 });
         
         // Update local conversation history
         this.conversationHistory.push(
@@ -128,6 +132,9 @@ class EnhancedSoulAIService {
       console.error('❌ Enhanced message processing failed:', error);
       onError(error);
       
+      // A stopped reply ends here; no fallback answer
+      if (isAbortError(error, signal)) throw error;
+      
       // Fallback to simple response
       const fallbackResponse = "I'm having trouble processing that right now, but I'm still listening. Could you tell me more about what's on your mind?";
       onComplete(fallbackResponse, 'enhanced_soulai_fallback');
@@ -227,6 +234,16 @@ class EnhancedSoulAIService {
     }
   }
 
+  // Health check in the shape AIProviderManager expects
+  async healthCheck() {
+    const health = await this.checkBackendHealth();
+    return {
+      status: health.healthy ? 'healthy' : 'error',
+      message: health.error || health.status,
+      details: health.details
+    };
+  }
+
   // Search memories across all types
   async searchMemories(query, options = {}) {
     try {
@@ -263,20 +280,12 @@ class EnhancedSoulAIService {
     }
   }
 
-  // Simulate streaming for consistent UX
-  async simulateStreaming(fullResponse, onToken) {
-    const words = fullResponse.split(' ');
-    let accumulatedResponse = '';
-    
-    for (let i = 0; i < words.length; i++) {
-      const word = words[i] + (i < words.length - 1 ? ' ' : '');
-      accumulatedResponse += word;
-      
-      onToken(word, accumulatedResponse, 'enhanced_soulai');
-      
-      // Small delay to simulate streaming
-      await new Promise(resolve => setTimeout(resolve, 30 + Math.random() * 50));
-    }
+  // Typed event stream of a reply (see providers/ChatStream)
+  stream(message, options = {}) {
+    return streamFromCallbacks((text, streamOptions) => this.sendMessage(text, streamOptions), message, {
+      provider: 'enhanced_soulai',
+      ...options
+    });
   }
 
   // Get conversation statistics
@@ -308,4 +317,13 @@ class EnhancedSoulAIService {
   }
 }
 
-export default new EnhancedSoulAIService();
\ No newline at end of file
+const enhancedSoulAIService = new EnhancedSoulAIService();
+ProviderRegistry.register('enhanced_soulai', enhancedSoulAIService, {
+  streaming: false, // Backend returns whole responses
+  toolCalls: false,
+  maxContextTokens: 8192,
+  costPerInputToken: 0, // Billed by the SoulAI backend
+  costPerOutputToken: 0
+});
+
+export default enhancedSoulAIService;
\ No newline at end of file
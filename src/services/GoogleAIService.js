@@ -12,6 +12,11 @@ import RAGService from './RAGService';
 import PersonalityProfilingEngine from './PersonalityProfilingEngine';
 import CompatibilityMatchingEngine from './CompatibilityMatchingEngine';
 import ApiService from '../api/ApiService';
+import ProviderRegistry from './providers/ProviderRegistry';
+import ToolRegistry from './tools/ToolRegistry';
+import MockLLMProvider from './providers/MockLLMProvider';
+import { streamFromCallbacks, isAbortError } from './providers/ChatStream';
+import { ContextManager } from './providers/ContextManager';
 
 class GoogleAIService {
   constructor() {
@@ -41,6 +46,12 @@ class GoogleAIService {
     }
     
     this.conversationHistory = [];
+    // Gemini accepts far more, but long prompts are slow and billed per token
+    this.contextWindow = new ContextManager({
+      provider: 'google',
+      maxContextTokens: parseInt(process.env.EXPO_PUBLIC_GOOGLE_AI_CONTEXT_TOKENS) || 32000,
+      reservedOutputTokens: this.maxTokens
+    });
     this.isStreaming = false;
     this.learningEngine = SoulAILearningEngine;
     this.knowledgeBase = KnowledgeBaseService;
@@ -124,7 +135,11 @@ class GoogleAIService {
       onStart = () => {},
       onToken = () => {},
       onComplete = () => {},
-      onError = () => {}
+      onError = () => {},
+      onToolCall = () => {}, // Each finished tool call: { id, name, arguments, result, error, durationMs }
+      tools = true, // Offer registered tools: true, false or a list of tool names
+      toolContext = {}, // Passed to tool handlers, e.g. { userId }
+      signal = null // AbortSignal that stops the generation mid-stream
     } = options;
 
     // Check if API key is available
@@ -167,7 +182,7 @@ class GoogleAIService {
       );
 
       // Prepare the base conversation context with SoulAI personality and RAG context
-      let baseSystemContent = `You are an AI assistant integrated into the Soul app - think of yourself as that wise, intuitive friend who just "gets" people and relationships. You're having a genuine heart-to-heart conversation with someone about love, life, and finding their person.
+      const baseSystemContent = `You are an AI assistant integrated into the Soul app - think of yourself as that wise, intuitive friend who just "gets" people and relationships. You're having a genuine heart-to-heart conversation with someone about love, life, and finding their person.
 
 WHO YOU ARE:
 You're not a formal AI assistant - you have a warm, slightly playful personality backed by deep knowledge of psychology, relationships, and human nature. You've studied the wisdom of experts like Don Miguel Ruiz, Brené Brown, Gary Chapman, and leading relationship researchers. You use casual language, share relatable thoughts, and sometimes even use gentle humor. You're the friend who remembers what someone said three conversations ago and brings it up naturally. When referring to yourself, simply use "I" or "me" - you don't have a specific name.
@@ -203,18 +218,20 @@ RESPONSE EXAMPLES (to show your conversational tone):
 Remember: You're having a natural conversation, not conducting an interview. Be genuinely curious, warm, and human-like. Use your knowledge to help, but always in service of understanding and connecting with this person.`;
 
       // Add RAG context if available
+      let ragSection = '';
       if (ragResponse && ragResponse.context) {
-        baseSystemContent += `\n\nRELEVANT CONTEXT from your knowledge base:
+        ragSection = `RELEVANT CONTEXT from your knowledge base:
 ${ragResponse.context}
 
 Use this context to inform your response, but integrate it naturally into your conversational style. Don't just quote - weave the insights into your natural way of talking.`;
       }
 
       // Add personality insights for response adaptation
+      let personalitySection = '';
       if (this.currentPersonalityInsights) {
         const personalityGuidance = this.generatePersonalityGuidance(this.currentPersonalityInsights);
         if (personalityGuidance) {
-          baseSystemContent += `\n\nPERSONALITY INSIGHTS for response adaptation:
+          personalitySection = `PERSONALITY INSIGHTS for response adaptation:
 ${personalityGuidance}
 
 Adapt your communication style to match what works best for this person based on their personality profile.`;
@@ -224,13 +241,18 @@ Adapt your communication style to match what works best for this person based on
       // 🧠 ENHANCE WITH MIRIX MEMORY SYSTEM
       const systemContent = await this.enhancePromptWithMIRIX(message, baseSystemContent);
 
-      // Format conversation history for Google AI
-      const conversationContext = this.getOptimalContextWindow();
+      // Fit everything into the token budget; older turns become a rolling summary
+      const context = await this.contextWindow.build({
+        system: systemContent,
+        personality: personalitySection,
+        rag: ragSection,
+        history: this.conversationHistory
+      });
       
-      // Build the full conversation prompt
-      let fullPrompt = systemContent + '\n\nConversation History:\n';
+      // Build the full conversation prompt; the history ends with the current message
+      let fullPrompt = context.systemPrompt + '\n\nConversation History:\n';
       
-      conversationContext.forEach(msg => {
+      context.history.forEach(msg => {
         if (msg.role === 'user') {
           fullPrompt += `Human: ${msg.content}\n`;
         } else if (msg.role === 'assistant') {
@@ -238,7 +260,7 @@ Adapt your communication style to match what works best for this person based on
         }
       });
       
-      fullPrompt += `Human: ${message}\nAssistant:`;
+      fullPrompt += 'Assistant:';
 
       console.log('🤖 Making Google AI API request...');
       console.log('🔑 API Key present:', !!this.apiKey);
@@ -246,17 +268,34 @@ Adapt your communication style to match what works best for this person based on
       console.log('🎛️ Temperature:', this.temperature);
       console.log('📊 Max tokens:', this.maxTokens);
 
-      // Generate response with Google AI
-      const result = await this.geminiModel.generateContent({
-        contents: [{ role: 'user', parts: [{ text: fullPrompt }] }],
-        generationConfig: {
-          maxOutputTokens: this.maxTokens,
-          temperature: this.temperature,
-        }
-      });
-
-      const response = await result.response;
-      const fullResponse = response.text();
+      const toolDeclarations = tools ? ToolRegistry.toGeminiTools(Array.isArray(tools) ? tools : null) : [];
+      const contents = [{ role: 'user', parts: [{ text: fullPrompt }] }];
+      let fullResponse = '';
+
+      // The model may call tools, read their results and continue, up to maxToolRounds times
+      for (let round = 0; ; round++) {
+        const allowTools = round < ToolRegistry.maxToolRounds;
+        const turn = await this.streamTurn(contents, {
+          tools: toolDeclarations,
+          allowTools,
+          signal,
+          onText: (text) => {
+            fullResponse += text;
+            onToken(text, fullResponse);
+          }
+        });
+
+        if (turn.toolCalls.length === 0 || !allowTools) break;
+
+        const entries = await ToolRegistry.executeAll(turn.toolCalls, toolContext, onToolCall);
+        contents.push({ role: 'model', parts: turn.parts });
+        contents.push({
+          role: 'function',
+          parts: entries.map(entry => ({
+            functionResponse: { name: entry.name, response: { content: ToolRegistry.formatResult(entry) } }
+          }))
+        });
+      }
 
       console.log('🤖 Google AI response received:', fullResponse.substring(0, 100) + '...');
 
@@ -264,9 +303,6 @@ Adapt your communication style to match what works best for this person based on
         throw new Error('Empty response from Google AI');
       }
 
-      // Simulate streaming for consistent UX
-      await this.simulateStreaming(fullResponse, onToken);
-
       // Add AI response to history
       this.conversationHistory.push({ role: 'assistant', content: fullResponse });
 
@@ -300,6 +336,12 @@ Adapt your communication style to match what works best for this person based on
     } catch (error) {
       console.error('Google AI API error:', error);
       
+      // A stopped generation ends here; no fallback answer
+      if (isAbortError(error, signal)) {
+        onError(error);
+        throw error;
+      }
+      
       // Enhanced error handling with fallback
       let errorMessage = 'I apologize, but I encountered an issue processing your message. ';
       
@@ -326,42 +368,57 @@ Adapt your communication style to match what works best for this person based on
     }
   }
 
-  // Simulate streaming for consistent UX with other AI providers
-  async simulateStreaming(fullResponse, onToken) {
-    const words = fullResponse.split(' ');
-    let accumulatedResponse = '';
-    
-    for (let i = 0; i < words.length; i++) {
-      const word = words[i] + (i < words.length - 1 ? ' ' : '');
-      accumulatedResponse += word;
-      
-      onToken(word, accumulatedResponse);
-      
-      // Small delay to simulate streaming
-      await new Promise(resolve => setTimeout(resolve, 30 + Math.random() * 50));
+  // Stream one model turn: text goes to onText as it arrives, function calls are collected.
+  // Returns { content, parts, toolCalls }; parts is the model turn to send back with tool results.
+  async streamTurn(contents, { tools = [], allowTools = true, signal = null, onText = () => {} }) {
+    const request = {
+      contents,
+      generationConfig: {
+        maxOutputTokens: this.maxTokens,
+        temperature: this.temperature,
+      }
+    };
+    if (tools.length > 0) {
+      request.tools = tools;
+      request.toolConfig = { functionCallingConfig: { mode: allowTools ? 'AUTO' : 'NONE' } };
     }
-  }
 
-  // Get optimal conversation context window
-  getOptimalContextWindow() {
-    if (this.conversationHistory.length <= 20) {
-      return this.conversationHistory;
-    }
+    const result = await this.geminiModel.generateContentStream(request, { signal });
 
-    if (this.conversationHistory.length <= 50) {
-      return this.conversationHistory.slice(-20);
+    let content = '';
+    const callParts = [];
+    for await (const chunk of result.stream) {
+      if (chunk.promptFeedback?.blockReason) {
+        throw new Error(`Response blocked by safety filters: ${chunk.promptFeedback.blockReason}`);
+      }
+      for (const part of chunk.candidates?.[0]?.content?.parts || []) {
+        if (part.functionCall) {
+          callParts.push(part);
+        } else if (part.text) {
+          content += part.text;
+          onText(part.text);
+        }
+      }
     }
 
-    // For long conversations: intelligent summarization
-    const earlyContext = this.conversationHistory.slice(0, 5);
-    const recentContext = this.conversationHistory.slice(-20);
-    
-    const summarMessage = {
-      role: 'system',
-      content: `[Earlier in this conversation, we discussed various topics about relationships, personality, and compatibility. The conversation has been ongoing and natural.]`
+    return {
+      content,
+      parts: [...(content ? [{ text: content }] : []), ...callParts],
+      // Gemini calls carry no ids; ours only need to be unique within the reply
+      toolCalls: callParts.map((part, index) => ({
+        id: `gemini_${Date.now()}_${index}`,
+        name: part.functionCall.name,
+        arguments: part.functionCall.args || {}
+      }))
     };
+  }
 
-    return [...earlyContext, summarMessage, ...recentContext];
+  // Typed event stream of a reply (see providers/ChatStream)
+  stream(message, options = {}) {
+    return streamFromCallbacks((text, streamOptions) => this.sendMessage(text, streamOptions), message, {
+      provider: 'google',
+      ...options
+    });
   }
 
   // Generate personality-based guidance for response adaptation
@@ -487,6 +544,7 @@ Adapt your communication style to match what works best for this person based on
   // Reset conversation history
   clearHistory() {
     this.conversationHistory = [];
+    this.contextWindow.reset();
     console.log('🗑️ Google AI conversation history cleared');
   }
 
@@ -531,4 +589,14 @@ Adapt your communication style to match what works best for this person based on
   }
 }
 
-export default new GoogleAIService();
\ No newline at end of file
+const googleAIService = new GoogleAIService();
+ProviderRegistry.register('google', googleAIService, {
+  streaming: true,
+  toolCalls: true,
+  maxContextTokens: 1000000, // gemini-1.5-pro
+  costPerInputToken: 0.00000125,
+  costPerOutputToken: 0.000005
+});
+MockLLMProvider.instrument(googleAIService, 'google'); // Fixture replay/record when used directly
+
+export default googleAIService;
\ No newline at end of file
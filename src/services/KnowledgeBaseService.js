@@ -197,6 +197,22 @@ class KnowledgeBaseService {
     return true;
   }
 
+  // Remove a textbook and the concepts it contributed
+  removeTextbook(bookKey) {
+    if (!this.textbooks[bookKey]) return false;
+
+    delete this.textbooks[bookKey];
+    this.loadedBooks.delete(bookKey);
+    Object.keys(this.conceptIndex).forEach(conceptKey => {
+      if (this.conceptIndex[conceptKey].book === bookKey) {
+        delete this.conceptIndex[conceptKey];
+      }
+    });
+
+    console.log(`Removed textbook: ${bookKey}`);
+    return true;
+  }
+
   // Get smart recommendations based on user query
   getSmartRecommendations(userQuery) {
     const relevantBook = this.getRelevantTextbook(userQuery);
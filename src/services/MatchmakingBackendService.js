@@ -7,18 +7,22 @@
  */
 
 import ApiService from '../api/ApiService';
+import ResponseCache from './providers/ResponseCache';
+import MatchmakingIntentParser, { INTENTS, INTENT_REPLIES } from './compatibility/MatchmakingIntentParser';
+import RecommendationQueue from './discovery/RecommendationQueue';
+import InteractionHistory from './discovery/InteractionHistory';
 
 export class MatchmakingBackendService {
   constructor() {
     this.isInitialized = false;
     this.currentUserId = null;
     this.cache = new Map();
-    this.recommendationQueues = new Map(); // userId -> recommendation queue
-    this.servedRecommendations = new Map(); // userId -> Set of served userIds
-    this.queueLastUpdated = new Map(); // userId -> timestamp
     this.userInteractions = new Map(); // userId -> Map(recommendedUserId -> {action, timestamp})
-    this.queuePopulationInProgress = new Set(); // Track ongoing queue population to prevent duplicates
     this.userPreferences = new Map(); // userId -> learned preferences from interactions
+    this.pausedUntil = new Map(); // userId -> timestamp until which no recommendations are offered
+    
+    // Queue state is persisted by RecommendationQueue; local profiles back it up when the server has none
+    RecommendationQueue.setCandidateSource((userId, options) => this.getLocalCandidates(userId, options));
   }
 
   /**
@@ -38,6 +42,9 @@ export class MatchmakingBackendService {
       // Generate initial HHC vector if not present
       await this.ensureHHCVector(userId, userProfile);
       
+      // Pick up queue history from other devices
+      await RecommendationQueue.sync(userId);
+      
       this.isInitialized = true;
       
       // Get count of available recommendations but don't load them yet
@@ -144,6 +151,9 @@ export class MatchmakingBackendService {
       if (response.ok) {
         const result = await response.json();
         console.log('✅ HHC vector generated/updated');
+        
+        // Cached AI responses about this user were shaped by the old vector, if it changed
+        await ResponseCache.noteVector(userId, result.hhc_vector);
         return result.hhc_vector;
       } else {
         console.log('⚠️ HHC vector generation failed, continuing without it');
@@ -191,15 +201,17 @@ export class MatchmakingBackendService {
    * Handle user like action (with reversibility support)
    * @param {string} likedUserId - ID of user being liked
    * @param {Object} metadata - Additional metadata
+   * @param {Object} profile - Profile of the liked user, so an undo can put them back in the queue
    */
-  async handleLike(likedUserId, metadata = {}) {
+  async handleLike(likedUserId, metadata = {}, profile = null) {
+    let outcome;
     try {
       console.log('💕 Processing like:', this.currentUserId, '->', likedUserId);
       
       // Check if user previously passed on this person
       const previousInteraction = this.getUserInteraction(this.currentUserId, likedUserId);
       
-      if (previousInteraction && previousInteraction.action === 'pass') {
+      if (previousInteraction && (previousInteraction.action === 'pass' || previousInteraction.previousAction === 'pass')) {
         console.log('🔄 User is changing their mind from pass to like!');
         metadata.reversibility = true;
         metadata.previousAction = 'pass';
@@ -213,7 +225,7 @@ export class MatchmakingBackendService {
           likedUserId: likedUserId,
           metadata: {
             ...metadata,
-            source: 'chat_interface',
+            source: metadata.source || 'chat_interface',
             timestamp: new Date().toISOString()
           }
         })
@@ -237,13 +249,17 @@ export class MatchmakingBackendService {
           responseMessage = result.match 
             ? "🎉 Great decision! It's a match! You both liked each other!" 
             : "👍 Second thoughts worked out! Like sent successfully.";
+        } else if (metadata.superLike) {
+          responseMessage = result.match 
+            ? "🎉 It's a match! Your super like paid off!" 
+            : "⭐ Super like sent! They'll see you're especially keen.";
         } else {
           responseMessage = result.match 
             ? "🎉 It's a match! You both liked each other!" 
             : "👍 Like sent! I'll let you know if they like you back.";
         }
         
-        return {
+        outcome = {
           success: true,
           isMatch: result.match,
           isPending: result.pending,
@@ -256,20 +272,26 @@ export class MatchmakingBackendService {
       
     } catch (error) {
       console.error('Error processing like:', error);
-      return {
+      outcome = {
         success: false,
         error: error.message,
         fallbackMessage: "I've noted your interest! Let me continue finding great matches for you."
       };
     }
+    
+    // Logged once, whether or not the backend accepted it
+    outcome.undoExpiresAt = await this.logInteraction(likedUserId, metadata.superLike ? 'super_like' : 'like', metadata, outcome.success, profile);
+    return outcome;
   }
 
   /**
    * Handle user pass action
    * @param {string} passedUserId - ID of user being passed
    * @param {Object} metadata - Additional metadata
+   * @param {Object} profile - Profile of the passed user, so an undo can put them back in the queue
    */
-  async handlePass(passedUserId, metadata = {}) {
+  async handlePass(passedUserId, metadata = {}, profile = null) {
+    let outcome;
     try {
       console.log('👎 Processing pass:', this.currentUserId, '->', passedUserId);
       
@@ -280,7 +302,7 @@ export class MatchmakingBackendService {
           passedUserId: passedUserId,
           metadata: {
             ...metadata,
-            source: 'chat_interface',
+            source: metadata.source || 'chat_interface',
             timestamp: new Date().toISOString()
           }
         })
@@ -295,7 +317,7 @@ export class MatchmakingBackendService {
       if (result.success) {
         console.log('✅ Pass processed successfully');
         
-        return {
+        outcome = {
           success: true,
           message: "👌 No worries! I'll find someone more compatible for you."
         };
@@ -305,12 +327,77 @@ export class MatchmakingBackendService {
       
     } catch (error) {
       console.error('Error processing pass:', error);
-      return {
+      outcome = {
         success: false,
         error: error.message,
         fallbackMessage: "Got it! Let me keep looking for better matches for you."
       };
     }
+    
+    // Logged once, whether or not the backend accepted it
+    outcome.undoExpiresAt = await this.logInteraction(passedUserId, 'pass', metadata, outcome.success, profile);
+    return outcome;
+  }
+
+  /**
+   * Log a like or pass in the recommendation queue, so the candidate isn't served again, and in
+   * the interaction history, so it can be undone for a while. Storage failures are logged, not thrown.
+   * @param {string} targetUserId - ID of the user acted on
+   * @param {string} action - 'like', 'super_like' or 'pass'
+   * @param {Object} metadata - Metadata sent with the action
+   * @param {boolean} synced - Whether the backend accepted the action
+   * @param {Object} profile - Profile of the user acted on, if known
+   * @returns {number|null} Timestamp after which it can no longer be undone, or null if it can't be
+   */
+  async logInteraction(targetUserId, action, metadata, synced, profile = null) {
+    await RecommendationQueue.recordDecision(this.currentUserId, targetUserId, action, profile)
+      .catch(error => console.error('Error recording decision in the queue:', error));
+    
+    try {
+      const entry = await InteractionHistory.record(this.currentUserId, targetUserId, action, {
+        source: metadata.source || 'chat_interface',
+        synced
+      });
+      return entry.expiresAt;
+    } catch (error) {
+      console.error('Error logging interaction:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Take back the current user's last like or pass: on the backend, over the socket, in the
+   * recommendation queue and in any learning it fed
+   * @param {string} targetUserId - Only take back the last decision on this user
+   * @returns {Object} { success, action, targetUserId, profile } or { success: false, reason, message }
+   */
+  async undoLastInteraction(targetUserId = null) {
+    const result = await InteractionHistory.undoLast(this.currentUserId, targetUserId);
+    
+    if (!result.success) {
+      const seconds = Math.round(InteractionHistory.undoWindowMs / 1000);
+      const windowText = seconds >= 120 ? `${Math.round(seconds / 60)} minutes` : `${seconds} seconds`;
+      const messages = {
+        expired: `It's too late to undo that one. Likes and passes can only be undone for ${windowText}.`,
+        backend_unavailable: "I couldn't reach the server to undo that. Please try again in a moment.",
+        rejected: result.error || "That one can't be undone anymore."
+      };
+      return {
+        ...result,
+        message: messages[result.reason] || "There's nothing to undo yet. Once you like or pass on someone, you can change your mind here."
+      };
+    }
+    
+    const { entry, profile } = result;
+    this.updateUserInteraction(this.currentUserId, entry.targetUserId, 'reconsidering', 'undo requested');
+    
+    return {
+      success: true,
+      action: entry.action,
+      targetUserId: entry.targetUserId,
+      profile,
+      reverted: result.reverted
+    };
   }
 
   /**
@@ -390,29 +477,45 @@ export class MatchmakingBackendService {
       const queueStatus = await this.getQueueStatus(this.currentUserId);
       console.log(`📊 Queue status: ${queueStatus.queueSize} remaining, ${queueStatus.totalServed} served`);
       
-      // Check for like/pass responses
-      const lowerMessage = message.toLowerCase();
+      // Work out what the user means before acting on it
+      const pendingRecommendation = this.findPendingRecommendation(conversationHistory);
+      const intent = MatchmakingIntentParser.parse(message, {
+        hasCandidate: Boolean(pendingRecommendation),
+        candidateName: pendingRecommendation ? this.getCandidateName(pendingRecommendation) : null
+      });
+      console.log(`🧭 Matchmaking intent: ${intent.intent} (confidence ${intent.confidence}${intent.negated ? ', negated' : ''}${intent.hedged ? ', hedged' : ''})`);
       
-      // Extract user ID if present in conversation context
-      const lastRecommendation = conversationHistory
-        .slice()
-        .reverse()
-        .find(msg => msg.type === 'recommendation' && msg.candidateUserId);
+      // Ask rather than guess when the answer is hedged or contradicts itself
+      if (intent.needsClarification) {
+        return {
+          success: true,
+          intent,
+          messages: [{
+            id: 'clarification_' + Date.now(),
+            from: 'ai',
+            text: intent.clarification.text,
+            timestamp: new Date().toISOString(),
+            type: 'clarification',
+            quickReplies: intent.clarification.quickReplies
+          }]
+        };
+      }
       
-      if (lastRecommendation) {
-        const candidateUserId = lastRecommendation.candidateUserId;
+      if (pendingRecommendation) {
+        const candidateUserId = pendingRecommendation.candidateUserId;
         
         // Handle explicit responses
-        if (lowerMessage.includes('yes') || lowerMessage.includes('like') || 
-            lowerMessage.includes('interested') || lowerMessage.includes('👍')) {
-          
+        if (intent.intent === INTENTS.LIKE || intent.intent === INTENTS.SUPER_LIKE) {
+          const superLike = intent.intent === INTENTS.SUPER_LIKE;
           const result = await this.handleLike(candidateUserId, {
             conversation_context: message,
-            response_type: 'explicit_like'
+            response_type: superLike ? 'super_like' : 'explicit_like',
+            superLike,
+            intentConfidence: intent.confidence
           });
           
           // Track the interaction for state management
-          this.trackUserInteraction(this.currentUserId, candidateUserId, 'like', message);
+          this.trackUserInteraction(this.currentUserId, candidateUserId, superLike ? 'super_like' : 'like', message);
           
           if (result.success) {
             // Get next recommendation from queue
@@ -455,12 +558,12 @@ export class MatchmakingBackendService {
           }
         }
         
-        else if (lowerMessage.includes('no') || lowerMessage.includes('pass') || 
-                 lowerMessage.includes('not interested') || lowerMessage.includes('👎')) {
-          
+        else if (intent.intent === INTENTS.PASS) {
           const result = await this.handlePass(candidateUserId, {
             conversation_context: message,
-            response_type: 'explicit_pass'
+            response_type: 'explicit_pass',
+            negatedLike: intent.negated,
+            intentConfidence: intent.confidence
           });
           
           // Track the interaction for state management
@@ -506,12 +609,54 @@ export class MatchmakingBackendService {
             };
           }
         }
+        
+        else if (intent.intent === INTENTS.ASK_ABOUT_TRAIT) {
+          return {
+            success: true,
+            intent,
+            messages: [{
+              id: 'trait_answer_' + Date.now(),
+              from: 'ai',
+              text: this.describeCandidateTrait(pendingRecommendation, intent.slots.trait),
+              timestamp: new Date().toISOString(),
+              type: 'trait_answer',
+              candidateUserId,
+              quickReplies: [INTENT_REPLIES[INTENTS.LIKE], INTENT_REPLIES[INTENTS.PASS]]
+            }]
+          };
+        }
+      }
+      
+      if (intent.intent === INTENTS.UNDO) {
+        return this.handleUndoRequest(conversationHistory);
+      }
+      
+      if (intent.intent === INTENTS.PAUSE) {
+        return this.pauseRecommendations(this.currentUserId, intent.slots.pauseMs);
+      }
+      
+      let refinedCriteria = null;
+      if (intent.intent === INTENTS.REFINE_CRITERIA) {
+        refinedCriteria = await this.updateSearchCriteria(this.currentUserId, intent.slots);
+        if (!refinedCriteria) {
+          return {
+            success: true,
+            intent,
+            messages: [{
+              id: 'refine_prompt_' + Date.now(),
+              from: 'ai',
+              text: "Happy to adjust! Tell me what to look for, like an age range (\"between 25 and 32\"), a distance (\"within 10 miles\"), shared interests (\"someone who likes hiking\") or whether you want something serious or casual.",
+              timestamp: new Date().toISOString(),
+              type: 'refine_prompt'
+            }]
+          };
+        }
       }
       
       // Handle showing recommendations - now using queue system
-      if (lowerMessage.includes('yes, show me') || lowerMessage.includes('show me') || 
-          lowerMessage.includes('more matches') || lowerMessage.includes('recommendations') || 
-          lowerMessage.includes('who else') || lowerMessage.includes('yes')) {
+      if (intent.intent === INTENTS.SHOW_MORE || intent.intent === INTENTS.REFINE_CRITERIA) {
+        // Asking for matches ends a pause
+        this.pausedUntil.delete(this.currentUserId);
         
         // Use the new queue-based recommendation system
         const dequeueResult = await this.dequeueRecommendation(this.currentUserId);
@@ -529,7 +674,7 @@ export class MatchmakingBackendService {
           };
         }
         
-        if (!dequeueResult.hasMore) {
+        if (!dequeueResult.hasMore && !dequeueResult.recommendation) {
           // Queue-aware message based on how many they've seen
           let noMoreMessage = "That's all the recommendations I have for now! ";
           
@@ -562,7 +707,9 @@ export class MatchmakingBackendService {
         };
         
         // Queue-aware messaging based on remaining count and total served
-        let introText = "Perfect! Here's someone amazing I think you'd connect with";
+        let introText = refinedCriteria
+          ? `Got it, I'll look for ${this.describeSearchCriteria(refinedCriteria)}. Here's someone who fits`
+          : "Perfect! Here's someone amazing I think you'd connect with";
         let remainingText = "";
         
         if (dequeueResult.remainingCount > 0) {
@@ -597,7 +744,8 @@ export class MatchmakingBackendService {
       }
       
       // Smart conversation triggers for presenting recommendations
-      const shouldShowRecommendation = this.shouldTriggerRecommendation(message, conversationHistory, queueStatus);
+      const shouldShowRecommendation = !this.isPaused(this.currentUserId) &&
+        this.shouldTriggerRecommendation(message, conversationHistory, queueStatus);
       
       if (shouldShowRecommendation) {
         const dequeueResult = await this.dequeueRecommendation(this.currentUserId);
@@ -637,6 +785,250 @@ export class MatchmakingBackendService {
     }
   }
 
+  /**
+   * Most recent recommendation in the conversation still waiting for a like or pass
+   * @param {Array} conversationHistory - Previous messages
+   * @returns {Object|null} Recommendation message or null
+   */
+  findPendingRecommendation(conversationHistory = []) {
+    const lastRecommendation = conversationHistory
+      .slice()
+      .reverse()
+      .find(msg => (msg.type === 'recommendation' || msg.type === 'recommendation_card') && msg.candidateUserId);
+    
+    if (!lastRecommendation) return null;
+    
+    const interaction = this.getUserInteraction(this.currentUserId, lastRecommendation.candidateUserId);
+    return !interaction || interaction.action === 'reconsidering' ? lastRecommendation : null;
+  }
+
+  /**
+   * Whether a chat message is a matchmaking request (like, pass, question, criteria, undo, pause)
+   * @param {string} message - User message
+   * @param {Array} conversationHistory - Previous messages
+   * @returns {boolean}
+   */
+  isMatchmakingMessage(message, conversationHistory = []) {
+    const intent = MatchmakingIntentParser.parse(message, {
+      hasCandidate: Boolean(this.findPendingRecommendation(conversationHistory))
+    });
+    return intent.intent !== INTENTS.NONE || intent.needsClarification;
+  }
+
+  /**
+   * Display name of the candidate in a recommendation message
+   * @param {Object} recommendation - Recommendation message
+   */
+  getCandidateName(recommendation) {
+    const data = recommendation.candidateData || {};
+    return data.fullProfile?.name || data.name || data.displayName || 'them';
+  }
+
+  /**
+   * Answer a question about the candidate from their profile
+   * @param {Object} recommendation - Recommendation message
+   * @param {string} trait - Topic from MatchmakingIntentParser TRAIT_TOPICS
+   * @returns {string} Answer text
+   */
+  describeCandidateTrait(recommendation, trait) {
+    const data = recommendation.candidateData || {};
+    const profile = { ...data, ...(data.fullProfile || {}) };
+    const name = this.getCandidateName(recommendation);
+    const ai = profile.aiGeneratedContent || {};
+    const compatibility = Math.round((recommendation.compatibilityScore ?? profile.compatibilityScore ?? 0) * 100);
+    
+    let answer = null;
+    switch (trait) {
+      case 'interests':
+        answer = profile.interests?.length ? `${name} is into ${profile.interests.join(', ')}.` : null;
+        break;
+      case 'work':
+        answer = profile.occupation || profile.job
+          ? `${name} works as ${profile.occupation || profile.job}.`
+          : profile.bio ? `${name} describes themselves as: "${profile.bio}"` : null;
+        break;
+      case 'age':
+        answer = profile.age ? `${name} is ${profile.age}.` : null;
+        break;
+      case 'location':
+        answer = profile.location ? `${name} is based in ${profile.location}.` : null;
+        break;
+      case 'personality':
+        answer = ai.personalitySummary || null;
+        break;
+      case 'values':
+      case 'relationship':
+        answer = ai.relationshipStyle || profile.relationshipGoal || null;
+        break;
+      case 'compatibility':
+        answer = `You're ${compatibility}% compatible. ${this.getHighlightText(data)}`;
+        break;
+      default:
+        answer = [profile.bio, ai.personalitySummary].filter(Boolean).join(' ') || null;
+    }
+    
+    const body = answer || `${name} hasn't shared that yet${profile.bio ? `, but here's their bio: "${profile.bio}"` : '.'}`;
+    return `${body}\n\nWhat do you think? 💕 Like or 👎 Pass?`;
+  }
+
+  /**
+   * Undo the last like or pass and show that candidate again
+   * @param {Array} conversationHistory - Previous messages
+   */
+  async handleUndoRequest(conversationHistory = []) {
+    const reply = (text, type) => ({
+      success: true,
+      messages: [{ id: `${type}_${Date.now()}`, from: 'ai', text, timestamp: new Date().toISOString(), type }]
+    });
+    
+    const result = await this.undoLastInteraction();
+    if (!result.success) {
+      return reply(result.message, 'undo_unavailable');
+    }
+    
+    // The candidate is back at the front of the queue; serving it from there keeps the daily count right
+    let candidate = null;
+    if (result.profile) {
+      const dequeueResult = await this.dequeueRecommendation(this.currentUserId);
+      candidate = dequeueResult.recommendation || null;
+    }
+    if (!candidate) {
+      candidate = conversationHistory
+        .slice()
+        .reverse()
+        .find(msg => msg.candidateUserId === result.targetUserId && msg.candidateData)?.candidateData || null;
+    }
+    
+    const undone = result.action === 'pass' ? 'pass' : 'like';
+    if (!candidate) {
+      return reply(`Done, I've taken back your ${undone}.`, 'undo_response');
+    }
+    
+    const [card] = this.formatRecommendationsForChat([candidate]);
+    const name = this.getCandidateName(card);
+    
+    return {
+      success: true,
+      messages: [
+        {
+          id: 'undo_response_' + Date.now(),
+          from: 'ai',
+          text: undone === 'pass'
+            ? `No problem, here's ${name} again:`
+            : `Done, I've taken back your like for ${name}. Here they are again:`,
+          timestamp: new Date().toISOString(),
+          type: 'undo_response'
+        },
+        { ...card, type: 'recommendation_card' }
+      ]
+    };
+  }
+
+  /**
+   * Stop offering recommendations for a while
+   * @param {string} userId - User ID
+   * @param {number} durationMs - Pause length; defaults to a day
+   */
+  pauseRecommendations(userId, durationMs = null) {
+    const duration = durationMs || 24 * 60 * 60 * 1000;
+    this.pausedUntil.set(userId, Date.now() + duration);
+    
+    const days = Math.round(duration / (24 * 60 * 60 * 1000));
+    const period = days >= 1 ? `${days} day${days === 1 ? '' : 's'}` : `${Math.max(1, Math.round(duration / 3600000))} hour(s)`;
+    console.log(`⏸️ Recommendations paused for user ${userId} (${period})`);
+    
+    return {
+      success: true,
+      messages: [{
+        id: 'pause_response_' + Date.now(),
+        from: 'ai',
+        text: `Got it, I'll hold off on new matches for ${period}. Just say "show me matches" whenever you're ready.`,
+        timestamp: new Date().toISOString(),
+        type: 'pause_response'
+      }]
+    };
+  }
+
+  /**
+   * Whether recommendations are paused for a user
+   * @param {string} userId - User ID
+   */
+  isPaused(userId) {
+    const until = this.pausedUntil.get(userId);
+    return Boolean(until && until > Date.now());
+  }
+
+  /**
+   * Merge criteria from a refine request into the user's preferences and rebuild their queue
+   * @param {string} userId - User ID
+   * @param {Object} slots - Slots from MatchmakingIntentParser
+   * @returns {Object|null} Updated criteria, or null when the message named none
+   */
+  async updateSearchCriteria(userId, slots = {}) {
+    const { ageRange, maxDistance, interests, relationshipGoal } = slots;
+    const update = Object.fromEntries(Object.entries({ ageRange, maxDistance, interests, relationshipGoal })
+      .filter(([, value]) => value !== undefined));
+    
+    if (Object.keys(update).length === 0) return null;
+    
+    const preferences = this.userPreferences.get(userId) || {};
+    const criteria = { ...(preferences.criteria || {}), ...update };
+    this.userPreferences.set(userId, { ...preferences, criteria, criteriaUpdatedAt: new Date().toISOString() });
+    
+    // Queued candidates were picked under the old criteria
+    await RecommendationQueue.invalidate(userId);
+    console.log('🎛️ Updated search criteria:', criteria);
+    return criteria;
+  }
+
+  /**
+   * Human-readable summary of search criteria
+   * @param {Object} criteria - Search criteria
+   */
+  describeSearchCriteria(criteria = {}) {
+    const parts = [];
+    const { ageRange, maxDistance, interests, relationshipGoal } = criteria;
+    
+    if (ageRange?.min && ageRange?.max) parts.push(`ages ${ageRange.min}-${ageRange.max}`);
+    else if (ageRange?.min) parts.push(`ages ${ageRange.min}+`);
+    else if (ageRange?.max) parts.push(`ages up to ${ageRange.max}`);
+    if (maxDistance?.value) parts.push(`within ${maxDistance.value} ${maxDistance.unit}`);
+    else if (maxDistance?.nearby) parts.push('people nearby');
+    if (interests?.length) parts.push(`people into ${interests.join(' and ')}`);
+    if (relationshipGoal) parts.push(relationshipGoal === 'casual' ? 'something casual' : 'something serious');
+    
+    return parts.join(', ') || 'your preferences';
+  }
+
+  /**
+   * Whether a profile fits the user's search criteria
+   * @param {Object} profile - Candidate profile
+   * @param {Object} criteria - Search criteria
+   */
+  matchesSearchCriteria(profile, criteria = null) {
+    if (!criteria) return true;
+    const { ageRange, interests, relationshipGoal } = criteria;
+    
+    if (ageRange && profile.age) {
+      if (ageRange.min && profile.age < ageRange.min) return false;
+      if (ageRange.max && profile.age > ageRange.max) return false;
+    }
+    
+    if (interests?.length && profile.interests?.length) {
+      const profileInterests = profile.interests.map(interest => interest.toLowerCase());
+      const overlap = interests.some(interest => 
+        profileInterests.some(candidate => candidate.includes(interest) || interest.includes(candidate)));
+      if (!overlap) return false;
+    }
+    
+    if (relationshipGoal && profile.relationshipGoal && profile.relationshipGoal !== relationshipGoal) {
+      return false;
+    }
+    
+    // maxDistance needs coordinates, which queued profiles don't carry
+    return true;
+  }
+
   /**
    * Format recommendations for chat display
    * @param {Array} recommendations - Raw recommendation data
@@ -823,135 +1215,129 @@ export class MatchmakingBackendService {
    * Handle like action (simplified wrapper for UI)
    * @param {string} likedUserId - ID of user being liked
    * @param {Object} metadata - Additional metadata
+   * @param {Object} profile - Profile of the liked user
    */
-  async likeUser(likedUserId, metadata = {}) {
-    return await this.handleLike(likedUserId, metadata);
+  async likeUser(likedUserId, metadata = {}, profile = null) {
+    return await this.handleLike(likedUserId, metadata, profile);
   }
 
   /**
    * Handle pass action (simplified wrapper for UI)  
    * @param {string} passedUserId - ID of user being passed
    * @param {Object} metadata - Additional metadata
+   * @param {Object} profile - Profile of the passed user
    */
-  async passUser(passedUserId, metadata = {}) {
-    return await this.handlePass(passedUserId, metadata);
+  async passUser(passedUserId, metadata = {}, profile = null) {
+    return await this.handlePass(passedUserId, metadata, profile);
   }
 
   /**
-   * Simulate the backend cron job - populate recommendation queue for a user
-   * In production, this would be called by a server-side job
+   * Populate the recommendation queue for a user now, instead of at the low watermark
    * @param {string} userId - User ID
    */
   async populateRecommendationQueue(userId) {
-    try {
-      console.log('🔄 Populating recommendation queue for user:', userId);
-      
-      // Simulate backend matchmaking logic - this would normally be done server-side
-      const availableProfiles = [
-        {
-          userId: 'demo_user_1',
-          displayName: 'Jordan',
-          name: 'Jordan',
-          age: 26,
-          photos: ['https://i.pravatar.cc/400?img=32', 'https://i.pravatar.cc/400?img=33'],
-          compatibilityScore: 0.87,
-          bio: 'Artist and coffee enthusiast who loves deep conversations.',
-          location: 'Brooklyn, NY',
-          interests: ['Art', 'Coffee', 'Photography', 'Literature'],
-          aiGeneratedContent: {
-            personalitySummary: 'Creative and introspective with a passion for meaningful connections.',
-            relationshipStyle: 'Values deep emotional intimacy and authentic expression.'
-          }
-        },
-        {
-          userId: 'demo_user_2', 
-          displayName: 'Alex',
-          name: 'Alex',
-          age: 28,
-          photos: ['https://i.pravatar.cc/400?img=45', 'https://i.pravatar.cc/400?img=46'],
-          compatibilityScore: 0.82,
-          bio: 'Tech professional with a passion for hiking and photography.',
-          location: 'San Francisco, CA',
-          interests: ['Technology', 'Hiking', 'Photography', 'Startups'],
-          aiGeneratedContent: {
-            personalitySummary: 'Analytical yet adventurous, seeks balance between innovation and nature.',
-            relationshipStyle: 'Appreciates intellectual stimulation and shared adventures.'
-          }
-        },
-        {
-          userId: 'demo_user_3',
-          displayName: 'Casey',
-          name: 'Casey',
-          age: 24,
-          photos: ['https://i.pravatar.cc/400?img=38', 'https://i.pravatar.cc/400?img=39'],
-          compatibilityScore: 0.79,
-          bio: 'Writer and traveler always looking for the next adventure.',
-          location: 'Austin, TX',
-          interests: ['Writing', 'Travel', 'Music', 'Food'],
-          aiGeneratedContent: {
-            personalitySummary: 'Free-spirited storyteller with boundless curiosity about the world.',
-            relationshipStyle: 'Seeks a partner for life\'s adventures and creative collaboration.'
-          }
-        },
-        {
-          userId: 'demo_user_4',
-          displayName: 'Riley',
-          name: 'Riley',
-          age: 27,
-          photos: ['https://i.pravatar.cc/400?img=51', 'https://i.pravatar.cc/400?img=52'],
-          compatibilityScore: 0.85,
-          bio: 'Yoga instructor and mindfulness coach who believes in authentic living.',
-          location: 'Portland, OR',
-          interests: ['Yoga', 'Meditation', 'Nature', 'Wellness'],
-          aiGeneratedContent: {
-            personalitySummary: 'Centered and compassionate, radiates inner peace and emotional wisdom.',
-            relationshipStyle: 'Values mindful communication and mutual growth.'
-          }
-        },
-        {
-          userId: 'demo_user_5',
-          displayName: 'Sam',
-          name: 'Sam',
-          age: 25,
-          photos: ['https://i.pravatar.cc/400?img=43', 'https://i.pravatar.cc/400?img=44'],
-          compatibilityScore: 0.81,
-          bio: 'Chef and food blogger who finds joy in creating culinary experiences.',
-          location: 'Los Angeles, CA',
-          interests: ['Cooking', 'Food', 'Travel', 'Culture'],
-          aiGeneratedContent: {
-            personalitySummary: 'Passionate creator who expresses love through culinary artistry.',
-            relationshipStyle: 'Believes relationships are nourished through shared experiences and care.'
-          }
+    console.log('🔄 Populating recommendation queue for user:', userId);
+    const result = await RecommendationQueue.refill(userId, { force: true });
+    return {
+      success: result.success,
+      error: result.error,
+      queueSize: result.queueSize
+    };
+  }
+
+  /**
+   * Local candidates for the recommendation queue, used when the server has none.
+   * Simulates the backend matchmaking logic that would normally run server-side.
+   * @param {string} userId - User ID
+   * @param {Object} options - { excludeIds } candidates already queued or served
+   */
+  getLocalCandidates(userId, { excludeIds = [] } = {}) {
+    const availableProfiles = [
+      {
+        userId: 'demo_user_1',
+        displayName: 'Jordan',
+        name: 'Jordan',
+        age: 26,
+        photos: ['https://i.pravatar.cc/400?img=32', 'https://i.pravatar.cc/400?img=33'],
+        compatibilityScore: 0.87,
+        bio: 'Artist and coffee enthusiast who loves deep conversations.',
+        location: 'Brooklyn, NY',
+        interests: ['Art', 'Coffee', 'Photography', 'Literature'],
+        aiGeneratedContent: {
+          personalitySummary: 'Creative and introspective with a passion for meaningful connections.',
+          relationshipStyle: 'Values deep emotional intimacy and authentic expression.'
         }
-      ];
+      },
+      {
+        userId: 'demo_user_2', 
+        displayName: 'Alex',
+        name: 'Alex',
+        age: 28,
+        photos: ['https://i.pravatar.cc/400?img=45', 'https://i.pravatar.cc/400?img=46'],
+        compatibilityScore: 0.82,
+        bio: 'Tech professional with a passion for hiking and photography.',
+        location: 'San Francisco, CA',
+        interests: ['Technology', 'Hiking', 'Photography', 'Startups'],
+        aiGeneratedContent: {
+          personalitySummary: 'Analytical yet adventurous, seeks balance between innovation and nature.',
+          relationshipStyle: 'Appreciates intellectual stimulation and shared adventures.'
+        }
+      },
+      {
+        userId: 'demo_user_3',
+        displayName: 'Casey',
+        name: 'Casey',
+        age: 24,
+        photos: ['https://i.pravatar.cc/400?img=38', 'https://i.pravatar.cc/400?img=39'],
+        compatibilityScore: 0.79,
+        bio: 'Writer and traveler always looking for the next adventure.',
+        location: 'Austin, TX',
+        interests: ['Writing', 'Travel', 'Music', 'Food'],
+        aiGeneratedContent: {
+          personalitySummary: 'Free-spirited storyteller with boundless curiosity about the world.',
+          relationshipStyle: 'Seeks a partner for life\'s adventures and creative collaboration.'
+        }
+      },
+      {
+        userId: 'demo_user_4',
+        displayName: 'Riley',
+        name: 'Riley',
+        age: 27,
+        photos: ['https://i.pravatar.cc/400?img=51', 'https://i.pravatar.cc/400?img=52'],
+        compatibilityScore: 0.85,
+        bio: 'Yoga instructor and mindfulness coach who believes in authentic living.',
+        location: 'Portland, OR',
+        interests: ['Yoga', 'Meditation', 'Nature', 'Wellness'],
+        aiGeneratedContent: {
+          personalitySummary: 'Centered and compassionate, radiates inner peace and emotional wisdom.',
+          relationshipStyle: 'Values mindful communication and mutual growth.'
+        }
+      },
+      {
+        userId: 'demo_user_5',
+        displayName: 'Sam',
+        name: 'Sam',
+        age: 25,
+        photos: ['https://i.pravatar.cc/400?img=43', 'https://i.pravatar.cc/400?img=44'],
+        compatibilityScore: 0.81,
+        bio: 'Chef and food blogger who finds joy in creating culinary experiences.',
+        location: 'Los Angeles, CA',
+        interests: ['Cooking', 'Food', 'Travel', 'Culture'],
+        aiGeneratedContent: {
+          personalitySummary: 'Passionate creator who expresses love through culinary artistry.',
+          relationshipStyle: 'Believes relationships are nourished through shared experiences and care.'
+        }
+      }
+    ];
 
-      // Filter out any users that have already been served
-      const served = this.servedRecommendations.get(userId) || new Set();
-      const unservedProfiles = availableProfiles.filter(profile => !served.has(profile.userId));
-      
-      // Sort by compatibility score (highest first)
-      unservedProfiles.sort((a, b) => b.compatibilityScore - a.compatibilityScore);
-      
-      // Store the queue
-      this.recommendationQueues.set(userId, unservedProfiles);
-      this.queueLastUpdated.set(userId, Date.now());
-      
-      console.log(`✅ Queue populated with ${unservedProfiles.length} recommendations for user ${userId}`);
-      
-      return {
-        success: true,
-        queueSize: unservedProfiles.length,
-        recommendations: unservedProfiles
-      };
-      
-    } catch (error) {
-      console.error('Error populating recommendation queue:', error);
-      return {
-        success: false,
-        error: error.message,
-        queueSize: 0
-      };
-    }
+    // Filter out any users that have already been served or don't fit the user's criteria
+    const excluded = new Set(excludeIds);
+    const criteria = this.userPreferences.get(userId)?.criteria;
+    const unservedProfiles = availableProfiles.filter(profile => 
+      !excluded.has(profile.userId) && this.matchesSearchCriteria(profile, criteria));
+    
+    // Sort by compatibility score (highest first)
+    return unservedProfiles.sort((a, b) => b.compatibilityScore - a.compatibilityScore);
   }
 
   /**
@@ -962,45 +1348,29 @@ export class MatchmakingBackendService {
     try {
       console.log('🎯 Dequeuing recommendation for user:', userId);
       
-      // Check if we have a queue for this user
-      let queue = this.recommendationQueues.get(userId);
-      
-      // If no queue exists or it's empty, populate it
-      if (!queue || queue.length === 0) {
-        console.log('📋 No queue found, populating recommendations...');
-        const populateResult = await this.populateRecommendationQueue(userId);
-        if (!populateResult.success) {
-          return { success: false, error: 'Failed to populate recommendations' };
-        }
-        queue = this.recommendationQueues.get(userId);
+      // The queue refills itself at the low watermark and records the candidate as served
+      const result = await RecommendationQueue.dequeue(userId);
+      if (!result.success) {
+        return { success: false, error: 'Failed to populate recommendations' };
       }
       
-      // If still no recommendations available
-      if (!queue || queue.length === 0) {
+      // Daily cap reached, or nothing left to recommend
+      if (!result.recommendation) {
         return {
           success: true,
           hasMore: false,
-          message: "I don't have any new recommendations right now, but I'm always working to find great matches for you!"
+          capped: result.capped || false,
+          message: result.message || "I don't have any new recommendations right now, but I'm always working to find great matches for you!"
         };
       }
       
-      // Get the next recommendation (first in queue)
-      const nextRecommendation = queue.shift(); // Remove from front of queue
-      
-      // Update the queue
-      this.recommendationQueues.set(userId, queue);
-      
-      // Mark as served to prevent duplicates
-      const served = this.servedRecommendations.get(userId) || new Set();
-      served.add(nextRecommendation.userId);
-      this.servedRecommendations.set(userId, served);
-      
-      console.log(`✅ Dequeued recommendation: ${nextRecommendation.name} (${queue.length} remaining)`);
+      const nextRecommendation = result.recommendation;
+      console.log(`✅ Dequeued recommendation: ${nextRecommendation.name} (${result.remainingCount} remaining)`);
       
       return {
         success: true,
-        hasMore: queue.length > 0,
-        remainingCount: queue.length,
+        hasMore: result.hasMore,
+        remainingCount: result.remainingCount,
         recommendation: nextRecommendation,
         message: `Here's ${nextRecommendation.name} - I think you two could have a great connection!`
       };
@@ -1020,17 +1390,7 @@ export class MatchmakingBackendService {
    */
   async getQueueStatus(userId) {
     try {
-      const queue = this.recommendationQueues.get(userId) || [];
-      const served = this.servedRecommendations.get(userId) || new Set();
-      const lastUpdated = this.queueLastUpdated.get(userId);
-      
-      return {
-        success: true,
-        queueSize: queue.length,
-        totalServed: served.size,
-        hasRecommendations: queue.length > 0,
-        lastUpdated: lastUpdated
-      };
+      return await RecommendationQueue.getStatus(userId);
     } catch (error) {
       return {
         success: false,
@@ -1046,9 +1406,7 @@ export class MatchmakingBackendService {
    * @param {string} userId - User ID
    */
   async resetUserQueue(userId) {
-    this.recommendationQueues.delete(userId);
-    this.servedRecommendations.delete(userId);
-    this.queueLastUpdated.delete(userId);
+    await RecommendationQueue.reset(userId);
     console.log(`🔄 Reset queue for user: ${userId}`);
     return { success: true };
   }
@@ -1082,97 +1440,39 @@ export class MatchmakingBackendService {
    */
   async getServedRecommendations(userId) {
     try {
-      const served = this.servedRecommendations.get(userId) || new Set();
+      const history = await RecommendationQueue.getHistory(userId);
       const interactions = this.userInteractions.get(userId) || new Map();
       
-      if (served.size === 0) {
-        return [];
-      }
-      
-      const servedRecommendations = [];
-      
-      // Get profile data for each served recommendation
-      for (const recommendedUserId of served) {
-        try {
-          // Try to get from our demo data first, then fallback to API
-          const demoProfiles = [
-            {
-              userId: 'demo_user_1',
-              displayName: 'Jordan',
-              name: 'Jordan',
-              age: 26,
-              photos: ['https://i.pravatar.cc/400?img=32'],
-              location: 'Brooklyn, NY',
-              bio: 'Artist and coffee enthusiast who loves deep conversations.'
-            },
-            {
-              userId: 'demo_user_2', 
-              displayName: 'Alex',
-              name: 'Alex',
-              age: 28,
-              photos: ['https://i.pravatar.cc/400?img=45'],
-              location: 'San Francisco, CA',
-              bio: 'Tech professional with a passion for hiking and photography.'
-            },
-            {
-              userId: 'demo_user_3',
-              displayName: 'Casey',
-              name: 'Casey',
-              age: 24,
-              photos: ['https://i.pravatar.cc/400?img=38'],
-              location: 'Austin, TX',
-              bio: 'Writer and traveler always looking for the next adventure.'
-            },
-            {
-              userId: 'demo_user_4',
-              displayName: 'Riley',
-              name: 'Riley',
-              age: 27,
-              photos: ['https://i.pravatar.cc/400?img=51'],
-              location: 'Portland, OR',
-              bio: 'Yoga instructor and mindfulness coach who believes in authentic living.'
-            },
-            {
-              userId: 'demo_user_5',
-              displayName: 'Sam',
-              name: 'Sam',
-              age: 25,
-              photos: ['https://i.pravatar.cc/400?img=43'],
-              location: 'Los Angeles, CA',
-              bio: 'Chef and food blogger who finds joy in creating culinary experiences.'
-            }
-          ];
-          
-          const profileData = demoProfiles.find(p => p.userId === recommendedUserId) || {
-            userId: recommendedUserId,
-            displayName: 'Unknown User',
-            name: 'Unknown User',
-            age: 25,
-            photos: ['https://i.pravatar.cc/400?img=1'],
-            location: 'Unknown',
-            bio: 'Profile information not available.'
-          };
-          
-          const interaction = interactions.get(recommendedUserId);
-          
-          servedRecommendations.push({
-            ...profileData,
-            servedAt: this.queueLastUpdated.get(userId) || new Date().toISOString(),
-            interaction: interaction ? {
-              action: interaction.action,
-              timestamp: interaction.timestamp,
-              context: interaction.context
-            } : null,
-            source: 'soulai_recommendation'
-          });
-          
-        } catch (error) {
-          console.error(`Error getting profile for ${recommendedUserId}:`, error);
-        }
-      }
-      
-      // Sort by most recently served
-      servedRecommendations.sort((a, b) => new Date(b.servedAt) - new Date(a.servedAt));
+      const servedRecommendations = history.map(entry => {
+        const profileData = entry.profile || {
+          userId: entry.candidateId,
+          displayName: 'Unknown User',
+          name: 'Unknown User',
+          age: 25,
+          photos: ['https://i.pravatar.cc/400?img=1'],
+          location: 'Unknown',
+          bio: 'Profile information not available.'
+        };
+        
+        // Prefer this session's interaction (with its context), then the persisted decision
+        const interaction = interactions.get(entry.candidateId);
+        const decided = entry.status !== 'served';
+        
+        return {
+          ...profileData,
+          servedAt: new Date(entry.servedAt).toISOString(),
+          interaction: interaction ? {
+            action: interaction.action,
+            timestamp: interaction.timestamp,
+            context: interaction.context
+          } : decided ? {
+            action: entry.status,
+            timestamp: new Date(entry.decidedAt).toISOString(),
+            context: ''
+          } : null,
+          source: 'soulai_recommendation'
+        };
+      });
       
       console.log(`📋 Retrieved ${servedRecommendations.length} served recommendations for ${userId}`);
       return servedRecommendations;
@@ -0,0 +1,221 @@
+// Matchmaking Test Suite
+// Tests for reading chat replies to recommendations, the recommendation queue and local search
+
+import MatchmakingIntentParser, { INTENTS } from './compatibility/MatchmakingIntentParser';
+import { RecommendationQueue } from './discovery/RecommendationQueue';
+import { MemoryQueueAdapter } from './storage/QueueStorageAdapter';
+import { LocalSearchBackend } from './discovery/LocalSearchBackend';
+
+class MatchmakingTest {
+  constructor() {
+    this.testResults = [];
+  }
+
+  async runAllTests() {
+    console.log('=== Starting Matchmaking Tests ===\n');
+
+    try {
+      // Test 1: Intent Parsing
+      await this.testIntentParsing();
+
+      // Test 2: Recommendation Queue Undo
+      await this.testQueueUndo();
+
+      // Test 3: Local Search Queries
+      await this.testLocalSearchQueries();
+
+      // Summary
+      this.printTestSummary();
+
+    } catch (error) {
+      console.error('❌ Test suite failed:', error);
+    }
+  }
+
+  async testIntentParsing() {
+    console.log('1. Testing Intent Parsing...');
+
+    try {
+      const parse = message => MatchmakingIntentParser.parse(message, { hasCandidate: true, candidateName: 'Sam' });
+
+      // A negator ends with its clause and idioms don't negate what follows
+      const likes = [
+        'Never mind, I like her',
+        "I can't lie, I like him",
+        "I didn't expect to like him this much",
+        "I don't mind, send a like",
+        "I'd love to meet her"
+      ];
+      for (const message of likes) {
+        const intent = parse(message);
+        this.assert(intent.intent === INTENTS.LIKE && !intent.negated, `"${message}" should be a like`);
+        this.assert(!intent.needsClarification, `"${message}" should not need clarification`);
+      }
+
+      const decline = parse("I don't think so");
+      this.assert(decline.intent === INTENTS.PASS && !decline.needsClarification, '"I don\'t think so" should be a pass');
+
+      // A negated like is a pass to confirm, never one to act on straight away
+      const negatedLikes = [
+        "I don't like his vibe",
+        "I don't really like him",
+        "I'm not interested",
+        "I wouldn't say I like him",
+        "I couldn't really like him",
+        "I shouldn't be interested",
+        "We aren't keen",
+        "I haven't been into him",
+        "My heart hasn't been into him",
+        "Honestly we weren't keen",
+        "There's no way I like him",
+        "I dont like him"
+      ];
+      for (const message of negatedLikes) {
+        const intent = parse(message);
+        this.assert(intent.intent === INTENTS.PASS && intent.negated, `"${message}" should read as a negated like`);
+        this.assert(intent.needsClarification && intent.clarification.quickReplies.length === 2, `"${message}" should ask before passing`);
+      }
+
+      const explicit = parse("Not into him, pass");
+      this.assert(explicit.intent === INTENTS.PASS && !explicit.needsClarification, 'An explicit pass should not need clarification');
+
+      console.log('✅ Intent parsing tests passed');
+      this.testResults.push({ name: 'Intent Parsing', status: 'PASSED' });
+
+    } catch (error) {
+      console.error('❌ Intent parsing test failed:', error);
+      this.testResults.push({ name: 'Intent Parsing', status: 'FAILED', error: error.message });
+    }
+  }
+
+  async testQueueUndo() {
+    console.log('2. Testing Recommendation Queue Undo...');
+
+    try {
+      const queue = new RecommendationQueue({ adapter: new MemoryQueueAdapter(), capacity: 3, lowWatermark: 0 });
+      queue.setCandidateSource(async () => [{ userId: 'a' }, { userId: 'b' }, { userId: 'c' }]);
+
+      // Stand-in server that keeps whatever was last pushed and hands it back on the next pull
+      let serverState = null;
+      queue.pushRemote = async state => {
+        serverState = JSON.parse(JSON.stringify({ history: state.history, daily: state.daily }));
+        return true;
+      };
+      queue.pullRemote = async state => {
+        if (serverState) queue.mergeRemoteState(state, serverState);
+        return [];
+      };
+
+      const first = await queue.dequeue('tester');
+      this.assert(first.recommendation.userId === 'a', 'The first candidate should be served first');
+      await queue.recordDecision('tester', 'a', 'pass');
+      await queue.requeue('tester', 'a');
+
+      await queue.sync('tester');
+      const status = await queue.getStatus('tester');
+      this.assert(status.queueSize === 3, 'An undone candidate should stay queued through a sync');
+
+      const again = await queue.dequeue('tester');
+      this.assert(again.recommendation?.userId === 'a', 'The undone candidate should be served again after a sync');
+
+      // A forced refill must not treat the undone candidate as already decided
+      await queue.invalidate('tester');
+      await queue.requeue('tester', 'a');
+      await queue.invalidate('tester');
+      await queue.refill('tester', { force: true });
+      const refilled = await queue.dequeue('tester');
+      this.assert(refilled.recommendation?.userId === 'a', 'A refill should offer the undone candidate again');
+
+      console.log('✅ Recommendation queue undo tests passed');
+      this.testResults.push({ name: 'Recommendation Queue Undo', status: 'PASSED' });
+
+    } catch (error) {
+      console.error('❌ Recommendation queue undo test failed:', error);
+      this.testResults.push({ name: 'Recommendation Queue Undo', status: 'FAILED', error: error.message });
+    }
+  }
+
+  async testLocalSearchQueries() {
+    console.log('3. Testing Local Search Queries...');
+
+    try {
+      const backend = new LocalSearchBackend();
+      const index = 'profiles_test';
+      await backend.indices.create({
+        index,
+        body: { mappings: { properties: { age: { type: 'integer' }, lastActive: { type: 'date' }, location: { type: 'geo_point' } } } }
+      });
+
+      const hour = 60 * 60 * 1000;
+      const profiles = [
+        { id: 'lisbon', age: 27, gender: 'woman', interests: ['surfing', 'art'], lastActive: new Date(Date.now() - hour), location: { lat: 38.72, lon: -9.14 } },
+        { id: 'porto', age: 34, gender: 'man', interests: ['wine'], lastActive: new Date(Date.now() - 3 * 24 * hour), location: { lat: 41.15, lon: -8.61 } },
+        { id: 'cascais', age: 41, gender: 'woman', interests: ['art'], lastActive: new Date(Date.now() - 2 * hour), location: [-9.42, 38.70] }
+      ];
+      for (const { id, ...body } of profiles) {
+        await backend.index({ index, id, body });
+      }
+      const ids = async query => {
+        const { body } = await backend.search({ index, body: { query, size: 10, sort: [{ age: 'asc' }] } });
+        return body.hits.hits.map(hit => hit._id).join(',');
+      };
+
+      this.assert(await ids({ range: { age: { gte: 30, lt: 41 } } }) === 'porto', 'Numeric ranges should respect gte/lt');
+      this.assert(await ids({ range: { lastActive: { gte: 'now-1d' } } }) === 'lisbon,cascais', 'Date math should be relative to now');
+      this.assert(await ids({ range: { lastActive: { gte: 'now-90m', lte: 'now' } } }) === 'lisbon', 'Date math should support minutes');
+      this.assert(await ids({ terms: { interests: ['art', 'wine'] } }) === 'lisbon,porto,cascais', 'terms should match any listed value');
+      this.assert(await ids({ geo_distance: { distance: '40km', location: { lat: 38.72, lon: -9.14 } } }) === 'lisbon,cascais', 'geo_distance should accept object and array points');
+      this.assert(await ids({
+        bool: {
+          filter: [{ term: { gender: 'woman' } }, { range: { age: { lte: 45 } } }],
+          must_not: [{ terms: { interests: ['surfing'] } }],
+          should: [{ terms: { interests: ['art'] } }]
+        }
+      }) === 'cascais', 'bool should combine filter, must_not and should');
+      this.assert(await ids({ bool: { should: [{ term: { gender: 'man' } }, { range: { age: { gt: 40 } } }] } }) === 'porto,cascais', 'A bool with only should clauses needs one to match');
+
+      let rejected = false;
+      try {
+        await ids({ range: { lastActive: { gte: 'yesterday' } } });
+      } catch (error) {
+        rejected = /Unsupported range bound/.test(error.message);
+      }
+      this.assert(rejected, 'An unreadable range bound should throw');
+
+      console.log('✅ Local search query tests passed');
+      this.testResults.push({ name: 'Local Search Queries', status: 'PASSED' });
+
+    } catch (error) {
+      console.error('❌ Local search query test failed:', error);
+      this.testResults.push({ name: 'Local Search Queries', status: 'FAILED', error: error.message });
+    }
+  }
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(`Assertion failed: ${message}`);
+    }
+  }
+
+  printTestSummary() {
+    console.log('\n=== Matchmaking Test Summary ===');
+
+    const passed = this.testResults.filter(r => r.status === 'PASSED').length;
+    const failed = this.testResults.filter(r => r.status === 'FAILED').length;
+
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📊 Total: ${this.testResults.length}`);
+
+    if (failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      this.testResults
+        .filter(r => r.status === 'FAILED')
+        .forEach(r => console.log(`   - ${r.name}: ${r.error}`));
+    }
+
+    console.log('\n🎉 Matchmaking Testing Complete!');
+  }
+}
+
+export default new MatchmakingTest();
@@ -1,7 +1,10 @@
 // Mood Analysis Service
 // Real-time mood detection from user messages using SoulAI integration
 
-import ChatGPTService from './ChatGPTService';
+import AIProviderManager from './AIProviderManager';
+import PromptRegistry from './prompts/SoulPrompts';
+import StructuredOutput from './tools/StructuredOutput';
+import ResponseCache from './providers/ResponseCache';
 import { getMoodGradient, getMoodCategory, MOOD_CONFIDENCE_THRESHOLDS } from './MoodToGradientMap';
 
 class MoodAnalysisService {
@@ -102,6 +105,37 @@ class MoodAnalysisService {
         intensity: 0.7
       }
     };
+
+    StructuredOutput.define('mood_analysis', {
+      description: 'a mood analysis',
+      schema: {
+        type: 'object',
+        properties: {
+          moods: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                mood: { type: 'string', enum: Object.keys(this.moodPatterns) },
+                confidence: { type: 'number', minimum: 0, maximum: 1 },
+                reasoning: { type: 'string', default: '' }
+              },
+              required: ['mood', 'confidence']
+            }
+          }
+        },
+        required: ['moods']
+      },
+      // Accept a bare list and mood names in any case
+      normalize: (value) => {
+        const output = Array.isArray(value) ? { moods: value } : value;
+        if (!Array.isArray(output?.moods)) return output;
+        return {
+          ...output,
+          moods: output.moods.map(entry => (typeof entry?.mood === 'string' ? { ...entry, mood: entry.mood.trim().toLowerCase() } : entry))
+        };
+      }
+    });
   }
 
   // Initialize the service
@@ -205,7 +239,11 @@ class MoodAnalysisService {
     try {
       const prompt = this.buildMoodAnalysisPrompt(message, context);
       
-      const response = await ChatGPTService.sendMessage(prompt, {
+      // Mood analysis is routed to the cheapest capable provider
+      const response = await AIProviderManager.sendMessage(prompt, {
+        requestType: 'mood_analysis',
+        // Look up by the message itself so the shared prompt text doesn't make every message look alike
+        cache: { text: message, key: JSON.stringify(context || {}) },
         onComplete: (response) => response,
         onError: (error) => {
           console.error('AI mood analysis error:', error);
@@ -213,7 +251,7 @@ class MoodAnalysisService {
         }
       });
       
-      return this.parseAIMoodResponse(response);
+      return await this.parseAIMoodResponse(response);
       
     } catch (error) {
       console.error('AI mood analysis failed:', error);
@@ -223,53 +261,30 @@ class MoodAnalysisService {
 
   // Build AI analysis prompt
   buildMoodAnalysisPrompt(message, context) {
-    const availableMoods = Object.keys(this.moodPatterns).join(', ');
-    
-    return `You are a mood analysis expert. Analyze the emotional tone of this message and return the mood with confidence score.
-
-Available moods: ${availableMoods}
-
-Message: "${message}"
-
-Context: ${JSON.stringify(context)}
-
-Return format: [mood]:[confidence 0-1]:[reasoning]
-
-Examples:
-- "I'm so happy!" → joyful:0.9:Clear expression of happiness
-- "feeling a bit worried" → anxious:0.6:Mild expression of worry
-- "you look amazing" → flirty:0.7:Compliment with romantic undertones
-
-Analyze the message:`;
+    return PromptRegistry.render('mood_analysis', {
+      availableMoods: Object.keys(this.moodPatterns).join(', '),
+      message,
+      context
+    }).text;
   }
 
-  // Parse AI response
-  parseAIMoodResponse(response) {
+  // Parse AI response, asking the model to fix output that does not match the schema
+  async parseAIMoodResponse(response) {
     if (!response) return [];
     
     try {
-      const lines = response.split('\n').filter(line => line.includes(':'));
-      const results = [];
-      
-      for (const line of lines) {
-        const parts = line.split(':');
-        if (parts.length >= 3) {
-          const mood = parts[0].trim().toLowerCase();
-          const confidence = parseFloat(parts[1].trim());
-          const reasoning = parts.slice(2).join(':').trim();
-          
-          if (this.moodPatterns[mood] && confidence > 0) {
-            results.push({
-              mood,
-              confidence,
-              reasoning,
-              method: 'ai'
-            });
-          }
-        }
-      }
-      
-      return results;
+      const { moods } = await StructuredOutput.parse('mood_analysis', response, {
+        repair: (prompt) => AIProviderManager.sendMessage(prompt, { requestType: 'mood_analysis', cache: false })
+      });
+
+      return moods
+        .filter(({ confidence }) => confidence > 0)
+        .map(({ mood, confidence, reasoning }) => ({
+          mood,
+          confidence,
+          reasoning,
+          method: 'ai'
+        }));
       
     } catch (error) {
       console.error('Error parsing AI mood response:', error);
@@ -445,6 +460,7 @@ Analyze the message:`;
   // Clear mood cache
   clearCache() {
     this.moodCache.clear();
+    ResponseCache.clear('mood_analysis').catch(error => console.error('Error clearing cached mood analyses:', error));
   }
 }
 
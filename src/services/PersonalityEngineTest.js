@@ -4,6 +4,7 @@
 import PersonalityProfilingEngine from './PersonalityProfilingEngine';
 import CompatibilityMatchingEngine from './CompatibilityMatchingEngine';
 import ChatGPTService from './ChatGPTService';
+import MockLLMProvider from './providers/MockLLMProvider';
 
 class PersonalityEngineTest {
   constructor() {
@@ -165,26 +166,27 @@ class PersonalityEngineTest {
       // Test personality-guided response
       const testMessage = 'I feel really anxious about this new relationship';
       
-      // Mock the sendMessage to avoid actual API calls
-      const originalSendMessage = ChatGPTService.sendMessage;
-      let personalityGuidanceUsed = false;
-      
-      ChatGPTService.sendMessage = async (message, options) => {
-        personalityGuidanceUsed = message.includes('PERSONALITY INSIGHTS');
-        return 'Test response based on personality insights';
-      };
-      
-      const response = await ChatGPTService.sendMessage(testMessage, {
-        onStart: () => {},
-        onToken: () => {},
-        onComplete: () => {},
-        onError: () => {}
-      });
-      
-      // Restore original method
-      ChatGPTService.sendMessage = originalSendMessage;
+      // Replay a scripted fixture instead of calling the API
+      const previousMode = MockLLMProvider.mode;
+      MockLLMProvider.setMode('mock');
+      
+      let streamed = '';
+      let completed = null;
+      let response;
+      try {
+        response = await ChatGPTService.sendMessage(testMessage, {
+          onStart: () => {},
+          onToken: (token) => { streamed += token; },
+          onComplete: (fullResponse) => { completed = fullResponse; },
+          onError: () => {}
+        });
+      } finally {
+        MockLLMProvider.setMode(previousMode);
+      }
       
       this.assert(response, 'Should return response');
+      this.assert(streamed === response, 'Streamed tokens should rebuild the response');
+      this.assert(completed === response, 'onComplete should receive the full response');
       
       // Test personality insights retrieval
       const insights = await ChatGPTService.getPersonalityInsights();
@@ -5,6 +5,10 @@ import VectorDatabase from './VectorDatabase';
 import VectorEmbeddingService from './VectorEmbeddingService';
 import TextbookAssetLoader from './TextbookAssetLoader';
 import TextbookContentParser from './TextbookContentParser';
+import { combineFilters } from './indexing/MetadataFilter';
+import GroundingVerifier from './rag/GroundingVerifier';
+import QueryRewriter from './rag/QueryRewriter';
+import { chunkMarkdown, contentHash } from './rag/MarkdownChunker';
 
 class RAGService {
   constructor() {
@@ -17,6 +21,25 @@ class RAGService {
     this.contextWindow = 3;
     this.maxRetrievalResults = 5;
     this.relevanceThreshold = 0.6;
+    this.bookSources = new Map(); // bookKey -> provenance of imported books
+    this.chunking = {
+      strategy: 'markdown', // 'markdown' (sections, lists, heading paths) or 'sentence' (fixed size)
+      maxTokens: 200,
+      overlapTokens: 20
+    };
+    this.queryUnderstanding = {
+      enabled: false, // Rewrite conversational queries into concept sub-queries; opt in per call with { rewrite: true }
+      maxHops: 2, // Retrieve -> refine rounds; 1 disables follow-up queries
+      maxSearches: 4 // Sub-query searches per retrieval across all hops, the original included
+    };
+    this.queryLog = []; // Recent query plans, newest last
+    this.maxQueryLogSize = 20;
+  }
+
+  // Identifies how the collection was chunked; a change triggers re-indexing
+  getChunkingId() {
+    const { strategy, maxTokens, overlapTokens } = this.chunking;
+    return `${strategy}:${maxTokens}:${overlapTokens}`;
   }
 
   // Initialize RAG system
@@ -34,14 +57,22 @@ class RAGService {
       
       // Check if knowledge collection exists
       const collections = this.vectorDB.listCollections();
-      const hasKnowledgeCollection = collections.some(col => col.name === this.collectionName);
+      const existing = collections.find(col => col.name === this.collectionName);
+      const needsIndexing = !existing || existing.metadata?.chunking !== this.getChunkingId();
       
-      if (!hasKnowledgeCollection) {
+      // Rebuild collections chunked with different settings
+      if (existing && needsIndexing) {
+        console.log(`Chunking changed (${existing.metadata?.chunking || 'legacy'} -> ${this.getChunkingId()}), re-indexing knowledge collection...`);
+        await this.vectorDB.deleteCollection(this.collectionName);
+      }
+      
+      if (needsIndexing) {
         console.log('Creating knowledge collection...');
         await this.vectorDB.createCollection(this.collectionName, {
           description: 'SoulAI knowledge base from textbooks',
           type: 'textbook_knowledge',
-          version: '1.0'
+          version: '1.0',
+          chunking: this.getChunkingId()
         });
         
         // Index textbook content
@@ -68,90 +99,158 @@ class RAGService {
       await this.textbookParser.parseAllTextbooks();
       const parsedContent = this.textbookParser.parsedContent;
       
-      const documents = [];
-      let docId = 0;
+      // Ids are content hashes, so re-indexing unchanged content overwrites in place
+      const documents = new Map();
       
       // Process each textbook
       for (const [bookKey, book] of Object.entries(parsedContent)) {
         console.log(`Processing textbook: ${bookKey}`);
-        
-        // Index chapters
-        for (const chapter of book.chapters) {
-          if (chapter.content && chapter.content.trim().length > 100) {
-            // Split chapter into chunks for better retrieval
-            const chunks = this.chunkContent(chapter.content, 500, 50);
-            
-            for (const chunk of chunks) {
-              documents.push({
-                id: `${bookKey}_chapter_${docId++}`,
-                content: chunk.text,
-                metadata: {
-                  type: 'chapter',
-                  chunkIndex: chunk.index,
-                  totalChunks: chunks.length
-                },
-                textbook: bookKey,
-                chapter: chapter.title,
-                concept: null
-              });
-            }
-          }
-        }
-        
-        // Index concepts
-        for (const [conceptKey, concept] of Object.entries(book.concepts)) {
-          if (concept.details && concept.details.length > 0) {
-            const conceptContent = `${concept.name}: ${concept.details.join(' ')}`;
-            
-            documents.push({
-              id: `${bookKey}_concept_${docId++}`,
-              content: conceptContent,
-              metadata: {
-                type: 'concept',
-                conceptKey: conceptKey
-              },
-              textbook: bookKey,
-              chapter: concept.chapter,
-              concept: concept.name
-            });
-          }
+        for (const document of this.buildBookDocuments(bookKey, book)) {
+          documents.set(document.id, document);
         }
+      }
+      
+      await this.addDocumentsInBatches(Array.from(documents.values()));
+      console.log('Textbook content indexing completed');
+      
+    } catch (error) {
+      console.error('Error indexing textbook content:', error);
+      throw error;
+    }
+  }
+
+  // Build chunk, concept and practical-application documents for one parsed book
+  buildBookDocuments(bookKey, book) {
+    const documents = new Map();
+    const addDocument = (document) => documents.set(document.id, document);
+    const bookTitle = book.title || bookKey;
+    
+    // Provenance for user-imported books (format, file, import time)
+    const source = this.bookSources.get(bookKey) || null;
+    const withSource = (metadata) => (source ? { ...metadata, source } : metadata);
+    
+    // Index chapters
+    for (const chapter of book.chapters) {
+      if (chapter.content && chapter.content.trim().length > 100) {
+        // Split chapter into chunks for better retrieval
+        const chunks = this.chunkContent(chapter.content, {
+          headingPath: [bookTitle]
+        });
         
-        // Index practical applications
-        if (book.practicalApplications && book.practicalApplications.length > 0) {
-          const practicalContent = book.practicalApplications.join(' ');
-          
-          documents.push({
-            id: `${bookKey}_practical_${docId++}`,
-            content: practicalContent,
-            metadata: {
-              type: 'practical_application'
-            },
+        for (const chunk of chunks) {
+          const hash = chunk.id || contentHash(`${chapter.title}\n${chunk.text}`);
+          addDocument({
+            id: `${bookKey}_chunk_${hash}`,
+            content: chunk.text,
+            metadata: withSource({
+              type: 'chapter',
+              chunkIndex: chunk.index,
+              totalChunks: chunks.length,
+              headingPath: chunk.headingPath || [bookTitle, chapter.title],
+              tokenCount: chunk.tokenCount,
+              concepts: chunk.concepts || [],
+              contentHash: hash
+            }),
             textbook: bookKey,
-            chapter: 'Practical Applications',
+            chapter: chapter.title,
             concept: null
           });
         }
       }
-      
-      console.log(`Prepared ${documents.length} documents for indexing`);
-      
-      // Add documents to vector database in batches
-      const batchSize = 50;
-      for (let i = 0; i < documents.length; i += batchSize) {
-        const batch = documents.slice(i, i + batchSize);
-        await this.vectorDB.addDocuments(this.collectionName, batch);
-        console.log(`Indexed batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(documents.length / batchSize)}`);
+    }
+    
+    // Index concepts
+    for (const [conceptKey, concept] of Object.entries(book.concepts)) {
+      if (concept.details && concept.details.length > 0) {
+        const conceptContent = `${concept.name}: ${concept.details.join(' ')}`;
+        
+        addDocument({
+          id: `${bookKey}_concept_${conceptKey}`,
+          content: conceptContent,
+          metadata: withSource({
+            type: 'concept',
+            conceptKey: conceptKey,
+            headingPath: [bookTitle, concept.chapter, concept.name],
+            contentHash: contentHash(conceptContent)
+          }),
+          textbook: bookKey,
+          chapter: concept.chapter,
+          concept: concept.name
+        });
       }
+    }
+    
+    // Index practical applications
+    if (book.practicalApplications && book.practicalApplications.length > 0) {
+      const practicalContent = book.practicalApplications.join(' ');
       
-      console.log('Textbook content indexing completed');
-      
-    } catch (error) {
-      console.error('Error indexing textbook content:', error);
-      throw error;
+      addDocument({
+        id: `${bookKey}_practical`,
+        content: practicalContent,
+        metadata: withSource({
+          type: 'practical_application',
+          contentHash: contentHash(practicalContent)
+        }),
+        textbook: bookKey,
+        chapter: 'Practical Applications',
+        concept: null
+      });
+    }
+    
+    return Array.from(documents.values());
+  }
+
+  // Add documents to vector database in batches (each batch is appended to storage incrementally)
+  async addDocumentsInBatches(documents, batchSize = 50) {
+    console.log(`Prepared ${documents.length} documents for indexing`);
+    
+    for (let i = 0; i < documents.length; i += batchSize) {
+      const batch = documents.slice(i, i + batchSize);
+      await this.vectorDB.addDocuments(this.collectionName, batch);
+      console.log(`Indexed batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(documents.length / batchSize)}`);
+    }
+  }
+
+  // Record where a book came from; attached to every document indexed for it
+  setBookSource(bookKey, source) {
+    if (source) {
+      this.bookSources.set(bookKey, source);
+    } else {
+      this.bookSources.delete(bookKey);
     }
   }
 
+  // (Re-)index a single parsed book, replacing any chunks it had before
+  async indexBook(bookKey, book, source = null) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    
+    if (source) {
+      this.setBookSource(bookKey, source);
+    }
+    
+    await this.removeBook(bookKey);
+    const documents = this.buildBookDocuments(bookKey, book);
+    await this.addDocumentsInBatches(documents);
+    
+    console.log(`Indexed ${documents.length} documents for ${bookKey}`);
+    return documents.length;
+  }
+
+  // Remove every indexed document of a book
+  async removeBook(bookKey) {
+    const collection = this.vectorDB.collections.get(this.collectionName);
+    if (!collection) return 0;
+    
+    const ids = collection.documents
+      .filter(document => document.textbook === bookKey)
+      .map(document => document.id);
+    
+    if (ids.length === 0) return 0;
+    return this.vectorDB.deleteDocuments(this.collectionName, ids);
+  }
+
   // Retrieve relevant content for a query
   async retrieve(query, options = {}) {
     if (!this.initialized) {
@@ -162,36 +261,20 @@ class RAGService {
       topK = this.maxRetrievalResults,
       threshold = this.relevanceThreshold,
       includeContext = true,
-      searchType = 'hybrid' // 'semantic', 'keyword', 'hybrid'
+      searchType = 'hybrid', // 'semantic', 'keyword', 'hybrid'
+      filter = null, // e.g. { textbook: 'attached', 'metadata.type': 'concept' }
+      fusion = 'weighted', // Hybrid fusion: 'weighted' or 'rrf'
+      rewrite = this.queryUnderstanding.enabled, // Expand the query into concept sub-queries
+      maxHops = this.queryUnderstanding.maxHops,
+      maxSearches = this.queryUnderstanding.maxSearches
     } = options;
 
+    const searchOptions = { topK, threshold, includeContext, searchType, filter, fusion };
+
     try {
-      let results;
-      
-      switch (searchType) {
-        case 'semantic':
-          results = await this.vectorDB.search(this.collectionName, query, {
-            topK,
-            threshold,
-            includeMetadata: true,
-            contextWindow: includeContext ? this.contextWindow : 0
-          });
-          break;
-          
-        case 'keyword':
-          results = this.vectorDB.keywordSearch(this.collectionName, query, { topK });
-          break;
-          
-        case 'hybrid':
-        default:
-          results = await this.vectorDB.hybridSearch(this.collectionName, query, {
-            topK,
-            threshold,
-            semanticWeight: 0.7,
-            keywordWeight: 0.3
-          });
-          break;
-      }
+      const results = rewrite
+        ? await this.retrieveMultiHop(query, searchOptions, maxHops, maxSearches)
+        : await this.search(query, searchOptions);
       
       // Enhance results with additional context
       const enhancedResults = this.enhanceResults(results, query);
@@ -204,6 +287,94 @@ class RAGService {
     }
   }
 
+  // Run a single query against the collection
+  async search(query, options) {
+    const { topK, threshold, includeContext, searchType, filter, fusion } = options;
+
+    switch (searchType) {
+      case 'semantic':
+        return this.vectorDB.search(this.collectionName, query, {
+          topK,
+          threshold,
+          includeMetadata: true,
+          contextWindow: includeContext ? this.contextWindow : 0,
+          filter
+        });
+        
+      case 'keyword':
+        return this.vectorDB.keywordSearch(this.collectionName, query, { topK, filter });
+        
+      case 'hybrid':
+      default:
+        return this.vectorDB.hybridSearch(this.collectionName, query, {
+          topK,
+          threshold,
+          semanticWeight: 0.7,
+          keywordWeight: 0.3,
+          filter,
+          fusion
+        });
+    }
+  }
+
+  // Rewrite the query, search the sub-queries and fuse the rankings; each further hop
+  // searches concepts that the best results so far brought up. At most maxSearches searches
+  // run in total, taken in plan order (original first), so one message can't fan out unbounded.
+  async retrieveMultiHop(query, searchOptions, maxHops = 1, maxSearches = Infinity) {
+    const plan = QueryRewriter.rewrite(query);
+    const fused = new Map(); // id -> { result, score, matchedQueries }
+    plan.subQueries = plan.subQueries.slice(0, Math.max(1, maxSearches));
+    let pending = plan.subQueries;
+    let ranked = [];
+
+    for (let hop = 0; hop < maxHops && pending.length > 0; hop++) {
+      for (const subQuery of pending) {
+        const results = await this.search(subQuery.text, searchOptions);
+        results.forEach((result, index) => {
+          const entry = fused.get(result.id) || { result, score: 0, matchedQueries: [] };
+          entry.score += subQuery.weight / (QueryRewriter.rankConstant + index + 1); // Weighted reciprocal rank fusion
+          entry.matchedQueries.push(subQuery.text);
+          fused.set(result.id, entry);
+        });
+      }
+
+      ranked = Array.from(fused.values()).sort((a, b) => b.score - a.score);
+      if (hop + 1 >= maxHops) break;
+
+      pending = QueryRewriter.refine(plan, ranked.slice(0, searchOptions.topK).map(entry => entry.result), hop + 1)
+        .slice(0, Math.max(0, maxSearches - plan.subQueries.length));
+      plan.subQueries.push(...pending);
+    }
+
+    this.logQueryPlan(plan);
+
+    return ranked.slice(0, searchOptions.topK).map(entry => ({
+      ...entry.result,
+      fusedScore: entry.score,
+      matchedQueries: entry.matchedQueries
+    }));
+  }
+
+  // Keep recent query expansions for debugging retrieval
+  logQueryPlan(plan) {
+    console.log(`🔎 Query rewrite for "${plan.original}": ${QueryRewriter.describe(plan)}`);
+
+    this.queryLog.push({
+      query: plan.original,
+      keywords: plan.keywords,
+      concepts: plan.concepts,
+      subQueries: plan.subQueries,
+      loggedAt: new Date().toISOString()
+    });
+    if (this.queryLog.length > this.maxQueryLogSize) {
+      this.queryLog.shift();
+    }
+  }
+
+  getQueryLog() {
+    return [...this.queryLog];
+  }
+
   // Enhance retrieval results with additional context
   enhanceResults(results, query) {
     return results.map(result => {
@@ -258,7 +429,10 @@ class RAGService {
       'the_four_agreements': 'The Four Agreements'
     };
     
-    info.textbookTitle = textbookTitles[result.textbook] || result.textbook;
+    info.textbookTitle = textbookTitles[result.textbook] || result.metadata?.source?.title || result.textbook;
+    if (result.metadata?.source) {
+      info.source = result.metadata.source;
+    }
     
     return info;
   }
@@ -283,8 +457,9 @@ class RAGService {
         return null; // No relevant content found
       }
 
-      // Build context from retrieved content
-      const context = this.buildContext(retrievedContent, maxContextLength);
+      // Build numbered context so the answer can cite passages as [n]
+      const citations = this.buildCitations(retrievedContent, maxContextLength);
+      const context = this.buildContext(citations);
       
       // Generate response with context
       const response = this.generateContextualResponse(
@@ -298,6 +473,7 @@ class RAGService {
         response,
         retrievedContent,
         context,
+        citations,
         sources: includeSourceCitations ? this.generateSourceCitations(retrievedContent) : null
       };
 
@@ -307,23 +483,50 @@ class RAGService {
     }
   }
 
-  // Build context from retrieved content
-  buildContext(retrievedContent, maxLength) {
-    let context = '';
+  // Number retrieved passages that fit in the context budget: [{ marker, id, content, ... }]
+  buildCitations(retrievedContent, maxLength = 2000) {
+    const citations = [];
     let currentLength = 0;
-    
+
     for (const result of retrievedContent) {
-      const addition = `[${result.sourceInfo.textbookTitle}] ${result.content}\n\n`;
-      
-      if (currentLength + addition.length > maxLength) {
+      const citation = {
+        marker: citations.length + 1,
+        id: result.id,
+        content: result.content,
+        textbook: result.textbook,
+        textbookTitle: result.sourceInfo?.textbookTitle || result.textbook,
+        chapter: result.chapter || null,
+        concept: result.concept || null
+      };
+      const length = this.formatCitation(citation).length;
+
+      if (currentLength + length > maxLength) {
         break;
       }
-      
-      context += addition;
-      currentLength += addition.length;
+
+      citations.push(citation);
+      currentLength += length;
     }
-    
-    return context.trim();
+
+    return citations;
+  }
+
+  formatCitation(citation) {
+    const source = citation.chapter
+      ? `${citation.textbookTitle} — ${citation.chapter}`
+      : citation.textbookTitle;
+    return `[${citation.marker}] [${source}] ${citation.content}\n\n`;
+  }
+
+  // Build context from numbered citations
+  buildContext(citations) {
+    return citations.map(citation => this.formatCitation(citation)).join('').trim();
+  }
+
+  // Check an answer against the citations it was generated from
+  // Returns { answer, citations, supportingSpans, unsupportedClaims, groundingScore }
+  verifyGrounding(answer, citations = []) {
+    return GroundingVerifier.verify(answer, citations);
   }
 
   // Generate contextual response
@@ -339,11 +542,17 @@ User's question: ${query}
 Previous conversation context:
 ${conversationHistory.slice(-3).map(msg => `${msg.role}: ${msg.content}`).join('\n')}
 
-Please respond in a ${style} tone as Soul, the wise relationship friend. Use the context to provide insights but keep it natural and conversational. Don't just quote the books - integrate the wisdom naturally into your response.`;
+Please respond in a ${style} tone as Soul, the wise relationship friend. Use the context to provide insights but keep it natural and conversational. Don't just quote the books - integrate the wisdom naturally into your response.
+
+${this.getCitationInstructions()}`;
 
     return prompt;
   }
 
+  getCitationInstructions() {
+    return 'When a sentence draws on a numbered passage, end it with that marker, e.g. [1] or [2, 3]. Only cite passages that actually say what the sentence claims, and never invent markers.';
+  }
+
   // Generate source citations
   generateSourceCitations(retrievedContent) {
     const sources = new Map();
@@ -374,8 +583,25 @@ Please respond in a ${style} tone as Soul, the wise relationship friend. Use the
     }));
   }
 
-  // Chunk content for better retrieval
-  chunkContent(content, maxChunkSize = 500, overlap = 50) {
+  // Chunk content for better retrieval using the configured strategy
+  // markdown: section/list/concept aware, sized in tokens, content-hash ids and heading paths
+  chunkContent(content, options = {}) {
+    const {
+      strategy = this.chunking.strategy,
+      maxTokens = this.chunking.maxTokens,
+      overlapTokens = this.chunking.overlapTokens,
+      headingPath = []
+    } = options;
+
+    if (strategy === 'sentence') {
+      return this.chunkBySentences(content);
+    }
+
+    return chunkMarkdown(content, { maxTokens, overlapTokens, headingPath });
+  }
+
+  // Fixed-size sentence chunking (original strategy)
+  chunkBySentences(content, maxChunkSize = 500, overlap = 50) {
     const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 0);
     const chunks = [];
     let currentChunk = '';
@@ -454,29 +680,25 @@ Please respond in a ${style} tone as Soul, the wise relationship friend. Use the
 
   // Search for specific concepts
   async searchConcepts(conceptQuery, options = {}) {
-    const results = await this.retrieve(conceptQuery, {
+    return this.retrieve(conceptQuery, {
       ...options,
-      searchType: 'semantic'
+      searchType: 'semantic',
+      filter: combineFilters(options.filter, {
+        $or: [
+          { 'metadata.type': 'concept' },
+          { concept: { $exists: true } }
+        ]
+      })
     });
-    
-    return results.filter(result => 
-      result.metadata?.type === 'concept' || 
-      result.concept
-    );
   }
 
   // Search for practical applications
   async searchPracticalApplications(query, options = {}) {
-    const results = await this.retrieve(query, {
+    return this.retrieve(query, {
       ...options,
-      searchType: 'hybrid'
+      searchType: 'hybrid',
+      filter: combineFilters(options.filter, { 'metadata.type': 'practical_application' })
     });
-    
-    return results.filter(result => 
-      result.metadata?.type === 'practical_application' ||
-      result.content.toLowerCase().includes('practice') ||
-      result.content.toLowerCase().includes('application')
-    );
   }
 }
 
@@ -5,6 +5,7 @@ const ProgressTracker = require('./ProgressTracker');
 const PsychologyKnowledgeBase = require('./PsychologyKnowledgeBase');
 const VirtueElicitationAgent = require('./agents/VirtueElicitationAgent');
 const AffectiveAgent = require('./agents/AffectiveAgent');
+const SafetyMonitor = require('./safety/SafetyMonitor').default;
 
 class SoulAIOrchestrator {
   constructor() {
@@ -38,6 +39,18 @@ class SoulAIOrchestrator {
   }
 
   async generateContextualResponse(userInput, conversationHistory, userProfile, matchingStatus) {
+    // Step 0: Crisis check before any coaching or matchmaking
+    const safety = await SafetyMonitor.assess(userInput, {
+      userId: userProfile?.userId || userProfile?.id || null,
+      userName: userProfile?.name,
+      conversationHistory,
+      locale: userProfile?.locale,
+      source: 'soulai_orchestrator'
+    });
+    if (safety.safeMode) {
+      return this.generateSafeResponse(userInput, safety);
+    }
+
     if (!this.enabled) {
       return this.getFallbackResponse(userInput, matchingStatus);
     }
@@ -120,6 +133,21 @@ class SoulAIOrchestrator {
     }
   }
 
+  // Safe-response mode: no progress talk, overlays or matchmaking, and always a helpline
+  async generateSafeResponse(userInput, safety) {
+    if (!this.enabled) {
+      return SafetyMonitor.buildSafeResponse(safety);
+    }
+
+    try {
+      const result = await this.llm.pipe(this.outputParser).invoke(`${safety.systemPrompt}\n\nUser: ${userInput}`);
+      return SafetyMonitor.ensureResources(result, safety);
+    } catch (error) {
+      console.error('Error generating safe response:', error);
+      return SafetyMonitor.buildSafeResponse(safety);
+    }
+  }
+
   generateSharedNarrative(conversationHistory, userProfile) {
     const messageCount = conversationHistory?.length || 0;
     
@@ -11,6 +11,7 @@ import { HHCPersonalityVector, HHCUtils } from './compatibility/HHCPersonalitySy
 import { HarmonyAlgorithm } from './compatibility/HarmonyAlgorithm.js';
 import { initializeDemoMatchmaking } from './compatibility/DemoData.js';
 import ChatGPTService from './ChatGPTService.js';
+import InteractionHistory from './discovery/InteractionHistory.js';
 
 export class SoulMatchmakingService {
   constructor() {
@@ -19,6 +20,9 @@ export class SoulMatchmakingService {
     this.isInitialized = false;
     this.userProfile = null;
     this.activeConversations = new Map();
+    
+    // Undoing a like or pass takes back the weight changes its feedback caused
+    InteractionHistory.registerLearningReverter('harmony', ({ feedbackId }) => this.harmonyAlgorithm.revertFeedback(feedbackId));
   }
 
   /**
@@ -312,6 +316,10 @@ export class SoulMatchmakingService {
         candidate.hhcVector,
         feedback
       );
+      // Only undoable with the like or pass it describes; feedback on its own stays learned
+      await InteractionHistory.attachLearning(this.userProfile.id, matchId, 'harmony', { feedbackId: learningUpdate.id }, {
+        actions: feedback.liked ? ['like', 'super_like'] : ['pass']
+      });
 
       // Process feedback to improve future recommendations
       if (feedback.text) {
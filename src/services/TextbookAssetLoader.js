@@ -8,9 +8,28 @@ class TextbookAssetLoader {
   constructor() {
     this.loadedTextbooks = new Map();
     this.loadingPromises = new Map();
+    this.importedTextbooks = new Set();
     this.initialized = false;
   }
 
+  // Where user-imported books are stored (also the first path loadFromFileSystem checks)
+  getUserTextbookDirectory() {
+    return `${FileSystem.documentDirectory}assets/textbooks/`;
+  }
+
+  // Make an imported book available alongside the bundled ones
+  registerTextbook(bookKey, content = null) {
+    this.importedTextbooks.add(bookKey);
+    if (content) {
+      this.loadedTextbooks.set(bookKey, content);
+    }
+  }
+
+  unregisterTextbook(bookKey) {
+    this.importedTextbooks.delete(bookKey);
+    this.loadedTextbooks.delete(bookKey);
+  }
+
   // Initialize the textbook loader
   async initialize() {
     if (this.initialized) return;
@@ -85,7 +104,7 @@ class TextbookAssetLoader {
     try {
       // Try different possible paths
       const possiblePaths = [
-        `${FileSystem.documentDirectory}assets/textbooks/${bookKey}.md`,
+        `${this.getUserTextbookDirectory()}${bookKey}.md`,
         `${FileSystem.bundleDirectory}assets/textbooks/${bookKey}.md`,
         `${FileSystem.cacheDirectory}textbooks/${bookKey}.md`
       ];
@@ -348,9 +367,9 @@ The final chapter about achieving mastery in love - the ability to love uncondit
     return content;
   }
 
-  // Get all available textbooks
+  // Get all available textbooks (bundled, then user-imported)
   getAvailableTextbooks() {
-    return [
+    const bundled = [
       '5_love_languages',
       'DBT_training_manual',
       'Hold_me_tight_handbook',
@@ -393,6 +412,8 @@ The final chapter about achieving mastery in love - the ability to love uncondit
       'who_moved_my_cheese',
       'your_superstar_brain'
     ];
+
+    return [...bundled, ...Array.from(this.importedTextbooks).filter(bookKey => !bundled.includes(bookKey))];
   }
 
   // Preload essential textbooks
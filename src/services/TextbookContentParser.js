@@ -625,9 +625,11 @@ Training effective therapists requires focus on relationship skills, not just te
         }
       }
       
-      // Add content to current chapter
+      // Add content to current chapter (blank lines kept as paragraph breaks for chunking)
       if (currentChapter && line) {
         currentChapter.content += line + '\n';
+      } else if (currentChapter && !currentChapter.content.endsWith('\n\n')) {
+        currentChapter.content += '\n';
       }
     }
 
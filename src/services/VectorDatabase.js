@@ -1,15 +1,51 @@
 // Vector Database Service for RAG System
-// In-memory vector database with persistence support
+// In-memory vector database with pluggable, incremental persistence
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import VectorEmbeddingService from './VectorEmbeddingService';
+import { AsyncStorageVectorAdapter } from './storage/AsyncStorageVectorAdapter';
+import { HNSWIndex } from './indexing/HNSWIndex';
+import { compileFilter, computeFacets } from './indexing/MetadataFilter';
+import { InvertedIndex } from './indexing/InvertedIndex';
+
+// Collections created before providers were recorded were all built with OpenAI
+const LEGACY_EMBEDDING_PROVIDER = {
+  id: 'openai:text-embedding-3-small:1536',
+  name: 'openai',
+  model: 'text-embedding-3-small',
+  dimension: 1536
+};
 
 class VectorDatabase {
   constructor() {
     this.collections = new Map();
     this.initialized = false;
-    this.storageKey = 'soulai_vector_db';
-    this.maxCollectionSize = 5000; // Limit to prevent memory issues
+    this.storage = new AsyncStorageVectorAdapter();
+    this.maxCollectionSize = this.storage.maxDocumentsPerCollection; // Limit to prevent memory issues
+
+    // Approximate nearest-neighbour (HNSW) index settings
+    this.indexOptions = {
+      exactSearchThreshold: 1000, // Smaller collections use exact search
+      M: 16,
+      efConstruction: 100,
+      efSearch: 64,
+      rebuildDeletedRatio: 0.2 // Rebuild once this share of nodes is soft-deleted
+    };
+  }
+
+  // Tune the ANN index; existing indexes are rebuilt on next search
+  configureIndex(options = {}) {
+    this.indexOptions = { ...this.indexOptions, ...options };
+    for (const collection of this.collections.values()) {
+      collection.annIndex = null;
+    }
+  }
+
+  // Swap the persistence backend (AsyncStorage, SQLite, file system)
+  setStorageAdapter(adapter) {
+    this.storage = adapter;
+    this.maxCollectionSize = adapter.maxDocumentsPerCollection;
+    this.collections.clear();
+    this.initialized = false;
   }
 
   // Initialize the vector database
@@ -17,6 +53,7 @@ class VectorDatabase {
     if (this.initialized) return;
 
     try {
+      await this.storage.initialize();
       await this.loadFromStorage();
       this.initialized = true;
       console.log('Vector database initialized successfully');
@@ -34,7 +71,10 @@ class VectorDatabase {
 
     const collection = {
       name,
-      metadata,
+      metadata: {
+        ...metadata,
+        embeddingProvider: VectorEmbeddingService.getProviderInfo()
+      },
       documents: [],
       embeddings: [],
       createdAt: new Date().toISOString(),
@@ -42,7 +82,7 @@ class VectorDatabase {
     };
 
     this.collections.set(name, collection);
-    await this.saveToStorage();
+    await this.storage.saveCollection(collection);
     
     console.log(`Created collection: ${name}`);
     return collection;
@@ -55,6 +95,9 @@ class VectorDatabase {
       throw new Error(`Collection '${collectionName}' not found`);
     }
 
+    // Existing vectors must come from the same provider as the new ones
+    await this.ensureEmbeddingsCurrent(collection);
+
     // Prepare documents for embedding
     const textsToEmbed = documents.map(doc => 
       VectorEmbeddingService.preprocessText(doc.content)
@@ -65,7 +108,9 @@ class VectorDatabase {
       console.log(`Generating embeddings for ${documents.length} documents...`);
       const embeddings = await VectorEmbeddingService.getBatchEmbeddings(textsToEmbed);
 
-      // Add documents and embeddings to collection
+      // Build documents and embeddings for the new batch
+      const newDocuments = [];
+      const newEmbeddings = [];
       for (let i = 0; i < documents.length; i++) {
         const document = {
           id: documents[i].id || `doc_${Date.now()}_${i}`,
@@ -77,23 +122,56 @@ class VectorDatabase {
           addedAt: new Date().toISOString()
         };
 
-        collection.documents.push(document);
-        collection.embeddings.push({
-          id: document.id,
-          embedding: embeddings[i],
-          document: document
+        newDocuments.push(document);
+        newEmbeddings.push(embeddings[i]);
+      }
+
+      // Re-adding an existing id replaces the stored document
+      const newIds = new Set(newDocuments.map(doc => doc.id));
+      const replacedIds = collection.documents
+        .filter(doc => newIds.has(doc.id))
+        .map(doc => doc.id);
+      if (replacedIds.length > 0) {
+        await this.removeDocuments(collection, replacedIds);
+      }
+
+      // Only the new batch is written to storage
+      await this.storage.appendDocuments(collectionName, newDocuments, newEmbeddings);
+
+      collection.documents.push(...newDocuments);
+      if (collection.keywordIndex) {
+        for (const document of newDocuments) {
+          collection.keywordIndex.addDocument(document.id, document.content);
+        }
+      }
+      if (collection.embeddings) {
+        newDocuments.forEach((document, i) => {
+          const item = {
+            id: document.id,
+            embedding: newEmbeddings[i],
+            document: document
+          };
+          collection.embeddings.push(item);
+
+          // Keep an existing ANN index in step with the collection
+          if (collection.annIndex) {
+            collection.annIndex.add(item.id, item.embedding);
+            collection.annItems.set(item.id, item);
+          }
         });
       }
 
       // Limit collection size
       if (collection.documents.length > this.maxCollectionSize) {
         const excess = collection.documents.length - this.maxCollectionSize;
-        collection.documents.splice(0, excess);
-        collection.embeddings.splice(0, excess);
+        await this.removeDocuments(
+          collection,
+          collection.documents.slice(0, excess).map(doc => doc.id)
+        );
       }
 
       collection.updatedAt = new Date().toISOString();
-      await this.saveToStorage();
+      await this.storage.saveCollection(collection);
 
       console.log(`Added ${documents.length} documents to collection ${collectionName}`);
       return collection.documents.length;
@@ -109,7 +187,10 @@ class VectorDatabase {
       topK = 5,
       threshold = 0.5,
       includeMetadata = true,
-      contextWindow = 2
+      contextWindow = 2,
+      exact = false, // Force a brute-force scan
+      efSearch = this.indexOptions.efSearch,
+      filter = null // Metadata filter, see indexing/MetadataFilter.js
     } = options;
 
     const collection = this.collections.get(collectionName);
@@ -117,21 +198,43 @@ class VectorDatabase {
       throw new Error(`Collection '${collectionName}' not found`);
     }
 
-    if (collection.embeddings.length === 0) {
+    if (collection.documents.length === 0) {
       return [];
     }
 
     try {
+      await this.ensureEmbeddingsCurrent(collection);
+      await this.ensureEmbeddingsLoaded(collection);
+
       // Generate embedding for the query
       const queryText = VectorEmbeddingService.preprocessText(query);
       const queryEmbedding = await VectorEmbeddingService.getEmbedding(queryText);
 
-      // Find most similar documents
-      const similarities = VectorEmbeddingService.findMostSimilar(
-        queryEmbedding,
-        collection.embeddings,
-        topK
-      );
+      // Restrict candidates before scoring
+      const matchesFilter = compileFilter(filter);
+      const candidates = filter
+        ? collection.embeddings.filter(item => matchesFilter(item.document))
+        : collection.embeddings;
+
+      // Find most similar documents (ANN index for large candidate sets, exact scan otherwise)
+      const annIndex = exact || candidates.length < this.indexOptions.exactSearchThreshold
+        ? null
+        : this.getAnnIndex(collection);
+      let similarities;
+
+      if (annIndex) {
+        // Widen the beam in proportion to how selective the filter is
+        const selectivity = candidates.length / collection.embeddings.length;
+        const accept = filter ? id => matchesFilter(collection.annItems.get(id).document) : null;
+        similarities = annIndex
+          .search(queryEmbedding, topK, Math.ceil(efSearch / selectivity), accept)
+          .map(match => ({
+            similarity: match.similarity,
+            item: collection.annItems.get(match.id)
+          }));
+      } else {
+        similarities = VectorEmbeddingService.findMostSimilar(queryEmbedding, candidates, topK);
+      }
 
       // Filter by threshold and format results
       const results = similarities
@@ -160,6 +263,127 @@ class VectorDatabase {
     }
   }
 
+  // Delete documents from a collection by id
+  async deleteDocuments(collectionName, documentIds) {
+    const collection = this.collections.get(collectionName);
+    if (!collection) {
+      throw new Error(`Collection '${collectionName}' not found`);
+    }
+
+    const removed = await this.removeDocuments(collection, documentIds);
+    collection.updatedAt = new Date().toISOString();
+    await this.storage.saveCollection(collection);
+
+    return removed;
+  }
+
+  // Remove documents from memory and storage, returns the number removed
+  async removeDocuments(collection, documentIds) {
+    const ids = new Set(documentIds);
+    const before = collection.documents.length;
+
+    collection.documents = collection.documents.filter(doc => !ids.has(doc.id));
+    if (collection.embeddings) {
+      collection.embeddings = collection.embeddings.filter(item => !ids.has(item.id));
+    }
+    if (collection.keywordIndex) {
+      for (const id of ids) {
+        collection.keywordIndex.removeDocument(id);
+      }
+    }
+    if (collection.annIndex) {
+      for (const id of ids) {
+        collection.annIndex.remove(id);
+        collection.annItems.delete(id);
+      }
+    }
+
+    await this.storage.deleteDocuments(collection.name, Array.from(ids));
+    return before - collection.documents.length;
+  }
+
+  // Load embeddings on first use instead of at startup
+  async ensureEmbeddingsLoaded(collection) {
+    if (collection.embeddings) return;
+
+    const documentsById = new Map(collection.documents.map(doc => [doc.id, doc]));
+    const stored = await this.storage.loadEmbeddings(collection.name);
+
+    collection.embeddings = stored
+      .filter(item => documentsById.has(item.id))
+      .map(item => ({
+        id: item.id,
+        embedding: item.embedding,
+        document: documentsById.get(item.id)
+      }));
+    console.log(`Loaded ${collection.embeddings.length} embeddings for collection ${collection.name}`);
+  }
+
+  // Re-embed a collection when the active embedding provider differs from the one that built it
+  async ensureEmbeddingsCurrent(collection) {
+    const current = VectorEmbeddingService.getProviderInfo();
+    const recorded = collection.metadata?.embeddingProvider || LEGACY_EMBEDDING_PROVIDER;
+    if (recorded.id === current.id) return;
+
+    if (collection.documents.length > 0) {
+      console.log(`Re-embedding ${collection.name}: ${recorded.id} -> ${current.id}`);
+      await this.reembedCollection(collection);
+    }
+
+    collection.metadata = { ...collection.metadata, embeddingProvider: current };
+    await this.storage.saveCollection(collection);
+  }
+
+  // Regenerate every embedding of a collection with the active provider
+  async reembedCollection(collection) {
+    const batchSize = 100;
+    const embeddings = [];
+
+    for (let i = 0; i < collection.documents.length; i += batchSize) {
+      const batch = collection.documents.slice(i, i + batchSize);
+      const vectors = await VectorEmbeddingService.getBatchEmbeddings(
+        batch.map(doc => VectorEmbeddingService.preprocessText(doc.content))
+      );
+
+      // Replace batch by batch; processing in order keeps the original document order
+      await this.storage.deleteDocuments(collection.name, batch.map(doc => doc.id));
+      await this.storage.appendDocuments(collection.name, batch, vectors);
+
+      batch.forEach((doc, j) => {
+        embeddings.push({ id: doc.id, embedding: vectors[j], document: doc });
+      });
+    }
+
+    collection.embeddings = embeddings;
+    collection.annIndex = null;
+    collection.updatedAt = new Date().toISOString();
+  }
+
+  // Get (building if needed) the ANN index of a collection, null when exact search is used
+  getAnnIndex(collection) {
+    const { exactSearchThreshold, rebuildDeletedRatio, M, efConstruction, efSearch } = this.indexOptions;
+
+    if (collection.embeddings.length < exactSearchThreshold) {
+      return null;
+    }
+
+    const index = collection.annIndex;
+    if (index && index.deleted.size <= index.size * rebuildDeletedRatio) {
+      return index;
+    }
+
+    const startTime = Date.now();
+    collection.annIndex = new HNSWIndex({ M, efConstruction, efSearch });
+    collection.annItems = new Map();
+    for (const item of collection.embeddings) {
+      collection.annIndex.add(item.id, item.embedding);
+      collection.annItems.set(item.id, item);
+    }
+
+    console.log(`Built HNSW index for ${collection.name} (${collection.embeddings.length} vectors) in ${Date.now() - startTime}ms`);
+    return collection.annIndex;
+  }
+
   // Get document context (surrounding documents)
   getDocumentContext(collection, documentId, windowSize) {
     const docIndex = collection.documents.findIndex(doc => doc.id === documentId);
@@ -181,24 +405,29 @@ class VectorDatabase {
       topK = 5,
       semanticWeight = 0.7,
       keywordWeight = 0.3,
-      threshold = 0.3
+      threshold = 0.3,
+      filter = null,
+      fusion = 'weighted', // 'weighted' score blend or 'rrf' (reciprocal rank fusion)
+      rrfK = 60
     } = options;
 
     // Get semantic search results
     const semanticResults = await this.search(collectionName, query, { 
       topK: topK * 2, 
-      threshold: 0.1 
+      threshold: 0.1,
+      filter
     });
 
     // Get keyword search results
-    const keywordResults = this.keywordSearch(collectionName, query, { topK: topK * 2 });
+    const keywordResults = this.keywordSearch(collectionName, query, { topK: topK * 2, filter });
 
     // Combine and score results
     const combinedResults = this.combineSearchResults(
       semanticResults,
       keywordResults,
       semanticWeight,
-      keywordWeight
+      keywordWeight,
+      { fusion, rrfK }
     );
 
     // Filter and sort by combined score
@@ -208,75 +437,123 @@ class VectorDatabase {
       .slice(0, topK);
   }
 
-  // Keyword search within collection
+  // Keyword search within collection (BM25 over an inverted index)
+  // Quoted parts of the query are matched as phrases, e.g. '"fear of abandonment" partner'
   keywordSearch(collectionName, query, options = {}) {
-    const { topK = 5, caseSensitive = false } = options;
+    const { topK = 5, filter = null } = options;
     const collection = this.collections.get(collectionName);
     
     if (!collection) {
       throw new Error(`Collection '${collectionName}' not found`);
     }
 
-    const searchTerms = query.toLowerCase().split(/\s+/);
-    const results = [];
+    const index = this.getKeywordIndex(collection);
+    const documentsById = new Map(collection.documents.map(doc => [doc.id, doc]));
+    const matchesFilter = compileFilter(filter);
 
-    for (const doc of collection.documents) {
-      const content = caseSensitive ? doc.content : doc.content.toLowerCase();
-      let score = 0;
+    const matches = index.search(query, {
+      topK,
+      accept: filter ? id => matchesFilter(documentsById.get(id)) : null
+    });
+    if (matches.length === 0) return [];
+
+    // Normalize BM25 to 0-1 against the best match so it can be blended with similarity
+    const topScore = matches[0].score;
+    return matches.map(match => {
+      const doc = documentsById.get(match.id);
+      return {
+        id: doc.id,
+        content: doc.content,
+        keywordScore: topScore > 0 ? match.score / topScore : 0,
+        bm25Score: match.score,
+        metadata: doc.metadata,
+        textbook: doc.textbook,
+        chapter: doc.chapter,
+        concept: doc.concept
+      };
+    });
+  }
 
-      for (const term of searchTerms) {
-        const matches = (content.match(new RegExp(term, 'g')) || []).length;
-        score += matches;
+  // Get (building if needed) the inverted index of a collection
+  getKeywordIndex(collection) {
+    if (!collection.keywordIndex) {
+      collection.keywordIndex = new InvertedIndex();
+      for (const doc of collection.documents) {
+        collection.keywordIndex.addDocument(doc.id, doc.content);
       }
+    }
+    return collection.keywordIndex;
+  }
 
-      if (score > 0) {
-        results.push({
-          id: doc.id,
-          content: doc.content,
-          keywordScore: score / searchTerms.length,
-          metadata: doc.metadata,
-          textbook: doc.textbook,
-          chapter: doc.chapter,
-          concept: doc.concept
-        });
-      }
+  // Hybrid search plus facet counts over the documents matching the filter
+  async facetedSearch(collectionName, query, options = {}) {
+    const { facets = ['textbook', 'chapter', 'metadata.type'], filter = null } = options;
+
+    const results = await this.hybridSearch(collectionName, query, options);
+    return {
+      results,
+      facets: this.getFacets(collectionName, facets, filter)
+    };
+  }
+
+  // Count documents per value of each facet field, e.g. ['textbook', 'metadata.type']
+  getFacets(collectionName, fields, filter = null) {
+    const collection = this.collections.get(collectionName);
+    if (!collection) {
+      throw new Error(`Collection '${collectionName}' not found`);
     }
 
-    return results
-      .sort((a, b) => b.keywordScore - a.keywordScore)
-      .slice(0, topK);
+    const matchesFilter = compileFilter(filter);
+    return computeFacets(collection.documents.filter(doc => matchesFilter(doc)), fields);
   }
 
   // Combine semantic and keyword search results
-  combineSearchResults(semanticResults, keywordResults, semanticWeight, keywordWeight) {
+  combineSearchResults(semanticResults, keywordResults, semanticWeight, keywordWeight, options = {}) {
+    const { fusion = 'weighted', rrfK = 60 } = options;
     const resultMap = new Map();
 
     // Add semantic results
-    for (const result of semanticResults) {
+    semanticResults.forEach((result, rank) => {
       resultMap.set(result.id, {
         ...result,
         semanticScore: result.similarity || 0,
-        keywordScore: 0
+        keywordScore: 0,
+        semanticRank: rank + 1,
+        keywordRank: null
       });
-    }
+    });
 
     // Add keyword results
-    for (const result of keywordResults) {
+    keywordResults.forEach((result, rank) => {
       if (resultMap.has(result.id)) {
-        resultMap.get(result.id).keywordScore = result.keywordScore;
+        const existing = resultMap.get(result.id);
+        existing.keywordScore = result.keywordScore;
+        existing.bm25Score = result.bm25Score;
+        existing.keywordRank = rank + 1;
       } else {
         resultMap.set(result.id, {
           ...result,
           semanticScore: 0,
-          keywordScore: result.keywordScore
+          keywordScore: result.keywordScore,
+          semanticRank: null,
+          keywordRank: rank + 1
         });
       }
-    }
+    });
+
+    // Reciprocal rank fusion, scaled so a first place in both lists scores 1
+    const rrfScore = result => {
+      const semantic = result.semanticRank ? semanticWeight / (rrfK + result.semanticRank) : 0;
+      const keyword = result.keywordRank ? keywordWeight / (rrfK + result.keywordRank) : 0;
+      return (semantic + keyword) / ((semanticWeight + keywordWeight) / (rrfK + 1));
+    };
 
     // Calculate combined scores
     const combinedResults = Array.from(resultMap.values()).map(result => ({
       ...result,
-      combinedScore: (result.semanticScore * semanticWeight) + (result.keywordScore * keywordWeight)
+      combinedScore: fusion === 'rrf'
+        ? rrfScore(result)
+        : (result.semanticScore * semanticWeight) + (result.keywordScore * keywordWeight)
     }));
 
     return combinedResults;
@@ -292,7 +569,9 @@ class VectorDatabase {
     return {
       name: collectionName,
       documentCount: collection.documents.length,
-      embeddingCount: collection.embeddings.length,
+      embeddingCount: collection.embeddings ? collection.embeddings.length : collection.documents.length,
+      embeddingsLoaded: Boolean(collection.embeddings),
+      annIndex: collection.annIndex ? collection.annIndex.getStats() : null,
       createdAt: collection.createdAt,
       updatedAt: collection.updatedAt,
       metadata: collection.metadata
@@ -314,40 +593,33 @@ class VectorDatabase {
     }
 
     this.collections.delete(collectionName);
-    await this.saveToStorage();
+    await this.storage.deleteCollection(collectionName);
     console.log(`Deleted collection: ${collectionName}`);
   }
 
   // Clear all data
   async clearAll() {
     this.collections.clear();
-    await this.saveToStorage();
+    await this.storage.clear();
     console.log('Cleared all vector database data');
   }
 
-  // Save database to AsyncStorage
-  async saveToStorage() {
-    try {
-      const data = {
-        collections: Array.from(this.collections.entries()),
-        savedAt: new Date().toISOString()
-      };
-
-      await AsyncStorage.setItem(this.storageKey, JSON.stringify(data));
-    } catch (error) {
-      console.error('Error saving vector database to storage:', error);
-    }
-  }
-
-  // Load database from AsyncStorage
+  // Load collection records and documents from storage (embeddings load lazily)
   async loadFromStorage() {
     try {
-      const data = await AsyncStorage.getItem(this.storageKey);
-      if (data) {
-        const parsed = JSON.parse(data);
-        this.collections = new Map(parsed.collections);
-        console.log('Loaded vector database from storage');
+      const records = await this.storage.listCollections();
+      this.collections = new Map();
+
+      for (const record of records) {
+        const documents = await this.storage.loadDocuments(record.name);
+        this.collections.set(record.name, {
+          ...record,
+          documents,
+          embeddings: null
+        });
       }
+
+      console.log(`Loaded ${records.length} vector collections from ${this.storage.name} storage`);
     } catch (error) {
       console.error('Error loading vector database from storage:', error);
     }
@@ -361,6 +633,7 @@ class VectorDatabase {
 
     return {
       initialized: this.initialized,
+      storageAdapter: this.storage.name,
       collectionCount: collections.length,
       totalDocuments,
       totalEmbeddings,
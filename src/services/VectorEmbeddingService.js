@@ -1,13 +1,65 @@
 // Vector Embedding Service for RAG System
-// Handles text-to-vector conversion using OpenAI embeddings API
+// Handles text-to-vector conversion through a pluggable embedding provider
+//
+// Providers: 'openai' (remote API) and 'local' (deterministic hashed n-grams, works offline).
+// Select with EXPO_PUBLIC_EMBEDDING_PROVIDER or setProvider(); defaults to openai when a key is set.
+
+import { OpenAIEmbeddingProvider } from './embeddings/OpenAIEmbeddingProvider';
+import { LocalEmbeddingProvider } from './embeddings/LocalEmbeddingProvider';
 
 class VectorEmbeddingService {
   constructor() {
-    this.apiKey = process.env.EXPO_PUBLIC_OPENAI_API_KEY || null;
-    this.embeddingModel = 'text-embedding-3-small'; // More cost-effective than ada-002
+    this.providers = {
+      openai: new OpenAIEmbeddingProvider(),
+      local: new LocalEmbeddingProvider()
+    };
+    this.provider = this.selectDefaultProvider();
     this.embeddingCache = new Map();
     this.maxCacheSize = 1000;
-    this.embeddingDimension = 1536; // Dimension for text-embedding-3-small
+  }
+
+  selectDefaultProvider() {
+    const configured = process.env.EXPO_PUBLIC_EMBEDDING_PROVIDER;
+    if (configured && this.providers[configured]) {
+      return this.providers[configured];
+    }
+    return this.providers.openai.isAvailable() ? this.providers.openai : this.providers.local;
+  }
+
+  async initialize() {
+    console.log(`Embedding provider: ${this.getProviderInfo().id}`);
+  }
+
+  // Register a custom provider: { name, model, dimension, embed(texts) }
+  registerProvider(name, provider) {
+    this.providers[name] = provider;
+  }
+
+  // Switch provider; collections built with another provider are re-embedded on next use
+  setProvider(name) {
+    if (!this.providers[name]) {
+      throw new Error(`Unknown embedding provider '${name}'`);
+    }
+    this.provider = this.providers[name];
+  }
+
+  // Identity of the active provider, recorded on every collection it builds
+  getProviderInfo() {
+    const { name, model, dimension } = this.provider;
+    return {
+      id: `${name}:${model}:${dimension}`,
+      name,
+      model,
+      dimension
+    };
+  }
+
+  get embeddingModel() {
+    return this.provider.model;
+  }
+
+  get embeddingDimension() {
+    return this.provider.dimension;
   }
 
   // Get embedding for a text string
@@ -37,31 +89,10 @@ class VectorEmbeddingService {
     }
   }
 
-  // Generate embedding using OpenAI API
+  // Generate embedding with the active provider
   async generateEmbedding(text) {
-    if (!this.apiKey) {
-      throw new Error('OpenAI API key not configured');
-    }
-
-    const response = await fetch('https://api.openai.com/v1/embeddings', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`
-      },
-      body: JSON.stringify({
-        model: this.embeddingModel,
-        input: text.substring(0, 8000), // Limit to 8k chars to avoid token limits
-        encoding_format: 'float'
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data.data[0].embedding;
+    const [embedding] = await this.generateBatchEmbeddings([text]);
+    return embedding;
   }
 
   // Generate embeddings for multiple texts in batch
@@ -110,43 +141,16 @@ class VectorEmbeddingService {
     return results;
   }
 
-  // Generate batch embeddings using OpenAI API
+  // Generate batch embeddings with the active provider
   async generateBatchEmbeddings(texts) {
-    if (!this.apiKey) {
-      throw new Error('OpenAI API key not configured');
-    }
-
-    // Process texts in chunks to avoid API limits
-    const chunkSize = 100; // OpenAI allows up to 2048 inputs per request
-    const allEmbeddings = [];
-
-    for (let i = 0; i < texts.length; i += chunkSize) {
-      const chunk = texts.slice(i, i + chunkSize);
-      const processedChunk = chunk.map(text => text.substring(0, 8000)); // Limit token size
-
-      const response = await fetch('https://api.openai.com/v1/embeddings', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify({
-          model: this.embeddingModel,
-          input: processedChunk,
-          encoding_format: 'float'
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-      }
+    const embeddings = await this.provider.embed(texts);
 
-      const data = await response.json();
-      const embeddings = data.data.map(item => item.embedding);
-      allEmbeddings.push(...embeddings);
+    const invalid = embeddings.find(embedding => embedding.length !== this.provider.dimension);
+    if (invalid) {
+      throw new Error(`Embedding provider '${this.provider.name}' returned ${invalid.length} dimensions, expected ${this.provider.dimension}`);
     }
 
-    return allEmbeddings;
+    return embeddings;
   }
 
   // Calculate cosine similarity between two embeddings
@@ -185,8 +189,8 @@ class VectorEmbeddingService {
 
   // Cache management
   getCacheKey(text) {
-    // Create a hash-like key from text
-    return text.length + '_' + text.substring(0, 50).replace(/\s+/g, '_');
+    // Create a hash-like key from provider and text
+    return this.getProviderInfo().id + '_' + text.length + '_' + text.substring(0, 50).replace(/\s+/g, '_');
   }
 
   cacheEmbedding(key, embedding) {
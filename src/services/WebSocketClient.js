@@ -273,6 +273,19 @@ class WebSocketClient {
     this.sendMessage('match:unmatch', { matchId });
   }
 
+  // Take back a like or pass. If it is still waiting in the offline queue it is simply dropped.
+  undoInteraction(userId, action) {
+    const [event, key] = action === 'pass' ? ['match:pass_user', 'passedUserId'] : ['match:like_user', 'likedUserId'];
+    for (let i = this.messageQueue.length - 1; i >= 0; i--) {
+      if (this.messageQueue[i].event === event && String(this.messageQueue[i].data?.[key]) === String(userId)) {
+        this.messageQueue.splice(i, 1);
+        console.log('🗑️ Dropped queued message:', event);
+        return;
+      }
+    }
+    this.sendMessage('match:undo_interaction', { targetUserId: userId, action });
+  }
+
   // Chat actions
   joinConversation(matchId) {
     this.sendMessage('match:join_conversation', { matchId });
@@ -325,10 +338,11 @@ class WebSocketClient {
     this.sendMessage('user:update_status', { isOnline });
   }
 
-  updateLocation(longitude, latitude, city, state) {
+  // Only the geohash cell is shared (see LocationService); raw coordinates stay on the device
+  updateLocation(geohash, precision, city, state) {
     this.sendMessage('user:update_location', {
-      longitude,
-      latitude,
+      geohash,
+      precision,
       city,
       state
     });
@@ -382,62 +396,3 @@ class WebSocketClient {
 const webSocketClient = new WebSocketClient();
 
 export default webSocketClient;
-
-// ==========================================
-
-// hooks/useWebSocket.js - Fixed React Hook for WebSocket
-// Save in: frontend/src/hooks/useWebSocket.js
-
-import { useEffect, useContext, useCallback } from 'react';
-import webSocketClient from '../services/WebSocketClient';
-
-export const useWebSocket = () => {
-  const connectWebSocket = useCallback(async (userId, token) => {
-    try {
-      await webSocketClient.connect(userId, token);
-    } catch (error) {
-      console.error('❌ Failed to connect WebSocket:', error);
-    }
-  }, []);
-
-  const sendMessage = useCallback((event, data) => {
-    webSocketClient.sendMessage(event, data);
-  }, []);
-
-  const addEventListener = useCallback((event, callback) => {
-    webSocketClient.on(event, callback);
-    return () => webSocketClient.off(event, callback);
-  }, []);
-
-  useEffect(() => {
-    return () => {
-      webSocketClient.cleanup();
-    };
-  }, []);
-
-  return {
-    connect: connectWebSocket,
-    sendMessage,
-    addEventListener,
-    connectionStatus: webSocketClient.getConnectionStatus(),
-    // Match actions
-    likeUser: webSocketClient.likeUser.bind(webSocketClient),
-    passUser: webSocketClient.passUser.bind(webSocketClient),
-    unmatchUser: webSocketClient.unmatchUser.bind(webSocketClient),
-    // Chat actions
-    joinConversation: webSocketClient.joinConversation.bind(webSocketClient),
-    leaveConversation: webSocketClient.leaveConversation.bind(webSocketClient),
-    sendChatMessage: webSocketClient.sendChatMessage.bind(webSocketClient),
-    startTyping: webSocketClient.startTyping.bind(webSocketClient),
-    stopTyping: webSocketClient.stopTyping.bind(webSocketClient),
-    markMessagesAsRead: webSocketClient.markMessagesAsRead.bind(webSocketClient),
-    deleteMessage: webSocketClient.deleteMessage.bind(webSocketClient),
-    // SoulAI actions
-    sendSoulAIMessage: webSocketClient.sendSoulAIMessage.bind(webSocketClient),
-    requestMatches: webSocketClient.requestMatches.bind(webSocketClient),
-    requestCoaching: webSocketClient.requestCoaching.bind(webSocketClient),
-    // User actions
-    updateStatus: webSocketClient.updateStatus.bind(webSocketClient),
-    updateLocation: webSocketClient.updateLocation.bind(webSocketClient)
-  };
-};
\ No newline at end of file
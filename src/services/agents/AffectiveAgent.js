@@ -1,6 +1,24 @@
 const { ChatOpenAI } = require('@langchain/openai');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const { StringOutputParser } = require('@langchain/core/output_parsers');
+const StructuredOutput = require('../tools/StructuredOutput').default;
+
+StructuredOutput.define('affective_state', {
+  description: 'an emotional state analysis',
+  schema: {
+    type: 'object',
+    properties: {
+      valence: { type: 'string', enum: ['positive', 'negative', 'neutral'] },
+      energy: { type: 'string', enum: ['high', 'medium', 'low'] },
+      primary_emotion: { type: 'string', minLength: 1 },
+      intensity: { type: 'number', minimum: 1, maximum: 10 },
+      underlying_needs: { type: 'array', items: { type: 'string' }, default: [] },
+      recommended_response_style: { type: 'string', enum: ['sensitivity', 'celebration', 'clarity', 'curiosity'] },
+      confidence: { type: 'number', minimum: 0, maximum: 1, default: 0.5 }
+    },
+    required: ['valence', 'energy', 'primary_emotion', 'intensity', 'recommended_response_style']
+  }
+});
 
 class AffectiveAgent {
   constructor() {
@@ -53,7 +71,9 @@ class AffectiveAgent {
         ).join('\n') || 'No previous context'
       });
 
-      return JSON.parse(result);
+      return await StructuredOutput.parse('affective_state', result, {
+        repair: (prompt) => this.llm.pipe(this.outputParser).invoke(prompt)
+      });
     } catch (error) {
       console.error('Error analyzing emotional state:', error);
       return this.getSimpleEmotionalAnalysis(userMessage);
@@ -1,6 +1,28 @@
 const { ChatOpenAI } = require('@langchain/openai');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const { StringOutputParser } = require('@langchain/core/output_parsers');
+const StructuredOutput = require('../tools/StructuredOutput').default;
+
+StructuredOutput.define('weekly_strategy', {
+  description: 'a weekly strategic analysis',
+  schema: {
+    type: 'object',
+    properties: {
+      analysis: { type: 'string', minLength: 1 },
+      actionable_insights: { type: 'array', items: { type: 'string' }, minItems: 1 },
+      next_week_focus: {
+        type: 'object',
+        properties: {
+          focus: { type: 'string', minLength: 1 },
+          goals: { type: 'array', items: { type: 'string' }, minItems: 1 },
+          experiment: { type: 'string' }
+        },
+        required: ['focus', 'goals']
+      }
+    },
+    required: ['analysis', 'actionable_insights', 'next_week_focus']
+  }
+});
 
 class MasterMindAgent {
   constructor() {
@@ -49,9 +71,18 @@ class MasterMindAgent {
       5. **Strategic Recommendation**: One major shift that could transform their dating success
 
       Provide insights as a wise relationship strategist who sees the bigger picture.
-      Format your response in clear paragraphs with strategic insights.
-
       Focus on actionable, profound insights that could genuinely help them find love.
+
+      Return your response as JSON:
+      {{
+        "analysis": "your strategic insights in clear paragraphs",
+        "actionable_insights": ["specific thing to do", "another", "up to 3"],
+        "next_week_focus": {{
+          "focus": "theme for next week",
+          "goals": ["goal 1", "goal 2", "goal 3"],
+          "experiment": "one thing to try that is outside their usual pattern"
+        }}
+      }}
     `);
 
     try {
@@ -64,11 +95,15 @@ class MasterMindAgent {
         userBehavior: JSON.stringify(userBehavior, null, 2)
       });
 
+      const strategy = await StructuredOutput.parse('weekly_strategy', result, {
+        repair: (prompt) => this.llm.pipe(this.outputParser).invoke(prompt)
+      });
+
       return {
         type: 'strategic_analysis',
-        analysis: result,
-        actionableInsights: await this.extractActionableInsights(result),
-        nextWeekFocus: await this.generateNextWeekStrategy(userProfile, result)
+        analysis: strategy.analysis,
+        actionableInsights: strategy.actionable_insights.slice(0, 3), // Top 3 actionable insights
+        nextWeekFocus: strategy.next_week_focus
       };
     } catch (error) {
       console.error('Error in MasterMind strategic analysis:', error);
@@ -176,27 +211,6 @@ class MasterMindAgent {
     ).join('\n');
   }
 
-  async extractActionableInsights(analysis) {
-    // Extract specific actionable items from the strategic analysis
-    const insights = analysis.split('\n').filter(line => 
-      line.includes('should') || line.includes('could') || line.includes('try')
-    );
-
-    return insights.slice(0, 3); // Top 3 actionable insights
-  }
-
-  async generateNextWeekStrategy(userProfile, analysis) {
-    return {
-      focus: 'Authentic connection building',
-      goals: [
-        'Have 3 meaningful conversations',
-        'Ask one vulnerable question',
-        'Practice active listening'
-      ],
-      experiment: 'Try connecting with someone slightly outside your usual type'
-    };
-  }
-
   getFallbackAnalysis() {
     return {
       type: 'strategic_analysis',
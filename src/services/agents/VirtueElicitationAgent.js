@@ -1,6 +1,46 @@
 const { ChatOpenAI } = require('@langchain/openai');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const { StringOutputParser } = require('@langchain/core/output_parsers');
+const StructuredOutput = require('../tools/StructuredOutput').default;
+
+const VIRTUE_CATEGORIES = ['wisdom', 'courage', 'humanity', 'justice', 'temperance', 'transcendence'];
+
+const virtueList = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      virtue_category: { type: 'string', enum: VIRTUE_CATEGORIES },
+      specific_strength: { type: 'string', minLength: 1 },
+      evidence: { type: 'string', default: '' },
+      confidence: { type: 'number', minimum: 0, maximum: 1, default: 0.5 }
+    },
+    required: ['virtue_category', 'specific_strength']
+  }
+};
+
+StructuredOutput.define('virtue_analysis', {
+  description: 'a character strengths analysis',
+  schema: {
+    type: 'object',
+    properties: {
+      valued_virtues: virtueList,
+      violated_virtues: virtueList
+    },
+    required: ['valued_virtues', 'violated_virtues']
+  },
+  // The prompt lists categories in capitals; getSimpleVirtueAnalysis uses lower case
+  normalize: (value) => {
+    const lowerCategories = (virtues) => (Array.isArray(virtues)
+      ? virtues.map(virtue => (typeof virtue?.virtue_category === 'string'
+        ? { ...virtue, virtue_category: virtue.virtue_category.trim().toLowerCase() }
+        : virtue))
+      : virtues);
+    return value && typeof value === 'object' && !Array.isArray(value)
+      ? { ...value, valued_virtues: lowerCategories(value.valued_virtues), violated_virtues: lowerCategories(value.violated_virtues) }
+      : value;
+  }
+});
 
 class VirtueElicitationAgent {
   constructor() {
@@ -69,7 +109,9 @@ class VirtueElicitationAgent {
         emotionalReaction: emotionalReaction
       });
 
-      return JSON.parse(result);
+      return await StructuredOutput.parse('virtue_analysis', result, {
+        repair: (prompt) => this.llm.pipe(this.outputParser).invoke(prompt)
+      });
     } catch (error) {
       console.error('Error analyzing story for virtues:', error);
       return this.getSimpleVirtueAnalysis(userStory, emotionalReaction);
@@ -127,6 +127,7 @@ class EnhancedFeedbackParser {
     console.log(`🔍 Analyzing feedback: ${action} on ${matchId}`);
 
     const analysis = {
+      feedbackId: `${userId}_${matchId}_${Date.now()}`,
       userId,
       matchId,
       action, // 'like', 'pass', 'maybe'
@@ -549,6 +550,7 @@ class EnhancedFeedbackParser {
       
       const pattern = history.facetPatterns.get(facetName);
       pattern.samples.push({
+        feedbackId: analysis.feedbackId,
         preference: preference.preference,
         strength: preference.strength || 0.5,
         confidence: preference.confidence || 0.5,
@@ -568,6 +570,34 @@ class EnhancedFeedbackParser {
     history.learningVelocity = this.calculateLearningVelocity(history);
   }
 
+  // Forget the samples one analysis contributed, e.g. when the user undoes the like or pass behind it.
+  // Samples that already aged out of the last-20 window are gone either way.
+  revertFeedback(userId, feedbackId) {
+    const history = this.userFeedbackHistory.get(userId);
+    if (!history) return false;
+    
+    let removed = 0;
+    history.facetPatterns.forEach((pattern, facetName) => {
+      const remaining = pattern.samples.filter(sample => sample.feedbackId !== feedbackId);
+      if (remaining.length === pattern.samples.length) return;
+      
+      removed += pattern.samples.length - remaining.length;
+      pattern.samples = remaining;
+      if (remaining.length === 0) {
+        history.facetPatterns.delete(facetName);
+      } else {
+        this.recalculatePatternStats(pattern);
+      }
+    });
+    
+    history.feedbackCount = Math.max(0, history.feedbackCount - 1);
+    history.lastUpdated = new Date();
+    history.learningVelocity = this.calculateLearningVelocity(history);
+    
+    console.log(`↩️ Reverted feedback ${feedbackId}: ${removed} facet samples removed`);
+    return true;
+  }
+
   recalculatePatternStats(pattern) {
     const samples = pattern.samples;
     if (samples.length === 0) return;
@@ -346,6 +346,7 @@ export class HarmonyAlgorithm {
    */
   updateFromFeedback(userA_id, userB_id, userA_HHC, userB_HHC, feedback) {
     const feedbackData = {
+      id: `feedback_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
       timestamp: Date.now(),
       userA_id,
       userB_id,
@@ -356,13 +357,37 @@ export class HarmonyAlgorithm {
     this.feedbackHistory.push(feedbackData);
     
     // Update personalized weights based on feedback
-    this.adjustPersonalizedWeights(userA_id, userA_HHC, userB_HHC, feedback);
+    feedbackData.weightChanges = this.adjustPersonalizedWeights(userA_id, userA_HHC, userB_HHC, feedback);
     
     return feedbackData;
   }
 
+  /**
+   * Reverse one updateFromFeedback call, e.g. when the user undoes the like or pass behind it.
+   * The recorded change is subtracted rather than the old weight restored, so feedback given
+   * since keeps its effect. No clamping: some defaults sit outside the learning bounds.
+   */
+  revertFeedback(feedbackId) {
+    const index = this.feedbackHistory.findIndex(entry => entry.id === feedbackId);
+    if (index === -1) return false;
+    
+    const [feedbackData] = this.feedbackHistory.splice(index, 1);
+    const userWeights = this.personalizedWeights.get(feedbackData.userA_id);
+    
+    if (userWeights) {
+      for (const [weightKey, change] of Object.entries(feedbackData.weightChanges || {})) {
+        if (userWeights[weightKey]) {
+          userWeights[weightKey].weight -= change.after - change.before;
+        }
+      }
+    }
+    
+    return true;
+  }
+
   /**
    * Adjust personalized weights based on user feedback
+   * Returns the { before, after } weight of every key it touched
    */
   adjustPersonalizedWeights(userId, userA_HHC, userB_HHC, feedback) {
     if (!this.personalizedWeights.has(userId)) {
@@ -375,19 +400,24 @@ export class HarmonyAlgorithm {
     // Adjust weights based on feedback type
     const adjustment = this.learningRate * (feedback.liked ? 1 : -1);
     
+    const changes = {};
+    
     // Focus adjustments on the most influential factors
     for (const factor of compatibility.factors) {
       if (Math.abs(factor.impact) > 0.1) {
         const weightKey = this.getWeightKeyFromCategory(factor.category);
         if (weightKey && userWeights[weightKey]) {
+          const before = changes[weightKey]?.before ?? userWeights[weightKey].weight;
           userWeights[weightKey].weight *= (1 + adjustment);
           // Clamp weights to reasonable bounds
           userWeights[weightKey].weight = Math.max(0.05, Math.min(1.0, userWeights[weightKey].weight));
+          changes[weightKey] = { before, after: userWeights[weightKey].weight };
         }
       }
     }
     
     this.personalizedWeights.set(userId, userWeights);
+    return changes;
   }
 
   /**
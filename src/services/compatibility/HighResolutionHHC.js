@@ -492,6 +492,20 @@ class HighResolutionHHC {
     };
   }
 
+  // Get dimension information by facet name, or null for an unknown facet
+  getFacetInfo(facetName) {
+    for (const [categoryName, categoryData] of Object.entries(this.dimensionMap)) {
+      for (const [subCategoryName, subCategoryData] of Object.entries(categoryData.categories)) {
+        const index = subCategoryData.facets[facetName];
+        if (index !== undefined) {
+          return { index, dimension: index, category: categoryName, subCategory: subCategoryName, facet: facetName };
+        }
+      }
+    }
+
+    return null;
+  }
+
   // Get all dimensions in a category
   getCategoryDimensions(categoryName) {
     const category = this.dimensionMap[categoryName];
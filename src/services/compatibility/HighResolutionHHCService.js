@@ -6,6 +6,8 @@ import HighResolutionHHC from './HighResolutionHHC.js';
 import SocraticPersonalityExtractor from './SocraticPersonalityExtractor.js';
 import EnhancedFeedbackParser from './EnhancedFeedbackParser.js';
 import SocraticPersonalityAnalyzer from './SocraticPersonalityAnalyzer.js';
+import InteractionHistory from '../discovery/InteractionHistory.js';
+import ResponseCache from '../providers/ResponseCache.js';
 
 class HighResolutionHHCService {
   constructor() {
@@ -15,8 +17,17 @@ class HighResolutionHHCService {
     this.personalityAnalyzer = SocraticPersonalityAnalyzer;
     
     this.userVectors = new Map(); // Cache user HHC vectors
+    this.feedbackDeltas = new Map(); // feedbackId -> { userId, deltas: { dimension: change } }, for undo
+    this.maxFeedbackDeltas = 500;
     this.populationAlgorithms = this.initializePopulationAlgorithms();
     this.learningRates = this.initializeLearningRates();
+    
+    // Undoing a like or pass drops the facet samples its feedback added and takes its changes
+    // back out of the HHC vector
+    InteractionHistory.registerLearningReverter('feedback_parser', ({ userId, feedbackId }) => {
+      this.feedbackParser.revertFeedback(userId, feedbackId);
+      this.revertFeedbackUpdates(feedbackId);
+    });
   }
 
   // Initialize dimension-specific population algorithms
@@ -89,7 +100,7 @@ class HighResolutionHHCService {
 
       // Process feedback data
       if (inputData.feedbackData) {
-        const feedbackUpdates = await this.processFeedbackData(userId, inputData.feedbackData, userHHC);
+        const feedbackUpdates = await this.populateFromFeedback(userId, inputData.feedbackData, userHHC);
         updates.push(...feedbackUpdates);
         processingLog.push(`Feedback: ${feedbackUpdates.length} dimensions updated`);
       }
@@ -119,6 +130,9 @@ class HighResolutionHHCService {
       userHHC.metadata.averageConfidence = this.calculateAverageConfidence(userHHC);
 
       console.log(`✅ HHC processing complete: ${finalUpdates.length} total updates, ${userHHC.metadata.totalDimensionsPopulated}/256 dimensions populated`);
+      if (finalUpdates.length > 0 || validationResults.updates.length > 0) {
+        await ResponseCache.invalidateUser(userId);
+      }
 
       return {
         success: true,
@@ -198,6 +212,11 @@ class HighResolutionHHCService {
         feedback.feedback, 
         feedback.matchProfile
       );
+      await InteractionHistory.attachLearning(userId, feedback.matchId, 'feedback_parser', {
+        userId,
+        feedbackId: feedbackAnalysis.feedbackId
+      });
+      this.trackFeedbackDeltas(userId, feedbackAnalysis.feedbackId);
 
       // Convert HHC updates from feedback analysis
       for (const hhcUpdate of feedbackAnalysis.hhcUpdates) {
@@ -213,7 +232,8 @@ class HighResolutionHHCService {
           confidence: hhcUpdate.confidence,
           source: 'feedback',
           evidence: hhcUpdate.reasoning,
-          method: 'preference_analysis'
+          method: 'preference_analysis',
+          feedbackId: feedbackAnalysis.feedbackId
         });
       }
     }
@@ -318,6 +338,7 @@ class HighResolutionHHCService {
           // Average the values
           const avgUpdate = {
             ...existing,
+            feedbackId: existing.feedbackId ?? update.feedbackId,
             value: (existing.value + update.value) / 2,
             evidence: `${existing.evidence}; ${update.evidence}`,
             method: `${existing.method}, ${update.method}`
@@ -346,6 +367,7 @@ class HighResolutionHHCService {
       
       // Update vector and metadata
       userHHC.vector[update.dimension] = Math.max(0, Math.min(1, newValue));
+      this.recordFeedbackDelta(update, userHHC.vector[update.dimension] - currentValue);
       userHHC.metadata.confidenceScores[update.dimension] = Math.max(currentConfidence, update.confidence);
       userHHC.metadata.dataSources[update.dimension] = update.source;
       
@@ -363,6 +385,43 @@ class HighResolutionHHCService {
     }
   }
 
+  // Start recording the vector changes one feedback analysis makes, so an undo can reverse them
+  trackFeedbackDeltas(userId, feedbackId) {
+    this.feedbackDeltas.set(feedbackId, { userId, deltas: {} });
+    if (this.feedbackDeltas.size > this.maxFeedbackDeltas) {
+      this.feedbackDeltas.delete(this.feedbackDeltas.keys().next().value);
+    }
+  }
+
+  recordFeedbackDelta(update, change) {
+    const record = update.feedbackId && this.feedbackDeltas.get(update.feedbackId);
+    if (!record || change === 0) return;
+    record.deltas[update.dimension] = (record.deltas[update.dimension] || 0) + change;
+  }
+
+  // Reverse the vector changes of one feedback analysis, e.g. when the user undoes the like or
+  // pass behind it. The recorded change is subtracted rather than the old value restored, so
+  // updates made since keep their effect.
+  revertFeedbackUpdates(feedbackId) {
+    const record = this.feedbackDeltas.get(feedbackId);
+    if (!record) return false;
+    this.feedbackDeltas.delete(feedbackId);
+
+    const userHHC = this.getUserVector(record.userId);
+    if (!userHHC) return false;
+
+    for (const [dimension, change] of Object.entries(record.deltas)) {
+      userHHC.vector[dimension] = Math.max(0, Math.min(1, userHHC.vector[dimension] - change));
+    }
+    userHHC.metadata.lastUpdated = new Date();
+    userHHC.metadata.totalDimensionsPopulated = userHHC.vector.filter(v => v > 0).length;
+
+    console.log(`↩️ Reverted HHC updates of feedback ${feedbackId}: ${Object.keys(record.deltas).length} dimensions`);
+    ResponseCache.invalidateUser(record.userId)
+      .catch(error => console.error('Error invalidating cached responses:', error));
+    return true;
+  }
+
   // Utility methods for trait inference
 
   inferTraitsFromAge(age) {
@@ -0,0 +1,363 @@
+/**
+ * Matchmaking Intent Parser
+ *
+ * Reads what a user means when they answer a recommendation in chat: like, pass,
+ * super-like, a question about the candidate, new search criteria, undo or pause.
+ * Negation ("I don't like his vibe") turns a like into a likely pass that is confirmed
+ * before acting, hedging ("maybe", "yes but not now") lowers confidence, and
+ * low-confidence or conflicting answers come back with a clarifying question instead
+ * of an action.
+ *
+ *   const intent = MatchmakingIntentParser.parse("I don't like his vibe", { hasCandidate: true });
+ *   // -> { intent: 'pass', negated: true, needsClarification: true, clarification: { text, quickReplies }, ... }
+ */
+
+export const INTENTS = {
+  LIKE: 'like',
+  PASS: 'pass',
+  SUPER_LIKE: 'super_like',
+  ASK_ABOUT_TRAIT: 'ask_about_trait',
+  REFINE_CRITERIA: 'refine_criteria',
+  UNDO: 'undo',
+  PAUSE: 'pause',
+  SHOW_MORE: 'show_more',
+  NONE: 'none'
+};
+
+// Intents that need a recommendation on screen to act on
+export const CANDIDATE_INTENTS = new Set([INTENTS.LIKE, INTENTS.PASS, INTENTS.SUPER_LIKE, INTENTS.ASK_ABOUT_TRAIT]);
+
+// Quick replies offered by clarifying questions; each parses back to its intent with full confidence
+export const INTENT_REPLIES = {
+  [INTENTS.LIKE]: '💕 Like',
+  [INTENTS.PASS]: '👎 Pass',
+  [INTENTS.SUPER_LIKE]: '⭐ Super like',
+  [INTENTS.ASK_ABOUT_TRAIT]: 'Tell me more about them',
+  [INTENTS.REFINE_CRITERIA]: 'Change my preferences',
+  [INTENTS.UNDO]: '↩️ Undo',
+  [INTENTS.PAUSE]: '⏸️ Pause matches',
+  [INTENTS.SHOW_MORE]: '✨ Show me more'
+};
+
+// Intents that can sit together in one message without contradicting each other
+const INTENT_FAMILIES = {
+  [INTENTS.LIKE]: 'positive',
+  [INTENTS.SUPER_LIKE]: 'positive',
+  [INTENTS.SHOW_MORE]: 'browse',
+  [INTENTS.REFINE_CRITERIA]: 'browse'
+};
+
+// Words that negate a like when they lead into it, with at most NEGATION_WINDOW softeners between.
+// Any n't contraction counts ("wouldn't", "haven't"); these are the rest, and the apostrophe-less spellings.
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'hardly', 'nor', 'cannot',
+  'dont', 'doesnt', 'didnt', 'isnt', 'arent', 'wasnt', 'werent', 'cant', 'wont', 'wouldnt', 'couldnt', 'shouldnt', 'havent', 'hasnt'
+]);
+const CONTRACTED_NEGATOR = /n't$/;
+const NEGATION_SOFTENERS = new Set(['i', 'really', 'quite', 'particularly', 'exactly', 'actually', 'totally', 'super', 'very', 'even', 'that', 'too', 'think', 'feel', 'say', 'be', 'been', 'way']);
+const NEGATION_WINDOW = 3;
+// A negation doesn't reach past the end of its clause ("Never mind, I like her")
+const CLAUSE_BREAK = /[,.;!?]|\b(?:but|and|so)\b/;
+// Phrases with a negator in them that don't negate what follows
+const NEGATION_IDIOMS = /\b(never ?mind|can'?t lie|won'?t lie|don'?t mind|not only)\b/g;
+
+const HEDGE_PATTERN = /\b(maybe|perhaps|i guess|i think|kind of|kinda|sort of|sorta|not sure|unsure|idk|i don't know|dunno|probably|possibly|might|hmm+|on the fence|i suppose|could be|but)\b/g;
+const QUESTION_PATTERN = /\?|^(what|what's|whats|where|who|how|why|does|do|is|are|any|can you|tell me)\b|\btell me (more|about)\b/;
+
+// Topics a user can ask about, with the words that point to them
+export const TRAIT_TOPICS = {
+  interests: ['interests', 'hobbies', 'hobby', 'into', 'like to do', 'for fun', 'passions'],
+  work: ['job', 'work', 'for a living', 'career', 'occupation', 'profession'],
+  age: ['age', 'how old'],
+  location: ['where', 'live', 'location', 'how far', 'distance', 'nearby', 'based'],
+  personality: ['personality', 'like as a person', 'vibe', 'character', 'introvert', 'extrovert'],
+  values: ['values', 'believe', 'religion', 'religious', 'faith', 'politics'],
+  relationship: ['looking for', 'relationship', 'kids', 'children', 'serious', 'casual', 'marriage'],
+  compatibility: ['why', 'compatible', 'compatibility', 'in common', 'good match', 'match for me'],
+  bio: ['more about', 'tell me more', 'bio', 'about them', 'about him', 'about her']
+};
+
+// [pattern, weight] evidence per intent; weights combine as independent evidence (noisy-or)
+const INTENT_PATTERNS = {
+  [INTENTS.LIKE]: [
+    [/^\W*(i )?(like|love)( (it|them|him|her))?\W*$/, 0.9],
+    [/\b(like|love|dig|adore) (him|her|them|this one|this person|that one|what i see)\b/, 0.85],
+    [/\b(like|love) (his|her|their) (\w+)\b/, 0.6],
+    [/\b(interested|keen|into (him|her|them))\b/, 0.7],
+    [/\b(let'?s (do it|connect|match)|send (a|the) like|swipe right|connect us|(want|would love|'d love|would like|'d like) to meet (him|her|them))\b/, 0.9],
+    [/(👍|💕|❤️|❤|😍|💖|😻)/u, 0.85],
+    [/\b(cute|hot|gorgeous|attractive|beautiful|handsome|stunning)\b/, 0.5]
+  ],
+  [INTENTS.PASS]: [
+    [/\b(pass|skip|swipe left|nope|nah)\b/, 0.85],
+    [/^\W*no\b(?! (doubt|problem|worries))|\bno thanks\b/, 0.8],
+    [/\b(i )?(don'?t|do not) think so\b/, 0.75],
+    [/\bnot (really )?(my type|for me|feeling it|a match|a fit|my vibe)\b/, 0.9],
+    [/\b(next (one|person)|move on)\b/, 0.6],
+    [/(👎|🙅)/u, 0.85]
+  ],
+  [INTENTS.SUPER_LIKE]: [
+    [/\bsuper[- ]?like\b/, 0.95],
+    [/(⭐|🌟|🤩)/u, 0.85],
+    [/\b(absolutely love|really really like|obsessed|dream (match|person)|need to meet|perfect for me)\b/, 0.8]
+  ],
+  [INTENTS.ASK_ABOUT_TRAIT]: [
+    [/\btell me (more|about)\b/, 0.6]
+  ],
+  [INTENTS.REFINE_CRITERIA]: [
+    [/\b(only|just) (show|want|looking)\b/, 0.8],
+    [/\b(show me|i want|i'm looking for|looking for|find me|i prefer|i'd like|i'd rather) (someone|people|matches|guys|girls|women|men|a (guy|girl|woman|man|person))\b/, 0.75],
+    [/\b(older|younger|closer|nearer|more (serious|casual|outgoing|active|creative|like (him|her|them)))\b/, 0.7],
+    [/\b(change|update|adjust) (my )?(preferences|criteria|filters|settings)\b/, 0.85]
+  ],
+  [INTENTS.UNDO]: [
+    [/\b(undo|take (that|it) back|go back|rewind|changed my mind|change my mind|didn'?t mean (to|that)|wrong button|by mistake|accidentally)\b/, 0.9],
+    [/↩️|↩/u, 0.9]
+  ],
+  [INTENTS.PAUSE]: [
+    [/\b(pause|take a break|need a break|break from (matching|dating|this)|hold off|stop (showing|sending)|no more (matches|recommendations|people))\b/, 0.85],
+    [/⏸️|⏸/u, 0.9],
+    [/\bnot (right )?now\b/, 0.6],
+    [/\b(later|another time|some other time)\b/, 0.4]
+  ],
+  [INTENTS.SHOW_MORE]: [
+    [/\b(show me|more matches|recommendations|who else|someone else|another (one|match|person)|find me (someone|a match)|any (more|other) matches)\b/, 0.8],
+    [/✨/u, 0.6]
+  ]
+};
+
+// Plain agreement: a like while a candidate is on screen, otherwise a request for matches
+const AFFIRMATION_PATTERNS = [
+  [/^\W*(yes|yeah|yep|yup|sure|ok|okay|definitely|absolutely|of course|why not)\b/, 0.8],
+  [/\b(yes|yeah|yep|definitely|absolutely)\b/, 0.6]
+];
+
+const LOW_CONFIDENCE = 0.6;
+// Below this, with nothing on screen, the message is ordinary chat rather than a matchmaking request
+const MIN_EVIDENCE = 0.5;
+
+function combine(weights) {
+  return 1 - weights.reduce((remaining, weight) => remaining * (1 - weight), 1);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export class MatchmakingIntentParser {
+  constructor(options = {}) {
+    this.confidenceThreshold = options.confidenceThreshold ?? LOW_CONFIDENCE;
+  }
+
+  /**
+   * Parse a chat message into a matchmaking intent
+   * @param {string} message - User message
+   * @param {Object} context - { hasCandidate, candidateName }
+   * @returns {Object} { intent, confidence, negated, hedged, hedges, slots, scores, alternatives, needsClarification, clarification }
+   */
+  parse(message, { hasCandidate = false, candidateName = null } = {}) {
+    const text = this.normalizeText(message);
+    const scores = Object.fromEntries(Object.keys(INTENT_PATTERNS).map(intent => [intent, []]));
+    let negated = false;
+    let negatedEvidence = 0; // PASS weights that came from negated likes
+
+    Object.entries(INTENT_PATTERNS).forEach(([intent, patterns]) => {
+      patterns.forEach(([pattern, weight]) => {
+        const match = pattern.exec(text);
+        if (!match) return;
+
+        // "don't like", "not interested": positive evidence becomes a pass
+        if ((intent === INTENTS.LIKE || intent === INTENTS.SUPER_LIKE) && this.isNegated(text, match.index)) {
+          negated = true;
+          negatedEvidence++;
+          scores[INTENTS.PASS].push(Math.max(weight, 0.8));
+          return;
+        }
+        scores[intent].push(weight);
+      });
+    });
+
+    const affirmation = AFFIRMATION_PATTERNS.filter(([pattern]) => pattern.test(text)).map(([, weight]) => weight);
+    scores[hasCandidate ? INTENTS.LIKE : INTENTS.SHOW_MORE].push(...affirmation);
+
+    const slots = this.extractSlots(text);
+    if (slots.trait && QUESTION_PATTERN.test(text)) {
+      scores[INTENTS.ASK_ABOUT_TRAIT].push(0.85);
+    }
+    if (slots.ageRange || slots.maxDistance || slots.interests || slots.relationshipGoal) {
+      scores[INTENTS.REFINE_CRITERIA].push(0.8);
+    }
+    if (!hasCandidate) {
+      CANDIDATE_INTENTS.forEach(intent => { scores[intent] = []; });
+    }
+
+    const combined = Object.fromEntries(Object.entries(scores).map(([intent, weights]) => [intent, combine(weights)]));
+    const ranked = Object.entries(combined)
+      .filter(([, score]) => score > 0)
+      .sort((a, b) => b[1] - a[1]);
+
+    const hedges = text.match(HEDGE_PATTERN) || [];
+    const hedged = hedges.length > 0;
+    const result = {
+      intent: INTENTS.NONE,
+      confidence: 0,
+      negated,
+      hedged,
+      hedges,
+      slots,
+      scores: Object.fromEntries(ranked.map(([intent, score]) => [intent, round(score)])),
+      alternatives: [],
+      needsClarification: false,
+      clarification: null
+    };
+
+    if (ranked.length === 0) {
+      // "hmm, maybe" while looking at someone is an answer we can't read yet
+      if (hasCandidate && hedged) {
+        result.alternatives = [INTENTS.LIKE, INTENTS.PASS, INTENTS.ASK_ABOUT_TRAIT];
+        result.needsClarification = true;
+        result.clarification = this.buildClarification(result, candidateName);
+      }
+      return result;
+    }
+
+    let [intent, top] = ranked[0];
+    if (!hasCandidate && top < MIN_EVIDENCE) return result;
+
+    // A super-like is a stronger like; prefer it whenever it has real evidence
+    if (intent === INTENTS.LIKE && combined[INTENTS.SUPER_LIKE] >= 0.8) {
+      intent = INTENTS.SUPER_LIKE;
+      top = Math.max(top, combined[INTENTS.SUPER_LIKE]);
+    }
+    const family = INTENT_FAMILIES[intent] || intent;
+    const rival = ranked.find(([candidate]) => (INTENT_FAMILIES[candidate] || candidate) !== family);
+    const rivalScore = rival ? rival[1] : 0;
+
+    // Contradicting evidence and hedging both cost confidence
+    const contradiction = rivalScore > 0 ? rivalScore / (top + rivalScore) : 0;
+    const confidence = top * (1 - contradiction) * Math.pow(0.65, Math.min(hedges.length, 2));
+
+    result.intent = intent;
+    result.confidence = round(confidence);
+    result.alternatives = rival ? [intent, rival[0]] : [intent];
+    result.needsClarification = confidence < this.confidenceThreshold;
+
+    // A pass read only from a negated like ("I don't like his vibe") is confirmed before acting
+    if (intent === INTENTS.PASS && negatedEvidence > 0 && scores[INTENTS.PASS].length === negatedEvidence) {
+      result.alternatives = [INTENTS.PASS, INTENTS.LIKE];
+      result.needsClarification = true;
+    }
+    if (result.needsClarification) {
+      result.clarification = this.buildClarification(result, candidateName);
+    }
+    return result;
+  }
+
+  /**
+   * Normalize text while keeping emoji, which carry intent
+   */
+  normalizeText(message) {
+    return String(message || '')
+      .toLowerCase()
+      .replace(/[’‘]/g, "'")
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Whether a negator leads into a match within its clause ("I don't really like him")
+   */
+  isNegated(text, index) {
+    const clause = text.slice(0, index).split(CLAUSE_BREAK).pop();
+    const words = clause.replace(NEGATION_IDIOMS, ' ').replace(/[^\w\s']/g, ' ').trim().split(/\s+/).filter(Boolean);
+
+    let softeners = 0;
+    for (let i = words.length - 1; i >= 0; i--) {
+      if (NEGATORS.has(words[i]) || CONTRACTED_NEGATOR.test(words[i])) return true;
+      if (!NEGATION_SOFTENERS.has(words[i]) || ++softeners > NEGATION_WINDOW) return false;
+    }
+    return false;
+  }
+
+  /**
+   * Extract slot values: trait asked about, age range, distance, interests, relationship goal, pause duration
+   */
+  extractSlots(text) {
+    const slots = {};
+
+    const trait = Object.entries(TRAIT_TOPICS).find(([, keywords]) => keywords.some(keyword => new RegExp(`\\b${keyword}\\b`).test(text)));
+    if (trait) slots.trait = trait[0];
+
+    const between = text.match(/\b(?:between|from|aged?) (\d{2}) ?(?:and|to|-) ?(\d{2})\b/) || text.match(/\b(\d{2}) ?(?:-|to) ?(\d{2})\b/);
+    const under = text.match(/\b(?:under|younger than|below|less than|max(?:imum)? age) (\d{2})\b/);
+    const over = text.match(/\b(?:over|older than|above|at least|min(?:imum)? age) (\d{2})\b/);
+    if (between) {
+      slots.ageRange = { min: parseInt(between[1], 10), max: parseInt(between[2], 10) };
+    } else if (under || over) {
+      slots.ageRange = {
+        ...(over ? { min: parseInt(over[1], 10) } : {}),
+        ...(under ? { max: parseInt(under[1], 10) } : {})
+      };
+    }
+
+    const distance = text.match(/\b(?:within|under|less than|closer than) (\d+) ?(km|kilometers|kilometres|miles|mi)\b/);
+    if (distance) {
+      const kilometers = distance[2].startsWith('k');
+      slots.maxDistance = { value: parseInt(distance[1], 10), unit: kilometers ? 'km' : 'mi' };
+    } else if (/\b(closer|nearby|near me|local)\b/.test(text)) {
+      slots.maxDistance = { nearby: true };
+    }
+
+    const interests = text.match(/\b(?:who|that) (?:likes?|loves?|enjoys?|(?:is|are) into) ([a-z ]+?)(?:[.,!?]|$| and (?:is|are|who|lives))/);
+    if (interests) {
+      slots.interests = interests[1].split(/,| and | or /).map(interest => interest.trim()).filter(Boolean);
+    }
+
+    if (/\b(long[- ]term|something serious|serious relationship|more serious)\b/.test(text)) {
+      slots.relationshipGoal = 'long_term';
+    } else if (/\b(marriage|marry|wife material|husband material)\b/.test(text)) {
+      slots.relationshipGoal = 'marriage';
+    } else if (/\b(casual|nothing serious|something fun|more casual)\b/.test(text)) {
+      slots.relationshipGoal = 'casual';
+    }
+
+    const duration = text.match(/\bfor (?:a|an|one|(\d+)) (hour|day|week|month)s?\b/);
+    const units = { hour: 3600000, day: 86400000, week: 604800000, month: 2592000000 };
+    if (duration) {
+      slots.pauseMs = (duration[1] ? parseInt(duration[1], 10) : 1) * units[duration[2]];
+    } else if (/\b(until tomorrow|tonight|for today)\b/.test(text)) {
+      slots.pauseMs = units.day;
+    }
+
+    return slots;
+  }
+
+  /**
+   * Clarifying question for a message we shouldn't act on yet
+   * @returns {Object} { text, quickReplies }
+   */
+  buildClarification(result, candidateName = null) {
+    const who = candidateName || 'them';
+    const options = result.alternatives.length > 1
+      ? result.alternatives
+      : [result.alternatives[0], INTENTS.PASS, INTENTS.ASK_ABOUT_TRAIT].filter((intent, index, list) => intent && list.indexOf(intent) === index);
+
+    let text;
+    if (options.includes(INTENTS.LIKE) && options.includes(INTENTS.PAUSE)) {
+      text = `Sounds like you might be interested in ${who}, just not right now. Want me to send a like anyway, or pause new matches for a while?`;
+    } else if (options[0] === INTENTS.LIKE || options[0] === INTENTS.SUPER_LIKE || (result.intent === INTENTS.NONE && result.hedged)) {
+      text = `No rush! Are you leaning towards ${who}, or would you rather pass? I can also tell you more about them first.`;
+    } else if (options[0] === INTENTS.PASS) {
+      text = `Just to check before I move on: do you want to pass on ${who}?`;
+    } else {
+      text = "I want to make sure I get this right. Which of these did you mean?";
+    }
+
+    return {
+      text,
+      quickReplies: options.map(intent => INTENT_REPLIES[intent]).filter(Boolean)
+    };
+  }
+}
+
+export default new MatchmakingIntentParser();
@@ -3,6 +3,7 @@
 // Turns the "dials" with surgical precision based on conversation analysis
 
 import HighResolutionHHC from './HighResolutionHHC.js';
+import ResponseCache from '../providers/ResponseCache';
 
 class SocraticPersonalityAnalyzer {
   constructor() {
@@ -432,6 +433,9 @@ class SocraticPersonalityAnalyzer {
       currentHHC.metadata.lastUpdated = new Date();
 
       console.log(`🧠 Updated ${updates.length} HHC dimensions for user ${userId}`);
+      if (updates.length > 0) {
+        await ResponseCache.invalidateUser(userId);
+      }
       return { success: true, updates, updatedHHC: currentHHC };
 
     } catch (error) {
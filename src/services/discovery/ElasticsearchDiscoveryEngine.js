@@ -1,11 +1,45 @@
 // SoulAI Elasticsearch Discovery Engine
 // Inspired by Tinder's architecture for efficient candidate pre-filtering
+// Without a reachable cluster the same queries run against LocalSearchBackend, an in-process
+// index with the same client API, so discovery behaves the same offline and in tests.
+// Locations are indexed as geohash cells (see LocationService): the geo_point is the cell's centre,
+// and distance filters and bands compare cell centres, never raw coordinates.
 
 import { Client } from '@elastic/elasticsearch';
+import { LocalSearchBackend } from './LocalSearchBackend.js';
+import { fuzzLocation, describeDistance, DEFAULT_PRECISION } from '../location/LocationService.js';
 
-class ElasticsearchDiscoveryEngine {
+// Seeded into the local index so development builds have someone to discover
+const DEMO_USERS = [
+  {
+    userId: 'mock_001',
+    age: 26,
+    location: { latitude: 37.7749, longitude: -122.4194 },
+    interests: ['art', 'travel'],
+    occupation: 'designer',
+    personalityType: 'ENFP',
+    relationshipGoals: ['serious_relationship'],
+    hhcCluster: 'creative_diplomat',
+    bio: 'Designer who sketches in every city I visit'
+  },
+  {
+    userId: 'mock_002',
+    age: 24,
+    location: { latitude: 37.8044, longitude: -122.2712 },
+    interests: ['technology', 'philosophy'],
+    occupation: 'engineer',
+    personalityType: 'INTJ',
+    relationshipGoals: ['serious_relationship', 'casual_dating'],
+    hhcCluster: 'analytical_architect',
+    bio: 'Engineer with a soft spot for Stoic philosophy'
+  }
+];
+
+export class ElasticsearchDiscoveryEngine {
   constructor() {
     this.client = null;
+    this.localBackend = null; // Promise of the LocalSearchBackend, created on first use
+    this.mode = null; // 'elasticsearch' or 'local'
     this.indexName = 'soulai_users';
     this.isInitialized = false;
   }
@@ -23,20 +57,21 @@ class ElasticsearchDiscoveryEngine {
 
       // Create index if it doesn't exist
       await this.createUserIndex();
+      this.mode = 'elasticsearch';
       this.isInitialized = true;
       console.log('🔍 ElasticsearchDiscoveryEngine initialized successfully');
     } catch (error) {
       console.error('❌ Failed to initialize Elasticsearch:', error);
-      // Fallback to mock implementation for development
-      this.initializeMockMode();
+      // Fall back to the in-process index
+      await this.initializeLocalMode();
     }
   }
 
-  async createUserIndex() {
-    const exists = await this.client.indices.exists({ index: this.indexName });
+  async createUserIndex(client = this.client) {
+    const { body: exists } = await client.indices.exists({ index: this.indexName });
     
     if (!exists) {
-      await this.client.indices.create({
+      await client.indices.create({
         index: this.indexName,
         body: {
           mappings: {
@@ -46,6 +81,8 @@ class ElasticsearchDiscoveryEngine {
               location: {
                 type: 'geo_point'
               },
+              geohash: { type: 'keyword' },
+              locationPrecision: { type: 'integer' },
               interests: { type: 'keyword' },
               occupation: { type: 'keyword' },
               personalityType: { type: 'keyword' },
@@ -71,9 +108,29 @@ class ElasticsearchDiscoveryEngine {
   // The "Super-Filter" - Pre-filter candidates before Harmony Algorithm
   async findCandidates(searcherProfile, filters = {}) {
     if (!this.isInitialized) {
-      return this.mockFindCandidates(searcherProfile, filters);
+      await this.initializeLocalMode();
+    }
+
+    const query = this.buildCandidateQuery(searcherProfile, filters);
+    const origin = this.searchOrigin(searcherProfile, filters);
+
+    try {
+      const candidates = await this.searchCandidates(this.client, query, origin);
+      console.log(`🎯 ${this.mode === 'local' ? 'Local index' : 'Elasticsearch'} found ${candidates.length} pre-filtered candidates`);
+      return candidates;
+    } catch (error) {
+      console.error('❌ Elasticsearch search error:', error);
+      if (this.mode !== 'elasticsearch') return [];
+
+      // Answer this search from the local index while the cluster is unavailable
+      const candidates = await this.searchCandidates(await this.getLocalBackend(), query, origin);
+      console.log(`🎯 Local index found ${candidates.length} pre-filtered candidates`);
+      return candidates;
     }
+  }
 
+  // bool query for the filters; the local backend implements exactly the clauses used here
+  buildCandidateQuery(searcherProfile, filters = {}) {
     const query = {
       bool: {
         must: [
@@ -94,11 +151,13 @@ class ElasticsearchDiscoveryEngine {
       query.bool.filter.push({ range: { age: ageRange } });
     }
 
-    if (filters.maxDistance && searcherProfile.location) {
+    // Cell centre to cell centre; filters.location (e.g. a travel destination) overrides home
+    const origin = this.searchOrigin(searcherProfile, filters);
+    if (filters.maxDistance && origin) {
       query.bool.filter.push({
         geo_distance: {
           distance: `${filters.maxDistance}km`,
-          location: searcherProfile.location
+          location: { lat: origin.latitude, lon: origin.longitude }
         }
       });
     }
@@ -129,72 +188,76 @@ class ElasticsearchDiscoveryEngine {
       });
     }
 
-    try {
-      const response = await this.client.search({
-        index: this.indexName,
-        body: {
-          query,
-          size: 100, // Limit initial candidates
-          sort: [
-            { lastActive: { order: 'desc' } },
-            '_score'
-          ]
-        }
-      });
+    return query;
+  }
 
-      const candidates = response.body.hits.hits.map(hit => ({
-        userId: hit._source.userId,
-        score: hit._score,
-        ...hit._source
-      }));
+  // The searcher's cell, at the precision it was shared with (DEFAULT_PRECISION for raw coordinates)
+  searchOrigin(searcherProfile, filters = {}) {
+    const location = filters.location || searcherProfile.location;
+    return fuzzLocation(location, location?.precision || searcherProfile.locationPrecision || DEFAULT_PRECISION);
+  }
 
-      console.log(`🎯 Elasticsearch found ${candidates.length} pre-filtered candidates`);
-      return candidates;
+  async searchCandidates(client, query, origin = null) {
+    const response = await client.search({
+      index: this.indexName,
+      body: {
+        query,
+        size: 100, // Limit initial candidates
+        sort: [
+          { lastActive: { order: 'desc' } },
+          '_score'
+        ]
+      }
+    });
 
-    } catch (error) {
-      console.error('❌ Elasticsearch search error:', error);
-      return this.mockFindCandidates(searcherProfile, filters);
-    }
+    return response.body.hits.hits.map(hit => ({
+      userId: hit._source.userId,
+      score: hit._score,
+      ...hit._source,
+      distanceBand: origin && hit._source.geohash ? describeDistance(origin, hit._source.geohash) : null
+    }));
   }
 
   // Update user profile in Elasticsearch (called when profile changes)
   async indexUser(userProfile) {
     if (!this.isInitialized) {
-      console.log('📝 Mock: Would index user', userProfile.userId);
-      return;
+      await this.initializeLocalMode();
     }
 
     try {
-      const doc = {
-        userId: userProfile.userId,
-        age: userProfile.age,
-        location: userProfile.location ? {
-          lat: userProfile.location.latitude,
-          lon: userProfile.location.longitude
-        } : null,
-        interests: userProfile.interests || [],
-        occupation: userProfile.occupation,
-        personalityType: userProfile.personalityType,
-        relationshipGoals: userProfile.relationshipGoals || [],
-        hhcCluster: userProfile.hhcCluster,
-        lastActive: new Date(),
-        isActive: true,
-        bio: userProfile.bio,
-        searchableTraits: this.extractSearchableTraits(userProfile)
-      };
-
       await this.client.index({
         index: this.indexName,
         id: userProfile.userId,
-        body: doc
+        body: this.buildUserDocument(userProfile)
       });
 
-      console.log(`✅ Indexed user ${userProfile.userId} in Elasticsearch`);
+      console.log(`✅ Indexed user ${userProfile.userId} in ${this.mode === 'local' ? 'local index' : 'Elasticsearch'}`);
     } catch (error) {
       console.error('❌ Failed to index user:', error);
     }
   }
 
+  buildUserDocument(userProfile) {
+    const cell = fuzzLocation(userProfile.location, userProfile.locationPrecision || DEFAULT_PRECISION);
+
+    return {
+      userId: userProfile.userId,
+      age: userProfile.age,
+      location: cell ? { lat: cell.latitude, lon: cell.longitude } : null,
+      geohash: cell ? cell.geohash : null,
+      locationPrecision: cell ? cell.precision : null,
+      interests: userProfile.interests || [],
+      occupation: userProfile.occupation,
+      personalityType: userProfile.personalityType,
+      relationshipGoals: userProfile.relationshipGoals || [],
+      hhcCluster: userProfile.hhcCluster,
+      lastActive: new Date(),
+      isActive: true,
+      bio: userProfile.bio,
+      searchableTraits: this.extractSearchableTraits(userProfile)
+    };
+  }
+
   // Psychological clustering compatibility
   getCompatibleClusters(userCluster) {
     // This would be based on your HHC personality research
@@ -223,57 +286,40 @@ class ElasticsearchDiscoveryEngine {
     return traits;
   }
 
-  // Mock implementation for development without Elasticsearch
-  initializeMockMode() {
-    console.log('🔧 Using mock Elasticsearch for development');
-    this.isInitialized = true;
+  // In-process index for development and tests, seeded with DEMO_USERS unless told otherwise.
+  // Created once; concurrent callers share it.
+  getLocalBackend({ seedDemoUsers = true } = {}) {
+    if (!this.localBackend) {
+      this.localBackend = (async () => {
+        const backend = new LocalSearchBackend();
+        await this.createUserIndex(backend);
+        if (seedDemoUsers) {
+          for (const user of DEMO_USERS) {
+            await backend.index({ index: this.indexName, id: user.userId, body: this.buildUserDocument(user) });
+          }
+        }
+        return backend;
+      })();
+    }
+    return this.localBackend;
   }
 
-  mockFindCandidates(searcherProfile, filters) {
-    // Return mock candidates for development
-    const mockCandidates = [
-      {
-        userId: 'mock_001',
-        age: 26,
-        interests: ['art', 'travel'],
-        occupation: 'designer',
-        personalityType: 'ENFP',
-        hhcCluster: 'creative_diplomat',
-        score: 0.95
-      },
-      {
-        userId: 'mock_002',
-        age: 24,
-        interests: ['technology', 'philosophy'],
-        occupation: 'engineer',
-        personalityType: 'INTJ',
-        hhcCluster: 'analytical_architect',
-        score: 0.87
-      }
-    ];
-
-    // Apply basic filtering to mock data
-    let filtered = mockCandidates.filter(candidate => {
-      if (filters.ageMin && candidate.age < filters.ageMin) return false;
-      if (filters.ageMax && candidate.age > filters.ageMax) return false;
-      if (filters.interests && !filters.interests.some(interest => 
-        candidate.interests.includes(interest.toLowerCase()))) return false;
-      return true;
-    });
-
-    console.log(`🎯 Mock Elasticsearch found ${filtered.length} pre-filtered candidates`);
-    return filtered;
+  async initializeLocalMode(options = {}) {
+    console.log('🔧 Using local search index for discovery');
+    this.client = await this.getLocalBackend(options);
+    this.mode = 'local';
+    this.isInitialized = true;
   }
 
   // Health check for monitoring
   async getHealth() {
     if (!this.isInitialized) {
-      return { status: 'mock', message: 'Running in mock mode' };
+      return { status: 'initializing', message: 'Discovery index not initialized yet' };
     }
 
     try {
       const health = await this.client.cluster.health();
-      return { status: health.body.status, cluster: health.body.cluster_name };
+      return { status: health.body.status, cluster: health.body.cluster_name, mode: this.mode };
     } catch (error) {
       return { status: 'error', error: error.message };
     }
@@ -5,6 +5,7 @@ import ElasticsearchDiscoveryEngine from './ElasticsearchDiscoveryEngine.js';
 import PsychologicalClusteringEngine from './PsychologicalClusteringEngine.js';
 import HarmonyAlgorithm from '../compatibility/HarmonyAlgorithm.js';
 import HHCPersonalitySystem from '../compatibility/HHCPersonalitySystem.js';
+import LocationService from '../location/LocationService.js';
 
 class EnhancedDiscoveryService {
   constructor() {
@@ -95,6 +96,8 @@ class EnhancedDiscoveryService {
       ageMin: preferences.ageMin || Math.max(18, userProfile.age - 10),
       ageMax: preferences.ageMax || Math.min(99, userProfile.age + 10),
       maxDistance: preferences.maxDistance || 50, // 50km default
+      // Searched from the travel destination while travel mode is on, otherwise the home cell
+      location: preferences.location || await LocationService.getSearchLocation(userProfile.location),
       interests: preferences.mustHaveInterests || [],
       occupation: preferences.preferredOccupation,
       relationshipGoals: preferences.relationshipGoals || ['serious_relationship', 'casual_dating']
@@ -205,7 +208,8 @@ class EnhancedDiscoveryService {
         interests: match.interests?.slice(0, 3) || [],
         occupation: match.occupation,
         personalityType: match.personalityType,
-        location: match.location
+        location: match.location,
+        distanceBand: match.distanceBand
       }
     }));
   }
@@ -0,0 +1,202 @@
+// Interaction History
+// Log of every like, super like and pass, with a time-limited undo ("rewind"). Undoing an entry
+// takes the decision back everywhere it went:
+//   - the backend, through ENDPOINTS.MATCHES.UNDO (skipped when the original never reached it)
+//   - the socket, via WebSocketClient.undoInteraction
+//   - the recommendation queue, where the candidate goes back to the front
+//   - any learning recorded against the entry with attachLearning()
+// Learning services register a reverter for their source name at startup, since their state
+// lives in their own instances and only ids are kept in the log.
+//
+//   const entry = await InteractionHistory.record(userId, targetUserId, 'pass');
+//   InteractionHistory.registerLearningReverter('harmony', ({ feedbackId }) => harmony.revertFeedback(feedbackId));
+//   InteractionHistory.attachLearning(userId, targetUserId, 'harmony', { feedbackId });
+//   const result = await InteractionHistory.undoLast(userId);
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as ApiService from '../../api/ApiService';
+import { ENDPOINTS } from '../../api/endpoints';
+import WebSocketClient from '../WebSocketClient';
+import RecommendationQueue from './RecommendationQueue';
+
+export const UNDOABLE_ACTIONS = ['like', 'super_like', 'pass'];
+
+export class InteractionHistory {
+  constructor(options = {}) {
+    this.undoWindowMs = options.undoWindowMs ?? 5 * 60 * 1000;
+    this.maxEntries = options.maxEntries ?? 500;
+    this.now = options.now || (() => Date.now());
+    this.entries = []; // [{ id, userId, targetUserId, action, source, synced, createdAt, expiresAt, learning, undoneAt }]
+    this.reverters = new Map(); // learning source -> (data, entry) => void
+    this.storageKey = 'soulai_interaction_history';
+    this.loaded = false;
+  }
+
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    try {
+      const stored = await AsyncStorage.getItem(this.storageKey);
+      if (stored) {
+        this.entries = [...JSON.parse(stored), ...this.entries].slice(-this.maxEntries);
+      }
+    } catch (error) {
+      console.error('Error loading interaction history:', error);
+    }
+  }
+
+  async save() {
+    try {
+      await AsyncStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    } catch (error) {
+      console.error('Error saving interaction history:', error);
+    }
+  }
+
+  // How a learning source takes back what it learned from one entry
+  registerLearningReverter(source, reverter) {
+    this.reverters.set(source, reverter);
+  }
+
+  // Log a like, super like or pass. `synced` is false when the backend never accepted it.
+  async record(userId, targetUserId, action, { source = null, synced = true } = {}) {
+    await this.load();
+
+    const createdAt = this.now();
+    const entry = {
+      id: `interaction_${createdAt}_${Math.random().toString(36).slice(2, 8)}`,
+      userId: userId || 'anonymous',
+      targetUserId: String(targetUserId),
+      action,
+      source,
+      synced,
+      createdAt,
+      expiresAt: createdAt + this.undoWindowMs,
+      learning: [],
+      undoneAt: null
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries = this.entries.slice(-this.maxEntries);
+    }
+    await this.save();
+    return entry;
+  }
+
+  // Note learning applied because of the user's latest decision on a target, so undo can reverse it.
+  // With `actions`, only a decision of one of those kinds that can still be undone counts.
+  async attachLearning(userId, targetUserId, source, data, { actions = null } = {}) {
+    await this.load();
+
+    const entry = this.findLatest(userId, targetUserId);
+    if (!entry || entry.undoneAt) return false;
+    if (actions && (!actions.includes(entry.action) || !this.isUndoable(entry))) return false;
+
+    entry.learning.push({ source, data });
+    await this.save();
+    return true;
+  }
+
+  findLatest(userId, targetUserId = null) {
+    const owner = userId || 'anonymous';
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const entry = this.entries[i];
+      if (entry.userId === owner && (targetUserId === null || entry.targetUserId === String(targetUserId))) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  isUndoable(entry) {
+    return Boolean(entry && !entry.undoneAt && UNDOABLE_ACTIONS.includes(entry.action) && this.now() <= entry.expiresAt);
+  }
+
+  // A user's entries, newest first
+  async getHistory(userId, limit = 50) {
+    await this.load();
+    const owner = userId || 'anonymous';
+    return this.entries.filter(entry => entry.userId === owner).reverse().slice(0, limit);
+  }
+
+  // Most recent decision that hasn't been undone, whether or not its window is still open.
+  // With a target, only decisions on that user count.
+  latestOpen(userId, targetUserId = null) {
+    const owner = userId || 'anonymous';
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const entry = this.entries[i];
+      if (entry.userId === owner && !entry.undoneAt && (targetUserId === null || entry.targetUserId === String(targetUserId))) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  // The entry undoLast would take back, or null
+  async getUndoable(userId) {
+    await this.load();
+    const entry = this.latestOpen(userId);
+    return this.isUndoable(entry) ? entry : null;
+  }
+
+  // Take back the user's most recent decision, or their most recent one on a target
+  async undoLast(userId, targetUserId = null) {
+    await this.load();
+    const entry = this.latestOpen(userId, targetUserId);
+    if (!entry) return { success: false, reason: 'nothing_to_undo' };
+    return this.undo(entry.id);
+  }
+
+  // Roll one decision back. Nothing changes locally unless the backend accepts the undo.
+  async undo(entryId) {
+    await this.load();
+
+    const entry = this.entries.find(candidate => candidate.id === entryId);
+    if (!entry) return { success: false, reason: 'not_found' };
+    if (entry.undoneAt) return { success: false, reason: 'already_undone', entry };
+    if (!this.isUndoable(entry)) return { success: false, reason: 'expired', entry };
+
+    if (entry.synced) {
+      try {
+        const response = await ApiService.post(ENDPOINTS.MATCHES.UNDO(entry.userId, entry.targetUserId), {
+          interactionId: entry.id,
+          action: entry.action,
+          createdAt: new Date(entry.createdAt).toISOString()
+        });
+        if (response && response.success === false) {
+          return { success: false, reason: 'rejected', error: response.error, entry };
+        }
+      } catch (error) {
+        console.error('Error undoing interaction on the server:', error);
+        return { success: false, reason: 'backend_unavailable', error: error.message, entry };
+      }
+    }
+
+    WebSocketClient.undoInteraction(entry.targetUserId, entry.action);
+    const profile = await RecommendationQueue.requeue(entry.userId, entry.targetUserId);
+
+    const reverted = [];
+    for (const { source, data } of entry.learning) {
+      const reverter = this.reverters.get(source);
+      if (!reverter) continue;
+      try {
+        await reverter(data, entry);
+        reverted.push(source);
+      } catch (error) {
+        console.error(`Error reverting ${source} learning:`, error);
+      }
+    }
+
+    entry.undoneAt = this.now();
+    await this.save();
+
+    console.log(`↩️ Undid ${entry.action} on ${entry.targetUserId} (learning reverted: ${reverted.join(', ') || 'none'})`);
+    return { success: true, entry, profile, reverted };
+  }
+}
+
+export default new InteractionHistory({
+  undoWindowMs: parseFloat(process.env.EXPO_PUBLIC_UNDO_WINDOW_SECONDS || '300') * 1000
+});
@@ -0,0 +1,284 @@
+// Local Search Backend
+// In-process stand-in for the Elasticsearch client, used by ElasticsearchDiscoveryEngine when no
+// cluster is reachable (and in tests). It exposes the slice of the client API the engine calls,
+// with the same response shapes, so indexing and discovery run through identical code:
+//   indices.exists / indices.create, index, delete, search, cluster.health
+//
+// Query DSL subset:
+//   bool (must, filter, should, must_not, minimum_should_match), term, terms, range
+//   (gt/gte/lt/lte on numbers and dates, including 'now-1d' style date math), geo_distance,
+//   exists, match_all
+// Keyword matching is exact and case-sensitive, and documents are stored as JSON (dates become
+// ISO strings) just as Elasticsearch would return them. Scoring is simplified: every matching
+// must/should clause adds 1, filter and must_not clauses add nothing. Unsupported clauses throw,
+// so a query the real cluster would answer differently fails loudly instead of matching everything.
+
+const EARTH_RADIUS_M = 6371008.8;
+
+const DISTANCE_UNITS = {
+  km: 1000,
+  m: 1,
+  mi: 1609.344,
+  yd: 0.9144,
+  ft: 0.3048,
+  nmi: 1852
+};
+
+// Date math units; as in Elasticsearch, 'm' is minutes
+const DATE_MATH_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// 'now', 'now-1d', 'now+2h-30m' -> epoch ms; null for anything else. Rounding ('now/d') isn't supported.
+export function parseDateMath(value, now = Date.now()) {
+  const match = String(value).trim().match(/^now((?:[+-]\d+[smhdw])*)$/);
+  if (!match) return null;
+  return [...match[1].matchAll(/([+-])(\d+)([smhdw])/g)].reduce(
+    (time, [, sign, amount, unit]) => time + (sign === '-' ? -1 : 1) * parseInt(amount, 10) * DATE_MATH_UNITS[unit],
+    now
+  );
+}
+
+// '50km', '2.5mi', 300 (metres) -> metres
+export function parseDistance(distance) {
+  if (typeof distance === 'number') return distance;
+  const match = String(distance).trim().match(/^(\d+(?:\.\d+)?)\s*(km|m|mi|yd|ft|nmi)?$/i);
+  if (!match) throw new Error(`Unsupported distance: ${distance}`);
+  return parseFloat(match[1]) * DISTANCE_UNITS[(match[2] || 'm').toLowerCase()];
+}
+
+// Accepts the geo_point formats Elasticsearch does: { lat, lon }, [lon, lat] and 'lat,lon'
+export function toGeoPoint(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return { lat: Number(value[1]), lon: Number(value[0]) };
+  if (typeof value === 'string') {
+    const [lat, lon] = value.split(',').map(Number);
+    return { lat, lon };
+  }
+  if (value.lat !== undefined && value.lon !== undefined) return { lat: Number(value.lat), lon: Number(value.lon) };
+  return null;
+}
+
+// Great-circle distance in metres
+export function haversineDistance(a, b) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Field values as a list, following dotted paths; arrays match if any element matches
+function fieldValues(source, field) {
+  const value = field.split('.').reduce((current, key) => (current == null ? undefined : current[key]), source);
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// geo_point values; a bare [lon, lat] pair is one point, not two values
+function geoPoints(source, field) {
+  const [first, second] = fieldValues(source, field);
+  if (typeof first === 'number' && typeof second === 'number') return [{ lat: second, lon: first }];
+  return fieldValues(source, field).map(toGeoPoint).filter(Boolean);
+}
+
+// The single { field: params } entry of a leaf clause
+function singleField(clause, type) {
+  const entries = Object.entries(clause);
+  if (entries.length !== 1) throw new Error(`${type} query needs exactly one field`);
+  return entries[0];
+}
+
+export class LocalSearchBackend {
+  constructor() {
+    this.indexes = new Map(); // index name -> { mappings, docs: Map(id -> source) }
+
+    // Nested namespaces, as on the Elasticsearch client
+    this.indices = {
+      exists: async ({ index }) => ({ body: this.indexes.has(index) }),
+      create: async ({ index, body = {} }) => {
+        if (this.indexes.has(index)) throw new Error(`resource_already_exists_exception: ${index}`);
+        this.indexes.set(index, { mappings: body.mappings || { properties: {} }, docs: new Map() });
+        return { body: { acknowledged: true, index } };
+      }
+    };
+    this.cluster = {
+      health: async () => ({ body: { status: 'green', cluster_name: 'soulai-local', number_of_nodes: 1 } })
+    };
+  }
+
+  // Elasticsearch creates a missing index on first write; so do we
+  getIndex(index) {
+    if (!this.indexes.has(index)) {
+      this.indexes.set(index, { mappings: { properties: {} }, docs: new Map() });
+    }
+    return this.indexes.get(index);
+  }
+
+  async index({ index, id, body }) {
+    const target = this.getIndex(index);
+    const docId = String(id ?? `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`);
+    const result = target.docs.has(docId) ? 'updated' : 'created';
+    target.docs.set(docId, JSON.parse(JSON.stringify(body)));
+    return { body: { _index: index, _id: docId, result } };
+  }
+
+  async delete({ index, id }) {
+    const deleted = this.getIndex(index).docs.delete(String(id));
+    return { body: { _index: index, _id: String(id), result: deleted ? 'deleted' : 'not_found' } };
+  }
+
+  async search({ index, body = {} }) {
+    const target = this.getIndex(index);
+    const query = body.query || { match_all: {} };
+
+    const hits = [];
+    target.docs.forEach((source, id) => {
+      const score = this.evaluate(query, source, target.mappings);
+      if (score !== null) hits.push({ _index: index, _id: id, _score: score, _source: JSON.parse(JSON.stringify(source)) });
+    });
+
+    this.sortHits(hits, body.sort, target.mappings);
+    const from = body.from || 0;
+    const size = body.size ?? 10;
+
+    return {
+      body: {
+        hits: {
+          total: { value: hits.length, relation: 'eq' },
+          max_score: hits.length > 0 ? Math.max(...hits.map(hit => hit._score)) : null,
+          hits: hits.slice(from, from + size)
+        }
+      }
+    };
+  }
+
+  // Score contributed by a clause, or null when the document doesn't match
+  evaluate(query, source, mappings) {
+    const [type, clause] = singleField(query, 'Query');
+
+    switch (type) {
+      case 'match_all':
+        return 1;
+      case 'bool':
+        return this.evaluateBool(clause, source, mappings);
+      case 'term': {
+        const [field, params] = singleField(clause, 'term');
+        const value = params !== null && typeof params === 'object' ? params.value : params;
+        return fieldValues(source, field).some(candidate => candidate === value) ? 1 : null;
+      }
+      case 'terms': {
+        const [field, values] = singleField(clause, 'terms');
+        return fieldValues(source, field).some(candidate => values.includes(candidate)) ? 1 : null;
+      }
+      case 'range': {
+        const [field, bounds] = singleField(clause, 'range');
+        const isDate = mappings.properties?.[field]?.type === 'date';
+        const limits = this.parseRangeBounds(bounds, isDate);
+        return fieldValues(source, field).some(candidate => this.inRange(candidate, limits, isDate)) ? 1 : null;
+      }
+      case 'geo_distance': {
+        const [field, origin] = singleField(
+          Object.fromEntries(Object.entries(clause).filter(([key]) => !['distance', 'distance_type', 'validation_method'].includes(key))),
+          'geo_distance'
+        );
+        const center = toGeoPoint(origin);
+        if (!center) throw new Error(`geo_distance needs a point for ${field}`);
+        const radius = parseDistance(clause.distance);
+        return geoPoints(source, field).some(point => haversineDistance(center, point) <= radius) ? 1 : null;
+      }
+      case 'exists':
+        return fieldValues(source, clause.field).length > 0 ? 1 : null;
+      default:
+        throw new Error(`Unsupported query clause: ${type}`);
+    }
+  }
+
+  evaluateBool(clause, source, mappings) {
+    const list = value => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+    let score = 0;
+
+    for (const query of list(clause.must)) {
+      const result = this.evaluate(query, source, mappings);
+      if (result === null) return null;
+      score += result;
+    }
+    for (const query of list(clause.filter)) {
+      if (this.evaluate(query, source, mappings) === null) return null;
+    }
+    for (const query of list(clause.must_not)) {
+      if (this.evaluate(query, source, mappings) !== null) return null;
+    }
+
+    const should = list(clause.should);
+    if (should.length > 0) {
+      const scores = should.map(query => this.evaluate(query, source, mappings)).filter(result => result !== null);
+      // Without must or filter at least one should clause has to match, as in Elasticsearch
+      const required = clause.minimum_should_match ?? (list(clause.must).length + list(clause.filter).length > 0 ? 0 : 1);
+      if (scores.length < required) return null;
+      score += scores.reduce((sum, result) => sum + result, 0);
+    }
+
+    return score;
+  }
+
+  // Range bounds as numbers (dates as epoch ms). A bound that can't be read throws rather than
+  // quietly matching nothing.
+  parseRangeBounds(bounds, isDate) {
+    return Object.fromEntries(['gt', 'gte', 'lt', 'lte'].filter(key => bounds[key] !== undefined).map(key => {
+      const parsed = this.toRangeValue(bounds[key], isDate);
+      if (Number.isNaN(parsed)) throw new Error(`Unsupported range bound ${key}: ${bounds[key]}`);
+      return [key, parsed];
+    }));
+  }
+
+  toRangeValue(raw, isDate) {
+    if (!isDate || typeof raw === 'number') return Number(raw);
+    return parseDateMath(raw) ?? Date.parse(raw);
+  }
+
+  inRange(value, limits, isDate) {
+    const candidate = this.toRangeValue(value, isDate);
+    if (Number.isNaN(candidate)) return false;
+    if (limits.gt !== undefined && !(candidate > limits.gt)) return false;
+    if (limits.gte !== undefined && !(candidate >= limits.gte)) return false;
+    if (limits.lt !== undefined && !(candidate < limits.lt)) return false;
+    if (limits.lte !== undefined && !(candidate <= limits.lte)) return false;
+    return true;
+  }
+
+  // Sort specs: '_score', 'field', { field: 'asc' } or { field: { order } }. Missing values sort last.
+  sortHits(hits, sort, mappings) {
+    const specs = (sort === undefined ? ['_score'] : Array.isArray(sort) ? sort : [sort]).map(spec => {
+      if (typeof spec === 'string') return { field: spec, order: spec === '_score' ? 'desc' : 'asc' };
+      const [field, options] = Object.entries(spec)[0];
+      return { field, order: (typeof options === 'string' ? options : options.order) || (field === '_score' ? 'desc' : 'asc') };
+    });
+
+    const valueOf = (hit, field) => {
+      if (field === '_score') return hit._score;
+      const [value] = fieldValues(hit._source, field);
+      if (value === undefined) return undefined;
+      return mappings.properties?.[field]?.type === 'date' ? Date.parse(value) : value;
+    };
+
+    hits.sort((a, b) => {
+      for (const { field, order } of specs) {
+        const left = valueOf(a, field);
+        const right = valueOf(b, field);
+        if (left === right) continue;
+        if (left === undefined) return 1;
+        if (right === undefined) return -1;
+        const direction = order === 'desc' ? -1 : 1;
+        return (left < right ? -1 : 1) * direction;
+      }
+      return 0;
+    });
+  }
+}
+
+export default LocalSearchBackend;
@@ -0,0 +1,384 @@
+// Recommendation Queue
+// Per-user queue of match recommendations that survives app restarts. State lives in a
+// QueueStorageAdapter (AsyncStorage by default) and is mirrored to the server through
+// ENDPOINTS.MATCHES.POTENTIAL so a second device picks up the same queue and history.
+//
+// Refill policies:
+//   - low watermark: the queue is topped up to `capacity` once it drops to `lowWatermark`
+//   - freshness TTL: candidates queued longer than `freshnessTtlMs` are dropped unserved
+//   - daily cap: at most `dailyCap` recommendations are served per local day
+// Every served candidate stays in the history with its outcome (served, like, pass,
+// super_like, undone), so nobody is served twice and passed candidates only come back
+// through an explicit undo.
+//
+//   RecommendationQueue.setCandidateSource((userId, { count, excludeIds }) => localCandidates);
+//   const { recommendation, remainingCount } = await RecommendationQueue.dequeue(userId);
+
+import * as ApiService from '../../api/ApiService';
+import { ENDPOINTS } from '../../api/endpoints';
+import { AsyncStorageQueueAdapter } from '../storage/AsyncStorageQueueAdapter';
+
+const HOUR = 60 * 60 * 1000;
+
+function candidateId(candidate) {
+  return String(candidate.userId ?? candidate.id);
+}
+
+// Local calendar day, so the daily cap resets at the user's midnight
+function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Whether a history entry keeps the candidate out of the queue; an undone decision puts them back in play
+function isSettled(entry) {
+  return Boolean(entry) && entry.status !== 'undone';
+}
+
+function emptyState(userId) {
+  return { userId, queue: [], history: {}, daily: { date: null, served: 0 }, lastRefillAt: null, updatedAt: 0, pendingSync: false };
+}
+
+export class RecommendationQueue {
+  constructor(options = {}) {
+    this.storage = options.adapter || new AsyncStorageQueueAdapter();
+    this.capacity = options.capacity ?? 10;
+    this.lowWatermark = options.lowWatermark ?? 2;
+    this.dailyCap = options.dailyCap ?? 20;
+    this.freshnessTtlMs = options.freshnessTtlMs ?? 24 * HOUR;
+    this.maxHistory = options.maxHistory ?? 2000;
+    this.syncEnabled = options.syncEnabled ?? true;
+    this.syncRetryMs = options.syncRetryMs ?? 5 * 60 * 1000; // Back off this long after the server is unreachable
+    this.now = options.now || (() => Date.now());
+
+    this.candidateSource = null; // async (userId, { count, excludeIds }) => profiles
+    this.states = new Map(); // userId -> state
+    this.refills = new Map(); // userId -> in-flight refill promise
+    this.remoteUnavailableUntil = 0;
+  }
+
+  // Local source used when the server has no candidates or can't be reached
+  setCandidateSource(source) {
+    this.candidateSource = source;
+  }
+
+  // Swap the persistence backend; cached state is dropped
+  setStorageAdapter(adapter) {
+    this.storage = adapter;
+    this.states.clear();
+  }
+
+  async getState(userId) {
+    if (this.states.has(userId)) return this.states.get(userId);
+
+    let state = emptyState(userId);
+    try {
+      const stored = await this.storage.loadState(userId);
+      if (stored) state = { ...state, ...stored };
+    } catch (error) {
+      console.error('Error loading recommendation queue:', error);
+    }
+    this.states.set(userId, state);
+    return state;
+  }
+
+  async saveState(state) {
+    state.updatedAt = this.now();
+    this.trimHistory(state);
+    try {
+      await this.storage.saveState(state.userId, state);
+    } catch (error) {
+      console.error('Error saving recommendation queue:', error);
+    }
+  }
+
+  // Decisions are what dedup depends on, so undecided entries are dropped first, oldest first
+  trimHistory(state) {
+    const entries = Object.entries(state.history);
+    if (entries.length <= this.maxHistory) return;
+
+    const rank = ([, entry]) => (entry.status === 'served' || entry.status === 'undone' ? 1 : 0);
+    entries.sort((a, b) => rank(a) - rank(b) || (b[1].servedAt || 0) - (a[1].servedAt || 0));
+    state.history = Object.fromEntries(entries.slice(0, this.maxHistory));
+  }
+
+  // Drop candidates that sat in the queue past the freshness TTL
+  pruneStale(state) {
+    const cutoff = this.now() - this.freshnessTtlMs;
+    const before = state.queue.length;
+    state.queue = state.queue.filter(entry => entry.queuedAt > cutoff);
+    return before - state.queue.length;
+  }
+
+  servedToday(state) {
+    return state.daily.date === dayKey(this.now()) ? state.daily.served : 0;
+  }
+
+  needsRefill(state) {
+    return state.queue.length <= this.lowWatermark;
+  }
+
+  // Top the queue up to capacity from the server, then the local source. Concurrent calls share one refill.
+  refill(userId, { force = false } = {}) {
+    if (this.refills.has(userId)) return this.refills.get(userId);
+
+    const run = this.fillQueue(userId, force)
+      .catch(error => {
+        console.error('Error refilling recommendation queue:', error);
+        return { success: false, error: error.message, added: 0, queueSize: 0 };
+      })
+      .finally(() => this.refills.delete(userId));
+    this.refills.set(userId, run);
+    return run;
+  }
+
+  // Append candidates that are neither queued nor settled in the history
+  async fillQueue(userId, force) {
+    const state = await this.getState(userId);
+    this.pruneStale(state);
+    if (!force && !this.needsRefill(state)) {
+      return { success: true, added: 0, queueSize: state.queue.length };
+    }
+
+    const count = this.capacity - state.queue.length;
+    let candidates = await this.pullRemote(state, count);
+    // After the pull, so history merged from other devices is excluded too
+    const settledIds = Object.keys(state.history).filter(id => isSettled(state.history[id]));
+    const excludeIds = new Set([...settledIds, ...state.queue.map(entry => candidateId(entry.candidate))]);
+    if (candidates.length === 0 && this.candidateSource) {
+      candidates = await this.candidateSource(userId, { count, excludeIds: Array.from(excludeIds) });
+    }
+
+    const queuedAt = this.now();
+    const fresh = [];
+    for (const candidate of candidates || []) {
+      const id = candidateId(candidate);
+      if (excludeIds.has(id) || fresh.length >= count) continue;
+      excludeIds.add(id);
+      fresh.push({ candidate, queuedAt });
+    }
+
+    state.queue.push(...fresh);
+    state.lastRefillAt = queuedAt;
+    await this.saveState(state);
+    console.log(`🔄 Refilled recommendation queue for ${userId}: +${fresh.length} (${state.queue.length} queued)`);
+    return { success: true, added: fresh.length, queueSize: state.queue.length };
+  }
+
+  // Next recommendation, recorded as served. Refills below the low watermark and respects the daily cap.
+  async dequeue(userId) {
+    const state = await this.getState(userId);
+    this.pruneStale(state);
+
+    const servedToday = this.servedToday(state);
+    if (servedToday >= this.dailyCap) {
+      return {
+        success: true,
+        hasMore: false,
+        capped: true,
+        remainingCount: state.queue.length,
+        message: `That's your ${this.dailyCap} recommendations for today! I'll have fresh matches for you tomorrow.`
+      };
+    }
+
+    if (state.queue.length === 0) {
+      const result = await this.refill(userId, { force: true });
+      if (!result.success) return result;
+    }
+    if (state.queue.length === 0) {
+      return { success: true, hasMore: false, remainingCount: 0 };
+    }
+
+    const { candidate } = state.queue.shift();
+    const servedAt = this.now();
+    state.history[candidateId(candidate)] = { status: 'served', servedAt, decidedAt: null, profile: candidate };
+    state.daily = { date: dayKey(servedAt), served: servedToday + 1 };
+    state.pendingSync = true;
+    await this.saveState(state);
+
+    // Top up for next time without making this call wait
+    if (this.needsRefill(state)) {
+      this.refill(userId);
+    }
+    this.pushRemote(state);
+
+    return {
+      success: true,
+      hasMore: state.queue.length > 0,
+      remainingCount: state.queue.length,
+      recommendation: candidate,
+      servedToday: servedToday + 1,
+      dailyCap: this.dailyCap
+    };
+  }
+
+  // Record the user's decision on a served candidate: like, pass or super_like
+  async recordDecision(userId, targetUserId, status, profile = null) {
+    const state = await this.getState(userId);
+    const id = String(targetUserId);
+    const existing = state.history[id] || { servedAt: this.now(), profile };
+    state.history[id] = { ...existing, status, decidedAt: this.now(), profile: existing.profile || profile };
+    // A decision made elsewhere (e.g. the discovery screen) removes the candidate from the queue
+    state.queue = state.queue.filter(entry => candidateId(entry.candidate) !== id);
+    state.pendingSync = true;
+    await this.saveState(state);
+    this.pushRemote(state);
+    return state.history[id];
+  }
+
+  // Put a decided candidate back at the front of the queue after the user undoes their decision.
+  // The history entry becomes 'undone' rather than being deleted, so a server copy still holding
+  // the old decision doesn't win the next merge. Returns the candidate, or null if it's unknown.
+  async requeue(userId, targetUserId, profile = null) {
+    const state = await this.getState(userId);
+    const id = String(targetUserId);
+    const existing = state.history[id];
+    const candidate = profile || existing?.profile;
+    if (!candidate) return null;
+
+    const now = this.now();
+    state.history[id] = { ...existing, status: 'undone', decidedAt: now, profile: candidate };
+    state.queue = [{ candidate, queuedAt: now }, ...state.queue.filter(entry => candidateId(entry.candidate) !== id)];
+    // It will be served again, so don't count it against today's cap twice
+    if (existing?.servedAt && dayKey(existing.servedAt) === state.daily.date) {
+      state.daily.served = Math.max(0, state.daily.served - 1);
+    }
+    state.pendingSync = true;
+    await this.saveState(state);
+    this.pushRemote(state);
+    return candidate;
+  }
+
+  // Queue status for context-aware messaging
+  async getStatus(userId) {
+    const state = await this.getState(userId);
+    this.pruneStale(state);
+    const servedToday = this.servedToday(state);
+    return {
+      success: true,
+      queueSize: state.queue.length,
+      totalServed: Object.keys(state.history).length,
+      hasRecommendations: state.queue.length > 0 && servedToday < this.dailyCap,
+      servedToday,
+      dailyCap: this.dailyCap,
+      remainingToday: Math.max(0, this.dailyCap - servedToday),
+      lastUpdated: state.lastRefillAt,
+      pendingSync: state.pendingSync
+    };
+  }
+
+  // Served candidates, newest first, as { candidateId, status, servedAt, decidedAt, profile }
+  async getHistory(userId) {
+    const state = await this.getState(userId);
+    return Object.entries(state.history)
+      .map(([id, entry]) => ({ candidateId: id, ...entry }))
+      .sort((a, b) => (b.servedAt || 0) - (a.servedAt || 0));
+  }
+
+  // Empty the queue but keep the history, e.g. after the user changes their criteria
+  async invalidate(userId) {
+    const state = await this.getState(userId);
+    state.queue = [];
+    await this.saveState(state);
+  }
+
+  // Forget everything about a user's queue, locally and on the server
+  async reset(userId) {
+    this.states.set(userId, emptyState(userId));
+    try {
+      await this.storage.deleteState(userId);
+    } catch (error) {
+      console.error('Error deleting recommendation queue:', error);
+    }
+    const state = this.states.get(userId);
+    state.pendingSync = true;
+    await this.pushRemote(state);
+  }
+
+  remoteAvailable() {
+    return this.syncEnabled && this.now() >= this.remoteUnavailableUntil;
+  }
+
+  markRemoteUnavailable(error) {
+    this.remoteUnavailableUntil = this.now() + this.syncRetryMs;
+    console.log(`📱 Recommendation sync unavailable (${error.message}), working from the local queue`);
+  }
+
+  // Fetch potential matches and the server's copy of the queue history, merging it into state
+  async pullRemote(state, count) {
+    if (!this.remoteAvailable()) return [];
+
+    try {
+      const response = await ApiService.get(`${ENDPOINTS.MATCHES.POTENTIAL(state.userId)}?limit=${count}`);
+      if (!response) return [];
+
+      if (response.queueState) {
+        this.mergeRemoteState(state, response.queueState);
+      }
+      const candidates = response.candidates || response.potentialMatches || response.matches || (Array.isArray(response) ? response : []);
+      return candidates.filter(candidate => candidate && (candidate.userId ?? candidate.id) !== undefined);
+    } catch (error) {
+      this.markRemoteUnavailable(error);
+      return [];
+    }
+  }
+
+  // Newest entry wins per candidate; the daily count takes the larger of the two for today
+  mergeRemoteState(state, remote) {
+    Object.entries(remote.history || {}).forEach(([id, entry]) => {
+      const local = state.history[id];
+      const remoteTime = entry.decidedAt || entry.servedAt || 0;
+      const localTime = local ? (local.decidedAt || local.servedAt || 0) : -1;
+      if (remoteTime > localTime) {
+        state.history[id] = { ...entry, profile: entry.profile || local?.profile || null };
+      }
+    });
+
+    if (remote.daily?.date && remote.daily.date === state.daily.date) {
+      state.daily.served = Math.max(state.daily.served, remote.daily.served || 0);
+    } else if (remote.daily?.date === dayKey(this.now())) {
+      state.daily = { ...remote.daily };
+    }
+
+    // Anything served or decided on another device leaves this queue; undone candidates stay
+    state.queue = state.queue.filter(entry => !isSettled(state.history[candidateId(entry.candidate)]));
+  }
+
+  // Send history and daily count to the server; profiles stay local to keep the payload small
+  async pushRemote(state) {
+    if (!state.pendingSync || !this.remoteAvailable()) return false;
+
+    try {
+      await ApiService.put(ENDPOINTS.MATCHES.POTENTIAL(state.userId), {
+        queueState: {
+          queue: state.queue.map(entry => candidateId(entry.candidate)),
+          history: Object.fromEntries(Object.entries(state.history).map(([id, { profile, ...entry }]) => [id, entry])),
+          daily: state.daily,
+          updatedAt: state.updatedAt
+        }
+      });
+      state.pendingSync = false;
+      await this.saveState(state);
+      return true;
+    } catch (error) {
+      this.markRemoteUnavailable(error);
+      return false;
+    }
+  }
+
+  // Pull the server's state and push local changes; call on app start or resume
+  async sync(userId) {
+    const state = await this.getState(userId);
+    await this.pullRemote(state, 0);
+    await this.saveState(state);
+    return this.pushRemote(state);
+  }
+}
+
+export default new RecommendationQueue({
+  capacity: parseInt(process.env.EXPO_PUBLIC_RECOMMENDATION_QUEUE_SIZE || '10', 10),
+  lowWatermark: parseInt(process.env.EXPO_PUBLIC_RECOMMENDATION_LOW_WATERMARK || '2', 10),
+  dailyCap: parseInt(process.env.EXPO_PUBLIC_RECOMMENDATION_DAILY_CAP || '20', 10),
+  freshnessTtlMs: parseFloat(process.env.EXPO_PUBLIC_RECOMMENDATION_TTL_HOURS || '24') * HOUR,
+  syncEnabled: process.env.EXPO_PUBLIC_RECOMMENDATION_SYNC !== 'off'
+});
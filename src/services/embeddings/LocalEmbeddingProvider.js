@@ -0,0 +1,90 @@
+// Local Embedding Provider
+// Deterministic, offline embeddings from hashed word and character n-grams
+//
+// Each text is turned into weighted features (stemmed words, word bigrams and
+// character trigrams) that are hashed into a fixed number of dimensions with a
+// sign hash, then L2-normalized. Same text in, same vector out, no network.
+
+import { STOP_WORDS, stem, tokenize } from '../indexing/TextAnalyzer';
+
+export class LocalEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.model = options.model || 'hashed-ngram-v1';
+    this.dimension = options.dimension || 384;
+    this.weights = {
+      word: 1.0,
+      bigram: 0.7,
+      trigram: 0.3
+    };
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimension).fill(0);
+
+    for (const [feature, weight] of this.extractFeatures(text)) {
+      const hash = this.hash(feature);
+      const index = hash % this.dimension;
+      const sign = (hash >>> 31) === 0 ? 1 : -1;
+      vector[index] += sign * weight;
+    }
+
+    let norm = 0;
+    for (const value of vector) norm += value * value;
+    norm = Math.sqrt(norm);
+
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  }
+
+  // Feature -> weight, with sublinear (log) term frequency
+  extractFeatures(text) {
+    const counts = new Map();
+    const add = (feature, weight) => {
+      const entry = counts.get(feature) || { count: 0, weight };
+      entry.count += 1;
+      counts.set(feature, entry);
+    };
+
+    const words = tokenize(text)
+      .filter(token => !STOP_WORDS.has(token))
+      .map(stem);
+
+    words.forEach((word, i) => {
+      add(`w:${word}`, this.weights.word);
+      if (i > 0) {
+        add(`b:${words[i - 1]}_${word}`, this.weights.bigram);
+      }
+
+      const padded = `#${word}#`;
+      for (let j = 0; j + 3 <= padded.length; j++) {
+        add(`c:${padded.slice(j, j + 3)}`, this.weights.trigram);
+      }
+    });
+
+    const features = new Map();
+    for (const [feature, { count, weight }] of counts) {
+      features.set(feature, weight * (1 + Math.log(count)));
+    }
+    return features;
+  }
+
+  // 32-bit FNV-1a
+  hash(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+export default LocalEmbeddingProvider;
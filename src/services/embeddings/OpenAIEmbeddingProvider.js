@@ -0,0 +1,57 @@
+// OpenAI Embedding Provider
+// Remote embeddings via the OpenAI embeddings API
+
+export class OpenAIEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKey = options.apiKey || process.env.EXPO_PUBLIC_OPENAI_API_KEY || null;
+    this.model = options.model || 'text-embedding-3-small'; // More cost-effective than ada-002
+    this.dimension = options.dimension || 1536; // Dimension for text-embedding-3-small
+    this.batchSize = 100; // OpenAI allows up to 2048 inputs per request
+    this.maxInputLength = 8000; // Limit to 8k chars to avoid token limits
+  }
+
+  isAvailable() {
+    return Boolean(this.apiKey);
+  }
+
+  // Embed a list of texts, returns one vector per text
+  async embed(texts) {
+    if (!this.apiKey) {
+      throw new Error('OpenAI API key not configured');
+    }
+
+    const allEmbeddings = [];
+
+    // Process texts in chunks to avoid API limits
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const chunk = texts
+        .slice(i, i + this.batchSize)
+        .map(text => text.substring(0, this.maxInputLength));
+
+      const response = await fetch('https://api.openai.com/v1/embeddings', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify({
+          model: this.model,
+          input: chunk,
+          encoding_format: 'float'
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      allEmbeddings.push(...data.data.map(item => item.embedding));
+    }
+
+    return allEmbeddings;
+  }
+}
+
+export default OpenAIEmbeddingProvider;
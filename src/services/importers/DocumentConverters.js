@@ -0,0 +1,263 @@
+// Document Converters
+// Turn imported markdown, plain text, PDF text and EPUB files into the markdown layout
+// TextbookContentParser understands: '# Title', '## Chapter', '**Concept**' + '- detail' lists.
+
+import { readZipEntries, extractEntry, decodeUtf8 } from './ZipArchive';
+
+export const SUPPORTED_FORMATS = ['markdown', 'text', 'pdf', 'epub'];
+
+const EXTENSION_FORMATS = {
+  md: 'markdown',
+  markdown: 'markdown',
+  txt: 'text',
+  text: 'text',
+  pdf: 'pdf',
+  epub: 'epub'
+};
+
+export function detectFormat(fileName = '', content = '') {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  if (EXTENSION_FORMATS[extension]) return EXTENSION_FORMATS[extension];
+  if (typeof content === 'string' && /^#{1,2} /m.test(content)) return 'markdown';
+  return 'text';
+}
+
+const CHAPTER_LINE = /^(chapter|part|book|section)\s+([0-9]+|[ivxlc]+|[a-z]+)\b[.:]?\s*(.*)$/i;
+const DEFINITION_LINE = /^([A-Z][A-Za-z'’ -]{1,40}?)\s*(?::|—| - )\s+(.{20,})$/;
+const BULLET_LINE = /^\s*[•◦▪‣·*-]\s+/;
+
+// A short line with no sentence punctuation, in capitals
+function isShoutedHeading(line) {
+  const words = line.split(/\s+/);
+  return words.length <= 8 && /[A-Z]/.test(line) && line === line.toUpperCase() && !/[.!?,;]$/.test(line);
+}
+
+// Plain text: chapter lines and ALL CAPS lines become chapters, "Term: definition" lines become concepts
+export function textToMarkdown(text, options = {}) {
+  const { title = '' } = options;
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const output = [];
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+
+    if (line.length === 0) {
+      output.push('');
+      continue;
+    }
+
+    const chapter = CHAPTER_LINE.exec(line);
+    if (chapter && line.length <= 80) {
+      output.push('', `## ${line}`, '');
+      continue;
+    }
+
+    if (isShoutedHeading(line) && line.length >= 3) {
+      output.push('', `## ${line.toLowerCase().replace(/\b\w/g, letter => letter.toUpperCase())}`, '');
+      continue;
+    }
+
+    if (BULLET_LINE.test(line)) {
+      output.push(line.replace(BULLET_LINE, '- '));
+      continue;
+    }
+
+    const definition = DEFINITION_LINE.exec(line);
+    if (definition && definition[1].split(/\s+/).length <= 5) {
+      output.push('', `**${definition[1].trim()}**`, `- ${definition[2].trim()}`, '');
+      continue;
+    }
+
+    output.push(line);
+  }
+
+  return ensureBookStructure(output.join('\n'), title);
+}
+
+// PDF text (e.g. pdftotext output): drop page furniture, rejoin hyphenated and hard-wrapped lines
+export function pdfTextToMarkdown(text, options = {}) {
+  const pages = text.replace(/\r\n?/g, '\n').split('\f');
+
+  // Lines repeated at the top or bottom of most pages are running headers/footers
+  const edgeCounts = new Map();
+  const edgeLines = (page) => {
+    const lines = page.split('\n').map(line => line.trim()).filter(Boolean);
+    return [...lines.slice(0, 2), ...lines.slice(-2)];
+  };
+  const normalizeEdge = (line) => line.replace(/\d+/g, '#');
+  for (const page of pages) {
+    for (const line of new Set(edgeLines(page).map(normalizeEdge))) {
+      edgeCounts.set(line, (edgeCounts.get(line) || 0) + 1);
+    }
+  }
+  const repeated = new Set(
+    Array.from(edgeCounts.entries())
+      .filter(([, count]) => pages.length >= 3 && count >= pages.length / 2)
+      .map(([line]) => line)
+  );
+
+  const paragraphs = [];
+  for (const page of pages) {
+    const lines = page.split('\n')
+      .map(line => line.trim())
+      .filter(line => !repeated.has(normalizeEdge(line)))
+      .filter(line => !/^(page\s+)?\d+(\s+of\s+\d+)?$/i.test(line));
+
+    let current = '';
+    for (const line of lines) {
+      const startsBlock = line.length === 0 || BULLET_LINE.test(line) || CHAPTER_LINE.test(line) || isShoutedHeading(line);
+      if (startsBlock) {
+        if (current) paragraphs.push(current);
+        current = '';
+        if (line.length > 0) paragraphs.push(line);
+        continue;
+      }
+
+      if (!current) {
+        current = line;
+      } else if (/[A-Za-z]-$/.test(current) && /^[a-z]/.test(line)) {
+        current = current.slice(0, -1) + line; // hyphenated line break
+      } else {
+        current += ' ' + line;
+      }
+    }
+    if (current) paragraphs.push(current);
+  }
+
+  return textToMarkdown(paragraphs.join('\n\n'), options);
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+
+// (X)HTML to markdown; headingOffset shifts levels so each EPUB document's <h1> becomes a chapter
+export function htmlToMarkdown(html, options = {}) {
+  const { headingOffset = 0 } = options;
+
+  return html
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, text) => {
+      const depth = Math.min(6, Number(level) + headingOffset);
+      return `\n\n${'#'.repeat(depth)} ${stripTags(text)}\n\n`;
+    })
+    .replace(/<dt[^>]*>([\s\S]*?)<\/dt>/gi, (_, text) => `\n\n**${stripTags(text)}**\n`)
+    .replace(/<dd[^>]*>([\s\S]*?)<\/dd>/gi, (_, text) => `- ${stripTags(text)}\n`)
+    .replace(/<li[^>]*>([\s\S]*?)<\/li>/gi, (_, text) => `- ${stripTags(text)}\n`)
+    // A paragraph that is only bold text names a concept
+    .replace(/<p[^>]*>\s*<(strong|b)>([\s\S]*?)<\/\1>\s*<\/p>/gi, (_, tag, text) => `\n\n**${stripTags(text)}**\n`)
+    .replace(/<p[^>]*>([\s\S]*?)<\/p>/gi, (_, text) => `\n\n${stripTags(text)}\n\n`)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(div|section|ul|ol|dl|blockquote)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .split('\n')
+    .map(line => decodeEntities(line).replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function resolvePath(base, href) {
+  const parts = (base ? base.split('/') : []).concat(decodeURIComponent(href.split('#')[0]).split('/'));
+  const resolved = [];
+  for (const part of parts) {
+    if (part === '..') resolved.pop();
+    else if (part && part !== '.') resolved.push(part);
+  }
+  return resolved.join('/');
+}
+
+const attribute = (tag, name) => new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i').exec(tag)?.[1] || null;
+
+// EPUB: follow container.xml to the package document, then convert spine documents in reading order
+export function epubToMarkdown(bytes) {
+  const entries = readZipEntries(bytes);
+  const readText = (path) => {
+    const entry = entries.get(path);
+    if (!entry) throw new Error(`EPUB is missing '${path}'`);
+    return decodeUtf8(extractEntry(entry));
+  };
+
+  const container = readText('META-INF/container.xml');
+  const rootfileTag = /<rootfile\b[^>]*>/i.exec(container)?.[0];
+  const packagePath = rootfileTag && attribute(rootfileTag, 'full-path');
+  if (!packagePath) {
+    throw new Error('EPUB container has no package document');
+  }
+
+  const packageXml = readText(packagePath);
+  const packageDir = packagePath.includes('/') ? packagePath.slice(0, packagePath.lastIndexOf('/')) : '';
+
+  const title = stripTags(/<dc:title[^>]*>([\s\S]*?)<\/dc:title>/i.exec(packageXml)?.[1] || '');
+  const authors = (packageXml.match(/<dc:creator[^>]*>[\s\S]*?<\/dc:creator>/gi) || [])
+    .map(stripTags)
+    .filter(Boolean);
+
+  const manifest = new Map();
+  for (const itemTag of packageXml.match(/<item\b[^>]*>/gi) || []) {
+    manifest.set(attribute(itemTag, 'id'), {
+      href: attribute(itemTag, 'href'),
+      mediaType: attribute(itemTag, 'media-type') || ''
+    });
+  }
+
+  const documents = [];
+  for (const itemrefTag of packageXml.match(/<itemref\b[^>]*>/gi) || []) {
+    const item = manifest.get(attribute(itemrefTag, 'idref'));
+    if (!item || !/html/.test(item.mediaType)) continue;
+
+    const markdown = htmlToMarkdown(readText(resolvePath(packageDir, item.href)), { headingOffset: 1 });
+    if (markdown) documents.push(markdown);
+  }
+
+  if (documents.length === 0) {
+    throw new Error('EPUB has no readable chapters');
+  }
+
+  return {
+    title,
+    authors,
+    markdown: ensureBookStructure(documents.join('\n\n'), title)
+  };
+}
+
+// Guarantee a '# Title' line and at least one '## ' chapter so the parser finds structure
+export function ensureBookStructure(markdown, title = '') {
+  let result = markdown.replace(/\n{3,}/g, '\n\n').trim();
+
+  if (!/^## /m.test(result)) {
+    // Promote secondary top-level headings to chapters, or wrap everything in one
+    const lines = result.split('\n');
+    const firstTitle = lines.findIndex(line => line.startsWith('# '));
+    const promoted = lines.map((line, index) => (line.startsWith('# ') && index !== firstTitle ? '#' + line : line));
+    result = promoted.join('\n');
+
+    if (!/^## /m.test(result)) {
+      const chapterTitle = title || 'Overview';
+      result = firstTitle === -1
+        ? `## ${chapterTitle}\n\n${result}`
+        : result.replace(/^# .*$/m, heading => `${heading}\n\n## ${chapterTitle}`);
+    }
+  }
+
+  if (!/^# /m.test(result) && title) {
+    result = `# ${title}\n\n${result}`;
+  }
+
+  return result + '\n';
+}
+
+// Title from the first '# ' heading, if any
+export function extractTitle(markdown) {
+  return /^# (.+)$/m.exec(markdown)?.[1].trim() || '';
+}
@@ -0,0 +1,272 @@
+// Minimal ZIP reader for imported documents (EPUB files are ZIP archives)
+// Supports stored and deflated entries; no encryption, ZIP64 or multi-disk archives.
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// DEFLATE (RFC 1951) tables
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// Canonical Huffman decoding table from code lengths
+function buildHuffman(lengths) {
+  const counts = new Uint16Array(16);
+  for (const length of lengths) counts[length]++;
+  counts[0] = 0;
+
+  const offsets = new Uint16Array(16);
+  for (let i = 1; i < 16; i++) offsets[i] = offsets[i - 1] + counts[i - 1];
+
+  const symbols = new Uint16Array(lengths.length);
+  lengths.forEach((length, symbol) => {
+    if (length !== 0) symbols[offsets[length]++] = symbol;
+  });
+
+  return { counts, symbols };
+}
+
+let fixedTables = null;
+function getFixedTables() {
+  if (!fixedTables) {
+    const literalLengths = new Array(288);
+    for (let i = 0; i < 144; i++) literalLengths[i] = 8;
+    for (let i = 144; i < 256; i++) literalLengths[i] = 9;
+    for (let i = 256; i < 280; i++) literalLengths[i] = 7;
+    for (let i = 280; i < 288; i++) literalLengths[i] = 8;
+    fixedTables = {
+      literal: buildHuffman(literalLengths),
+      distance: buildHuffman(new Array(30).fill(5))
+    };
+  }
+  return fixedTables;
+}
+
+// Decompress a raw DEFLATE stream
+export function inflateRaw(data) {
+  let position = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let output = new Uint8Array(Math.max(1024, data.length * 4));
+  let outputLength = 0;
+
+  const readBits = (count) => {
+    while (bitCount < count) {
+      if (position >= data.length) throw new Error('Unexpected end of compressed data');
+      bitBuffer |= data[position++] << bitCount;
+      bitCount += 8;
+    }
+    const value = bitBuffer & ((1 << count) - 1);
+    bitBuffer >>>= count;
+    bitCount -= count;
+    return value;
+  };
+
+  const decodeSymbol = ({ counts, symbols }) => {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let length = 1; length < 16; length++) {
+      code |= readBits(1);
+      const count = counts[length];
+      if (code - first < count) return symbols[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error('Invalid Huffman code');
+  };
+
+  const ensureCapacity = (extra) => {
+    if (outputLength + extra <= output.length) return;
+    const grown = new Uint8Array(Math.max(output.length * 2, outputLength + extra));
+    grown.set(output.subarray(0, outputLength));
+    output = grown;
+  };
+
+  let isFinalBlock = false;
+  while (!isFinalBlock) {
+    isFinalBlock = readBits(1) === 1;
+    const blockType = readBits(2);
+
+    if (blockType === 0) {
+      // Stored block: byte-aligned length, its complement, then raw bytes
+      bitBuffer = 0;
+      bitCount = 0;
+      const length = data[position] | (data[position + 1] << 8);
+      position += 4;
+      ensureCapacity(length);
+      output.set(data.subarray(position, position + length), outputLength);
+      outputLength += length;
+      position += length;
+      continue;
+    }
+
+    let literalTable;
+    let distanceTable;
+    if (blockType === 1) {
+      ({ literal: literalTable, distance: distanceTable } = getFixedTables());
+    } else if (blockType === 2) {
+      const literalCount = readBits(5) + 257;
+      const distanceCount = readBits(5) + 1;
+      const codeLengthCount = readBits(4) + 4;
+
+      const codeLengthLengths = new Array(19).fill(0);
+      for (let i = 0; i < codeLengthCount; i++) {
+        codeLengthLengths[CODE_LENGTH_ORDER[i]] = readBits(3);
+      }
+      const codeLengthTable = buildHuffman(codeLengthLengths);
+
+      const lengths = [];
+      while (lengths.length < literalCount + distanceCount) {
+        const symbol = decodeSymbol(codeLengthTable);
+        if (symbol < 16) {
+          lengths.push(symbol);
+        } else if (symbol === 16) {
+          const previous = lengths[lengths.length - 1];
+          for (let repeat = readBits(2) + 3; repeat > 0; repeat--) lengths.push(previous);
+        } else if (symbol === 17) {
+          for (let repeat = readBits(3) + 3; repeat > 0; repeat--) lengths.push(0);
+        } else {
+          for (let repeat = readBits(7) + 11; repeat > 0; repeat--) lengths.push(0);
+        }
+      }
+
+      literalTable = buildHuffman(lengths.slice(0, literalCount));
+      distanceTable = buildHuffman(lengths.slice(literalCount));
+    } else {
+      throw new Error('Invalid DEFLATE block type');
+    }
+
+    for (;;) {
+      const symbol = decodeSymbol(literalTable);
+      if (symbol === 256) break;
+
+      if (symbol < 256) {
+        ensureCapacity(1);
+        output[outputLength++] = symbol;
+        continue;
+      }
+
+      const lengthIndex = symbol - 257;
+      const length = LENGTH_BASE[lengthIndex] + readBits(LENGTH_EXTRA[lengthIndex]);
+      const distanceIndex = decodeSymbol(distanceTable);
+      const distance = DISTANCE_BASE[distanceIndex] + readBits(DISTANCE_EXTRA[distanceIndex]);
+
+      ensureCapacity(length);
+      for (let i = 0; i < length; i++) {
+        output[outputLength] = output[outputLength - distance];
+        outputLength++;
+      }
+    }
+  }
+
+  return output.subarray(0, outputLength);
+}
+
+// Read a ZIP archive into a Map of entry name -> { method, size, data (still compressed) }
+export function readZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end-of-central-directory record sits within the last 64KB (+ comment)
+  let endOffset = -1;
+  for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 65557); offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decodeUtf8(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt ZIP entry '${name}'`);
+    }
+    const dataOffset = localOffset + 30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+
+    entries.set(name, {
+      method,
+      size,
+      data: bytes.subarray(dataOffset, dataOffset + compressedSize)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+// Decompressed bytes of an entry
+export function extractEntry(entry) {
+  if (entry.method === 0) return entry.data;
+  if (entry.method === 8) return inflateRaw(entry.data);
+  throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+}
+
+export function decodeUtf8(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    let codePoint;
+
+    if (byte < 0x80) {
+      codePoint = byte;
+    } else if (byte >= 0xf0 && i + 3 < bytes.length) {
+      codePoint = ((byte & 0x07) << 18) | ((bytes[++i] & 0x3f) << 12) | ((bytes[++i] & 0x3f) << 6) | (bytes[++i] & 0x3f);
+    } else if (byte >= 0xe0 && i + 2 < bytes.length) {
+      codePoint = ((byte & 0x0f) << 12) | ((bytes[++i] & 0x3f) << 6) | (bytes[++i] & 0x3f);
+    } else if (byte >= 0xc0 && i + 1 < bytes.length) {
+      codePoint = ((byte & 0x1f) << 6) | (bytes[++i] & 0x3f);
+    } else {
+      codePoint = 0xfffd;
+    }
+
+    text += String.fromCodePoint(codePoint > 0x10ffff ? 0xfffd : codePoint);
+  }
+  return text;
+}
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+export function base64ToBytes(base64) {
+  const clean = base64.replace(/[^A-Za-z0-9+/]/g, '');
+  const bytes = new Uint8Array(Math.floor(clean.length * 3 / 4));
+  let buffer = 0;
+  let bits = 0;
+  let length = 0;
+
+  for (let i = 0; i < clean.length; i++) {
+    buffer = (buffer << 6) | BASE64_ALPHABET.indexOf(clean[i]);
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[length++] = (buffer >> bits) & 0xff;
+    }
+  }
+
+  return bytes.subarray(0, length);
+}
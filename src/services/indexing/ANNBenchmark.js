@@ -0,0 +1,142 @@
+// ANN Benchmark Harness
+// Measures HNSW recall@k and latency against brute-force cosine search
+
+import VectorDatabase from '../VectorDatabase';
+import VectorEmbeddingService from '../VectorEmbeddingService';
+import { HNSWIndex } from './HNSWIndex';
+
+const now = () => (global.performance ? global.performance.now() : Date.now());
+
+class ANNBenchmark {
+  constructor() {
+    this.defaultConfigs = [
+      { M: 16, efConstruction: 100, efSearch: 16 },
+      { M: 16, efConstruction: 100, efSearch: 32 },
+      { M: 16, efConstruction: 100, efSearch: 64 },
+      { M: 16, efConstruction: 100, efSearch: 128 }
+    ];
+  }
+
+  // Benchmark a list of { id, embedding } items with the given query vectors
+  run(items, queries, options = {}) {
+    const { k = 10, configs = this.defaultConfigs } = options;
+
+    // Ground truth from the exact scan used by VectorDatabase for small collections
+    const bruteForceLatencies = [];
+    const groundTruth = queries.map(query => {
+      const start = now();
+      const matches = VectorEmbeddingService.findMostSimilar(query, items, k);
+      bruteForceLatencies.push(now() - start);
+      return new Set(matches.map(match => match.item.id));
+    });
+
+    const results = [];
+    for (const config of configs) {
+      const buildStart = now();
+      const index = new HNSWIndex(config);
+      for (const item of items) {
+        index.add(item.id, item.embedding);
+      }
+      const buildTimeMs = now() - buildStart;
+
+      const latencies = [];
+      let recallSum = 0;
+      queries.forEach((query, i) => {
+        const start = now();
+        const matches = index.search(query, k, config.efSearch);
+        latencies.push(now() - start);
+
+        const hits = matches.filter(match => groundTruth[i].has(match.id)).length;
+        recallSum += groundTruth[i].size === 0 ? 1 : hits / groundTruth[i].size;
+      });
+
+      results.push({
+        config,
+        k,
+        vectorCount: items.length,
+        queryCount: queries.length,
+        buildTimeMs: Math.round(buildTimeMs),
+        recallAtK: queries.length > 0 ? recallSum / queries.length : 0,
+        avgLatencyMs: this.average(latencies),
+        p95LatencyMs: this.percentile(latencies, 0.95),
+        bruteForceAvgLatencyMs: this.average(bruteForceLatencies)
+      });
+    }
+
+    return results;
+  }
+
+  // Benchmark a VectorDatabase collection, using sampled stored embeddings as queries
+  async benchmarkCollection(collectionName, options = {}) {
+    const { sampleSize = 50, noise = 0.05 } = options;
+
+    await VectorDatabase.initialize();
+    const collection = VectorDatabase.collections.get(collectionName);
+    if (!collection) {
+      throw new Error(`Collection '${collectionName}' not found`);
+    }
+
+    await VectorDatabase.ensureEmbeddingsLoaded(collection);
+    const items = collection.embeddings;
+    const random = new HNSWIndex().createRandom(7);
+
+    // Perturb sampled embeddings so queries are near, not identical to, stored vectors
+    const queries = [];
+    for (let i = 0; i < Math.min(sampleSize, items.length); i++) {
+      const source = items[Math.floor(random() * items.length)].embedding;
+      queries.push(source.map(value => value + (random() - 0.5) * noise));
+    }
+
+    const results = this.run(items, queries, options);
+    console.log(this.formatReport(results));
+    return results;
+  }
+
+  // Benchmark on random vectors (no stored data or API key needed)
+  benchmarkSynthetic(options = {}) {
+    const { vectorCount = 2000, queryCount = 50, dimension = 64 } = options;
+    const random = new HNSWIndex().createRandom(11);
+    const randomVector = () => Array.from({ length: dimension }, () => random() * 2 - 1);
+
+    const items = Array.from({ length: vectorCount }, (_, i) => ({
+      id: `synthetic_${i}`,
+      embedding: randomVector()
+    }));
+    const queries = Array.from({ length: queryCount }, randomVector);
+
+    const results = this.run(items, queries, options);
+    console.log(this.formatReport(results));
+    return results;
+  }
+
+  average(values) {
+    return values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  percentile(values, p) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  }
+
+  // Markdown table of benchmark results
+  formatReport(results) {
+    const lines = [
+      '| M | efConstruction | efSearch | recall@k | avg ms | p95 ms | brute-force ms | build ms |',
+      '|---|---|---|---|---|---|---|---|'
+    ];
+
+    for (const result of results) {
+      const { M, efConstruction, efSearch } = result.config;
+      lines.push(
+        `| ${M} | ${efConstruction} | ${efSearch} | ${result.recallAtK.toFixed(3)} | ` +
+        `${result.avgLatencyMs.toFixed(2)} | ${result.p95LatencyMs.toFixed(2)} | ` +
+        `${result.bruteForceAvgLatencyMs.toFixed(2)} | ${result.buildTimeMs} |`
+      );
+    }
+
+    return lines.join('\n');
+  }
+}
+
+export default new ANNBenchmark();
@@ -0,0 +1,288 @@
+// HNSW Approximate Nearest-Neighbour Index
+// Hierarchical Navigable Small World graph over cosine similarity
+//
+// Tuning:
+//   M               links per node per layer (memory / recall)
+//   efConstruction  candidate list size while inserting (build time / graph quality)
+//   efSearch        candidate list size while querying (latency / recall)
+
+export class HNSWIndex {
+  constructor(options = {}) {
+    this.M = options.M || 16;
+    this.maxLinksLayer0 = this.M * 2;
+    this.efConstruction = options.efConstruction || 100;
+    this.efSearch = options.efSearch || 64;
+    this.levelMultiplier = 1 / Math.log(this.M);
+    this.random = this.createRandom(options.seed || 42);
+
+    this.vectors = new Map(); // id -> normalized vector
+    this.levels = new Map(); // id -> top layer of node
+    this.links = new Map(); // id -> array (per layer) of neighbour id arrays
+    this.deleted = new Set();
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  get size() {
+    return this.vectors.size - this.deleted.size;
+  }
+
+  // Seeded PRNG so index builds are reproducible
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  normalize(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm);
+
+    const normalized = new Float32Array(vector.length);
+    if (norm === 0) return normalized;
+    for (let i = 0; i < vector.length; i++) normalized[i] = vector[i] / norm;
+    return normalized;
+  }
+
+  // Cosine similarity of two normalized vectors
+  similarity(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return dot;
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+  }
+
+  has(id) {
+    return this.vectors.has(id) && !this.deleted.has(id);
+  }
+
+  // Insert a vector (re-adding an id replaces it)
+  add(id, vector) {
+    if (this.vectors.has(id)) {
+      this.hardRemove(id);
+    }
+
+    const normalized = this.normalize(vector);
+    const level = this.randomLevel();
+
+    this.vectors.set(id, normalized);
+    this.levels.set(id, level);
+    this.links.set(id, Array.from({ length: level + 1 }, () => []));
+
+    if (this.entryPoint === null) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return;
+    }
+
+    // Greedy descent through the layers above the new node
+    let current = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      current = this.greedyClosest(normalized, current, layer);
+    }
+
+    // Connect on every layer the node lives in
+    let entryPoints = [current];
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(normalized, entryPoints, this.efConstruction, layer);
+      const maxLinks = layer === 0 ? this.maxLinksLayer0 : this.M;
+      const neighbours = this.selectNeighbours(normalized, candidates, this.M);
+
+      this.links.get(id)[layer] = neighbours.map(candidate => candidate.id);
+      for (const neighbour of neighbours) {
+        const neighbourLinks = this.links.get(neighbour.id)[layer];
+        neighbourLinks.push(id);
+        if (neighbourLinks.length > maxLinks) {
+          this.pruneLinks(neighbour.id, layer, maxLinks);
+        }
+      }
+
+      entryPoints = candidates.map(candidate => candidate.id);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = id;
+    }
+  }
+
+  // Soft delete: node stays in the graph for navigation but is never returned
+  remove(id) {
+    if (this.vectors.has(id)) {
+      this.deleted.add(id);
+    }
+  }
+
+  // Fully unlink a node (used when an id is re-added)
+  hardRemove(id) {
+    const nodeLinks = this.links.get(id) || [];
+    nodeLinks.forEach((layerLinks, layer) => {
+      for (const neighbourId of layerLinks) {
+        const neighbourLinks = this.links.get(neighbourId)?.[layer];
+        if (neighbourLinks) {
+          const index = neighbourLinks.indexOf(id);
+          if (index !== -1) neighbourLinks.splice(index, 1);
+        }
+      }
+    });
+
+    this.vectors.delete(id);
+    this.levels.delete(id);
+    this.links.delete(id);
+    this.deleted.delete(id);
+
+    if (this.entryPoint === id) {
+      this.resetEntryPoint();
+    }
+  }
+
+  resetEntryPoint() {
+    this.entryPoint = null;
+    this.maxLevel = -1;
+    for (const [id, level] of this.levels) {
+      if (level > this.maxLevel) {
+        this.maxLevel = level;
+        this.entryPoint = id;
+      }
+    }
+  }
+
+  greedyClosest(query, start, layer) {
+    let current = start;
+    let currentSimilarity = this.similarity(query, this.vectors.get(current));
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (const neighbourId of this.links.get(current)[layer] || []) {
+        const neighbourSimilarity = this.similarity(query, this.vectors.get(neighbourId));
+        if (neighbourSimilarity > currentSimilarity) {
+          current = neighbourId;
+          currentSimilarity = neighbourSimilarity;
+          improved = true;
+        }
+      }
+    }
+
+    return current;
+  }
+
+  // Best-first search within one layer, returns up to ef candidates sorted by similarity
+  searchLayer(query, entryPoints, ef, layer) {
+    const visited = new Set(entryPoints);
+    const candidates = entryPoints.map(id => ({ id, similarity: this.similarity(query, this.vectors.get(id)) }));
+    const results = [...candidates];
+
+    candidates.sort((a, b) => b.similarity - a.similarity);
+    results.sort((a, b) => b.similarity - a.similarity);
+
+    while (candidates.length > 0) {
+      const closest = candidates.shift();
+      const worstResult = results[results.length - 1];
+      if (results.length >= ef && closest.similarity < worstResult.similarity) {
+        break;
+      }
+
+      for (const neighbourId of this.links.get(closest.id)[layer] || []) {
+        if (visited.has(neighbourId)) continue;
+        visited.add(neighbourId);
+
+        const similarity = this.similarity(query, this.vectors.get(neighbourId));
+        if (results.length < ef || similarity > results[results.length - 1].similarity) {
+          const entry = { id: neighbourId, similarity };
+          this.insertSorted(candidates, entry);
+          this.insertSorted(results, entry);
+          if (results.length > ef) results.pop();
+        }
+      }
+    }
+
+    return results;
+  }
+
+  insertSorted(list, entry) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (list[mid].similarity > entry.similarity) low = mid + 1;
+      else high = mid;
+    }
+    list.splice(low, 0, entry);
+  }
+
+  // Heuristic neighbour selection: prefer candidates that add new directions
+  selectNeighbours(query, candidates, count) {
+    const selected = [];
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+
+      const vector = this.vectors.get(candidate.id);
+      const dominated = selected.some(chosen =>
+        this.similarity(vector, this.vectors.get(chosen.id)) > candidate.similarity
+      );
+      if (!dominated) selected.push(candidate);
+    }
+
+    // Top up with the closest remaining candidates
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+      if (!selected.includes(candidate)) selected.push(candidate);
+    }
+
+    return selected;
+  }
+
+  pruneLinks(id, layer, maxLinks) {
+    const vector = this.vectors.get(id);
+    const candidates = this.links.get(id)[layer]
+      .map(neighbourId => ({
+        id: neighbourId,
+        similarity: this.similarity(vector, this.vectors.get(neighbourId))
+      }))
+      .sort((a, b) => b.similarity - a.similarity);
+
+    this.links.get(id)[layer] = this.selectNeighbours(vector, candidates, maxLinks)
+      .map(candidate => candidate.id);
+  }
+
+  // Return the k most similar live ids: [{ id, similarity }]
+  // An optional accept(id) predicate restricts which ids may be returned
+  search(vector, k = 5, ef = this.efSearch, accept = null) {
+    if (this.entryPoint === null || this.size === 0) return [];
+
+    const query = this.normalize(vector);
+    let current = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      current = this.greedyClosest(query, current, layer);
+    }
+
+    // Widen the beam to make room for soft-deleted nodes
+    const beam = Math.max(ef, k) + this.deleted.size;
+    return this.searchLayer(query, [current], beam, 0)
+      .filter(candidate => !this.deleted.has(candidate.id) && (!accept || accept(candidate.id)))
+      .slice(0, k);
+  }
+
+  getStats() {
+    return {
+      size: this.size,
+      deleted: this.deleted.size,
+      maxLevel: this.maxLevel,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch
+    };
+  }
+}
+
+export default HNSWIndex;
@@ -0,0 +1,146 @@
+// Inverted Index with BM25 scoring
+// Positional postings so quoted phrase queries can be matched exactly
+
+import { analyze, parseQuery } from './TextAnalyzer';
+
+export class InvertedIndex {
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+
+    this.postings = new Map(); // term -> Map(docId -> positions[])
+    this.documentLengths = new Map(); // docId -> indexed term count
+    this.documentTerms = new Map(); // docId -> Set of terms (for removal)
+    this.totalLength = 0;
+  }
+
+  get documentCount() {
+    return this.documentLengths.size;
+  }
+
+  get averageDocumentLength() {
+    return this.documentCount === 0 ? 0 : this.totalLength / this.documentCount;
+  }
+
+  has(id) {
+    return this.documentLengths.has(id);
+  }
+
+  // Index (or re-index) a document's text
+  addDocument(id, text) {
+    if (this.has(id)) {
+      this.removeDocument(id);
+    }
+
+    const terms = analyze(text);
+    const termSet = new Set();
+
+    for (const { term, position } of terms) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      const documentPostings = this.postings.get(term);
+      if (!documentPostings.has(id)) {
+        documentPostings.set(id, []);
+      }
+      documentPostings.get(id).push(position);
+      termSet.add(term);
+    }
+
+    this.documentLengths.set(id, terms.length);
+    this.documentTerms.set(id, termSet);
+    this.totalLength += terms.length;
+  }
+
+  removeDocument(id) {
+    if (!this.has(id)) return;
+
+    for (const term of this.documentTerms.get(id)) {
+      const documentPostings = this.postings.get(term);
+      documentPostings.delete(id);
+      if (documentPostings.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.totalLength -= this.documentLengths.get(id);
+    this.documentLengths.delete(id);
+    this.documentTerms.delete(id);
+  }
+
+  clear() {
+    this.postings.clear();
+    this.documentLengths.clear();
+    this.documentTerms.clear();
+    this.totalLength = 0;
+  }
+
+  // Inverse document frequency (BM25 variant, always positive)
+  idf(term) {
+    const documentFrequency = this.postings.get(term)?.size || 0;
+    return Math.log(1 + (this.documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  // True when the document contains the analyzed phrase with its original gaps
+  matchesPhrase(id, phrase) {
+    const [first, ...rest] = phrase;
+    const firstPositions = this.postings.get(first.term)?.get(id);
+    if (!firstPositions) return false;
+
+    return firstPositions.some(start =>
+      rest.every(entry => {
+        const positions = this.postings.get(entry.term)?.get(id);
+        return positions && positions.includes(start + (entry.position - first.position));
+      })
+    );
+  }
+
+  // Score documents for a query; quoted phrases must match. Returns [{ id, score }] sorted.
+  search(query, options = {}) {
+    const { topK = 10, accept = null } = options;
+    const { terms, phrases } = parseQuery(query);
+
+    const scoringTerms = Array.from(new Set([
+      ...terms,
+      ...phrases.flatMap(phrase => phrase.map(entry => entry.term))
+    ]));
+    if (scoringTerms.length === 0) return [];
+
+    const averageLength = this.averageDocumentLength || 1;
+    const scores = new Map();
+
+    for (const term of scoringTerms) {
+      const documentPostings = this.postings.get(term);
+      if (!documentPostings) continue;
+
+      const idf = this.idf(term);
+      for (const [id, positions] of documentPostings) {
+        const frequency = positions.length;
+        const lengthNorm = 1 - this.b + this.b * (this.documentLengths.get(id) / averageLength);
+        const termScore = idf * (frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm);
+        scores.set(id, (scores.get(id) || 0) + termScore);
+      }
+    }
+
+    const results = [];
+    for (const [id, score] of scores) {
+      if (accept && !accept(id)) continue;
+      if (phrases.length > 0 && !phrases.every(phrase => this.matchesPhrase(id, phrase))) continue;
+      results.push({ id, score });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  getStats() {
+    return {
+      documentCount: this.documentCount,
+      termCount: this.postings.size,
+      averageDocumentLength: this.averageDocumentLength
+    };
+  }
+}
+
+export default InvertedIndex;
@@ -0,0 +1,133 @@
+// Metadata Filter Language
+// Compiles structured filters into document predicates and computes facet counts
+//
+// Filters are plain objects. Field names are document paths (e.g. 'textbook',
+// 'metadata.type'); a bare value means equality.
+//
+//   { textbook: 'attached' }
+//   { 'metadata.type': { $in: ['concept', 'practical_application'] } }
+//   { 'metadata.chunkIndex': { $gte: 0, $lt: 3 } }
+//   { $or: [{ textbook: 'attached' }, { concept: { $exists: true } }] }
+//
+// Field operators: $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte, $exists
+// Logical operators: $and, $or, $not
+
+const FIELD_OPERATORS = {
+  $eq: (value, operand) => matchesValue(value, operand),
+  $ne: (value, operand) => !matchesValue(value, operand),
+  $in: (value, operand) => operand.some(option => matchesValue(value, option)),
+  $nin: (value, operand) => !operand.some(option => matchesValue(value, option)),
+  $gt: (value, operand) => value !== null && value !== undefined && value > operand,
+  $gte: (value, operand) => value !== null && value !== undefined && value >= operand,
+  $lt: (value, operand) => value !== null && value !== undefined && value < operand,
+  $lte: (value, operand) => value !== null && value !== undefined && value <= operand,
+  $exists: (value, operand) => (value !== null && value !== undefined) === Boolean(operand)
+};
+
+// Array fields match when any element matches
+function matchesValue(value, expected) {
+  if (Array.isArray(value)) {
+    return value.includes(expected);
+  }
+  return value === expected;
+}
+
+export function getFieldValue(document, path) {
+  let value = document;
+  for (const key of path.split('.')) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function isOperatorObject(condition) {
+  return condition !== null &&
+    typeof condition === 'object' &&
+    !Array.isArray(condition) &&
+    Object.keys(condition).length > 0 &&
+    Object.keys(condition).every(key => key.startsWith('$'));
+}
+
+function compileFieldCondition(path, condition) {
+  if (!isOperatorObject(condition)) {
+    return document => matchesValue(getFieldValue(document, path), condition);
+  }
+
+  const checks = Object.entries(condition).map(([operator, operand]) => {
+    const check = FIELD_OPERATORS[operator];
+    if (!check) {
+      throw new Error(`Unknown filter operator '${operator}' on field '${path}'`);
+    }
+    if ((operator === '$in' || operator === '$nin') && !Array.isArray(operand)) {
+      throw new Error(`Filter operator '${operator}' on field '${path}' expects an array`);
+    }
+    return document => check(getFieldValue(document, path), operand);
+  });
+
+  return document => checks.every(check => check(document));
+}
+
+// Compile a filter into a predicate: (document) => boolean
+export function compileFilter(filter) {
+  if (!filter || Object.keys(filter).length === 0) {
+    return () => true;
+  }
+
+  const predicates = Object.entries(filter).map(([key, condition]) => {
+    switch (key) {
+      case '$and':
+      case '$or': {
+        if (!Array.isArray(condition)) {
+          throw new Error(`Filter operator '${key}' expects an array of filters`);
+        }
+        const clauses = condition.map(compileFilter);
+        return key === '$and'
+          ? document => clauses.every(clause => clause(document))
+          : document => clauses.some(clause => clause(document));
+      }
+      case '$not': {
+        const clause = compileFilter(condition);
+        return document => !clause(document);
+      }
+      default:
+        if (key.startsWith('$')) {
+          throw new Error(`Unknown filter operator '${key}'`);
+        }
+        return compileFieldCondition(key, condition);
+    }
+  });
+
+  return document => predicates.every(predicate => predicate(document));
+}
+
+// Combine filters with $and, skipping empty ones
+export function combineFilters(...filters) {
+  const present = filters.filter(filter => filter && Object.keys(filter).length > 0);
+  if (present.length === 0) return null;
+  if (present.length === 1) return present[0];
+  return { $and: present };
+}
+
+// Count documents per value of each facet field: { field: [{ value, count }] }
+export function computeFacets(documents, fields = []) {
+  const facets = {};
+
+  for (const field of fields) {
+    const counts = new Map();
+    for (const document of documents) {
+      const value = getFieldValue(document, field);
+      const values = Array.isArray(value) ? value : [value];
+      for (const entry of values) {
+        if (entry === null || entry === undefined) continue;
+        counts.set(entry, (counts.get(entry) || 0) + 1);
+      }
+    }
+
+    facets[field] = Array.from(counts.entries())
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  return facets;
+}
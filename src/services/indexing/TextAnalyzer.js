@@ -0,0 +1,143 @@
+// Text Analyzer
+// Tokenization, stop-word removal and Porter stemming for keyword search
+
+export const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are',
+  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but',
+  'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for',
+  'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself',
+  'him', 'himself', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just',
+  'me', 'more', 'most', 'my', 'myself', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once',
+  'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own', 's', 'same', 'she',
+  'should', 'so', 'some', 'such', 't', 'than', 'that', 'the', 'their', 'theirs', 'them',
+  'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too',
+  'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+  'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself',
+  'yourselves'
+]);
+
+// Porter stemmer (M. F. Porter, 1980)
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+  alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+  ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+  iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent',
+  'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANT_SEQ = `${CONSONANT}[^aeiouy]*`;
+const VOWEL_SEQ = `${VOWEL}[aeiou]*`;
+
+const MEASURE_GT_0 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}`);
+const MEASURE_EQ_1 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}(${VOWEL_SEQ})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}${VOWEL_SEQ}${CONSONANT_SEQ}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${CONSONANT_SEQ}${VOWEL}[^aeiouwxy]$`);
+
+export function stem(word) {
+  if (word.length < 3) return word;
+
+  let w = word;
+  const startsWithY = w[0] === 'y';
+  if (startsWithY) w = 'Y' + w.slice(1);
+
+  // Step 1a
+  if (/sses$/.test(w)) w = w.slice(0, -2);
+  else if (/ies$/.test(w)) w = w.slice(0, -2);
+  else if (/[^s]s$/.test(w)) w = w.slice(0, -1);
+
+  // Step 1b
+  let match;
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w))) {
+    const base = match[1];
+    if (HAS_VOWEL.test(base)) {
+      w = base;
+      if (/(at|bl|iz)$/.test(w)) w += 'e';
+      else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+      else if (ENDS_CVC.test(w)) w += 'e';
+    }
+  }
+
+  // Step 1c
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = match[1] + STEP2_SUFFIXES[match[2]];
+  }
+
+  // Step 3
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = match[1] + STEP3_SUFFIXES[match[2]];
+  }
+
+  // Step 4
+  const step4 = new RegExp(`^(.+?)(${STEP4_SUFFIXES.join('|')})$`);
+  if ((match = step4.exec(w))) {
+    if (MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // Step 5
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) {
+      w = base;
+    }
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  return startsWithY ? 'y' + w.slice(1) : w;
+}
+
+// Split text into lowercase word tokens
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 0);
+}
+
+// Tokenize, drop stop words and stem. Positions count stop words so phrase gaps are preserved.
+export function analyze(text) {
+  const terms = [];
+  tokenize(text).forEach((token, position) => {
+    if (!STOP_WORDS.has(token)) {
+      terms.push({ term: stem(token), position });
+    }
+  });
+  return terms;
+}
+
+// Parse a keyword query into free terms and quoted phrases
+export function parseQuery(query) {
+  const phrases = [];
+  const freeText = (query || '').replace(/"([^"]+)"/g, (_, phrase) => {
+    const terms = analyze(phrase);
+    if (terms.length > 0) phrases.push(terms);
+    return ' ';
+  });
+
+  return {
+    terms: analyze(freeText).map(entry => entry.term),
+    phrases
+  };
+}
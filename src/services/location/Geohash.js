@@ -0,0 +1,81 @@
+// Geohash
+// Standard base-32 geohash encoding. Each extra character narrows the cell about 32-fold, so
+// precision 4 is roughly 39 x 20 km, 5 is 4.9 x 4.9 km and 6 is 1.2 x 0.6 km at the equator.
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const KM_PER_DEGREE = 111.32;
+
+export function encode(latitude, longitude, precision = 5) {
+  const latRange = [-90, 90];
+  const lonRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true; // Bits alternate, starting with longitude
+
+  while (hash.length < precision) {
+    const range = evenBit ? lonRange : latRange;
+    const coordinate = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+    if (coordinate >= mid) {
+      value = value * 2 + 1;
+      range[0] = mid;
+    } else {
+      value *= 2;
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+}
+
+// { minLat, maxLat, minLon, maxLon } of a cell
+export function bounds(hash) {
+  const latRange = [-90, 90];
+  const lonRange = [-180, 180];
+  let evenBit = true;
+
+  for (const char of String(hash).toLowerCase()) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) throw new Error(`Invalid geohash: ${hash}`);
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lonRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((index >> bit) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return { minLat: latRange[0], maxLat: latRange[1], minLon: lonRange[0], maxLon: lonRange[1] };
+}
+
+// Centre of a cell as { latitude, longitude }
+export function decode(hash) {
+  const { minLat, maxLat, minLon, maxLon } = bounds(hash);
+  return { latitude: (minLat + maxLat) / 2, longitude: (minLon + maxLon) / 2 };
+}
+
+export function isValid(hash) {
+  return typeof hash === 'string' && hash.length > 0 && [...hash.toLowerCase()].every(char => BASE32.includes(char));
+}
+
+// Distance from a cell's centre to its corner, in km: how far the centre can be from the real position
+export function halfDiagonalKm(hash) {
+  const { minLat, maxLat, minLon, maxLon } = bounds(hash);
+  const heightKm = (maxLat - minLat) * KM_PER_DEGREE;
+  const widthKm = (maxLon - minLon) * KM_PER_DEGREE * Math.cos((((minLat + maxLat) / 2) * Math.PI) / 180);
+  return Math.sqrt(heightKm ** 2 + widthKm ** 2) / 2;
+}
+
+export default { encode, decode, bounds, isValid, halfDiagonalKm };
@@ -0,0 +1,244 @@
+// Location Service
+// The device user's location, reduced to a geohash cell before anything else sees it. Raw
+// coordinates are never stored, sent over the socket or indexed: updateLocation() keeps only the
+// cell at the precision the user picked, and distances everywhere are measured between cell
+// centres: the discovery distance filter and the bands shown on cards ("Within 10 km") use the
+// same rule, so a candidate that passes a 10 km filter is never labelled further away.
+//
+// Travel (passport) mode searches from another city's cell for a date range; the home cell is
+// what other people still see.
+//
+//   await LocationService.refreshFromDevice(); // Reads the device position, then updateLocation()
+//   await LocationService.updateLocation({ latitude, longitude, city, state });
+//   await LocationService.setTravelMode({ location: { latitude, longitude }, label: 'Lisbon', startsAt, endsAt });
+//   const origin = await LocationService.getSearchLocation();
+//   describeDistance(origin, candidate.geohash).label; // 'Within 25 km'
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Location from 'expo-location';
+import { encode, decode, isValid } from './Geohash';
+import { LocationUtils } from '../../utils/MatchingUtils';
+import WebSocketClient from '../WebSocketClient';
+
+export const PRECISION_OPTIONS = [
+  { precision: 4, label: 'Region', approximateKm: 20 },
+  { precision: 5, label: 'Neighbourhood', approximateKm: 5 },
+  { precision: 6, label: 'Street', approximateKm: 1 }
+];
+
+export const DEFAULT_PRECISION = 5;
+
+// Upper bounds for the bands shown on cards and profiles
+export const DISTANCE_BANDS_KM = [2, 5, 10, 25, 50, 100];
+
+const MIN_PRECISION = PRECISION_OPTIONS[0].precision;
+const MAX_PRECISION = PRECISION_OPTIONS[PRECISION_OPTIONS.length - 1].precision;
+
+function clampPrecision(precision) {
+  const value = Math.round(Number(precision));
+  if (Number.isNaN(value)) return DEFAULT_PRECISION;
+  return Math.min(MAX_PRECISION, Math.max(MIN_PRECISION, value));
+}
+
+// A cell { geohash, precision, latitude, longitude } from coordinates ({ latitude, longitude } or
+// { lat, lon }), a geohash string or another cell. A cell finer than `precision` is coarsened;
+// a coarser one stays as it is, since the lost detail can't be recovered.
+export function fuzzLocation(location, precision = DEFAULT_PRECISION) {
+  if (!location) return null;
+  const target = clampPrecision(precision);
+
+  let geohash = null;
+  if (typeof location === 'string') {
+    geohash = location;
+  } else if (location.geohash) {
+    geohash = location.geohash;
+  } else {
+    const latitude = Number(location.latitude ?? location.lat);
+    const longitude = Number(location.longitude ?? location.lon);
+    if (Number.isNaN(latitude) || Number.isNaN(longitude)) return null;
+    geohash = encode(latitude, longitude, target);
+  }
+
+  if (!isValid(geohash)) return null;
+  geohash = geohash.toLowerCase().slice(0, target);
+  return { geohash, precision: geohash.length, ...decode(geohash) };
+}
+
+// Kilometres between two cells' centres
+export function cellDistanceKm(from, to) {
+  const a = fuzzLocation(from, MAX_PRECISION);
+  const b = fuzzLocation(to, MAX_PRECISION);
+  if (!a || !b) return null;
+  return LocationUtils.calculateDistance(a, b);
+}
+
+// { band, label } for the distance between two cells: the smallest band holding the centre-to-centre
+// distance, as the discovery geo_distance filter measures it. Past the last band it's a rounded estimate.
+export function describeDistance(from, to) {
+  const distanceKm = cellDistanceKm(from, to);
+  if (distanceKm === null) return null;
+
+  const band = DISTANCE_BANDS_KM.find(km => distanceKm <= km);
+
+  if (band) {
+    return { band, label: band === DISTANCE_BANDS_KM[0] ? `Less than ${band} km away` : `Within ${band} km` };
+  }
+
+  const step = distanceKm >= 1000 ? 100 : 10;
+  return { band: null, label: `About ${Math.max(step, Math.round(distanceKm / step) * step)} km away` };
+}
+
+class LocationService {
+  constructor() {
+    this.settings = { precision: DEFAULT_PRECISION, home: null, travel: null };
+    this.storageKey = 'soulai_location_settings';
+    this.loaded = false;
+  }
+
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    try {
+      const stored = await AsyncStorage.getItem(this.storageKey);
+      if (stored) {
+        this.settings = { ...this.settings, ...JSON.parse(stored) };
+      }
+    } catch (error) {
+      console.error('Error loading location settings:', error);
+    }
+  }
+
+  async save() {
+    try {
+      await AsyncStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    } catch (error) {
+      console.error('Error saving location settings:', error);
+    }
+  }
+
+  async getSettings() {
+    await this.load();
+    return { ...this.settings, traveling: this.isTraveling() };
+  }
+
+  // Choose how precisely others can place you. Coarsening applies at once; a finer precision
+  // takes effect with the next location update.
+  async setPrecision(precision) {
+    await this.load();
+    this.settings.precision = clampPrecision(precision);
+
+    if (this.settings.home && this.settings.home.precision > this.settings.precision) {
+      this.settings.home = { ...this.settings.home, ...fuzzLocation(this.settings.home, this.settings.precision) };
+      this.publish();
+    }
+
+    await this.save();
+    return this.settings.precision;
+  }
+
+  // Record a new position; only its cell is kept and shared
+  async updateLocation({ latitude, longitude, city = null, state = null }) {
+    await this.load();
+
+    const cell = fuzzLocation({ latitude, longitude }, this.settings.precision);
+    if (!cell) throw new Error('updateLocation needs a latitude and longitude');
+
+    this.settings.home = { ...cell, city, state, updatedAt: Date.now() };
+    await this.save();
+    this.publish();
+
+    console.log(`📍 Location updated to cell ${cell.geohash}`);
+    return this.settings.home;
+  }
+
+  // Read the device position (asking for permission the first time) and record its cell.
+  // Returns the new home cell, or null when permission is denied or no fix is available.
+  async refreshFromDevice() {
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        console.log('📍 Location permission not granted; keeping the last shared cell');
+        return null;
+      }
+
+      const { coords } = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
+      const [place] = await Location.reverseGeocodeAsync(coords).catch(() => []);
+      return await this.updateLocation({
+        latitude: coords.latitude,
+        longitude: coords.longitude,
+        city: place?.city || null,
+        state: place?.region || null
+      });
+    } catch (error) {
+      console.error('Error reading device location:', error);
+      return null;
+    }
+  }
+
+  // Coordinates of a place name, for picking a travel destination; null when nothing matches
+  async findPlace(query) {
+    const [place] = await Location.geocodeAsync(query);
+    return place ? { latitude: place.latitude, longitude: place.longitude } : null;
+  }
+
+  publish() {
+    const { geohash, precision, city, state } = this.settings.home;
+    WebSocketClient.updateLocation(geohash, precision, city, state);
+  }
+
+  // Search from another place between startsAt and endsAt (timestamps or dates)
+  async setTravelMode({ location, label = null, startsAt = Date.now(), endsAt }) {
+    await this.load();
+
+    const start = new Date(startsAt).getTime();
+    const end = new Date(endsAt).getTime();
+    if (Number.isNaN(start) || Number.isNaN(end) || end <= start) {
+      throw new Error('Travel mode needs an end date after its start date');
+    }
+    if (end <= Date.now()) {
+      throw new Error('Travel mode must end in the future');
+    }
+
+    const cell = fuzzLocation(location, this.settings.precision);
+    if (!cell) throw new Error('Travel mode needs a destination');
+
+    this.settings.travel = { ...cell, label, startsAt: start, endsAt: end };
+    await this.save();
+
+    console.log(`✈️ Travel mode set to ${label || cell.geohash} from ${new Date(start).toISOString()} to ${new Date(end).toISOString()}`);
+    return this.settings.travel;
+  }
+
+  async clearTravelMode() {
+    await this.load();
+    this.settings.travel = null;
+    await this.save();
+  }
+
+  isTraveling(at = Date.now()) {
+    const { travel } = this.settings;
+    return Boolean(travel && travel.startsAt <= at && at < travel.endsAt);
+  }
+
+  // The cell discovery searches from: the travel destination while a trip is on, otherwise home.
+  // `fallback` (e.g. a profile's coordinates) is fuzzed and used when no location is set yet.
+  async getSearchLocation(fallback = null) {
+    await this.load();
+
+    if (this.settings.travel && Date.now() >= this.settings.travel.endsAt) {
+      await this.clearTravelMode();
+    }
+    if (this.isTraveling()) {
+      return { ...this.settings.travel, traveling: true };
+    }
+    if (this.settings.home) {
+      return { ...this.settings.home, traveling: false };
+    }
+
+    const cell = fuzzLocation(fallback, this.settings.precision);
+    return cell ? { ...cell, traveling: false } : null;
+  }
+}
+
+export default new LocationService();
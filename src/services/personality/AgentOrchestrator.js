@@ -10,6 +10,7 @@ import { InteractionStyler } from './InteractionStyler';
 import { HHCPersonalitySystem } from '../compatibility/HHCPersonalitySystem';
 import { HarmonyAlgorithm } from '../compatibility/HarmonyAlgorithm';
 import { userControlManager } from './UserControlManager';
+import PromptRegistry from '../prompts/SoulPrompts';
 
 export class AgentOrchestrator {
   constructor() {
@@ -58,12 +59,13 @@ export class AgentOrchestrator {
       });
 
       // Step 5: Generate dynamic system prompt
-      const systemPrompt = this.generateSystemPrompt(interactionProfile, context);
+      const { systemPrompt, prompts } = this.generateSystemPrompt(interactionProfile, context, userId);
 
       console.log(`✨ Generated personalized context for ${interactionProfile.tone} interaction style`);
 
       return {
         systemPrompt,
+        prompts, // Prompt versions/variants used, for experiment logging
         context,
         interactionProfile,
         matches,
@@ -216,30 +218,29 @@ export class AgentOrchestrator {
 
   /**
    * Generates dynamic system prompt based on interaction profile and context
+   * Returns { systemPrompt, prompts } where prompts are the PromptRegistry renders used
    */
-  generateSystemPrompt(interactionProfile, context) {
-    // Base personality prompt
-    let prompt = InteractionStyler.generateSystemPrompt(interactionProfile, context.user.name);
+  generateSystemPrompt(interactionProfile, context, userId = null) {
+    // Base personality prompt (a prompt experiment may pick its version for this user)
+    const style = InteractionStyler.renderSystemPrompt(interactionProfile, context.user.name, { userId });
 
-    // Add context-specific instructions
-    if (context.interaction.type === 'recommendation' && context.content.matches.length > 0) {
-      prompt += `\n\nYou have ${context.content.matches.length} compatible matches to discuss. Present them in a way that matches your personality style, focusing on genuine compatibility and connection potential.`;
-    }
+    // The constitution's voice and values come first
+    const constitution = PromptRegistry.render('soul_constitution');
 
-    if (context.user.currentMood !== 'neutral') {
-      prompt += `\n\nThe user seems to be feeling ${context.user.currentMood}. Adjust your response appropriately while maintaining your personality style.`;
-    }
-
-    if (context.interaction.isNewConversation) {
-      prompt += `\n\nThis is the beginning of your conversation with ${context.user.name}. Make a great first impression that aligns with their personality preferences.`;
-    }
-
-    // Add conversation context if available
-    if (context.content.recentHistory.length > 0) {
-      prompt += `\n\nRecent conversation context: The user has been discussing ${this.summarizeConversationTopic(context.content.recentHistory)}. Keep this context in mind.`;
-    }
-
-    return prompt;
+    // Add context-specific instructions
+    const personalized = PromptRegistry.render('personalized_system_prompt', {
+      constitution: constitution.text,
+      basePrompt: style.text,
+      userName: context.user.name,
+      matchCount: context.interaction.type === 'recommendation' ? context.content.matches.length : 0,
+      mood: context.user.currentMood !== 'neutral' ? context.user.currentMood : undefined,
+      isNewConversation: context.interaction.isNewConversation,
+      conversationTopic: context.content.recentHistory.length > 0
+        ? this.summarizeConversationTopic(context.content.recentHistory)
+        : undefined
+    }, { userId });
+
+    return { systemPrompt: personalized.text, prompts: [constitution, style, personalized] };
   }
 
   /**
@@ -257,6 +258,7 @@ export class AgentOrchestrator {
 
     return {
       systemPrompt: InteractionStyler.generateSystemPrompt(defaultProfile, userName),
+      prompts: [],
       context,
       interactionProfile: defaultProfile,
       matches: [],
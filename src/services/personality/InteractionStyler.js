@@ -6,6 +6,8 @@
  * communicates with each user.
  */
 
+import PromptRegistry from '../prompts/SoulPrompts';
+
 export class InteractionStyler {
   
   /**
@@ -148,7 +150,26 @@ export class InteractionStyler {
    * Creates system prompt instructions from interaction profile
    * This is what gets injected into the AI's context
    */
-  static generateSystemPrompt(profile, userName = "user") {
+  static generateSystemPrompt(profile, userName = "user", options = {}) {
+    return InteractionStyler.renderSystemPrompt(profile, userName, options).text;
+  }
+
+  /**
+   * Renders the interaction_style prompt template for a profile
+   * Returns the PromptRegistry render result so callers can log the prompt version/variant;
+   * pass options.userId to let a running prompt experiment pick the version
+   */
+  static renderSystemPrompt(profile, userName = "user", { userId = null } = {}) {
+    return PromptRegistry.render('interaction_style', {
+      userName: userName || 'user',
+      instructions: InteractionStyler.getStyleInstructions(profile)
+    }, { userId });
+  }
+
+  /**
+   * Maps profile dimensions to plain-language style instructions
+   */
+  static getStyleInstructions(profile) {
     const instructions = [];
 
     // Tone instructions
@@ -228,11 +249,7 @@ export class InteractionStyler {
         break;
     }
 
-    return `You are SoulAI, an AI relationship coach and companion. For this conversation with ${userName}, adapt your personality as follows:
-
-${instructions.map(instruction => `- ${instruction}`).join('\n')}
-
-Always maintain your core purpose of helping with relationships, personal growth, and emotional well-being, but adjust your communication style to match these preferences.`;
+    return instructions;
   }
 
   /**
@@ -0,0 +1,206 @@
+// Prompt Experiments for SoulAI
+// A/B tests between versions of a prompt. Users are bucketed by a hash of experiment id and
+// userId, so a user keeps their variant across sessions without storing assignments. Every
+// response records which variants produced it, and user ratings are attached to those records
+// so getReport() can compare variants.
+//
+//   PromptRegistry.defineExperiment('interaction_style_warmth', {
+//     prompt: 'interaction_style',
+//     variants: [{ name: 'control', version: '1.0.0', weight: 50 }, { name: 'warmer', version: '1.1.0', weight: 50 }]
+//   });
+//   PromptExperiments.recordResponse({ responseId, userId, prompts: [renderResult], provider });
+//   PromptExperiments.recordRating(responseId, 1); // 1 = good, -1 = bad
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { contentHash } from '../rag/MarkdownChunker';
+
+class PromptExperiments {
+  constructor() {
+    this.experiments = new Map(); // id -> { id, prompt, variants, enabled }
+    this.overrides = new Map(); // `${experimentId}:${userId}` -> variant name, for QA
+    this.log = []; // [{ responseId, userId, experiment, variant, prompt, version, provider, rating, createdAt }]
+    this.maxLogSize = 2000;
+    this.storageKey = 'soulai_prompt_experiment_log';
+    this.loaded = false;
+
+    // Comma-separated experiment ids to switch on without a code change
+    this.enabledFromEnv = (process.env.EXPO_PUBLIC_PROMPT_EXPERIMENTS || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+  }
+
+  // Register an experiment. variants: [{ name, version, weight }]; weights are relative.
+  define(id, { prompt, variants = [], enabled = false } = {}) {
+    if (!prompt) {
+      throw new Error(`Experiment ${id} needs a prompt name`);
+    }
+    if (variants.length < 2) {
+      throw new Error(`Experiment ${id} needs at least two variants`);
+    }
+    if (new Set(variants.map(variant => variant.name)).size !== variants.length) {
+      throw new Error(`Experiment ${id} has duplicate variant names`);
+    }
+    const active = this.getActiveExperiment(prompt);
+    if (active && active.id !== id && (enabled || this.enabledFromEnv.includes(id))) {
+      throw new Error(`Prompt ${prompt} is already in experiment ${active.id}`);
+    }
+
+    const experiment = {
+      id,
+      prompt,
+      variants: variants.map(variant => ({ ...variant, weight: variant.weight ?? 1 })),
+      enabled: enabled || this.enabledFromEnv.includes(id)
+    };
+    this.experiments.set(id, experiment);
+    return experiment;
+  }
+
+  setEnabled(id, enabled) {
+    const experiment = this.experiments.get(id);
+    if (!experiment) {
+      throw new Error(`Unknown prompt experiment '${id}'`);
+    }
+    if (enabled) {
+      const active = this.getActiveExperiment(experiment.prompt);
+      if (active && active.id !== id) {
+        throw new Error(`Prompt ${experiment.prompt} is already in experiment ${active.id}`);
+      }
+    }
+    experiment.enabled = enabled;
+    console.log(`🧪 Prompt experiment ${id} ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  getExperiments() {
+    return Array.from(this.experiments.values());
+  }
+
+  // The running experiment for a prompt; at most one runs per prompt
+  getActiveExperiment(promptName) {
+    return this.getExperiments().find(experiment => experiment.enabled && experiment.prompt === promptName) || null;
+  }
+
+  // Pin a user to a variant, e.g. to review it in QA
+  forceVariant(id, userId, variantName) {
+    this.overrides.set(`${id}:${userId}`, variantName);
+  }
+
+  // { experiment, variant, version } for the user, or null when the prompt has no running experiment
+  assign(promptName, userId) {
+    const experiment = this.getActiveExperiment(promptName);
+    if (!experiment || !userId) return null;
+
+    const forced = experiment.variants.find(variant => variant.name === this.overrides.get(`${experiment.id}:${userId}`));
+    let chosen = forced || null;
+
+    if (!chosen) {
+      const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+      let bucket = (parseInt(contentHash(`${experiment.id}:${userId}`).slice(0, 8), 16) / 0x100000000) * totalWeight;
+      chosen = experiment.variants.find(variant => (bucket -= variant.weight) < 0) || experiment.variants[experiment.variants.length - 1];
+    }
+
+    return { experiment: experiment.id, variant: chosen.name, version: chosen.version };
+  }
+
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    try {
+      const stored = await AsyncStorage.getItem(this.storageKey);
+      if (stored) {
+        this.log = [...JSON.parse(stored), ...this.log].slice(-this.maxLogSize);
+      }
+    } catch (error) {
+      console.error('Error loading prompt experiment log:', error);
+    }
+  }
+
+  async save() {
+    try {
+      await AsyncStorage.setItem(this.storageKey, JSON.stringify(this.log));
+    } catch (error) {
+      console.error('Error saving prompt experiment log:', error);
+    }
+  }
+
+  // Log the experiment variants behind one response. prompts are PromptRegistry.render() results;
+  // renders outside any experiment are ignored.
+  async recordResponse({ responseId, userId = null, prompts = [], provider = null }) {
+    const entries = prompts
+      .filter(prompt => prompt?.experiment)
+      .map(prompt => ({
+        responseId: String(responseId),
+        userId,
+        experiment: prompt.experiment,
+        variant: prompt.variant,
+        prompt: prompt.name,
+        version: prompt.version,
+        provider,
+        rating: null,
+        createdAt: new Date().toISOString()
+      }));
+    if (entries.length === 0) return [];
+
+    await this.load();
+    this.log.push(...entries);
+    if (this.log.length > this.maxLogSize) {
+      this.log = this.log.slice(-this.maxLogSize);
+    }
+    await this.save();
+    return entries;
+  }
+
+  // Attach a user rating to a logged response: 1 for good, -1 for bad (or any numeric score)
+  async recordRating(responseId, rating) {
+    await this.load();
+    const entries = this.log.filter(entry => entry.responseId === String(responseId));
+    if (entries.length === 0) return 0;
+
+    entries.forEach(entry => {
+      entry.rating = rating;
+      entry.ratedAt = new Date().toISOString();
+    });
+    await this.save();
+    console.log(`🧪 Rated response ${responseId} (${entries.map(entry => `${entry.experiment}:${entry.variant}`).join(', ')}): ${rating}`);
+    return entries.length;
+  }
+
+  // Per-variant response counts and ratings for an experiment
+  async getReport(id) {
+    await this.load();
+    const experiment = this.experiments.get(id);
+    const variants = {};
+
+    (experiment?.variants || []).forEach(variant => {
+      variants[variant.name] = { version: variant.version, responses: 0, ratings: 0, positive: 0, negative: 0, averageRating: null };
+    });
+
+    this.log.filter(entry => entry.experiment === id).forEach(entry => {
+      const stats = variants[entry.variant] || (variants[entry.variant] = {
+        version: entry.version, responses: 0, ratings: 0, positive: 0, negative: 0, averageRating: null
+      });
+      stats.responses++;
+      if (typeof entry.rating === 'number') {
+        stats.averageRating = ((stats.averageRating || 0) * stats.ratings + entry.rating) / (stats.ratings + 1);
+        stats.ratings++;
+        if (entry.rating > 0) stats.positive++;
+        if (entry.rating < 0) stats.negative++;
+      }
+    });
+
+    return {
+      experiment: id,
+      prompt: experiment?.prompt || null,
+      enabled: Boolean(experiment?.enabled),
+      variants
+    };
+  }
+
+  async clearLog() {
+    this.log = [];
+    await this.save();
+  }
+}
+
+export default new PromptExperiments();
@@ -0,0 +1,251 @@
+// Prompt Registry for SoulAI
+// Named, versioned prompt templates with typed variables. Variables are described by a JSON
+// schema and checked on every render; templates use a small mustache-style syntax:
+//
+//   {{userName}}  {{profile.tone}}                 value lookup (arrays/objects render as JSON)
+//   {{#if mood}}...{{else}}...{{/if}}              section on a truthy value (empty arrays are falsy)
+//   {{#each instructions}}- {{this}}\n{{/each}}    repeat per item; {{@index}} is the position
+//
+//   PromptRegistry.register('mood_analysis', {
+//     version: '1.0.0',
+//     variables: { type: 'object', properties: { message: { type: 'string' } }, required: ['message'] },
+//     template: 'Analyze the emotional tone of this message: "{{message}}"'
+//   });
+//   const { text, version, variant } = PromptRegistry.render('mood_analysis', { message }, { userId });
+//
+// Without an explicit version, render() uses the variant an active experiment assigns to the
+// user (see PromptExperiments), or else the latest version not marked draft. Drafts are only
+// served when asked for by version, e.g. as an experiment variant.
+
+import { validate } from '../tools/JsonSchema';
+import PromptExperiments from './PromptExperiments';
+
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+const TAG_PATTERN = /{{\s*([#/]?)([^}]*?)\s*}}/g;
+
+// Negative, zero or positive like a sort comparator
+export function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+// Template text -> tree of { type: 'text' | 'var' | 'if' | 'each', ... } nodes
+export function parseTemplate(template) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const addText = (text) => {
+    if (text) current()[current().inElse ? 'otherwise' : 'children'].push({ type: 'text', text });
+  };
+  const addNode = (node) => current()[current().inElse ? 'otherwise' : 'children'].push(node);
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    addText(template.slice(lastIndex, match.index));
+    lastIndex = TAG_PATTERN.lastIndex;
+    const [tag, sigil, body] = match;
+
+    if (sigil === '#') {
+      const [keyword, path] = body.split(/\s+/);
+      if (!['if', 'each'].includes(keyword) || !path) {
+        throw new Error(`Unknown block ${tag}`);
+      }
+      const node = { type: keyword, path, children: [], otherwise: [], inElse: false };
+      addNode(node);
+      stack.push(node);
+    } else if (sigil === '/') {
+      const node = stack.pop();
+      if (node.type !== body) {
+        throw new Error(`Unexpected ${tag}${node.type === 'root' ? '' : ` while {{#${node.type}}} is open`}`);
+      }
+      delete node.inElse;
+    } else if (body === 'else') {
+      if (current().type !== 'if') {
+        throw new Error('{{else}} outside of {{#if}}');
+      }
+      current().inElse = true;
+    } else {
+      addNode({ type: 'var', path: body });
+    }
+  }
+
+  addText(template.slice(lastIndex));
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${current().type} ${current().path}}}`);
+  }
+  return root.children;
+}
+
+// Top-level variable names a parsed template reads, excluding loop-local ones
+export function templateVariables(nodes, names = new Set()) {
+  nodes.forEach(node => {
+    const root = node.path?.split('.')[0];
+    if (node.type !== 'text' && root !== 'this' && !root.startsWith('@')) {
+      names.add(root);
+    }
+    if (node.type === 'if' || node.type === 'each') {
+      // Inside each, names may refer to item fields, so only the list itself is required
+      if (node.type === 'if') templateVariables(node.children, names);
+      templateVariables(node.otherwise || [], names);
+    }
+  });
+  return names;
+}
+
+function lookup(scopes, path) {
+  const [head, ...rest] = path.split('.');
+  for (const scope of scopes) {
+    let value;
+    if (head === 'this') {
+      value = scope.this;
+    } else if (scope.this !== null && typeof scope.this === 'object' && head in scope.this) {
+      value = scope.this[head];
+    } else if (head in scope.values) {
+      value = scope.values[head];
+    } else {
+      continue;
+    }
+    return rest.reduce((current, key) => (current == null ? undefined : current[key]), value);
+  }
+  return undefined;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, scopes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.text;
+      case 'var': {
+        const value = lookup(scopes, node.path);
+        if (value === undefined || value === null) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+      }
+      case 'if':
+        return renderNodes(isTruthy(lookup(scopes, node.path)) ? node.children : node.otherwise, scopes);
+      case 'each': {
+        const items = lookup(scopes, node.path);
+        return Array.isArray(items)
+          ? items.map((item, index) => renderNodes(node.children, [{ values: { '@index': index }, this: item }, ...scopes])).join('')
+          : '';
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+class PromptRegistry {
+  constructor() {
+    this.prompts = new Map(); // name -> Map(version -> { name, version, description, variables, template, draft, nodes })
+  }
+
+  // Add a template version. Each name/version pair is immutable once registered.
+  register(name, definition = {}) {
+    const { version, description = '', variables = { type: 'object', properties: {} }, template, draft = false } = definition;
+
+    if (!/^[a-z0-9_.-]+$/i.test(name || '')) {
+      throw new Error(`Invalid prompt name '${name}'`);
+    }
+    if (!VERSION_PATTERN.test(version || '')) {
+      throw new Error(`Prompt ${name} needs a version like 1.0.0, got '${version}'`);
+    }
+    if (typeof template !== 'string') {
+      throw new Error(`Prompt ${name}@${version} needs a template string`);
+    }
+    if (variables.type !== 'object') {
+      throw new Error(`Prompt ${name}@${version} variables must be an object schema`);
+    }
+
+    const versions = this.prompts.get(name) || new Map();
+    const existing = versions.get(version);
+    if (existing && existing.template !== template) {
+      throw new Error(`Prompt ${name}@${version} is already registered with a different template; bump the version`);
+    }
+
+    const nodes = parseTemplate(template);
+    const declared = Object.keys(variables.properties || {});
+    const undeclared = [...templateVariables(nodes)].filter(variable => !declared.includes(variable));
+    if (undeclared.length > 0) {
+      throw new Error(`Prompt ${name}@${version} uses undeclared variables: ${undeclared.join(', ')}`);
+    }
+
+    const prompt = { name, version, description, variables, template, draft, nodes };
+    versions.set(version, prompt);
+    this.prompts.set(name, versions);
+    return prompt;
+  }
+
+  has(name, version = null) {
+    const versions = this.prompts.get(name);
+    return Boolean(versions && (!version || versions.has(version)));
+  }
+
+  getNames() {
+    return Array.from(this.prompts.keys());
+  }
+
+  // Versions of a prompt, oldest first
+  getVersions(name) {
+    return Array.from(this.prompts.get(name)?.keys() || []).sort(compareVersions);
+  }
+
+  // A specific version, or the latest released (non-draft) one
+  get(name, version = null) {
+    const versions = this.prompts.get(name);
+    if (!versions) {
+      throw new Error(`Unknown prompt '${name}'`);
+    }
+
+    const released = this.getVersions(name).filter(candidate => !versions.get(candidate).draft);
+    const resolved = version || released.pop() || this.getVersions(name).pop();
+    const prompt = versions.get(resolved);
+    if (!prompt) {
+      throw new Error(`Prompt ${name} has no version ${version} (available: ${this.getVersions(name).join(', ')})`);
+    }
+    return prompt;
+  }
+
+  // Start an A/B experiment between registered versions of a prompt (see PromptExperiments.define)
+  defineExperiment(id, definition = {}) {
+    (definition.variants || []).forEach(variant => this.get(definition.prompt, variant.version));
+    return PromptExperiments.define(id, definition);
+  }
+
+  // Render a prompt. Returns { text, name, version, experiment, variant }; experiment and variant
+  // are null unless an active experiment chose the version for this user.
+  render(name, values = {}, { version = null, userId = null } = {}) {
+    let assignment = null;
+    if (!version && userId) {
+      assignment = PromptExperiments.assign(name, userId);
+    }
+
+    const prompt = this.get(name, version || assignment?.version);
+    // Undefined means "not provided", the same as leaving the key out
+    const provided = Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+    const errors = validate(prompt.variables, provided);
+    if (errors.length > 0) {
+      throw new Error(`Invalid variables for prompt ${name}@${prompt.version}: ${errors.join('; ')}`);
+    }
+
+    return {
+      text: renderNodes(prompt.nodes, [{ values: provided, this: null }]),
+      name,
+      version: prompt.version,
+      experiment: assignment?.experiment || null,
+      variant: assignment?.variant || null
+    };
+  }
+}
+
+export default new PromptRegistry();
@@ -0,0 +1,284 @@
+// Anthropic provider for SoulAI
+// Streams chat responses from the Anthropic Messages API, with textbook RAG context and tool use
+
+import ProviderRegistry from './ProviderRegistry';
+import { SOULAI_SYSTEM_PROMPT, buildRAGSection, reportGrounding, readServerSentEvents } from './ProviderUtils';
+import { ContextManager } from './ContextManager';
+import { streamFromCallbacks } from './ChatStream';
+import ToolRegistry from '../tools/ToolRegistry';
+
+class AnthropicProvider {
+  constructor() {
+    this.name = 'anthropic';
+    this.apiKey = process.env.EXPO_PUBLIC_ANTHROPIC_API_KEY || null;
+    this.model = process.env.EXPO_PUBLIC_ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest';
+    this.baseUrl = process.env.EXPO_PUBLIC_ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1';
+    this.apiVersion = '2023-06-01';
+    this.maxTokens = parseInt(process.env.EXPO_PUBLIC_ANTHROPIC_MAX_TOKENS) || 2000;
+    this.temperature = parseFloat(process.env.EXPO_PUBLIC_ANTHROPIC_TEMPERATURE) || 0.8;
+    this.capabilities = {
+      streaming: true,
+      toolCalls: true,
+      maxContextTokens: 200000,
+      costPerInputToken: 0.000003,
+      costPerOutputToken: 0.000015,
+      requestsPerMinute: 50,
+      local: false
+    };
+
+    this.conversationHistory = [];
+    this.isStreaming = false;
+    this.contextWindow = new ContextManager({
+      provider: this.name,
+      maxContextTokens: this.capabilities.maxContextTokens,
+      reservedOutputTokens: this.maxTokens
+    });
+
+    console.log('AnthropicProvider initialized:', {
+      hasApiKey: !!this.apiKey,
+      model: this.model
+    });
+  }
+
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': this.apiVersion
+    };
+  }
+
+  // The Messages API needs alternating turns that start with the user
+  getRequestMessages(history) {
+    const messages = [...history];
+    while (messages.length > 0 && messages[0].role !== 'user') {
+      messages.shift();
+    }
+    return messages;
+  }
+
+  // Stream one model turn. Returns the turn's content blocks and any tool calls it made.
+  async streamTurn(systemPrompt, messages, { tools = null, allowTools = true, signal = null, onText }) {
+    const body = {
+      model: this.model,
+      system: systemPrompt,
+      messages,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      stream: true
+    };
+    if (tools) {
+      body.tools = tools;
+      if (!allowTools) {
+        body.tool_choice = { type: 'none' }; // Last round: answer with what the tools returned
+      }
+    }
+
+    const response = await fetch(`${this.baseUrl}/messages`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      signal,
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Anthropic API error: ${response.status} - ${errorText}`);
+    }
+
+    const blocks = [];
+    let streamError = null;
+    await readServerSentEvents(response, (data) => {
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (parseError) {
+        console.warn('⚠️ Skipping malformed Anthropic stream event:', data.substring(0, 100));
+        return;
+      }
+
+      if (event.type === 'content_block_start') {
+        const block = event.content_block || {};
+        blocks[event.index] = block.type === 'tool_use'
+          ? { type: 'tool_use', id: block.id, name: block.name, json: '' }
+          : { type: 'text', text: '' };
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        if (!blocks[event.index]) blocks[event.index] = { type: 'text', text: '' };
+        blocks[event.index].text += event.delta.text;
+        onText(event.delta.text);
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+        blocks[event.index].json += event.delta.partial_json;
+      } else if (event.type === 'error') {
+        streamError = new Error(`Anthropic stream error: ${event.error?.message || 'unknown error'}`);
+      }
+    });
+
+    if (streamError) throw streamError;
+
+    const toolUses = blocks.filter(block => block?.type === 'tool_use');
+    const parseInput = (json) => {
+      try {
+        return json ? JSON.parse(json) : {};
+      } catch (error) {
+        return {};
+      }
+    };
+
+    return {
+      content: blocks
+        .filter(block => block && (block.type === 'tool_use' || block.text))
+        .map(block => (block.type === 'tool_use'
+          ? { type: 'tool_use', id: block.id, name: block.name, input: parseInput(block.json) }
+          : { type: 'text', text: block.text })),
+      toolCalls: toolUses.map(block => ({ id: block.id, name: block.name, arguments: block.json || '{}' }))
+    };
+  }
+
+  async sendMessage(message, options = {}) {
+    const {
+      onStart = () => {},
+      onToken = () => {},
+      onComplete = () => {},
+      onError = () => {},
+      onGrounding = null,
+      onToolCall = () => {}, // Each finished tool call: { id, name, arguments, result, error, durationMs }
+      tools = true, // Offer registered tools: true, false or a list of tool names
+      toolContext = {}, // Passed to tool handlers, e.g. { userId }
+      signal = null // AbortSignal that cancels the request mid-stream
+    } = options;
+
+    // Errors are thrown so AIProviderManager can fail over to another provider
+    if (!this.apiKey) {
+      const error = new Error('Anthropic API key not configured');
+      onError(error);
+      throw error;
+    }
+
+    try {
+      onStart();
+      this.isStreaming = true;
+
+      const { ragSection, citations } = await buildRAGSection(message, this.conversationHistory);
+      this.conversationHistory.push({ role: 'user', content: message });
+      const { systemPrompt, history } = await this.contextWindow.build({
+        system: SOULAI_SYSTEM_PROMPT,
+        rag: ragSection,
+        history: this.conversationHistory
+      });
+
+      const toolDefinitions = tools && this.capabilities.toolCalls
+        ? ToolRegistry.toAnthropicTools(Array.isArray(tools) ? tools : null)
+        : [];
+      const messages = this.getRequestMessages(history);
+      let fullResponse = '';
+
+      // The model may call tools, read their results and continue, up to maxToolRounds times
+      for (let round = 0; ; round++) {
+        const allowTools = round < ToolRegistry.maxToolRounds;
+        const turn = await this.streamTurn(systemPrompt, messages, {
+          tools: toolDefinitions.length > 0 ? toolDefinitions : null,
+          allowTools,
+          signal,
+          onText: (text) => {
+            fullResponse += text;
+            onToken(text, fullResponse);
+          }
+        });
+
+        if (turn.toolCalls.length === 0 || !allowTools) break;
+
+        const entries = await ToolRegistry.executeAll(turn.toolCalls, toolContext, onToolCall);
+        messages.push({ role: 'assistant', content: turn.content });
+        messages.push({
+          role: 'user',
+          content: entries.map(entry => ({
+            type: 'tool_result',
+            tool_use_id: entry.id,
+            content: ToolRegistry.formatResult(entry),
+            is_error: Boolean(entry.error)
+          }))
+        });
+      }
+
+      if (!fullResponse) {
+        throw new Error('No response content received');
+      }
+
+      this.conversationHistory.push({ role: 'assistant', content: fullResponse });
+      reportGrounding(fullResponse, citations, onGrounding);
+
+      this.isStreaming = false;
+      onComplete(fullResponse);
+      return fullResponse;
+
+    } catch (error) {
+      console.error('Anthropic API Error:', error);
+      this.isStreaming = false;
+
+      // Drop the unanswered user turn so the next request still alternates
+      if (this.conversationHistory[this.conversationHistory.length - 1]?.role === 'user') {
+        this.conversationHistory.pop();
+      }
+
+      onError(error);
+      throw error;
+    }
+  }
+
+  // Typed event stream of a reply (see ChatStream)
+  stream(message, options = {}) {
+    return streamFromCallbacks((text, streamOptions) => this.sendMessage(text, streamOptions), message, {
+      provider: this.name,
+      ...options
+    });
+  }
+
+  // Reset conversation history
+  clearHistory() {
+    this.conversationHistory = [];
+    this.contextWindow.reset();
+    console.log('🗑️ Anthropic conversation history cleared');
+  }
+
+  // Get conversation stats
+  getConversationStats() {
+    return {
+      messageCount: this.conversationHistory.length,
+      provider: this.name,
+      model: this.model,
+      lastMessage: this.conversationHistory.length > 0 ?
+        this.conversationHistory[this.conversationHistory.length - 1] : null
+    };
+  }
+
+  // Health check: list models, which needs a valid key but costs no tokens
+  async healthCheck() {
+    if (!this.apiKey) {
+      return { status: 'error', message: 'No API key configured' };
+    }
+
+    try {
+      const response = await fetch(`${this.baseUrl}/models`, { headers: this.getHeaders() });
+      if (!response.ok) {
+        return { status: 'error', message: `HTTP ${response.status}`, model: this.model };
+      }
+
+      return {
+        status: 'healthy',
+        message: 'Anthropic service operational',
+        model: this.model
+      };
+    } catch (error) {
+      return {
+        status: 'error',
+        message: error.message,
+        model: this.model
+      };
+    }
+  }
+}
+
+const anthropicProvider = new AnthropicProvider();
+ProviderRegistry.register(anthropicProvider.name, anthropicProvider, anthropicProvider.capabilities);
+
+export default anthropicProvider;
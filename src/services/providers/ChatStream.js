@@ -0,0 +1,204 @@
+// Chat streams
+// One streaming interface for every chat provider: an async iterator of typed events that
+// can be cancelled with an AbortSignal.
+//
+//   const controller = new AbortController();
+//   const stream = AIProviderManager.stream(message, { signal: controller.signal });
+//   for await (const event of stream) {
+//     if (event.type === 'token') render(event.text);
+//   }
+//   controller.abort(); // Stops the provider request; the stream ends with an aborted error event
+//
+// Events:
+//   { type: 'token', token, text, provider }            text is the response so far
+//   { type: 'tool_call', id, name, arguments, result, error, durationMs, provider }  result/error once a tool has run
+//   { type: 'citation', citation, provider }             one per knowledge-base passage offered
+//   { type: 'done', text, provider, context, grounding, fallback, error, timeToFirstTokenMs, durationMs }
+//   { type: 'error', error, aborted, provider }
+// 'done' and 'error' are terminal; nothing follows them.
+
+export const STREAM_EVENT_TYPES = ['token', 'tool_call', 'citation', 'done', 'error'];
+
+export function createAbortError(message = 'Generation stopped') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+export function isAbortError(error, signal = null) {
+  return Boolean(signal?.aborted || error?.name === 'AbortError');
+}
+
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+}
+
+// Emit a finished response word by word, for backends that only return whole responses.
+// prefix is text already streamed for the same answer. Throws an AbortError when the signal fires.
+export async function emitText(text, onToken, { signal = null, delayMs = 0, prefix = '' } = {}) {
+  let accumulated = prefix;
+  for (const token of String(text).match(/\S+\s*|\s+/g) || []) {
+    throwIfAborted(signal);
+    accumulated += token;
+    onToken(token, accumulated);
+    if (delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+  return accumulated;
+}
+
+export class ChatStream {
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.startedAt = this.now();
+    this.firstTokenAt = null;
+    this.text = '';
+    this.provider = options.provider || null;
+
+    this.queue = [];
+    this.pending = []; // Resolvers of next() calls waiting for an event
+    this.closed = false;
+
+    // Providers get our own signal: it fires when the caller aborts or stops iterating early
+    this.controller = new AbortController();
+    this.signal = this.controller.signal;
+    this.signal.addEventListener('abort', () => {
+      this.push({ type: 'error', error: createAbortError(), aborted: true, provider: this.provider });
+    }, { once: true });
+
+    const { signal = null } = options;
+    if (signal?.aborted) {
+      this.cancel();
+    } else if (signal) {
+      signal.addEventListener('abort', () => this.cancel(), { once: true });
+    }
+  }
+
+  // Stop the generation
+  cancel() {
+    if (!this.signal.aborted) {
+      this.controller.abort();
+    }
+  }
+
+  // Milliseconds from the request to the first token, or null before one arrives
+  getTimeToFirstToken() {
+    return this.firstTokenAt === null ? null : this.firstTokenAt - this.startedAt;
+  }
+
+  // Queue an event for the consumer; ignored once the stream has ended
+  push(event) {
+    if (this.closed) return false;
+
+    if (event.provider) {
+      this.provider = event.provider;
+    }
+    if (event.type === 'token') {
+      if (this.firstTokenAt === null) {
+        this.firstTokenAt = this.now();
+      }
+      this.text = event.text ?? this.text + event.token;
+    }
+    if (event.type === 'done') {
+      event.timeToFirstTokenMs = this.getTimeToFirstToken();
+      event.durationMs = this.now() - this.startedAt;
+    }
+
+    if (this.pending.length > 0) {
+      this.pending.shift()({ value: event, done: false });
+    } else {
+      this.queue.push(event);
+    }
+
+    if (event.type === 'done' || event.type === 'error') {
+      this.closed = true;
+      this.pending.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+    }
+    return true;
+  }
+
+  next() {
+    if (this.queue.length > 0) {
+      return Promise.resolve({ value: this.queue.shift(), done: false });
+    }
+    if (this.closed) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise(resolve => this.pending.push(resolve));
+  }
+
+  // Called when a for-await loop exits early
+  return() {
+    this.cancel();
+    this.queue = [];
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  // Consume the stream and resolve with the final text; rejects on an error event
+  async collect() {
+    for await (const event of this) {
+      if (event.type === 'done') return event.text;
+      if (event.type === 'error') throw event.error;
+    }
+    return this.text;
+  }
+}
+
+// Run a callback-style sendMessage(message, options) and expose it as a ChatStream.
+// Tokens, tool calls and citations are forwarded as they happen; the settled promise ends the
+// stream. Providers that recover from an error with a fallback answer finish with
+// done.fallback = true.
+export function streamFromCallbacks(send, message, options = {}) {
+  const stream = new ChatStream({ signal: options.signal, now: options.now, provider: options.provider });
+  let recoveredError = null;
+  let completion = {};
+  let groundingReport = null;
+
+  const streamOptions = {
+    ...options,
+    signal: stream.signal,
+    onToken: (token, text, provider) => stream.push({ type: 'token', token, text, provider }),
+    onToolCall: (call, provider) => stream.push({ type: 'tool_call', ...call, provider: provider || call.provider }),
+    onGrounding: (grounding, provider) => {
+      groundingReport = grounding;
+      (grounding?.citations || []).forEach(citation => stream.push({ type: 'citation', citation, provider }));
+    },
+    onComplete: (text, provider, context) => {
+      completion = { provider, context };
+    },
+    onError: (error) => {
+      recoveredError = error;
+    }
+  };
+  delete streamOptions.now;
+  delete streamOptions.provider;
+
+  Promise.resolve()
+    .then(() => send(message, streamOptions))
+    .then(
+      (text) => stream.push({
+        type: 'done',
+        text: typeof text === 'string' ? text : stream.text,
+        provider: completion.provider || stream.provider,
+        context: completion.context || null,
+        grounding: groundingReport,
+        fallback: Boolean(recoveredError),
+        error: recoveredError
+      }),
+      (error) => stream.push({
+        type: 'error',
+        error,
+        aborted: isAbortError(error, stream.signal),
+        provider: stream.provider
+      })
+    );
+
+  return stream;
+}
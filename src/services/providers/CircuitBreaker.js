@@ -0,0 +1,97 @@
+// Circuit Breaker for AI providers
+// closed -> open after consecutive failures; open -> half_open once the cooldown passes;
+// half_open -> closed on a successful trial request, or back to open on failure.
+
+export class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 3; // Consecutive failures that open the circuit
+    this.cooldownMs = options.cooldownMs || 30 * 1000; // How long an open circuit rejects requests
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1; // Trial requests allowed while half-open
+    this.now = options.now || (() => Date.now());
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+    this.lastError = null;
+    this.totals = { successes: 0, failures: 0, rejected: 0 };
+  }
+
+  // Current state, moving open -> half_open when the cooldown has passed
+  getState() {
+    if (this.state === 'open' && this.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+      this.halfOpenCalls = 0;
+    }
+    return this.state;
+  }
+
+  // Whether a request could go through right now (does not reserve a trial call)
+  isAvailable() {
+    const state = this.getState();
+    if (state === 'closed') return true;
+    if (state === 'half_open') return this.halfOpenCalls < this.halfOpenMaxCalls;
+    return false;
+  }
+
+  // Reserve permission for a request; false means the caller should use another provider
+  tryAcquire() {
+    if (!this.isAvailable()) {
+      this.totals.rejected++;
+      return false;
+    }
+    if (this.state === 'half_open') {
+      this.halfOpenCalls++;
+    }
+    return true;
+  }
+
+  // Hand back a half-open trial slot whose request was cancelled before it could succeed or fail
+  release() {
+    if (this.state === 'half_open' && this.halfOpenCalls > 0) {
+      this.halfOpenCalls--;
+    }
+  }
+
+  recordSuccess() {
+    this.totals.successes++;
+    this.consecutiveFailures = 0;
+    this.state = 'closed';
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+  }
+
+  recordFailure(error = null) {
+    this.totals.failures++;
+    this.consecutiveFailures++;
+    this.lastError = error?.message || (error ? String(error) : null);
+
+    // A failed trial reopens immediately; otherwise wait for the threshold
+    if (this.getState() === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = this.now();
+      this.halfOpenCalls = 0;
+    }
+  }
+
+  reset() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+  }
+
+  toJSON() {
+    const state = this.getState();
+    return {
+      state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryInMs: state === 'open' ? Math.max(0, this.cooldownMs - (this.now() - this.openedAt)) : 0,
+      lastError: this.lastError,
+      ...this.totals
+    };
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,241 @@
+// Context window manager for chat providers
+// Counts tokens the way each provider family roughly does and splits the prompt budget across
+// the system prompt, personality guidance, RAG context and conversation history. When the
+// history no longer fits, the oldest turns are folded into a rolling summary instead of being
+// dropped, so early disclosures ("I was married for ten years", "I'm scared of being left")
+// keep informing later answers.
+//
+//   const contextWindow = new ContextManager({ provider: 'openai', maxContextTokens: 8192, reservedOutputTokens: 2000 });
+//   const { systemPrompt, history, usage } = await contextWindow.build({
+//     system: basePrompt, personality: guidance, rag: ragSection, history: conversationHistory
+//   });
+
+import { estimateTokens } from '../rag/MarkdownChunker';
+
+// Approximate tokenizer behaviour; exact counts would need each vendor's tokenizer
+export const TOKENIZER_PROFILES = {
+  openai: { charsPerToken: 4, messageOverhead: 4 },
+  anthropic: { charsPerToken: 3.5, messageOverhead: 5 },
+  google: { charsPerToken: 4, messageOverhead: 3 },
+  local_llm: { charsPerToken: 3.6, messageOverhead: 6 },
+  default: { charsPerToken: 4, messageOverhead: 4 }
+};
+
+// Share of the budget left after the system prompt that each optional section may use.
+// History gets the rest, including whatever the other sections leave unused.
+export const DEFAULT_SHARES = {
+  personality: 0.1,
+  rag: 0.3,
+  summary: 0.1
+};
+
+const SUMMARY_HEADER = 'EARLIER IN THIS CONVERSATION (summary of turns no longer shown):';
+
+// Things people tell a matchmaker that should survive summarization
+const DISCLOSURE_PATTERN = /\b(i am|i'm|i was|i've|i have|i feel|i felt|i want|i need|i love|i hate|i fear|afraid|scared|anxious|my (ex|partner|wife|husband|boyfriend|girlfriend|kids?|son|daughter|family|mom|dad|mother|father|job|work|name)|divorced?|married|single|widowed|years? old|moved|therapy|trauma|dealbreaker|values?|believe)\b/i;
+
+export function getTokenizerProfile(provider) {
+  return TOKENIZER_PROFILES[provider] || TOKENIZER_PROFILES.default;
+}
+
+// Token estimate for text. Uses the character ratio, but never less than the word and
+// punctuation count suggests, so short dense text is not undercounted.
+export function countTokens(text, provider = 'default') {
+  const value = String(text ?? '');
+  if (!value) return 0;
+  const { charsPerToken } = getTokenizerProfile(provider);
+  return Math.max(Math.ceil(value.length / charsPerToken), Math.ceil(estimateTokens(value) * 0.75));
+}
+
+// Tokens for one chat message including the per-message framing the APIs add
+export function countMessageTokens(message, provider = 'default') {
+  return countTokens(message?.content, provider) + getTokenizerProfile(provider).messageOverhead;
+}
+
+// Cut text to roughly maxTokens, preferring a sentence or word boundary
+export function truncateToTokens(text, maxTokens, provider = 'default') {
+  const value = String(text ?? '');
+  if (countTokens(value, provider) <= maxTokens) return value;
+  if (maxTokens <= 0) return '';
+
+  let cut = Math.floor(maxTokens * getTokenizerProfile(provider).charsPerToken);
+  let truncated = value.slice(0, cut);
+  while (truncated && countTokens(truncated + '…', provider) > maxTokens) {
+    cut = Math.floor(cut * 0.9);
+    truncated = value.slice(0, cut);
+  }
+
+  const sentenceEnd = Math.max(truncated.lastIndexOf('. '), truncated.lastIndexOf('\n'));
+  if (sentenceEnd > truncated.length * 0.6) {
+    return truncated.slice(0, sentenceEnd + 1).trimEnd() + '…';
+  }
+  const wordEnd = truncated.lastIndexOf(' ');
+  return (wordEnd > truncated.length * 0.6 ? truncated.slice(0, wordEnd) : truncated).trimEnd() + '…';
+}
+
+function splitSentences(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+// Offline summarizer: keeps what the user disclosed about themselves, plus the gist of each
+// assistant reply, as "- User: ..." lines. Over budget, assistant lines go first, then the
+// oldest lines that disclose nothing.
+export function summarizeTurns(previousSummary, messages, { maxTokens, provider = 'default' } = {}) {
+  const lines = String(previousSummary || '')
+    .split('\n')
+    .filter(line => line.startsWith('- '))
+    .map(text => ({ text, priority: text.startsWith('- User:') && DISCLOSURE_PATTERN.test(text) ? 2 : 1 }));
+
+  messages.forEach(message => {
+    const sentences = splitSentences(message.content);
+    if (sentences.length === 0) return;
+
+    if (message.role === 'user') {
+      const disclosures = sentences.filter(sentence => DISCLOSURE_PATTERN.test(sentence));
+      const kept = (disclosures.length > 0 ? disclosures : sentences.slice(0, 1)).slice(0, 3);
+      lines.push({ text: `- User: ${truncateToTokens(kept.join(' '), 80, provider)}`, priority: disclosures.length > 0 ? 2 : 1 });
+    } else if (message.role === 'assistant') {
+      lines.push({ text: `- Assistant: ${truncateToTokens(sentences[0], 40, provider)}`, priority: 0 });
+    }
+  });
+
+  const total = () => countTokens(lines.map(line => line.text).join('\n'), provider);
+  for (const priority of [0, 1, 2]) {
+    while (total() > maxTokens && lines.some(line => line.priority === priority)) {
+      lines.splice(lines.findIndex(line => line.priority === priority), 1);
+    }
+  }
+
+  return lines.map(line => line.text).join('\n');
+}
+
+export class ContextManager {
+  constructor(options = {}) {
+    this.provider = options.provider || 'default';
+    this.maxContextTokens = options.maxContextTokens || 8192;
+    this.reservedOutputTokens = options.reservedOutputTokens ?? 1024; // Room left for the reply
+    this.shares = { ...DEFAULT_SHARES, ...(options.shares || {}) };
+    this.summarizer = options.summarizer || null; // async (previousSummary, messages, { maxTokens, provider }) => string
+
+    this.summary = '';
+    this.summarizedCount = 0; // History entries already folded into the summary
+  }
+
+  countTokens(text) {
+    return countTokens(text, this.provider);
+  }
+
+  countMessageTokens(message) {
+    return countMessageTokens(message, this.provider);
+  }
+
+  // Tokens available for the prompt
+  getInputBudget() {
+    return Math.max(0, this.maxContextTokens - this.reservedOutputTokens);
+  }
+
+  // Forget the rolling summary, e.g. when the conversation history is cleared
+  reset() {
+    this.summary = '';
+    this.summarizedCount = 0;
+  }
+
+  // Fit the sections into the window. history is the full conversation; the returned history
+  // is the recent part that fits, with older turns carried in the summary inside systemPrompt.
+  async build({ system = '', personality = '', rag = '', history = [] } = {}) {
+    if (history.length < this.summarizedCount) {
+      this.reset(); // The history was replaced or cleared since the last build
+    }
+
+    const budget = this.getInputBudget();
+    const systemText = truncateToTokens(system, Math.floor(budget * 0.5), this.provider);
+    const systemTokens = this.countTokens(systemText);
+    const available = Math.max(0, budget - systemTokens);
+
+    const personalityText = truncateToTokens(personality, Math.floor(available * this.shares.personality), this.provider);
+    const ragText = truncateToTokens(rag, Math.floor(available * this.shares.rag), this.provider);
+    const personalityTokens = this.countTokens(personalityText);
+    const ragTokens = this.countTokens(ragText);
+    const summaryCap = Math.floor(available * this.shares.summary);
+
+    const pending = history.slice(this.summarizedCount);
+    let historyBudget = available - personalityTokens - ragTokens - this.countTokens(this.summary);
+    let kept = this.fitRecent(pending, historyBudget);
+
+    // Overflow: make room for a full-size summary and fold everything older than what fits
+    if (kept.length < pending.length) {
+      historyBudget = available - personalityTokens - ragTokens - summaryCap;
+      kept = this.fitRecent(pending, historyBudget);
+      const overflow = pending.slice(0, pending.length - kept.length);
+      await this.summarize(overflow, summaryCap);
+      this.summarizedCount += overflow.length;
+    }
+
+    // The newest message is always sent, shortened if it alone is over budget
+    if (kept.length === 0 && pending.length > 0) {
+      const latest = pending[pending.length - 1];
+      kept = [{ ...latest, content: truncateToTokens(latest.content, Math.max(0, historyBudget), this.provider) }];
+    }
+
+    const summaryText = this.summary ? `${SUMMARY_HEADER}\n${this.summary}` : '';
+    const systemPrompt = [systemText, ragText, personalityText, summaryText].filter(Boolean).join('\n\n');
+    const historyTokens = kept.reduce((sum, message) => sum + this.countMessageTokens(message), 0);
+
+    return {
+      systemPrompt,
+      history: kept,
+      summary: this.summary,
+      usage: {
+        budget,
+        system: systemTokens,
+        personality: personalityTokens,
+        rag: ragTokens,
+        summary: this.countTokens(summaryText),
+        history: historyTokens,
+        total: this.countTokens(systemPrompt) + historyTokens,
+        summarizedMessages: this.summarizedCount,
+        keptMessages: kept.length
+      }
+    };
+  }
+
+  // Most recent messages whose tokens fit the budget
+  fitRecent(messages, budget) {
+    const kept = [];
+    let used = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+      used += this.countMessageTokens(messages[i]);
+      if (used > budget) break;
+      kept.unshift(messages[i]);
+    }
+    return kept;
+  }
+
+  // Fold messages into the rolling summary, falling back to the offline summarizer
+  async summarize(messages, maxTokens) {
+    if (messages.length === 0) return this.summary;
+
+    const options = { maxTokens, provider: this.provider };
+    if (this.summarizer) {
+      try {
+        const summary = await this.summarizer(this.summary, messages, options);
+        if (typeof summary === 'string' && summary.trim()) {
+          this.summary = truncateToTokens(summary.trim(), maxTokens, this.provider);
+          return this.summary;
+        }
+      } catch (error) {
+        console.warn('⚠️ Conversation summarizer failed, using extractive summary:', error.message);
+      }
+    }
+
+    this.summary = summarizeTurns(this.summary, messages, options);
+    console.log(`🧾 Summarized ${messages.length} earlier messages (${this.countTokens(this.summary)} tokens)`);
+    return this.summary;
+  }
+}
+
+export default ContextManager;
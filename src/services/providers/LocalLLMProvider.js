@@ -0,0 +1,240 @@
+// Local LLM provider for SoulAI
+// Talks to any OpenAI-compatible chat completions server on the user's machine or network,
+// e.g. Ollama (http://localhost:11434/v1) or llama.cpp's server (http://localhost:8080/v1)
+
+import ProviderRegistry from './ProviderRegistry';
+import {
+  SOULAI_SYSTEM_PROMPT,
+  buildRAGSection,
+  reportGrounding,
+  readServerSentEvents,
+  accumulateToolCalls,
+  completeToolCalls,
+  openAIToolMessages
+} from './ProviderUtils';
+import { streamFromCallbacks } from './ChatStream';
+import { ContextManager } from './ContextManager';
+import ToolRegistry from '../tools/ToolRegistry';
+
+class LocalLLMProvider {
+  constructor() {
+    this.name = 'local_llm';
+    this.baseUrl = (process.env.EXPO_PUBLIC_LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.model = process.env.EXPO_PUBLIC_LOCAL_LLM_MODEL || 'llama3.1';
+    this.apiKey = process.env.EXPO_PUBLIC_LOCAL_LLM_API_KEY || null; // Most local servers need none
+    this.maxTokens = parseInt(process.env.EXPO_PUBLIC_LOCAL_LLM_MAX_TOKENS) || 1024;
+    this.temperature = parseFloat(process.env.EXPO_PUBLIC_LOCAL_LLM_TEMPERATURE) || 0.8;
+    this.capabilities = {
+      streaming: true,
+      toolCalls: process.env.EXPO_PUBLIC_LOCAL_LLM_TOOL_CALLS === 'true', // Depends on the served model
+      maxContextTokens: parseInt(process.env.EXPO_PUBLIC_LOCAL_LLM_CONTEXT_TOKENS) || 8192,
+      costPerInputToken: 0,
+      costPerOutputToken: 0,
+      requestsPerMinute: 30, // One model on local hardware
+      local: true
+    };
+
+    this.conversationHistory = [];
+    this.isStreaming = false;
+    this.contextWindow = new ContextManager({
+      provider: this.name,
+      maxContextTokens: this.capabilities.maxContextTokens,
+      reservedOutputTokens: this.maxTokens
+    });
+
+    console.log('LocalLLMProvider initialized:', {
+      baseUrl: this.baseUrl,
+      model: this.model
+    });
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  // Stream one chat completion. Returns the turn's text and any tool calls it made.
+  async streamTurn(messages, { tools = null, allowTools = true, signal = null, onText }) {
+    const body = {
+      model: this.model,
+      messages,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      stream: true
+    };
+    if (tools) {
+      body.tools = tools;
+      body.tool_choice = allowTools ? 'auto' : 'none'; // Last round: answer with what the tools returned
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      signal,
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Local LLM error: ${response.status} - ${errorText}`);
+    }
+
+    let content = '';
+    const calls = [];
+    await readServerSentEvents(response, (data) => {
+      try {
+        const parsed = JSON.parse(data);
+        const choice = parsed.choices?.[0] || {};
+        const text = choice.delta?.content || choice.message?.content || '';
+        if (text) {
+          content += text;
+          onText(text);
+        }
+        accumulateToolCalls(calls, choice.delta?.tool_calls || choice.message?.tool_calls);
+      } catch (parseError) {
+        console.warn('⚠️ Skipping malformed local LLM chunk:', data.substring(0, 100));
+      }
+    });
+
+    return { content, toolCalls: completeToolCalls(calls) };
+  }
+
+  async sendMessage(message, options = {}) {
+    const {
+      onStart = () => {},
+      onToken = () => {},
+      onComplete = () => {},
+      onError = () => {},
+      onGrounding = null,
+      onToolCall = () => {}, // Each finished tool call: { id, name, arguments, result, error, durationMs }
+      tools = true, // Offer registered tools: true, false or a list of tool names
+      toolContext = {}, // Passed to tool handlers, e.g. { userId }
+      signal = null // AbortSignal that cancels the request mid-stream
+    } = options;
+
+    try {
+      onStart();
+      this.isStreaming = true;
+
+      const { ragSection, citations } = await buildRAGSection(message, this.conversationHistory);
+      this.conversationHistory.push({ role: 'user', content: message });
+      const { systemPrompt, history } = await this.contextWindow.build({
+        system: SOULAI_SYSTEM_PROMPT,
+        rag: ragSection,
+        history: this.conversationHistory
+      });
+
+      // Only offered when the served model is known to handle function calling
+      const toolDefinitions = tools && this.capabilities.toolCalls
+        ? ToolRegistry.toOpenAITools(Array.isArray(tools) ? tools : null)
+        : [];
+      const messages = [
+        { role: 'system', content: systemPrompt },
+        ...history
+      ];
+      let fullResponse = '';
+
+      for (let round = 0; ; round++) {
+        const allowTools = round < ToolRegistry.maxToolRounds;
+        const turn = await this.streamTurn(messages, {
+          tools: toolDefinitions.length > 0 ? toolDefinitions : null,
+          allowTools,
+          signal,
+          onText: (text) => {
+            fullResponse += text;
+            onToken(text, fullResponse);
+          }
+        });
+
+        if (turn.toolCalls.length === 0 || !allowTools) break;
+
+        const entries = await ToolRegistry.executeAll(turn.toolCalls, toolContext, onToolCall);
+        messages.push(...openAIToolMessages(turn.content, turn.toolCalls, entries));
+      }
+
+      if (!fullResponse) {
+        throw new Error('No response content received');
+      }
+
+      this.conversationHistory.push({ role: 'assistant', content: fullResponse });
+      reportGrounding(fullResponse, citations, onGrounding);
+
+      this.isStreaming = false;
+      onComplete(fullResponse);
+      return fullResponse;
+
+    } catch (error) {
+      console.error('Local LLM Error:', error);
+      this.isStreaming = false;
+
+      if (this.conversationHistory[this.conversationHistory.length - 1]?.role === 'user') {
+        this.conversationHistory.pop();
+      }
+
+      // Errors are thrown so AIProviderManager can fail over to another provider
+      onError(error);
+      throw error;
+    }
+  }
+
+  // Typed event stream of a reply (see ChatStream)
+  stream(message, options = {}) {
+    return streamFromCallbacks((text, streamOptions) => this.sendMessage(text, streamOptions), message, {
+      provider: this.name,
+      ...options
+    });
+  }
+
+  // Reset conversation history
+  clearHistory() {
+    this.conversationHistory = [];
+    this.contextWindow.reset();
+    console.log('🗑️ Local LLM conversation history cleared');
+  }
+
+  // Get conversation stats
+  getConversationStats() {
+    return {
+      messageCount: this.conversationHistory.length,
+      provider: this.name,
+      model: this.model,
+      baseUrl: this.baseUrl,
+      lastMessage: this.conversationHistory.length > 0 ?
+        this.conversationHistory[this.conversationHistory.length - 1] : null
+    };
+  }
+
+  // Health check: the server is up and serves the configured model
+  async healthCheck() {
+    try {
+      const response = await fetch(`${this.baseUrl}/models`, { headers: this.getHeaders() });
+      if (!response.ok) {
+        return { status: 'error', message: `HTTP ${response.status}`, model: this.model };
+      }
+
+      const data = await response.json();
+      const models = (data.data || []).map(model => model.id);
+      const hasModel = models.length === 0 || models.some(id => id === this.model || id.startsWith(`${this.model}:`));
+
+      return {
+        status: hasModel ? 'healthy' : 'error',
+        message: hasModel ? 'Local LLM server operational' : `Model ${this.model} not served (available: ${models.join(', ')})`,
+        model: this.model
+      };
+    } catch (error) {
+      return {
+        status: 'error',
+        message: error.message,
+        model: this.model
+      };
+    }
+  }
+}
+
+const localLLMProvider = new LocalLLMProvider();
+ProviderRegistry.register(localLLMProvider.name, localLLMProvider, localLLMProvider.capabilities);
+
+export default localLLMProvider;
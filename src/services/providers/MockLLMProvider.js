@@ -0,0 +1,260 @@
+// Mock LLM provider for offline tests
+// Answers from scripted fixtures keyed by a hash of the prompt and streams them through
+// the usual onToken/onComplete callbacks. In record mode it instead captures real provider
+// exchanges so they can be replayed later.
+//
+// Modes (EXPO_PUBLIC_AI_PROVIDER_MODE, or setMode()):
+//   'live'   - providers behave normally (default)
+//   'mock'   - every provider call is answered from fixtures; nothing touches the network
+//   'record' - live calls go through and each prompt/response pair is saved as a fixture
+//
+// Fixture set format (see src/data/llm_fixtures.json):
+//   { name, version, fixtures: { [promptHash]: { prompt, response, provider, recordedAt } } }
+
+import * as FileSystem from 'expo-file-system';
+import ProviderRegistry from './ProviderRegistry';
+import { contentHash } from '../rag/MarkdownChunker';
+import { emitText, streamFromCallbacks } from './ChatStream';
+import defaultFixtures from '../../data/llm_fixtures.json';
+
+export const PROVIDER_MODES = ['live', 'mock', 'record'];
+
+// Whitespace differences should not change which fixture a prompt hits
+export function hashPrompt(prompt) {
+  return contentHash(String(prompt || '').trim().replace(/\s+/g, ' '));
+}
+
+class MockLLMProvider {
+  constructor() {
+    this.name = 'mock';
+    this.capabilities = {
+      streaming: true,
+      toolCalls: false,
+      maxContextTokens: 32000,
+      costPerInputToken: 0,
+      costPerOutputToken: 0,
+      requestsPerMinute: 6000,
+      local: true,
+      mock: true
+    };
+
+    this.mode = PROVIDER_MODES.includes(process.env.EXPO_PUBLIC_AI_PROVIDER_MODE)
+      ? process.env.EXPO_PUBLIC_AI_PROVIDER_MODE
+      : 'live';
+    this.strict = false; // Throw on prompts without a fixture instead of answering with defaultResponse
+    this.defaultResponse = "I'm a scripted test response. Tell me a little more about what's on your mind.";
+    this.tokenDelayMs = 0;
+    this.fixtureDirectory = FileSystem.documentDirectory + 'llm_fixtures/';
+
+    this.fixtures = new Map(); // promptHash -> fixture
+    this.recording = null; // { name, fixtures: {} } while recording
+    this.instrumented = new WeakSet();
+    this.calls = []; // Prompts answered in mock mode: [{ hash, matched }]
+
+    this.loadFixtures(defaultFixtures);
+  }
+
+  setMode(mode) {
+    if (!PROVIDER_MODES.includes(mode)) {
+      throw new Error(`Unknown provider mode '${mode}'. Use one of: ${PROVIDER_MODES.join(', ')}`);
+    }
+    this.mode = mode;
+    console.log(`🎭 AI provider mode: ${mode}`);
+  }
+
+  isMocking() {
+    return this.mode === 'mock';
+  }
+
+  // Merge a fixture set (object or JSON string) into the replay table
+  loadFixtures(fixtureSet) {
+    const parsed = typeof fixtureSet === 'string' ? JSON.parse(fixtureSet) : fixtureSet;
+    const fixtures = parsed?.fixtures || {};
+
+    Object.entries(fixtures).forEach(([hash, fixture]) => {
+      if (typeof fixture.response !== 'string') {
+        throw new Error(`Fixture ${hash} has no response`);
+      }
+      this.fixtures.set(hash, fixture);
+    });
+
+    return Object.keys(fixtures).length;
+  }
+
+  // Load a recorded fixture file from the app's document directory
+  async loadFixtureFile(name) {
+    const path = `${this.fixtureDirectory}${name}.json`;
+    const count = this.loadFixtures(await FileSystem.readAsStringAsync(path));
+    console.log(`🎭 Loaded ${count} LLM fixtures from ${path}`);
+    return count;
+  }
+
+  addFixture(prompt, response, details = {}) {
+    const hash = hashPrompt(prompt);
+    this.fixtures.set(hash, {
+      prompt: String(prompt).slice(0, 200),
+      response,
+      ...details
+    });
+    return hash;
+  }
+
+  clearFixtures() {
+    this.fixtures.clear();
+    this.calls = [];
+  }
+
+  async sendMessage(message, options = {}) {
+    const {
+      onStart = () => {},
+      onToken = () => {},
+      onComplete = () => {},
+      onError = () => {},
+      signal = null
+    } = options;
+
+    const hash = hashPrompt(message);
+    const fixture = this.fixtures.get(hash);
+    this.calls.push({ hash, matched: Boolean(fixture) });
+
+    if (!fixture && this.strict) {
+      const error = new Error(`No LLM fixture for prompt ${hash}: "${String(message).slice(0, 80)}"`);
+      onError(error);
+      throw error;
+    }
+    if (!fixture) {
+      console.log(`🎭 No fixture for prompt ${hash}, using default mock response`);
+    }
+
+    onStart();
+    const response = fixture ? fixture.response : this.defaultResponse;
+
+    let fullResponse;
+    try {
+      fullResponse = await emitText(response, onToken, { signal, delayMs: this.tokenDelayMs });
+    } catch (error) {
+      onError(error);
+      throw error;
+    }
+
+    onComplete(fullResponse);
+    return fullResponse;
+  }
+
+  // Typed event stream of a reply (see ChatStream)
+  stream(message, options = {}) {
+    return streamFromCallbacks((text, streamOptions) => this.sendMessage(text, streamOptions), message, {
+      provider: this.name,
+      ...options
+    });
+  }
+
+  // Wrap a live service's sendMessage: replay in mock mode, capture exchanges in record mode
+  instrument(service, providerName) {
+    if (!service || service === this || this.instrumented.has(service)) return;
+    this.instrumented.add(service);
+
+    const sendLive = service.sendMessage.bind(service);
+    service.sendMessage = async (message, options = {}) => {
+      if (this.mode === 'mock') {
+        return this.sendMessage(message, options);
+      }
+
+      let failed = false;
+      const response = await sendLive(message, {
+        ...options,
+        onError: (error) => {
+          failed = true;
+          (options.onError || (() => {}))(error);
+        }
+      });
+
+      // Fallback answers after an error are not worth replaying
+      if (this.mode === 'record' && !failed && typeof response === 'string') {
+        await this.recordExchange(message, response, providerName);
+      }
+      return response;
+    };
+  }
+
+  startRecording(name = `recording_${new Date().toISOString().replace(/[:.]/g, '-')}`) {
+    this.recording = { name, fixtures: {} };
+    this.setMode('record');
+    return name;
+  }
+
+  async recordExchange(prompt, response, providerName) {
+    if (!this.recording) {
+      this.startRecording();
+    }
+
+    const hash = hashPrompt(prompt);
+    const fixture = {
+      prompt: String(prompt).slice(0, 200),
+      response,
+      provider: providerName,
+      recordedAt: new Date().toISOString()
+    };
+    this.recording.fixtures[hash] = fixture;
+    this.fixtures.set(hash, fixture);
+
+    // Written after every exchange so an interrupted session keeps what it captured
+    await this.saveRecording();
+    return hash;
+  }
+
+  async saveRecording() {
+    if (!this.recording) return null;
+
+    const path = `${this.fixtureDirectory}${this.recording.name}.json`;
+    try {
+      await FileSystem.makeDirectoryAsync(this.fixtureDirectory, { intermediates: true });
+      await FileSystem.writeAsStringAsync(path, JSON.stringify({
+        name: this.recording.name,
+        version: 1,
+        fixtures: this.recording.fixtures
+      }, null, 2));
+    } catch (error) {
+      console.error('Error saving LLM fixtures:', error);
+      return null;
+    }
+    return path;
+  }
+
+  // Stop capturing and return the fixture file path
+  async stopRecording() {
+    const path = await this.saveRecording();
+    const count = this.recording ? Object.keys(this.recording.fixtures).length : 0;
+    this.recording = null;
+    this.setMode('live');
+    console.log(`🎭 Recorded ${count} LLM exchanges${path ? ` to ${path}` : ''}`);
+    return path;
+  }
+
+  clearHistory() {
+    this.calls = [];
+  }
+
+  getConversationStats() {
+    return {
+      messageCount: this.calls.length,
+      provider: this.name,
+      mode: this.mode,
+      fixtureCount: this.fixtures.size,
+      unmatchedPrompts: this.calls.filter(call => !call.matched).map(call => call.hash)
+    };
+  }
+
+  async healthCheck() {
+    return { status: 'healthy', message: `Mock provider (${this.mode} mode, ${this.fixtures.size} fixtures)` };
+  }
+}
+
+const mockLLMProvider = new MockLLMProvider();
+ProviderRegistry.register(mockLLMProvider.name, mockLLMProvider, mockLLMProvider.capabilities);
+
+// Every registered provider replays in mock mode and records in record mode
+ProviderRegistry.list().forEach(entry => mockLLMProvider.instrument(entry.service, entry.name));
+ProviderRegistry.onRegister(entry => mockLLMProvider.instrument(entry.service, entry.name));
+
+export default mockLLMProvider;
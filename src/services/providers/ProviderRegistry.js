@@ -0,0 +1,123 @@
+// AI Provider Registry
+// Chat providers register themselves with the capabilities they support so
+// AIProviderManager can choose between them without hard-coding the list.
+//
+//   ProviderRegistry.register('anthropic', AnthropicProvider, {
+//     streaming: true, toolCalls: true, maxContextTokens: 200000,
+//     costPerInputToken: 0.000003, costPerOutputToken: 0.000015
+//   });
+//   ProviderRegistry.findProviders({ streaming: true, minContextTokens: 32000 });
+
+export const DEFAULT_CAPABILITIES = {
+  streaming: false, // Emits tokens through onToken as they arrive
+  toolCalls: false, // Supports function/tool calling
+  maxContextTokens: 4096,
+  costPerInputToken: 0, // USD
+  costPerOutputToken: 0, // USD
+  requestsPerMinute: 60, // Rate limit AIProviderManager enforces
+  local: false, // Runs on the device or the user's own network
+  mock: false // Scripted test double; only chosen when requirements ask for { mock: true }
+};
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map(); // name -> { name, service, capabilities, registeredAt }
+    this.listeners = new Set();
+  }
+
+  // Add or replace a provider. service must implement sendMessage(message, options)
+  register(name, service, capabilities = {}) {
+    if (!name) {
+      throw new Error('Provider name is required');
+    }
+    if (!service || typeof service.sendMessage !== 'function') {
+      throw new Error(`Provider ${name} must implement sendMessage`);
+    }
+
+    const entry = {
+      name,
+      service,
+      capabilities: { ...DEFAULT_CAPABILITIES, ...capabilities },
+      registeredAt: new Date().toISOString()
+    };
+    this.providers.set(name, entry);
+    this.listeners.forEach(listener => listener(entry));
+
+    return entry;
+  }
+
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  getService(name) {
+    return this.providers.get(name)?.service || null;
+  }
+
+  getCapabilities(name) {
+    return this.providers.get(name)?.capabilities || null;
+  }
+
+  getNames() {
+    return Array.from(this.providers.keys());
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  // Whether a provider meets requirements like
+  // { streaming: true, toolCalls: true, local: true, minContextTokens: 16000, maxCostPerOutputToken: 0.00002 }
+  supports(name, requirements = {}) {
+    const capabilities = this.getCapabilities(name);
+    if (!capabilities) return false;
+
+    const {
+      streaming,
+      toolCalls,
+      local,
+      mock = false,
+      minContextTokens = 0,
+      maxCostPerInputToken = Infinity,
+      maxCostPerOutputToken = Infinity
+    } = requirements;
+
+    if (streaming && !capabilities.streaming) return false;
+    if (toolCalls && !capabilities.toolCalls) return false;
+    if (local !== undefined && local !== null && capabilities.local !== local) return false;
+    if (capabilities.mock !== Boolean(mock)) return false;
+    if (capabilities.maxContextTokens < minContextTokens) return false;
+    if (capabilities.costPerInputToken > maxCostPerInputToken) return false;
+    if (capabilities.costPerOutputToken > maxCostPerOutputToken) return false;
+
+    return true;
+  }
+
+  // Names of providers meeting the requirements, in registration order
+  findProviders(requirements = {}) {
+    return this.getNames().filter(name => this.supports(name, requirements));
+  }
+
+  // Estimated USD cost of a request on a provider
+  estimateCost(name, inputTokens, outputTokens = 0) {
+    const capabilities = this.getCapabilities(name);
+    if (!capabilities) return null;
+    return inputTokens * capabilities.costPerInputToken + outputTokens * capabilities.costPerOutputToken;
+  }
+
+  // Called with each registry entry as providers register; returns an unsubscribe function
+  onRegister(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+export default new ProviderRegistry();
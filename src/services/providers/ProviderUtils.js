@@ -0,0 +1,133 @@
+// Shared helpers for registry chat providers: SoulAI system prompt and RAG context section,
+// server-sent event parsing and OpenAI-format tool calls
+
+import RAGService from '../RAGService';
+import ToolRegistry from '../tools/ToolRegistry';
+
+export const SOULAI_SYSTEM_PROMPT = `You are an AI assistant integrated into the Soul app - a warm, intuitive friend who "gets" people and relationships. You're having a genuine heart-to-heart conversation about love, life and finding their person.
+
+You draw on psychology and relationship books such as The Mastery of Love, Attached, The 5 Love Languages, Atlas of the Heart, The Four Agreements and The Heart and Soul of Change. Weave their insights in naturally instead of quoting them.
+
+Use casual language, "I" statements and follow-up questions that show you're listening. Break longer answers into short paragraphs, and use bullet points for lists of ideas or steps. When referring to yourself, simply use "I" or "me".`;
+
+// Retrieved textbook passages as a system prompt section; citations are kept for grounding checks
+export async function buildRAGSection(message, conversationHistory = []) {
+  try {
+    const ragResponse = await RAGService.generateResponse(message, conversationHistory, {
+      maxContextLength: 2000,
+      includeSourceCitations: false,
+      responseStyle: 'conversational'
+    });
+
+    if (ragResponse && ragResponse.context) {
+      return {
+        ragSection: `RELEVANT CONTEXT from your knowledge base:
+${ragResponse.context}
+
+Use this context to inform your response, but integrate it naturally into your conversational style.
+${RAGService.getCitationInstructions()}`,
+        citations: ragResponse.citations || []
+      };
+    }
+  } catch (error) {
+    console.log('RAG context unavailable:', error.message);
+  }
+
+  return { ragSection: '', citations: [] };
+}
+
+// Check a finished answer against its RAG passages and hand the report to onGrounding
+export function reportGrounding(answer, citations, onGrounding) {
+  if (!onGrounding || !citations || citations.length === 0) return;
+
+  try {
+    onGrounding(RAGService.verifyGrounding(answer, citations));
+  } catch (error) {
+    console.log('Grounding verification failed:', error);
+  }
+}
+
+// Feed each SSE 'data:' payload to onData(data, eventName). Falls back to reading
+// the whole body when the platform's fetch has no streaming reader.
+export async function readServerSentEvents(response, onData) {
+  let eventName = null;
+
+  const handleLine = (rawLine) => {
+    const line = rawLine.trim();
+    if (line.length === 0) {
+      eventName = null;
+    } else if (line.startsWith('event:')) {
+      eventName = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      const data = line.slice(5).trim();
+      if (data && data !== '[DONE]') {
+        onData(data, eventName);
+      }
+    }
+  };
+
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    const text = await response.text();
+    text.split('\n').forEach(handleLine);
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || ''; // Keep any partial line for the next chunk
+      lines.forEach(handleLine);
+    }
+    if (buffer) handleLine(buffer);
+  } finally {
+    if (reader.locked) {
+      reader.releaseLock();
+    }
+  }
+}
+
+// Merge streamed OpenAI-format tool call fragments ({ index, id, function: { name, arguments } })
+// into calls, indexed like the stream. arguments stays JSON text until the turn ends.
+export function accumulateToolCalls(calls, deltas = []) {
+  deltas.forEach((delta, position) => {
+    const index = delta.index ?? position;
+    const call = calls[index] || (calls[index] = { id: null, name: '', arguments: '' });
+    if (delta.id) call.id = delta.id;
+    if (delta.function?.name) call.name += delta.function.name;
+    if (delta.function?.arguments) call.arguments += delta.function.arguments;
+  });
+  return calls;
+}
+
+// Finished calls from accumulateToolCalls; some local servers omit ids
+export function completeToolCalls(calls) {
+  return calls.filter(Boolean).map((call, index) => ({ ...call, id: call.id || `call_${index}` }));
+}
+
+// OpenAI-format messages handing one turn's tool results back to the model
+export function openAIToolMessages(content, calls, entries) {
+  return [
+    {
+      role: 'assistant',
+      content: content || null,
+      tool_calls: calls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments || '{}' }
+      }))
+    },
+    ...entries.map(entry => ({
+      role: 'tool',
+      tool_call_id: entry.id,
+      content: ToolRegistry.formatResult(entry)
+    }))
+  ];
+}
@@ -0,0 +1,295 @@
+// Response Cache for AI requests
+// Sits in front of AIProviderManager and answers repeated requests without a provider call.
+// Lookups try an exact key first, then the closest earlier request of the same type and user by
+// embedding similarity, so "I'm so happy!!" reuses the answer to "i'm so happy!". Each request
+// type has its own TTL; types without one (plain chat) are never cached.
+//
+// Cached answers describe a user as their HHC vector saw them, so entries are tagged with the
+// users they are about and dropped by invalidateUser() when a vector changes. Code that receives
+// a vector without knowing whether it changed passes it to noteVector(), which compares it with
+// the last one seen, across restarts.
+//
+//   const hit = await ResponseCache.get(message, { requestType: 'mood_analysis', userId });
+//   await ResponseCache.set(message, response, { requestType: 'mood_analysis', userId, provider });
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { LocalEmbeddingProvider } from '../embeddings/LocalEmbeddingProvider';
+import { contentHash } from '../rag/MarkdownChunker';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Milliseconds a response stays valid, by requestType; 0 disables caching
+export const DEFAULT_TTLS = {
+  chat: 0,
+  mood_analysis: 5 * MINUTE,
+  classification: HOUR,
+  summarization: HOUR,
+  feedback_parsing: HOUR,
+  recommendation_text: 15 * MINUTE,
+  compatibility_explanation: DAY,
+  profile_bio: 7 * DAY
+};
+
+// Case, whitespace and trailing punctuation don't change what was asked
+function normalizeText(text) {
+  return String(text ?? '').toLowerCase().replace(/\s+/g, ' ').replace(/[\s.!?…]+$/, '').trim();
+}
+
+const NEGATION_PATTERN = /\b(not|no|never|nothing|nobody|none|neither|nor|cannot|without)\b|n't\b/g;
+
+// Words the embedding discounts but that flip the meaning: negations and numbers must agree
+// for two requests to share an answer
+function meaningSignature(text) {
+  const negations = (text.match(NEGATION_PATTERN) || []).length;
+  const numbers = (text.match(/\d+(\.\d+)?/g) || []).join(',');
+  return `${negations}|${numbers}`;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+export class ResponseCache {
+  constructor(options = {}) {
+    this.ttls = { ...DEFAULT_TTLS, ...(options.ttls || {}) };
+    this.maxEntries = options.maxEntries ?? 500;
+    this.similarityThreshold = options.similarityThreshold ?? 0.92;
+    // Offline embeddings keep lookups free and synchronous with the request
+    this.embeddings = options.embeddingProvider || new LocalEmbeddingProvider();
+    this.storageKey = options.storageKey || 'soulai_response_cache';
+    this.now = options.now || (() => Date.now());
+
+    this.entries = new Map(); // key -> { key, partition, requestType, text, embedding, response, provider, userIds, createdAt, expiresAt, hits }
+    this.vectorHashes = {}; // userId -> hash of the last HHC vector passed to noteVector
+    this.stats = { hits: 0, exactHits: 0, semanticHits: 0, misses: 0, sets: 0, evictions: 0, invalidations: 0, byRequestType: {} };
+    this.loaded = false;
+  }
+
+  getTTL(requestType, ttlMs = undefined) {
+    return ttlMs ?? this.ttls[requestType] ?? 0;
+  }
+
+  isCacheable(requestType, ttlMs = undefined) {
+    return this.getTTL(requestType, ttlMs) > 0;
+  }
+
+  // Entries are only compared within a partition: same request type, user and extra key
+  partitionFor({ requestType = 'chat', userId = null, key = '' }) {
+    return `${requestType}|${userId || ''}|${key}`;
+  }
+
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    try {
+      const stored = await AsyncStorage.getItem(this.storageKey);
+      const now = this.now();
+      (stored ? JSON.parse(stored) : [])
+        .filter(entry => entry.expiresAt > now)
+        .forEach(entry => this.entries.set(entry.key, { ...entry, embedding: null }));
+      const vectorHashes = await AsyncStorage.getItem(`${this.storageKey}_vectors`);
+      this.vectorHashes = vectorHashes ? JSON.parse(vectorHashes) : {};
+    } catch (error) {
+      console.error('Error loading AI response cache:', error);
+    }
+  }
+
+  // Embeddings are recomputed on demand rather than stored
+  async save() {
+    try {
+      const entries = Array.from(this.entries.values()).map(({ embedding, ...entry }) => entry);
+      await AsyncStorage.setItem(this.storageKey, JSON.stringify(entries));
+    } catch (error) {
+      console.error('Error saving AI response cache:', error);
+    }
+  }
+
+  embed(entry) {
+    if (!entry.embedding) {
+      entry.embedding = this.embeddings.embedText(entry.text);
+    }
+    return entry.embedding;
+  }
+
+  countLookup(requestType, outcome) {
+    const counts = this.stats.byRequestType[requestType] || (this.stats.byRequestType[requestType] = { hits: 0, misses: 0 });
+    counts[outcome]++;
+    this.stats[outcome]++;
+  }
+
+  // Cached { response, provider, match: 'exact' | 'semantic', similarity, age } or null.
+  // text is what the request is about (defaults to the message); key separates requests whose
+  // answers differ for reasons the text doesn't show, e.g. serialized context.
+  async get(message, { requestType = 'chat', userId = null, text = message, key = '', semantic = true, ttlMs } = {}) {
+    if (!this.isCacheable(requestType, ttlMs)) return null;
+    await this.load();
+    this.pruneExpired();
+
+    const partition = this.partitionFor({ requestType, userId, key });
+    const normalized = normalizeText(text);
+    let entry = this.entries.get(contentHash(`${partition}\n${normalized}`));
+    let match = entry ? 'exact' : null;
+    let similarity = entry ? 1 : 0;
+
+    if (!entry && semantic && normalized) {
+      const embedding = this.embeddings.embedText(normalized);
+      const signature = meaningSignature(normalized);
+      this.entries.forEach(candidate => {
+        if (candidate.partition !== partition || meaningSignature(candidate.text) !== signature) return;
+        const score = cosineSimilarity(embedding, this.embed(candidate));
+        if (score >= this.similarityThreshold && score > similarity) {
+          entry = candidate;
+          similarity = score;
+        }
+      });
+      match = entry ? 'semantic' : null;
+    }
+
+    if (!entry) {
+      this.countLookup(requestType, 'misses');
+      return null;
+    }
+
+    entry.hits++;
+    this.countLookup(requestType, 'hits');
+    this.stats[match === 'exact' ? 'exactHits' : 'semanticHits']++;
+    console.log(`♻️ Cache ${match} hit for ${requestType}${match === 'semantic' ? ` (similarity ${similarity.toFixed(3)})` : ''}`);
+    return {
+      response: entry.response,
+      provider: entry.provider,
+      match,
+      similarity,
+      age: this.now() - entry.createdAt
+    };
+  }
+
+  // Store a response. userIds are the users it describes (defaults to userId); an HHC change for
+  // any of them invalidates it, e.g. both people in a compatibility explanation.
+  async set(message, response, { requestType = 'chat', userId = null, userIds = null, text = message, key = '', provider = null, ttlMs } = {}) {
+    const ttl = this.getTTL(requestType, ttlMs);
+    if (ttl <= 0 || typeof response !== 'string' || !response) return null;
+    await this.load();
+
+    const partition = this.partitionFor({ requestType, userId, key });
+    const normalized = normalizeText(text);
+    const entryKey = contentHash(`${partition}\n${normalized}`);
+    const now = this.now();
+    const entry = {
+      key: entryKey,
+      partition,
+      requestType,
+      text: normalized,
+      embedding: null,
+      response,
+      provider,
+      userIds: (userIds || [userId]).filter(Boolean).map(String),
+      createdAt: now,
+      expiresAt: now + ttl,
+      hits: 0
+    };
+
+    this.entries.delete(entryKey); // Re-insert so Map order stays oldest first
+    this.entries.set(entryKey, entry);
+    this.stats.sets++;
+    this.evictOverflow();
+    await this.save();
+    return entry;
+  }
+
+  pruneExpired() {
+    const now = this.now();
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    });
+  }
+
+  evictOverflow() {
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  // Drop every response about a user; call when their HHC vector changes
+  async invalidateUser(userId, reason = 'hhc_changed') {
+    if (!userId) return 0;
+    await this.load();
+
+    let removed = 0;
+    this.entries.forEach((entry, key) => {
+      if (entry.userIds.includes(String(userId))) {
+        this.entries.delete(key);
+        removed++;
+      }
+    });
+
+    this.stats.invalidations += removed;
+    if (removed > 0) {
+      console.log(`🗑️ Invalidated ${removed} cached AI responses for user ${userId} (${reason})`);
+      await this.save();
+    }
+    return removed;
+  }
+
+  // Drop a user's responses if this HHC vector differs from the last one noted for them.
+  // The first vector seen for a user only becomes the baseline.
+  async noteVector(userId, vector) {
+    if (!userId || !vector) return 0;
+    await this.load();
+
+    const hash = contentHash(JSON.stringify(Array.from(vector)));
+    const previous = this.vectorHashes[String(userId)];
+    if (previous === hash) return 0;
+
+    this.vectorHashes[String(userId)] = hash;
+    try {
+      await AsyncStorage.setItem(`${this.storageKey}_vectors`, JSON.stringify(this.vectorHashes));
+    } catch (error) {
+      console.error('Error saving HHC vector hashes:', error);
+    }
+    return previous ? this.invalidateUser(userId) : 0;
+  }
+
+  // Remove all entries, or those of one request type
+  async clear(requestType = null) {
+    await this.load();
+    this.entries.forEach((entry, key) => {
+      if (!requestType || entry.requestType === requestType) this.entries.delete(key);
+    });
+    await this.save();
+  }
+
+  // Hit/miss counts overall and per request type, with hit rates
+  getStats() {
+    const rate = ({ hits, misses }) => (hits + misses > 0 ? hits / (hits + misses) : 0);
+    return {
+      ...this.stats,
+      hitRate: rate(this.stats),
+      entries: this.entries.size,
+      byRequestType: Object.fromEntries(Object.entries(this.stats.byRequestType).map(([requestType, counts]) => [
+        requestType,
+        { ...counts, hitRate: rate(counts), ttlMs: this.getTTL(requestType) }
+      ]))
+    };
+  }
+
+  resetStats() {
+    this.stats = { hits: 0, exactHits: 0, semanticHits: 0, misses: 0, sets: 0, evictions: 0, invalidations: 0, byRequestType: {} };
+  }
+}
+
+export default new ResponseCache({
+  maxEntries: parseInt(process.env.EXPO_PUBLIC_AI_CACHE_MAX_ENTRIES || '500', 10),
+  similarityThreshold: parseFloat(process.env.EXPO_PUBLIC_AI_CACHE_SIMILARITY) || 0.92
+});
@@ -0,0 +1,118 @@
+// Spend Budget for AI requests
+// Tracks estimated USD spend for the current day, overall and per user, in AsyncStorage.
+// getTier() tells AIProviderManager when to move requests to cheaper or free providers.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+export const BUDGET_TIERS = ['standard', 'economy', 'free'];
+
+export class SpendBudget {
+  constructor(options = {}) {
+    this.dailyLimit = options.dailyLimit ?? 5; // USD across all users
+    this.userDailyLimit = options.userDailyLimit ?? 0.5; // USD per user
+    this.economyThreshold = options.economyThreshold ?? 0.8; // Share of a limit after which requests go economy
+    this.storageKey = options.storageKey || 'soulai_ai_spend';
+    this.now = options.now || (() => new Date());
+
+    this.spend = this.emptyDay();
+    this.loaded = false;
+  }
+
+  // Local calendar day, so budgets reset at the user's midnight
+  today() {
+    const date = this.now();
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  emptyDay() {
+    return { date: this.today(), total: 0, requests: 0, byUser: {}, byProvider: {} };
+  }
+
+  // Restore today's spend; earlier days are dropped
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    try {
+      const stored = await AsyncStorage.getItem(this.storageKey);
+      const parsed = stored ? JSON.parse(stored) : null;
+      if (parsed && parsed.date === this.today()) {
+        this.spend = { ...this.emptyDay(), ...parsed };
+      }
+    } catch (error) {
+      console.error('Error loading AI spend budget:', error);
+    }
+  }
+
+  rollover() {
+    if (this.spend.date !== this.today()) {
+      this.spend = this.emptyDay();
+    }
+  }
+
+  getUserSpend(userId) {
+    this.rollover();
+    return userId ? this.spend.byUser[userId] || 0 : 0;
+  }
+
+  // 'standard' while under budget, 'economy' near a limit, 'free' once a limit is reached.
+  // Anonymous requests only count against the daily limit.
+  getTier(userId = null) {
+    this.rollover();
+    const userSpend = this.getUserSpend(userId);
+    const overUserLimit = (ratio) => userId && userSpend >= this.userDailyLimit * ratio;
+
+    if (this.spend.total >= this.dailyLimit || overUserLimit(1)) return 'free';
+    if (this.spend.total >= this.dailyLimit * this.economyThreshold || overUserLimit(this.economyThreshold)) return 'economy';
+    return 'standard';
+  }
+
+  // Which limit is used up: 'daily' (all users), 'user', or null while either has room
+  getLimitReached(userId = null) {
+    this.rollover();
+    if (this.spend.total >= this.dailyLimit) return 'daily';
+    if (userId && this.getUserSpend(userId) >= this.userDailyLimit) return 'user';
+    return null;
+  }
+
+  async recordSpend(userId, providerName, amount) {
+    this.rollover();
+
+    const cost = Math.max(0, amount || 0);
+    this.spend.total += cost;
+    this.spend.requests++;
+    this.spend.byProvider[providerName] = (this.spend.byProvider[providerName] || 0) + cost;
+    if (userId) {
+      this.spend.byUser[userId] = (this.spend.byUser[userId] || 0) + cost;
+    }
+
+    try {
+      await AsyncStorage.setItem(this.storageKey, JSON.stringify(this.spend));
+    } catch (error) {
+      console.error('Error saving AI spend budget:', error);
+    }
+  }
+
+  getStatus(userId = null) {
+    this.rollover();
+    return {
+      date: this.spend.date,
+      total: this.spend.total,
+      requests: this.spend.requests,
+      dailyLimit: this.dailyLimit,
+      remaining: Math.max(0, this.dailyLimit - this.spend.total),
+      userDailyLimit: this.userDailyLimit,
+      tier: this.getTier(userId),
+      byProvider: { ...this.spend.byProvider },
+      byUser: { ...this.spend.byUser },
+      user: userId ? {
+        userId,
+        spend: this.getUserSpend(userId),
+        remaining: Math.max(0, this.userDailyLimit - this.getUserSpend(userId))
+      } : null
+    };
+  }
+}
+
+export default SpendBudget;
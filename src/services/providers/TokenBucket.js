@@ -0,0 +1,62 @@
+// Token Bucket rate limiter
+// Holds up to `capacity` tokens and refills continuously at `refillPerSecond`;
+// each request takes one token, so bursts up to capacity are allowed.
+
+export class TokenBucket {
+  constructor(options = {}) {
+    this.capacity = options.capacity || 60;
+    this.refillPerSecond = options.refillPerSecond ?? this.capacity / 60; // Default: capacity per minute
+    this.now = options.now || (() => Date.now());
+
+    this.tokens = this.capacity;
+    this.lastRefill = this.now();
+    this.rejected = 0;
+  }
+
+  refill() {
+    const now = this.now();
+    const elapsedSeconds = (now - this.lastRefill) / 1000;
+    if (elapsedSeconds > 0) {
+      this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.refillPerSecond);
+      this.lastRefill = now;
+    }
+  }
+
+  getAvailable() {
+    this.refill();
+    return this.tokens;
+  }
+
+  // Whether `count` tokens are available without taking them
+  canRemove(count = 1) {
+    return this.getAvailable() >= count;
+  }
+
+  tryRemove(count = 1) {
+    if (!this.canRemove(count)) {
+      this.rejected++;
+      return false;
+    }
+    this.tokens -= count;
+    return true;
+  }
+
+  // Milliseconds until `count` tokens will be available
+  msUntilAvailable(count = 1) {
+    const missing = count - this.getAvailable();
+    if (missing <= 0) return 0;
+    if (this.refillPerSecond <= 0) return Infinity;
+    return Math.ceil((missing / this.refillPerSecond) * 1000);
+  }
+
+  toJSON() {
+    return {
+      available: Math.floor(this.getAvailable()),
+      capacity: this.capacity,
+      refillPerSecond: this.refillPerSecond,
+      rejected: this.rejected
+    };
+  }
+}
+
+export default TokenBucket;
@@ -0,0 +1,142 @@
+// Grounding Verifier for RAG answers
+// Checks that answer sentences are backed by the retrieved passages they cite
+
+import { analyze } from '../indexing/TextAnalyzer';
+
+class GroundingVerifier {
+  constructor() {
+    this.supportThreshold = 0.5; // Share of a sentence's content terms found in the passage
+    this.minClaimTerms = 4; // Shorter sentences are treated as conversational, not claims
+  }
+
+  // Split text into sentences, keeping trailing citation markers with their sentence
+  splitSentences(text) {
+    const sentences = (text || '')
+      .replace(/\s+/g, ' ')
+      .match(/[^.!?]+[.!?]+(?:\s*\[\d+(?:\s*,\s*\d+)*\])*["')]*|[^.!?]+$/g) || [];
+
+    return sentences
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.length > 0);
+  }
+
+  // Citation markers like [1] or [2, 3] in a sentence
+  extractMarkers(sentence) {
+    const markers = new Set();
+    const pattern = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+    let match;
+    while ((match = pattern.exec(sentence)) !== null) {
+      match[1].split(',').forEach(marker => markers.add(Number(marker.trim())));
+    }
+    return Array.from(markers);
+  }
+
+  stripMarkers(sentence) {
+    return sentence.replace(/\s*\[\d+(?:\s*,\s*\d+)*\]/g, '').trim();
+  }
+
+  contentTerms(text) {
+    return new Set(analyze(text).map(entry => entry.term));
+  }
+
+  // Best supporting sentence of a passage for a claim: { span, score }
+  findSupportingSpan(claimTerms, passage) {
+    let best = { span: null, score: 0 };
+    if (claimTerms.size === 0) return best;
+
+    for (const passageSentence of this.splitSentences(passage)) {
+      const passageTerms = this.contentTerms(passageSentence);
+      let shared = 0;
+      for (const term of claimTerms) {
+        if (passageTerms.has(term)) shared++;
+      }
+
+      const score = shared / claimTerms.size;
+      if (score > best.score) {
+        best = { span: passageSentence, score };
+      }
+    }
+
+    // Fall back to the whole passage when no single sentence carries the claim
+    if (best.score < this.supportThreshold) {
+      const passageTerms = this.contentTerms(passage);
+      let shared = 0;
+      for (const term of claimTerms) {
+        if (passageTerms.has(term)) shared++;
+      }
+      const score = shared / claimTerms.size;
+      if (score > best.score) {
+        best = { span: passage, score };
+      }
+    }
+
+    return best;
+  }
+
+  // Verify an answer against numbered citations ([{ marker, id, content, ... }])
+  verify(answer, citations = []) {
+    const citationByMarker = new Map(citations.map(citation => [citation.marker, citation]));
+    const usedMarkers = new Set();
+    const supportingSpans = [];
+    const unsupportedClaims = [];
+    let claimCount = 0;
+
+    this.splitSentences(answer).forEach((sentence, sentenceIndex) => {
+      const markers = this.extractMarkers(sentence);
+      const claim = this.stripMarkers(sentence);
+      const claimTerms = this.contentTerms(claim);
+
+      // Questions and short conversational lines are not factual claims
+      if (claim.endsWith('?') || (markers.length === 0 && claimTerms.size < this.minClaimTerms)) {
+        return;
+      }
+      claimCount++;
+
+      // Prefer the passages the answer cites, then any retrieved passage
+      const cited = markers.map(marker => citationByMarker.get(marker)).filter(Boolean);
+      const candidates = cited.length > 0 ? cited : citations;
+
+      let best = null;
+      for (const citation of candidates) {
+        const support = this.findSupportingSpan(claimTerms, citation.content);
+        if (!best || support.score > best.score) {
+          best = { ...support, citation };
+        }
+      }
+
+      if (best && best.score >= this.supportThreshold) {
+        usedMarkers.add(best.citation.marker);
+        supportingSpans.push({
+          sentenceIndex,
+          sentence: claim,
+          marker: best.citation.marker,
+          chunkId: best.citation.id,
+          span: best.span,
+          score: best.score,
+          cited: cited.length > 0
+        });
+      } else {
+        unsupportedClaims.push({
+          sentenceIndex,
+          sentence: claim,
+          citedMarkers: markers,
+          reason: cited.length > 0 ? 'cited_passage_does_not_support' : 'no_supporting_passage',
+          bestScore: best ? best.score : 0
+        });
+      }
+    });
+
+    return {
+      answer,
+      citations: citations.map(citation => ({
+        ...citation,
+        used: usedMarkers.has(citation.marker)
+      })),
+      supportingSpans,
+      unsupportedClaims,
+      groundingScore: claimCount === 0 ? 1 : supportingSpans.length / claimCount
+    };
+  }
+}
+
+export default new GroundingVerifier();
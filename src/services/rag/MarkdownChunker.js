@@ -0,0 +1,223 @@
+// Structure-aware Markdown Chunker
+// Splits markdown along section boundaries, keeps lists with their lead-in line and
+// records the heading path of every chunk.
+//
+//   chunkMarkdown(text, { maxTokens: 200, overlapTokens: 20, headingPath: ['The Mastery of Love'] })
+//     -> [{ id, text, index, headingPath, tokenCount, concepts }]
+//
+// Chunk ids are content hashes of heading path + text, so re-chunking unchanged
+// content yields the same ids and re-indexing overwrites instead of duplicating.
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+/;
+const BOLD_LINE = /^\*\*(.+?)\*\*:?$/;
+
+// Rough BPE token estimate: one token per word or punctuation mark
+export function estimateTokens(text) {
+  return ((text || '').match(/[A-Za-z0-9]+|[^\sA-Za-z0-9]/g) || []).length;
+}
+
+// 64-bit content hash (two interleaved FNV-1a style lanes), as 16 hex chars
+export function contentHash(text) {
+  let h1 = 0x811c9dc5;
+  let h2 = 0x01000193 ^ 0x5bd1e995;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 0x01000193);
+    h2 = Math.imul(h2 ^ code, 0x01000193) ^ (h1 >>> 15);
+  }
+  return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+}
+
+// Group markdown lines into heading, paragraph and list blocks.
+// A paragraph ending in ':' or a bold concept line becomes the lead-in of the list after it.
+export function parseBlocks(text) {
+  const blocks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current) blocks.push(current);
+    current = null;
+  };
+
+  for (const rawLine of (text || '').split('\n')) {
+    const line = rawLine.trimEnd();
+    const trimmed = line.trim();
+
+    if (trimmed.length === 0) {
+      // Blank lines end paragraphs; a lead-in waits for its list
+      if (current && current.type === 'paragraph' && !current.isLeadIn) flush();
+      continue;
+    }
+
+    const heading = HEADING.exec(trimmed);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2].replace(/:$/, '').trim() });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      if (!current || current.type !== 'list') {
+        const leadIn = current && current.isLeadIn ? current : null;
+        if (current && !leadIn) flush();
+        current = {
+          type: 'list',
+          leadIn: leadIn ? leadIn.lines.join('\n') : null,
+          concept: leadIn ? leadIn.concept : null,
+          items: []
+        };
+      }
+      current.items.push(trimmed);
+      continue;
+    }
+
+    // Indented continuation of the previous list item
+    if (current && current.type === 'list' && /^\s+/.test(line)) {
+      current.items[current.items.length - 1] += ' ' + trimmed;
+      continue;
+    }
+
+    const bold = BOLD_LINE.exec(trimmed);
+    if (bold) {
+      // Concept boundary
+      flush();
+      current = { type: 'paragraph', lines: [trimmed], isLeadIn: true, concept: bold[1].replace(/:$/, '').trim() };
+      continue;
+    }
+
+    if (!current || current.type !== 'paragraph') {
+      flush();
+      current = { type: 'paragraph', lines: [], isLeadIn: false, concept: null };
+    }
+    current.lines.push(trimmed);
+    current.isLeadIn = trimmed.endsWith(':');
+  }
+
+  flush();
+  return blocks;
+}
+
+function blockText(block) {
+  if (block.type === 'list') {
+    return [block.leadIn, ...block.items].filter(Boolean).join('\n');
+  }
+  return block.lines.join(' ');
+}
+
+function splitSentences(text) {
+  return text.match(/[^.!?]+(?:[.!?]+["')\]]*|$)/g)?.map(s => s.trim()).filter(Boolean) || [text];
+}
+
+// Break a block that exceeds the budget: lists by item (repeating the lead-in), prose by sentence
+function splitOversizedBlock(block, maxTokens, countTokens) {
+  const pieces = [];
+  const prefix = block.type === 'list' && block.leadIn ? block.leadIn + '\n' : '';
+  const units = block.type === 'list' ? block.items : splitSentences(blockText(block));
+  const separator = block.type === 'list' ? '\n' : ' ';
+
+  let current = [];
+  for (const unit of units) {
+    const candidate = prefix + [...current, unit].join(separator);
+    if (current.length > 0 && countTokens(candidate) > maxTokens) {
+      pieces.push(prefix + current.join(separator));
+      current = [];
+    }
+    current.push(unit);
+  }
+  if (current.length > 0) pieces.push(prefix + current.join(separator));
+
+  return pieces.map(text => ({ text, concept: block.concept || null, kind: block.type }));
+}
+
+// Trailing sentences of a chunk that fit in the overlap budget
+function overlapTail(text, overlapTokens, countTokens) {
+  if (overlapTokens <= 0) return '';
+
+  const sentences = splitSentences(text.replace(/\n/g, ' '));
+  const tail = [];
+  let tokens = 0;
+  for (let i = sentences.length - 1; i >= 0; i--) {
+    const sentenceTokens = countTokens(sentences[i]);
+    if (tokens + sentenceTokens > overlapTokens) break;
+    tail.unshift(sentences[i]);
+    tokens += sentenceTokens;
+  }
+  return tail.join(' ');
+}
+
+export function chunkMarkdown(text, options = {}) {
+  const {
+    maxTokens = 200,
+    overlapTokens = 20,
+    headingPath: basePath = [],
+    countTokens = estimateTokens
+  } = options;
+
+  const chunks = [];
+  const seenIds = new Set();
+  let headings = []; // [{ level, text }]
+  let pieces = []; // [{ text, concept, kind }] pending in the current section
+  let previousTail = '';
+
+  const currentPath = () => [...basePath, ...headings.map(heading => heading.text)];
+
+  const emit = () => {
+    if (pieces.length === 0) return;
+
+    const body = pieces.map(piece => piece.text).join('\n\n');
+    const chunkText = previousTail && pieces[0].kind === 'paragraph' ? `${previousTail} ${body}` : body;
+    const headingPath = currentPath();
+    const id = contentHash(`${headingPath.join(' > ')}\n${chunkText}`);
+
+    // Identical content under the same headings is indexed once
+    if (!seenIds.has(id)) {
+      seenIds.add(id);
+      chunks.push({
+        id,
+        text: chunkText,
+        index: chunks.length,
+        headingPath,
+        tokenCount: countTokens(chunkText),
+        concepts: Array.from(new Set(pieces.map(piece => piece.concept).filter(Boolean)))
+      });
+    }
+
+    // Overlap only carries prose into the next chunk; lists and concepts stay intact
+    const last = pieces[pieces.length - 1];
+    previousTail = last.kind === 'paragraph' ? overlapTail(last.text, overlapTokens, countTokens) : '';
+    pieces = [];
+  };
+
+  for (const block of parseBlocks(text)) {
+    if (block.type === 'heading') {
+      // Sections never share a chunk, and overlap does not cross them
+      emit();
+      previousTail = '';
+      headings = headings.filter(heading => heading.level < block.level);
+      headings.push({ level: block.level, text: block.text });
+      continue;
+    }
+
+    // Prose leaves room for the overlap carried in from the previous chunk
+    const content = blockText(block);
+    const budget = block.type === 'paragraph' ? Math.max(1, maxTokens - overlapTokens) : maxTokens;
+    const blockPieces = countTokens(content) > budget
+      ? splitOversizedBlock(block, budget, countTokens)
+      : [{ text: content, concept: block.concept || null, kind: block.type }];
+
+    // Whole blocks are packed together; a block only splits when it alone exceeds the budget
+    for (const piece of blockPieces) {
+      const pending = pieces.length > 0 && pieces[0].kind === 'paragraph' && previousTail
+        ? [previousTail, ...pieces.map(entry => entry.text)]
+        : pieces.map(entry => entry.text);
+      if (pieces.length > 0 && countTokens(pending.join('\n\n')) + countTokens(piece.text) > maxTokens) {
+        emit();
+      }
+      pieces.push(piece);
+    }
+  }
+
+  emit();
+  return chunks;
+}
@@ -0,0 +1,221 @@
+// Query Rewriter for RAG retrieval
+// Turns conversational messages into retrieval queries: maps everyday phrasing to textbook
+// concepts, generates sub-queries and proposes follow-up queries from retrieved results.
+//
+//   rewrite("why do I always pull away when things get serious?")
+//     -> { original, keywords: 'pull away serious',
+//          concepts: [{ key: 'avoidant_attachment', name: 'avoidant attachment', via: 'synonym:pull away' }, ...],
+//          subQueries: [{ text, source, weight, hop }] }
+
+import KnowledgeBaseService from '../KnowledgeBaseService';
+import { STOP_WORDS, tokenize } from '../indexing/TextAnalyzer';
+
+// Everyday phrases that point at a textbook concept, plus terms the textbooks use for it
+export const CONCEPT_SYNONYMS = {
+  avoidant_attachment: {
+    name: 'avoidant attachment',
+    phrases: ['pull away', 'pulling away', 'push away', 'push people away', 'need space', 'need my space',
+      'things get serious', 'fear of commitment', 'shut down', 'emotionally distant', 'keep my distance'],
+    related: ['deactivating strategies', 'independence', 'intimacy']
+  },
+  anxious_attachment: {
+    name: 'anxious attachment',
+    phrases: ['clingy', 'needy', 'reassurance', 'text back', 'abandon', 'going to leave me', 'overthink'],
+    related: ['activating strategies', 'protest behavior', 'preoccupied']
+  },
+  secure_attachment: {
+    name: 'secure attachment',
+    phrases: ['feel safe', 'trust my partner', 'healthy attachment', 'secure base'],
+    related: ['effective dependency', 'emotional availability']
+  },
+  fear_based_love: {
+    name: 'fear of love',
+    phrases: ['afraid of getting hurt', 'scared of love', 'close my heart', 'getting hurt again', 'afraid to love',
+      'shut them out', 'shut people out', 'gets close'],
+    related: ['closing the heart', 'track of fear']
+  },
+  emotional_wounds: {
+    name: 'emotional wounds',
+    phrases: ['childhood', 'trauma', 'old wounds', 'hurt from the past', 'my past'],
+    related: ['emotional poison', 'healing']
+  },
+  self_rejection: {
+    name: 'self-rejection',
+    phrases: ['not good enough', 'hate myself', 'judge myself', 'judging myself', 'rejecting myself', 'unworthy', 'self esteem'],
+    related: ['self-judgment', 'inner judge']
+  },
+  self_love: {
+    name: 'self-love',
+    phrases: ['love myself', 'self worth', 'self care', 'accept myself'],
+    related: ['magical kitchen', 'self-acceptance']
+  },
+  unconditional_love: {
+    name: 'unconditional love',
+    phrases: ['love without conditions', 'accept them as they are', 'change my partner', 'change them'],
+    related: ['conditional love', 'acceptance']
+  },
+  love_languages: {
+    name: 'love languages',
+    phrases: ['feel unloved', 'feel appreciated', 'quality time', 'words of affirmation', 'acts of service', 'physical touch'],
+    related: ['emotional love tank']
+  },
+  vulnerability: {
+    name: 'vulnerability',
+    phrases: ['open up', 'let my guard down', 'ashamed', 'embarrassed', 'exposed'],
+    related: ['shame', 'courage', 'connection']
+  },
+  relationship_agreements: {
+    name: 'relationship agreements',
+    phrases: ['expectations', 'broken promises', 'rules in my relationship', 'take it personally'],
+    related: ['four agreements', 'assumptions']
+  },
+  jealousy: {
+    name: 'jealousy',
+    phrases: ['jealous', 'possessive', 'envious', 'insecure about my partner'],
+    related: ['insecurity', 'trust']
+  },
+  conflict: {
+    name: 'conflict resolution',
+    phrases: ['fight', 'argue', 'arguments', 'yelling', 'silent treatment'],
+    related: ['communication', 'repair']
+  }
+};
+
+// Conversational filler that adds nothing to retrieval
+const FILLER_WORDS = new Set(['always', 'never', 'keep', 'really', 'actually', 'even', 'ever', 'still', 'get', 'gets', 'feel', 'like', 'im', 'ive', 'dont', 'cant', 'thing', 'things', 'someone', 'something']);
+
+// Section labels that parse as concepts but name no idea worth searching for
+const GENERIC_CONCEPTS = new Set(['core concepts', 'applications', 'overview', 'introduction', 'summary', 'key points']);
+
+const normalize = (text) => (text || '').toLowerCase().replace(/[’']/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+
+class QueryRewriter {
+  constructor() {
+    this.synonyms = CONCEPT_SYNONYMS;
+    this.maxSubQueries = 4; // Concept sub-queries per rewrite, in addition to the original and keywords
+    this.maxRefinements = 3; // Follow-up queries proposed per hop
+    this.rankConstant = 2; // Reciprocal rank fusion k; smaller favours each sub-query's top hits
+    this.weights = {
+      original: 1,
+      keywords: 0.5,
+      question: 0.5,
+      concept: 0.5,
+      refinement: 0.25
+    };
+  }
+
+  // Content words of the query, without stop words and filler
+  extractKeywords(query) {
+    return tokenize(query)
+      .filter(token => !STOP_WORDS.has(token) && !FILLER_WORDS.has(token) && token.length > 1)
+      .join(' ');
+  }
+
+  // Separate questions in a compound message ("Why do I...? And how can I...?")
+  splitQuestions(query) {
+    const questions = (query.match(/[^?]+\?/g) || [])
+      .map(question => question.replace(/^\s*(and|also|but|so)\b[\s,]*/i, '').trim())
+      .filter(question => this.extractKeywords(question).split(' ').length >= 2);
+    return questions.length > 1 ? questions : [];
+  }
+
+  // Concepts the query refers to, from the synonym table and the knowledge base
+  findConcepts(query) {
+    const text = ` ${normalize(query)} `;
+    const concepts = new Map();
+
+    for (const [key, entry] of Object.entries(this.synonyms)) {
+      const phrase = [entry.name, ...entry.phrases].find(candidate => text.includes(` ${normalize(candidate)} `));
+      if (phrase) {
+        concepts.set(key, { key, name: entry.name, via: `synonym:${phrase}` });
+      }
+    }
+
+    const bookKeys = new Set([KnowledgeBaseService.getRelevantTextbook(query), ...KnowledgeBaseService.loadedBooks]);
+    for (const bookKey of bookKeys) {
+      for (const conceptKey of KnowledgeBaseService.getSuggestedConcepts(normalize(query), bookKey)) {
+        if (!concepts.has(conceptKey)) {
+          concepts.set(conceptKey, {
+            key: conceptKey,
+            name: this.synonyms[conceptKey]?.name || conceptKey.replace(/_/g, ' '),
+            via: `knowledge_base:${bookKey}`
+          });
+        }
+      }
+    }
+
+    return Array.from(concepts.values());
+  }
+
+  // Text of a concept sub-query: the concept name plus the terms the textbooks use around it
+  conceptQuery(concept) {
+    const related = this.synonyms[concept.key]?.related || [];
+    return [concept.name, ...related.slice(0, 2)].join(' ');
+  }
+
+  // Build the query plan for the first hop
+  rewrite(query) {
+    const keywords = this.extractKeywords(query);
+    const concepts = this.findConcepts(query);
+    const subQueries = [{ text: query, source: 'original', weight: this.weights.original, hop: 0 }];
+    const seen = new Set([normalize(query)]);
+
+    const add = (text, source, weight) => {
+      const key = normalize(text);
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      subQueries.push({ text, source, weight, hop: 0 });
+    };
+
+    this.splitQuestions(query).forEach(question => add(question, 'question', this.weights.question));
+    if (keywords.split(' ').length >= 2) {
+      add(keywords, 'keywords', this.weights.keywords);
+    }
+    concepts.slice(0, this.maxSubQueries).forEach(concept => {
+      add(this.conceptQuery(concept), `concept:${concept.key}`, this.weights.concept);
+    });
+
+    return { original: query, keywords, concepts, subQueries };
+  }
+
+  // Follow-up queries for the next hop: concepts surfaced by the results that were not asked about yet
+  refine(plan, results, hop) {
+    const asked = new Set(plan.subQueries.map(subQuery => normalize(subQuery.text)));
+    const known = new Set(plan.concepts.map(concept => normalize(concept.name)));
+    const refinements = [];
+
+    for (const result of results) {
+      const names = [result.concept, ...(result.metadata?.concepts || [])].filter(Boolean);
+      for (const name of names) {
+        const key = normalize(name);
+        if (known.has(key) || GENERIC_CONCEPTS.has(key)) continue;
+        known.add(key);
+
+        const conceptKey = key.replace(/ /g, '_');
+        const concept = { key: conceptKey, name, via: `result:${result.id}` };
+        const text = this.conceptQuery(concept);
+        if (asked.has(normalize(text))) continue;
+
+        plan.concepts.push(concept);
+        refinements.push({
+          text,
+          source: `refinement:${conceptKey}`,
+          weight: this.weights.refinement / hop,
+          hop
+        });
+        if (refinements.length >= this.maxRefinements) return refinements;
+      }
+    }
+
+    return refinements;
+  }
+
+  // One-line summary of a plan for logs
+  describe(plan) {
+    return plan.subQueries
+      .map(subQuery => `[hop ${subQuery.hop}, ${subQuery.source}] ${subQuery.text}`)
+      .join(' | ');
+  }
+}
+
+export default new QueryRewriter();
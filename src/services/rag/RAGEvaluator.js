@@ -0,0 +1,269 @@
+// RAG Evaluation Harness
+// Runs a golden query set through RAGService.retrieve and reports recall@k, MRR and nDCG@k
+//
+// Golden set format (see src/data/rag_golden_set.json):
+//   { name, version, k, queries: [{ id, query, relevantIds?: [...], relevantConcepts?: [...], filter? }] }
+// A retrieved chunk is relevant when its id is listed or its concept matches a listed concept.
+
+import * as FileSystem from 'expo-file-system';
+import RAGService from '../RAGService';
+import defaultGoldenSet from '../../data/rag_golden_set.json';
+
+const now = () => (global.performance ? global.performance.now() : Date.now());
+
+const normalizeConcept = (concept) => String(concept).toLowerCase().trim().replace(/[\s-]+/g, '_');
+
+class RAGEvaluator {
+  constructor() {
+    this.searchTypes = ['semantic', 'keyword', 'hybrid'];
+    this.metrics = ['recallAtK', 'mrr', 'ndcgAtK'];
+    this.reportDirectory = FileSystem.documentDirectory + 'rag_eval/';
+  }
+
+  // Validate a golden set given as an object or JSON string
+  loadGoldenSet(source = defaultGoldenSet) {
+    const goldenSet = typeof source === 'string' ? JSON.parse(source) : source;
+
+    if (!goldenSet || !Array.isArray(goldenSet.queries)) {
+      throw new Error('Golden set must have a queries array');
+    }
+
+    goldenSet.queries.forEach((entry, index) => {
+      if (!entry.query) {
+        throw new Error(`Golden query ${entry.id || index} has no query text`);
+      }
+      if (!entry.relevantIds?.length && !entry.relevantConcepts?.length) {
+        throw new Error(`Golden query ${entry.id || index} needs relevantIds or relevantConcepts`);
+      }
+    });
+
+    return {
+      name: goldenSet.name || 'golden_set',
+      version: goldenSet.version || 1,
+      k: goldenSet.k || 5,
+      queries: goldenSet.queries.map((entry, index) => ({
+        ...entry,
+        id: entry.id || `q${index + 1}`,
+        relevantIds: entry.relevantIds || [],
+        relevantConcepts: entry.relevantConcepts || []
+      }))
+    };
+  }
+
+  // Expected items a result satisfies (keys like 'id:x' / 'concept:y')
+  matchExpected(result, entry) {
+    const matches = [];
+
+    if (entry.relevantIds.includes(result.id)) {
+      matches.push(`id:${result.id}`);
+    }
+
+    const resultConcepts = [result.concept, result.metadata?.conceptKey]
+      .filter(Boolean)
+      .map(normalizeConcept);
+    for (const concept of entry.relevantConcepts) {
+      if (resultConcepts.includes(normalizeConcept(concept))) {
+        matches.push(`concept:${normalizeConcept(concept)}`);
+      }
+    }
+
+    return matches;
+  }
+
+  // Every distinct expected item, keyed as matchExpected reports them
+  expectedKeys(entry) {
+    return new Set([
+      ...entry.relevantIds.map(id => `id:${id}`),
+      ...entry.relevantConcepts.map(concept => `concept:${normalizeConcept(concept)}`)
+    ]);
+  }
+
+  // Score one ranked result list against a golden entry (binary relevance)
+  scoreQuery(results, entry, k) {
+    const expectedCount = this.expectedKeys(entry).size;
+    const found = new Set();
+    let firstRelevantRank = null;
+    let dcg = 0;
+
+    results.slice(0, k).forEach((result, index) => {
+      const rank = index + 1;
+      const newMatches = this.matchExpected(result, entry).filter(key => !found.has(key));
+      if (newMatches.length === 0) return;
+
+      newMatches.forEach(key => found.add(key));
+      if (firstRelevantRank === null) firstRelevantRank = rank;
+      dcg += 1 / Math.log2(rank + 1);
+    });
+
+    // Ideal ranking: every relevant item in its own top slot, as many as fit in k
+    let idealDcg = 0;
+    for (let rank = 1; rank <= Math.min(k, expectedCount); rank++) {
+      idealDcg += 1 / Math.log2(rank + 1);
+    }
+
+    return {
+      recallAtK: expectedCount === 0 ? 0 : found.size / expectedCount,
+      mrr: firstRelevantRank ? 1 / firstRelevantRank : 0,
+      ndcgAtK: idealDcg === 0 ? 0 : dcg / idealDcg,
+      firstRelevantRank,
+      found: Array.from(found)
+    };
+  }
+
+  // Run every golden query with each search type
+  async evaluate(options = {}) {
+    const {
+      goldenSet: source = defaultGoldenSet,
+      searchTypes = this.searchTypes,
+      k: kOverride = null,
+      retrieveOptions = {} // Passed to RAGService.retrieve, e.g. { threshold: 0, fusion: 'rrf' } or { rewrite: true }
+    } = options;
+
+    const goldenSet = this.loadGoldenSet(source);
+    const k = kOverride || goldenSet.k;
+    await RAGService.initialize();
+
+    const runs = [];
+    for (const searchType of searchTypes) {
+      console.log(`📏 Evaluating ${searchType} retrieval on ${goldenSet.queries.length} queries...`);
+      const queries = [];
+
+      for (const entry of goldenSet.queries) {
+        const start = now();
+        const results = await RAGService.retrieve(entry.query, {
+          topK: k,
+          ...retrieveOptions,
+          searchType,
+          filter: entry.filter || retrieveOptions.filter || null
+        });
+        const latencyMs = now() - start;
+
+        queries.push({
+          id: entry.id,
+          query: entry.query,
+          retrievedIds: results.slice(0, k).map(result => result.id),
+          latencyMs,
+          ...this.scoreQuery(results, entry, k)
+        });
+      }
+
+      runs.push({
+        searchType,
+        queryCount: queries.length,
+        recallAtK: this.average(queries.map(query => query.recallAtK)),
+        mrr: this.average(queries.map(query => query.mrr)),
+        ndcgAtK: this.average(queries.map(query => query.ndcgAtK)),
+        avgLatencyMs: this.average(queries.map(query => query.latencyMs)),
+        queries
+      });
+    }
+
+    return {
+      goldenSet: { name: goldenSet.name, version: goldenSet.version },
+      k,
+      evaluatedAt: new Date().toISOString(),
+      config: this.describeConfig(retrieveOptions),
+      runs
+    };
+  }
+
+  // Settings that affect retrieval quality, recorded so reports can be compared
+  describeConfig(retrieveOptions) {
+    const stats = RAGService.vectorDB.getCollectionStats(RAGService.collectionName);
+    return {
+      collection: RAGService.collectionName,
+      documentCount: stats?.documentCount || 0,
+      embeddingProvider: RAGService.embeddingService.getProviderInfo().id,
+      relevanceThreshold: RAGService.relevanceThreshold,
+      retrieveOptions
+    };
+  }
+
+  // Metrics that dropped by more than the tolerance relative to a baseline report
+  compareReports(baseline, current, tolerance = 0.02) {
+    const regressions = [];
+
+    for (const run of current.runs) {
+      const baselineRun = baseline.runs.find(candidate => candidate.searchType === run.searchType);
+      if (!baselineRun) continue;
+
+      for (const metric of this.metrics) {
+        const delta = run[metric] - baselineRun[metric];
+        if (delta < -tolerance) {
+          regressions.push({
+            searchType: run.searchType,
+            metric,
+            baseline: baselineRun[metric],
+            current: run[metric],
+            delta
+          });
+        }
+      }
+    }
+
+    return regressions;
+  }
+
+  formatJSON(report) {
+    return JSON.stringify(report, null, 2);
+  }
+
+  // Markdown summary table plus the queries each search type missed
+  formatMarkdown(report, regressions = []) {
+    const lines = [
+      `# RAG Evaluation: ${report.goldenSet.name} v${report.goldenSet.version}`,
+      '',
+      `Evaluated ${report.evaluatedAt} · k=${report.k} · ${report.config.documentCount} chunks · embeddings ${report.config.embeddingProvider}`,
+      '',
+      `| Search type | Recall@${report.k} | MRR | nDCG@${report.k} | Avg latency (ms) |`,
+      '|---|---|---|---|---|'
+    ];
+
+    for (const run of report.runs) {
+      lines.push(
+        `| ${run.searchType} | ${run.recallAtK.toFixed(3)} | ${run.mrr.toFixed(3)} | ${run.ndcgAtK.toFixed(3)} | ${run.avgLatencyMs.toFixed(1)} |`
+      );
+    }
+
+    if (regressions.length > 0) {
+      lines.push('', '## Regressions', '');
+      for (const regression of regressions) {
+        lines.push(
+          `- ${regression.searchType} ${regression.metric}: ${regression.baseline.toFixed(3)} → ${regression.current.toFixed(3)} (${regression.delta.toFixed(3)})`
+        );
+      }
+    }
+
+    for (const run of report.runs) {
+      const misses = run.queries.filter(query => query.firstRelevantRank === null);
+      if (misses.length === 0) continue;
+
+      lines.push('', `## ${run.searchType}: no relevant result in top ${report.k}`, '');
+      misses.forEach(query => lines.push(`- \`${query.id}\` ${query.query}`));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  // Write report.json and report.md under the app's document directory
+  async writeReport(report, options = {}) {
+    const { directory = this.reportDirectory, baseline = null, tolerance = 0.02 } = options;
+    const regressions = baseline ? this.compareReports(baseline, report, tolerance) : [];
+    const basename = `${report.goldenSet.name}_${report.evaluatedAt.replace(/[:.]/g, '-')}`;
+
+    await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+    const jsonPath = `${directory}${basename}.json`;
+    const markdownPath = `${directory}${basename}.md`;
+    await FileSystem.writeAsStringAsync(jsonPath, this.formatJSON({ ...report, regressions }));
+    await FileSystem.writeAsStringAsync(markdownPath, this.formatMarkdown(report, regressions));
+
+    console.log(`📏 RAG evaluation written to ${markdownPath}`);
+    return { jsonPath, markdownPath, regressions };
+  }
+
+  average(values) {
+    return values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+}
+
+export default new RAGEvaluator();
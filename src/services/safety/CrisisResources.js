@@ -0,0 +1,123 @@
+// Crisis Resources
+// Helplines shown when a conversation turns to self-harm, abuse or coercion. Resources are
+// picked by the region of the user's locale ('en-GB' -> GB, 'de' -> DE); regions without an
+// entry get the international directory plus their local emergency number.
+// Numbers change: check them against the services' own sites before each release.
+
+export const CRISIS_RESOURCES = {
+  US: {
+    emergency: '911',
+    resources: [
+      { name: '988 Suicide & Crisis Lifeline', contact: 'Call or text 988', categories: ['self_harm'] },
+      { name: 'Crisis Text Line', contact: 'Text HOME to 741741', categories: ['self_harm', 'abuse', 'coercion'] },
+      { name: 'National Domestic Violence Hotline', contact: 'Call 1-800-799-7233 or text START to 88788', categories: ['abuse', 'coercion'] }
+    ]
+  },
+  CA: {
+    emergency: '911',
+    resources: [
+      { name: '9-8-8 Suicide Crisis Helpline', contact: 'Call or text 988', categories: ['self_harm'] },
+      { name: 'Kids Help Phone', contact: 'Call 1-800-668-6868 or text CONNECT to 686868', categories: ['self_harm', 'abuse', 'coercion'] }
+    ]
+  },
+  GB: {
+    emergency: '999',
+    resources: [
+      { name: 'Samaritans', contact: 'Call 116 123', categories: ['self_harm', 'abuse', 'coercion'] },
+      { name: 'Shout', contact: 'Text SHOUT to 85258', categories: ['self_harm'] },
+      { name: 'National Domestic Abuse Helpline', contact: 'Call 0808 2000 247', categories: ['abuse', 'coercion'] }
+    ]
+  },
+  IE: {
+    emergency: '112 or 999',
+    resources: [
+      { name: 'Samaritans', contact: 'Call 116 123', categories: ['self_harm', 'abuse', 'coercion'] },
+      { name: "Women's Aid", contact: 'Call 1800 341 900', categories: ['abuse', 'coercion'] }
+    ]
+  },
+  AU: {
+    emergency: '000',
+    resources: [
+      { name: 'Lifeline', contact: 'Call 13 11 14', categories: ['self_harm', 'abuse', 'coercion'] },
+      { name: '1800RESPECT', contact: 'Call 1800 737 732', categories: ['abuse', 'coercion'] }
+    ]
+  },
+  NZ: {
+    emergency: '111',
+    resources: [
+      { name: 'Need to talk?', contact: 'Call or text 1737', categories: ['self_harm', 'abuse', 'coercion'] }
+    ]
+  },
+  IN: {
+    emergency: '112',
+    resources: [
+      { name: 'Tele-MANAS', contact: 'Call 14416', categories: ['self_harm'] }
+    ]
+  },
+  DE: {
+    emergency: '112',
+    resources: [
+      { name: 'TelefonSeelsorge', contact: 'Anrufen: 0800 111 0 111 oder 0800 111 0 222', categories: ['self_harm', 'abuse', 'coercion'] },
+      { name: 'Hilfetelefon Gewalt gegen Frauen', contact: 'Anrufen: 116 016', categories: ['abuse', 'coercion'] }
+    ]
+  },
+  FR: {
+    emergency: '112',
+    resources: [
+      { name: 'Numéro national de prévention du suicide', contact: 'Appeler le 3114', categories: ['self_harm'] },
+      { name: 'Violences Femmes Info', contact: 'Appeler le 3919', categories: ['abuse', 'coercion'] }
+    ]
+  },
+  ES: {
+    emergency: '112',
+    resources: [
+      { name: 'Línea de atención a la conducta suicida', contact: 'Llamar al 024', categories: ['self_harm'] },
+      { name: 'Atención a víctimas de violencia de género', contact: 'Llamar al 016', categories: ['abuse', 'coercion'] }
+    ]
+  }
+};
+
+export const INTERNATIONAL_RESOURCES = {
+  emergency: null,
+  resources: [
+    { name: 'Find A Helpline', contact: 'findahelpline.com lists free, confidential helplines in your country', categories: ['self_harm', 'abuse', 'coercion'] }
+  ]
+};
+
+// Language-only locales map to the region most users of that language are in
+const LANGUAGE_REGIONS = { de: 'DE', fr: 'FR', es: 'ES', hi: 'IN' };
+
+// 'en-GB', 'en_GB', 'fr' -> 'GB', 'GB', 'FR'; null when nothing matches
+export function getRegion(locale) {
+  const [language, region] = String(locale || '').split(/[-_]/);
+  const candidate = (region || '').toUpperCase();
+  if (CRISIS_RESOURCES[candidate]) return candidate;
+  return LANGUAGE_REGIONS[(language || '').toLowerCase()] || null;
+}
+
+// { region, emergency, resources } for a locale, keeping resources that cover the categories.
+// The international directory is always last so users outside the region still have an option.
+export function getCrisisResources(locale, categories = []) {
+  const region = getRegion(locale);
+  const entry = CRISIS_RESOURCES[region] || INTERNATIONAL_RESOURCES;
+  const relevant = entry.resources.filter(resource => (
+    categories.length === 0 || resource.categories.some(category => categories.includes(category))
+  ));
+
+  const resources = relevant.length > 0 ? relevant : entry.resources;
+
+  return {
+    region,
+    emergency: entry.emergency,
+    resources: entry === INTERNATIONAL_RESOURCES ? resources : [...resources, ...INTERNATIONAL_RESOURCES.resources]
+  };
+}
+
+// Plain-text list for chat messages and prompts
+export function formatCrisisResources({ emergency, resources }) {
+  const lines = resources.map(resource => `• ${resource.name}: ${resource.contact}`);
+  lines.push(emergency
+    ? `• If you are in immediate danger, call ${emergency}.`
+    : '• If you are in immediate danger, call your local emergency number.');
+  return lines.join('\n');
+}
@@ -0,0 +1,122 @@
+// Safety Classifier
+// Scores chat messages for crisis risk in three categories: self_harm (including suicidal
+// thoughts), abuse (violence or sexual assault by someone) and coercion (control, threats,
+// sextortion). Rule-based so it runs offline, before any provider sees the message, and errs
+// toward flagging: a false alarm costs a gentler reply, a miss costs much more.
+//
+//   classifyMessage("I don't want to wake up tomorrow")
+//   // -> { level: 'high', score: 0.8, categories: ['self_harm'], imminent: false, ... }
+
+export const RISK_LEVELS = ['none', 'low', 'elevated', 'high', 'imminent'];
+
+// Levels that switch the conversation into safe-response mode
+export const SAFE_MODE_LEVELS = new Set(['elevated', 'high', 'imminent']);
+
+const SUBJECTS = '(?:he|she|they|my (?:partner|boyfriend|girlfriend|husband|wife|ex|date|match|dad|father|mom|mother|parent|stepdad|stepmom)|someone|a guy|a girl)';
+
+// [pattern, weight]; weights combine as independent evidence (noisy-or)
+export const SAFETY_PATTERNS = {
+  self_harm: [
+    [/\b(kill|killing|hang|hanging|hurt|hurting|cut|cutting|harm|harming) my ?self\b/, 0.9],
+    [/\b(suicide|suicidal|self[- ]harm)\b/, 0.85],
+    [/\b(end|ending|take|taking) (my|my own) life\b/, 0.9],
+    [/\b(want|wanna|going|ready) to die\b/, 0.85],
+    [/\bend it all\b/, 0.8],
+    [/\b(better off dead|better off without me|no reason to (live|go on|be here))\b/, 0.85],
+    [/\bdon'?t want to (live|be alive|be here anymore|wake up)\b/, 0.8],
+    [/\boverdos(e|ed|ing)\b/, 0.6],
+    [/\b(can'?t go on|can'?t do this anymore|what'?s the point of (living|anything|going on))\b/, 0.45],
+    [/\b(nobody|no one) would (miss|notice|care if) me\b/, 0.5],
+    [/\b(hopeless|worthless|empty inside)\b/, 0.2],
+    [/\bdisappear (forever|for good)\b/, 0.45]
+  ],
+  abuse: [
+    [new RegExp(`\\b${SUBJECTS} (hit|hits|beat|beats|punched|punches|kicked|kicks|slapped|slaps|choked|chokes|strangled|shoved|hurt|hurts|raped|assaulted|attacked) me\\b`), 0.9],
+    [/\b(raped|sexually assaulted|molested)\b/, 0.85],
+    [/\b(domestic (violence|abuse)|abusive (relationship|partner|boyfriend|girlfriend|husband|wife))\b/, 0.7],
+    [new RegExp(`\\b${SUBJECTS} (threatens?|threatened) to (hurt|kill|hit) me\\b`), 0.85],
+    [/\b(afraid|scared|terrified) (of|to go home to) my (partner|boyfriend|girlfriend|husband|wife|ex)\b/, 0.6],
+    [/\b(scared|afraid) to go home\b/, 0.5],
+    [/\b(bruises?|black eye) (from|because of) (him|her|them)\b/, 0.7]
+  ],
+  coercion: [
+    [/\b(forced|forces|pressured|pressures|made|makes) me (to )?(have sex|sleep with|send (nudes|pics|photos))\b/, 0.9],
+    [/\bthreaten(s|ed|ing)? to (share|post|leak|send) my (photos|pictures|pics|nudes|videos)\b/, 0.9],
+    [/\b(sextortion|blackmail(s|ed|ing)? me)\b/, 0.85],
+    [new RegExp(`\\b${SUBJECTS} (won'?t|doesn'?t|don'?t) let me (leave|go out|see my (friends|family)|have (my own )?money|use my phone)\\b`), 0.7],
+    [/\b(controls?|took|takes) (all )?my (money|phone|passport|bank card)\b/, 0.6],
+    [/\b(tracks?|monitors?) my (location|phone|messages)\b/, 0.45],
+    [/\b(not allowed to|can'?t) (see|talk to) my (friends|family) (anymore|without)\b/, 0.5],
+    [/\bsend (him|her|them) money or\b/, 0.6]
+  ]
+};
+
+// Timing, means or goodbyes that make self-harm risk immediate
+const IMMINENCE_PATTERN = /\b(tonight|right now|today|have a plan|wrote (a|my) (note|letter)|saying goodbye|goodbye forever|pills|gun|bridge|rope|last (message|night|time))\b/;
+
+// Figures of speech that use crisis words harmlessly
+const IDIOM_PATTERN = /\b(killing me|kill for|dying to|to die for|dead tired|bored to death|scared to death|killed it|killing it|suicide squad)\b/g;
+
+function combine(weights) {
+  return 1 - weights.reduce((remaining, weight) => remaining * (1 - weight), 1);
+}
+
+function scoreText(text) {
+  const normalized = String(text || '').toLowerCase().replace(/[’‘]/g, "'").replace(IDIOM_PATTERN, ' ');
+  const scores = {};
+  const matches = {};
+
+  Object.entries(SAFETY_PATTERNS).forEach(([category, patterns]) => {
+    const found = patterns.filter(([pattern]) => pattern.test(normalized));
+    scores[category] = combine(found.map(([, weight]) => weight));
+    matches[category] = found.map(([pattern]) => normalized.match(pattern)[0]);
+  });
+
+  return { normalized, scores, matches };
+}
+
+function levelFor(score, imminent) {
+  if (score >= 0.7 && imminent) return 'imminent';
+  if (score >= 0.7) return 'high';
+  if (score >= 0.4) return 'elevated';
+  if (score > 0) return 'low';
+  return 'none';
+}
+
+// User turns from any message shape the app uses ({ from }, { user }, { role })
+function userTexts(history) {
+  return (history || [])
+    .filter(message => message && (message.from === 'user' || message.user === true || message.role === 'user'))
+    .map(message => message.text ?? message.content ?? '');
+}
+
+// Risk for a message, with earlier user turns adding decaying evidence so a crisis raised a
+// few messages ago still counts. Returns { level, score, scores, categories, matches, imminent }.
+export function classifyMessage(message, { conversationHistory = [], historyTurns = 5, historyWeight = 0.5 } = {}) {
+  const current = scoreText(message);
+  const scores = { ...current.scores };
+
+  userTexts(conversationHistory).slice(-historyTurns).reverse().forEach((text, index) => {
+    if (text === message) return;
+    const earlier = scoreText(text);
+    Object.entries(earlier.scores).forEach(([category, score]) => {
+      scores[category] = combine([scores[category], score * historyWeight * Math.pow(0.7, index)]);
+    });
+  });
+
+  const score = Math.max(...Object.values(scores));
+  const categories = Object.keys(scores)
+    .filter(category => scores[category] >= 0.3)
+    .sort((a, b) => scores[b] - scores[a]);
+  const imminent = scores.self_harm >= 0.7 && IMMINENCE_PATTERN.test(current.normalized);
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  return {
+    level: levelFor(score, imminent),
+    score: round(score),
+    scores: Object.fromEntries(Object.entries(scores).map(([category, value]) => [category, round(value)])),
+    categories,
+    matches: current.matches,
+    imminent
+  };
+}
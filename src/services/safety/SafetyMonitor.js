@@ -0,0 +1,199 @@
+// Safety Monitor for SoulAI
+// The safety stage of the chat pipeline. assess() classifies each user message before it
+// reaches a provider; at elevated risk and above the conversation switches to safe-response
+// mode: a dedicated prompt, helplines for the user's locale, and no matchmaking, match
+// suggestions or flirting for the rest of the cool-down. Every escalation is logged in
+// AsyncStorage for human review.
+//
+//   const safety = await SafetyMonitor.assess(message, { userId, conversationHistory, locale });
+//   if (safety.safeMode) { ...render safety.systemPrompt, show safety.resources... }
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { classifyMessage, SAFE_MODE_LEVELS } from './SafetyClassifier';
+import { getCrisisResources, formatCrisisResources } from './CrisisResources';
+import PromptRegistry from '../prompts/SoulPrompts';
+
+const CATEGORY_DESCRIPTIONS = {
+  self_harm: 'thoughts of self-harm or suicide',
+  abuse: 'abuse or violence by someone',
+  coercion: 'coercion or control by someone'
+};
+
+function defaultLocale() {
+  if (process.env.EXPO_PUBLIC_DEFAULT_LOCALE) return process.env.EXPO_PUBLIC_DEFAULT_LOCALE;
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().locale || 'en-US';
+  } catch (error) {
+    return 'en-US';
+  }
+}
+
+class SafetyMonitor {
+  constructor() {
+    this.enabled = process.env.EXPO_PUBLIC_SAFETY_CLASSIFIER !== 'off';
+    this.safeModeMs = 30 * 60 * 1000; // Matchmaking stays off this long after an escalation
+    this.safeModeUntil = new Map(); // userId -> timestamp
+    this.log = []; // [{ id, userId, source, level, score, categories, matches, excerpt, locale, region, createdAt, reviewed }]
+    this.maxLogSize = 1000;
+    this.storageKey = 'soulai_safety_escalations';
+    this.loaded = false;
+  }
+
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    try {
+      const stored = await AsyncStorage.getItem(this.storageKey);
+      if (stored) {
+        this.log = [...JSON.parse(stored), ...this.log].slice(-this.maxLogSize);
+      }
+    } catch (error) {
+      console.error('Error loading safety escalation log:', error);
+    }
+  }
+
+  async save() {
+    try {
+      await AsyncStorage.setItem(this.storageKey, JSON.stringify(this.log));
+    } catch (error) {
+      console.error('Error saving safety escalation log:', error);
+    }
+  }
+
+  // True while a user is in the cool-down after an escalation
+  isSafeModeActive(userId) {
+    const until = this.safeModeUntil.get(userId || 'anonymous');
+    return Boolean(until && until > Date.now());
+  }
+
+  // Matchmaking, match suggestions and flirting should be withheld for this user
+  shouldSuppressMatchmaking(userId) {
+    return this.isSafeModeActive(userId);
+  }
+
+  // End the cool-down early, e.g. after a reviewer confirms a false alarm
+  clearSafeMode(userId) {
+    this.safeModeUntil.delete(userId || 'anonymous');
+  }
+
+  // Classify a message and decide how to respond. Returns the classification plus
+  // { safeMode, suppressMatchmaking, resources, locale, systemPrompt, escalationId }.
+  async assess(message, { userId = null, userName = null, conversationHistory = [], locale = null, source = 'chat' } = {}) {
+    const resolvedLocale = locale || defaultLocale();
+    if (!this.enabled) {
+      return { level: 'none', score: 0, scores: {}, categories: [], matches: {}, imminent: false, safeMode: false, suppressMatchmaking: false, locale: resolvedLocale };
+    }
+
+    const classification = classifyMessage(message, { conversationHistory });
+    const wasActive = this.isSafeModeActive(userId);
+    // During the cool-down any remaining signal keeps the safe prompt
+    const safeMode = SAFE_MODE_LEVELS.has(classification.level) || (wasActive && classification.level !== 'none');
+
+    const assessment = {
+      ...classification,
+      safeMode,
+      suppressMatchmaking: safeMode || wasActive,
+      locale: resolvedLocale
+    };
+    if (!safeMode) return assessment;
+
+    assessment.resources = getCrisisResources(resolvedLocale, classification.categories);
+    assessment.systemPrompt = this.buildSafetyPrompt(assessment, userName);
+
+    if (SAFE_MODE_LEVELS.has(classification.level)) {
+      this.safeModeUntil.set(userId || 'anonymous', Date.now() + this.safeModeMs);
+      // Log new disclosures, not every turn that earlier ones keep elevated
+      const newSignal = Object.values(classification.matches).some(found => found.length > 0);
+      if (!wasActive || newSignal) {
+        const entry = await this.recordEscalation(message, assessment, { userId, source });
+        assessment.escalationId = entry.id;
+      }
+    }
+    return assessment;
+  }
+
+  // System prompt for safe-response mode
+  buildSafetyPrompt(assessment, userName = null) {
+    return PromptRegistry.render('safety_response', {
+      userName: userName || undefined,
+      categories: assessment.categories.map(category => CATEGORY_DESCRIPTIONS[category] || category),
+      imminent: assessment.imminent,
+      resources: formatCrisisResources(assessment.resources)
+    }).text;
+  }
+
+  // Reply that needs no provider: used when every provider fails in safe mode
+  buildSafeResponse(assessment) {
+    const resources = assessment.resources || getCrisisResources(assessment.locale, assessment.categories || []);
+    const opening = assessment.imminent
+      ? "I'm really glad you told me, and I'm worried about your safety right now. Please reach out to someone who can be with you immediately."
+      : "Thank you for trusting me with something this heavy. You don't have to carry it alone, and talking to someone trained to help can make a real difference.";
+    return `${opening}\n\n${formatCrisisResources(resources)}\n\nI'm here to keep talking with you too. How are you doing right at this moment?`;
+  }
+
+  // Append the helplines to a generated reply that left them all out
+  ensureResources(response, assessment) {
+    const text = String(response || '').trim();
+    const resources = assessment.resources || getCrisisResources(assessment.locale, assessment.categories || []);
+    const mentioned = resources.resources.some(resource => text.includes(resource.name));
+    if (!text) return this.buildSafeResponse(assessment);
+    return mentioned ? text : `${text}\n\n${formatCrisisResources(resources)}`;
+  }
+
+  async recordEscalation(message, assessment, { userId = null, source = 'chat' } = {}) {
+    await this.load();
+    const entry = {
+      id: `escalation_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      userId,
+      source,
+      level: assessment.level,
+      score: assessment.score,
+      categories: assessment.categories,
+      matches: assessment.matches,
+      excerpt: String(message || '').slice(0, 280),
+      locale: assessment.locale,
+      region: assessment.resources?.region || null,
+      createdAt: new Date().toISOString(),
+      reviewed: false
+    };
+
+    this.log.push(entry);
+    if (this.log.length > this.maxLogSize) {
+      this.log = this.log.slice(-this.maxLogSize);
+    }
+    await this.save();
+    console.warn(`🛟 Safety escalation (${entry.level}: ${entry.categories.join(', ') || 'unspecified'}) from ${source}${userId ? ` for user ${userId}` : ''}`);
+    return entry;
+  }
+
+  // Logged escalations, newest first; pass { reviewed: false } for the review queue
+  async getEscalations({ reviewed = null, userId = null } = {}) {
+    await this.load();
+    return this.log
+      .filter(entry => (reviewed === null || entry.reviewed === reviewed) && (!userId || entry.userId === userId))
+      .slice()
+      .reverse();
+  }
+
+  // Close an escalation after review. falseAlarm also ends the user's cool-down.
+  async markReviewed(id, { reviewer = null, notes = '', falseAlarm = false } = {}) {
+    await this.load();
+    const entry = this.log.find(candidate => candidate.id === id);
+    if (!entry) return null;
+
+    Object.assign(entry, { reviewed: true, reviewer, notes, falseAlarm, reviewedAt: new Date().toISOString() });
+    if (falseAlarm) {
+      this.clearSafeMode(entry.userId);
+    }
+    await this.save();
+    return entry;
+  }
+
+  async clearLog() {
+    this.log = [];
+    await this.save();
+  }
+}
+
+export default new SafetyMonitor();
@@ -0,0 +1,32 @@
+// AsyncStorage Queue Adapter
+// Stores each user's recommendation queue state under its own key
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { QueueStorageAdapter } from './QueueStorageAdapter';
+
+export class AsyncStorageQueueAdapter extends QueueStorageAdapter {
+  constructor(options = {}) {
+    super();
+    this.name = 'async_storage';
+    this.keyPrefix = options.keyPrefix || 'soulai_recommendation_queue';
+  }
+
+  stateKey(userId) {
+    return `${this.keyPrefix}:${userId}`;
+  }
+
+  async loadState(userId) {
+    const raw = await AsyncStorage.getItem(this.stateKey(userId));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async saveState(userId, state) {
+    await AsyncStorage.setItem(this.stateKey(userId), JSON.stringify(state));
+  }
+
+  async deleteState(userId) {
+    await AsyncStorage.removeItem(this.stateKey(userId));
+  }
+}
+
+export default AsyncStorageQueueAdapter;
@@ -0,0 +1,188 @@
+// AsyncStorage Vector Adapter
+// Stores each document and embedding under its own key so batches append incrementally
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { VectorStorageAdapter } from './VectorStorageAdapter';
+
+export class AsyncStorageVectorAdapter extends VectorStorageAdapter {
+  constructor(options = {}) {
+    super();
+    this.name = 'async_storage';
+    this.keyPrefix = options.keyPrefix || 'soulai_vector_db';
+    // Single-blob key used before the adapter layer existed
+    this.legacyKey = options.legacyKey || 'soulai_vector_db';
+    // AsyncStorage is size-limited on Android, keep collections bounded
+    this.maxDocumentsPerCollection = options.maxDocumentsPerCollection || 5000;
+    this.batchSize = 200;
+  }
+
+  async initialize() {
+    await this.migrateLegacyData();
+  }
+
+  // Key helpers
+  collectionsKey() {
+    return `${this.keyPrefix}:collections`;
+  }
+
+  idsKey(collectionName) {
+    return `${this.keyPrefix}:${collectionName}:ids`;
+  }
+
+  documentKey(collectionName, id) {
+    return `${this.keyPrefix}:${collectionName}:doc:${id}`;
+  }
+
+  embeddingKey(collectionName, id) {
+    return `${this.keyPrefix}:${collectionName}:emb:${id}`;
+  }
+
+  async readJSON(key, fallback) {
+    const raw = await AsyncStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  }
+
+  async readCollectionRecords() {
+    return this.readJSON(this.collectionsKey(), []);
+  }
+
+  async readIds(collectionName) {
+    return this.readJSON(this.idsKey(collectionName), []);
+  }
+
+  async listCollections() {
+    return this.readCollectionRecords();
+  }
+
+  async saveCollection(collection) {
+    const records = await this.readCollectionRecords();
+    const record = {
+      name: collection.name,
+      metadata: collection.metadata || {},
+      createdAt: collection.createdAt,
+      updatedAt: collection.updatedAt
+    };
+
+    const index = records.findIndex(existing => existing.name === collection.name);
+    if (index === -1) {
+      records.push(record);
+    } else {
+      records[index] = record;
+    }
+
+    await AsyncStorage.setItem(this.collectionsKey(), JSON.stringify(records));
+  }
+
+  async deleteCollection(collectionName) {
+    const ids = await this.readIds(collectionName);
+    await this.removeDocumentKeys(collectionName, ids);
+    await AsyncStorage.removeItem(this.idsKey(collectionName));
+
+    const records = await this.readCollectionRecords();
+    await AsyncStorage.setItem(
+      this.collectionsKey(),
+      JSON.stringify(records.filter(record => record.name !== collectionName))
+    );
+  }
+
+  async appendDocuments(collectionName, documents, embeddings) {
+    // An id repeated within the batch is stored once; its last copy wins
+    const latest = new Map();
+    documents.forEach((doc, i) => latest.set(doc.id, i));
+
+    const pairs = [];
+    for (const [id, i] of latest) {
+      pairs.push([this.documentKey(collectionName, id), JSON.stringify(documents[i])]);
+      pairs.push([this.embeddingKey(collectionName, id), JSON.stringify(embeddings[i])]);
+    }
+
+    for (let i = 0; i < pairs.length; i += this.batchSize) {
+      await AsyncStorage.multiSet(pairs.slice(i, i + this.batchSize));
+    }
+
+    // Only the id list is rewritten, not the documents themselves
+    const ids = await this.readIds(collectionName);
+    const known = new Set(ids);
+    ids.push(...Array.from(latest.keys()).filter(id => !known.has(id)));
+    await AsyncStorage.setItem(this.idsKey(collectionName), JSON.stringify(ids));
+  }
+
+  async deleteDocuments(collectionName, documentIds) {
+    if (documentIds.length === 0) return;
+
+    const toDelete = new Set(documentIds);
+    const ids = await this.readIds(collectionName);
+    await AsyncStorage.setItem(
+      this.idsKey(collectionName),
+      JSON.stringify(ids.filter(id => !toDelete.has(id)))
+    );
+    await this.removeDocumentKeys(collectionName, documentIds);
+  }
+
+  async removeDocumentKeys(collectionName, ids) {
+    const keys = [];
+    for (const id of ids) {
+      keys.push(this.documentKey(collectionName, id), this.embeddingKey(collectionName, id));
+    }
+
+    for (let i = 0; i < keys.length; i += this.batchSize) {
+      await AsyncStorage.multiRemove(keys.slice(i, i + this.batchSize));
+    }
+  }
+
+  async loadDocuments(collectionName) {
+    const ids = await this.readIds(collectionName);
+    const values = await this.multiGetJSON(ids.map(id => this.documentKey(collectionName, id)));
+    return values.filter(Boolean);
+  }
+
+  async loadEmbeddings(collectionName) {
+    const ids = await this.readIds(collectionName);
+    const values = await this.multiGetJSON(ids.map(id => this.embeddingKey(collectionName, id)));
+
+    const embeddings = [];
+    for (let i = 0; i < ids.length; i++) {
+      if (values[i]) {
+        embeddings.push({ id: ids[i], embedding: values[i] });
+      }
+    }
+    return embeddings;
+  }
+
+  async multiGetJSON(keys) {
+    const values = [];
+    for (let i = 0; i < keys.length; i += this.batchSize) {
+      const entries = await AsyncStorage.multiGet(keys.slice(i, i + this.batchSize));
+      values.push(...entries.map(([, value]) => (value ? JSON.parse(value) : null)));
+    }
+    return values;
+  }
+
+  // Split the old single-blob format into per-document keys
+  async migrateLegacyData() {
+    const raw = await AsyncStorage.getItem(this.legacyKey);
+    if (!raw) return;
+
+    try {
+      const parsed = JSON.parse(raw);
+      for (const [name, collection] of parsed.collections || []) {
+        await this.saveCollection(collection);
+
+        const embeddingById = new Map(
+          (collection.embeddings || []).map(item => [item.id, item.embedding])
+        );
+        // Skip documents an earlier, interrupted run already moved
+        const migrated = new Set(await this.readIds(name));
+        const documents = (collection.documents || []).filter(doc => embeddingById.has(doc.id) && !migrated.has(doc.id));
+        await this.appendDocuments(name, documents, documents.map(doc => embeddingById.get(doc.id)));
+      }
+      // Only drop the old blob once its contents are safely stored; a failed run retries next load
+      await AsyncStorage.removeItem(this.legacyKey);
+      console.log('Migrated legacy vector database to per-document storage');
+    } catch (error) {
+      console.error('Error migrating legacy vector database:', error);
+    }
+  }
+}
+
+export default AsyncStorageVectorAdapter;
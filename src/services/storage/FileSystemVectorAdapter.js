@@ -0,0 +1,157 @@
+// File System Vector Adapter (Node only)
+// Append-only JSONL logs per collection, for scripts, indexing jobs and tests
+//
+// Layout under rootDir:
+//   collections.json                 collection records
+//   <collection>/documents.jsonl     { id, value } puts and { id, deleted } tombstones
+//   <collection>/embeddings.jsonl    same format, value is the embedding
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { VectorStorageAdapter } from './VectorStorageAdapter';
+
+export class FileSystemVectorAdapter extends VectorStorageAdapter {
+  constructor(options = {}) {
+    super();
+    this.name = 'filesystem';
+    this.rootDir = options.rootDir || path.join(process.cwd(), '.soulai_vectors');
+  }
+
+  async initialize() {
+    await fs.mkdir(this.rootDir, { recursive: true });
+  }
+
+  // Path helpers
+  collectionsFile() {
+    return path.join(this.rootDir, 'collections.json');
+  }
+
+  collectionDir(collectionName) {
+    return path.join(this.rootDir, encodeURIComponent(collectionName));
+  }
+
+  documentsFile(collectionName) {
+    return path.join(this.collectionDir(collectionName), 'documents.jsonl');
+  }
+
+  embeddingsFile(collectionName) {
+    return path.join(this.collectionDir(collectionName), 'embeddings.jsonl');
+  }
+
+  async readCollectionRecords() {
+    try {
+      return JSON.parse(await fs.readFile(this.collectionsFile(), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async writeCollectionRecords(records) {
+    await fs.writeFile(this.collectionsFile(), JSON.stringify(records, null, 2));
+  }
+
+  async listCollections() {
+    return this.readCollectionRecords();
+  }
+
+  async saveCollection(collection) {
+    const records = await this.readCollectionRecords();
+    const record = {
+      name: collection.name,
+      metadata: collection.metadata || {},
+      createdAt: collection.createdAt,
+      updatedAt: collection.updatedAt
+    };
+
+    const index = records.findIndex(existing => existing.name === collection.name);
+    if (index === -1) {
+      records.push(record);
+    } else {
+      records[index] = record;
+    }
+
+    await fs.mkdir(this.collectionDir(collection.name), { recursive: true });
+    await this.writeCollectionRecords(records);
+  }
+
+  async deleteCollection(collectionName) {
+    await fs.rm(this.collectionDir(collectionName), { recursive: true, force: true });
+
+    const records = await this.readCollectionRecords();
+    await this.writeCollectionRecords(records.filter(record => record.name !== collectionName));
+  }
+
+  async appendDocuments(collectionName, documents, embeddings) {
+    await fs.mkdir(this.collectionDir(collectionName), { recursive: true });
+
+    const documentLines = documents.map(doc => JSON.stringify({ id: doc.id, value: doc }));
+    const embeddingLines = documents.map((doc, i) =>
+      JSON.stringify({ id: doc.id, value: embeddings[i] })
+    );
+
+    await fs.appendFile(this.documentsFile(collectionName), documentLines.join('\n') + '\n');
+    await fs.appendFile(this.embeddingsFile(collectionName), embeddingLines.join('\n') + '\n');
+  }
+
+  async deleteDocuments(collectionName, documentIds) {
+    if (documentIds.length === 0) return;
+
+    const tombstones = documentIds.map(id => JSON.stringify({ id, deleted: true })).join('\n') + '\n';
+    await fs.appendFile(this.documentsFile(collectionName), tombstones);
+    await fs.appendFile(this.embeddingsFile(collectionName), tombstones);
+  }
+
+  // Replay a log into an insertion-ordered Map of live entries
+  async readLog(file) {
+    let raw;
+    try {
+      raw = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return new Map();
+      throw error;
+    }
+
+    const entries = new Map();
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+
+      const record = JSON.parse(line);
+      // Delete first so a re-added id moves to the end, like a fresh append
+      entries.delete(record.id);
+      if (!record.deleted) {
+        entries.set(record.id, record.value);
+      }
+    }
+    return entries;
+  }
+
+  async loadDocuments(collectionName) {
+    const entries = await this.readLog(this.documentsFile(collectionName));
+    return Array.from(entries.values());
+  }
+
+  async loadEmbeddings(collectionName) {
+    const entries = await this.readLog(this.embeddingsFile(collectionName));
+    return Array.from(entries.entries()).map(([id, embedding]) => ({ id, embedding }));
+  }
+
+  // Rewrite the logs without tombstones or superseded entries
+  async compact(collectionName) {
+    for (const file of [this.documentsFile(collectionName), this.embeddingsFile(collectionName)]) {
+      const entries = await this.readLog(file);
+      const lines = Array.from(entries.entries()).map(([id, value]) => JSON.stringify({ id, value }));
+      const tempFile = `${file}.tmp`;
+
+      await fs.writeFile(tempFile, lines.length > 0 ? lines.join('\n') + '\n' : '');
+      await fs.rename(tempFile, file);
+    }
+  }
+
+  async clear() {
+    await fs.rm(this.rootDir, { recursive: true, force: true });
+    await fs.mkdir(this.rootDir, { recursive: true });
+  }
+}
+
+export default FileSystemVectorAdapter;
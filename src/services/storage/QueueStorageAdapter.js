@@ -0,0 +1,55 @@
+// Queue Storage Adapter
+// Base interface for RecommendationQueue persistence backends
+
+// Each user has one state record:
+//   { userId, queue, history, daily, lastRefillAt, updatedAt, pendingSync }
+// queue holds { candidate, queuedAt } in serving order; history maps candidate ids to
+// { status, servedAt, decidedAt, profile } and is what keeps candidates from being served twice.
+
+export class QueueStorageAdapter {
+  constructor() {
+    this.name = 'base';
+  }
+
+  // Prepare the backend
+  async initialize() {}
+
+  // Return a user's state record, or null when none is stored
+  async loadState(userId) {
+    throw new Error(`${this.name} adapter does not implement loadState`);
+  }
+
+  // Create or replace a user's state record
+  async saveState(userId, state) {
+    throw new Error(`${this.name} adapter does not implement saveState`);
+  }
+
+  // Remove a user's state record
+  async deleteState(userId) {
+    throw new Error(`${this.name} adapter does not implement deleteState`);
+  }
+}
+
+// Keeps state for the lifetime of the process; for tests and storage-less environments
+export class MemoryQueueAdapter extends QueueStorageAdapter {
+  constructor() {
+    super();
+    this.name = 'memory';
+    this.states = new Map();
+  }
+
+  async loadState(userId) {
+    const state = this.states.get(userId);
+    return state ? JSON.parse(JSON.stringify(state)) : null;
+  }
+
+  async saveState(userId, state) {
+    this.states.set(userId, JSON.parse(JSON.stringify(state)));
+  }
+
+  async deleteState(userId) {
+    this.states.delete(userId);
+  }
+}
+
+export default QueueStorageAdapter;
@@ -0,0 +1,134 @@
+// SQLite Vector Adapter
+// Row-per-document storage on top of an expo-sqlite database handle
+//
+// Usage:
+//   const db = await SQLite.openDatabaseAsync('soulai_vectors.db');
+//   VectorDatabase.setStorageAdapter(new SQLiteVectorAdapter({ database: db }));
+
+import { VectorStorageAdapter } from './VectorStorageAdapter';
+
+export class SQLiteVectorAdapter extends VectorStorageAdapter {
+  constructor(options = {}) {
+    super();
+    this.name = 'sqlite';
+    // Any handle exposing execAsync / runAsync / getAllAsync / withTransactionAsync
+    this.db = options.database || null;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      throw new Error('SQLiteVectorAdapter requires a database handle');
+    }
+
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS vector_collections (
+        name TEXT PRIMARY KEY NOT NULL,
+        metadata TEXT,
+        created_at TEXT,
+        updated_at TEXT
+      );
+      CREATE TABLE IF NOT EXISTS vector_documents (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        document TEXT NOT NULL,
+        embedding TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_vector_documents_position
+        ON vector_documents (collection, position);
+    `);
+  }
+
+  async listCollections() {
+    const rows = await this.db.getAllAsync(
+      'SELECT name, metadata, created_at, updated_at FROM vector_collections'
+    );
+
+    return rows.map(row => ({
+      name: row.name,
+      metadata: row.metadata ? JSON.parse(row.metadata) : {},
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  async saveCollection(collection) {
+    await this.db.runAsync(
+      `INSERT OR REPLACE INTO vector_collections (name, metadata, created_at, updated_at)
+       VALUES (?, ?, ?, ?)`,
+      [
+        collection.name,
+        JSON.stringify(collection.metadata || {}),
+        collection.createdAt,
+        collection.updatedAt
+      ]
+    );
+  }
+
+  async deleteCollection(collectionName) {
+    await this.db.withTransactionAsync(async () => {
+      await this.db.runAsync('DELETE FROM vector_documents WHERE collection = ?', [collectionName]);
+      await this.db.runAsync('DELETE FROM vector_collections WHERE name = ?', [collectionName]);
+    });
+  }
+
+  async appendDocuments(collectionName, documents, embeddings) {
+    await this.db.withTransactionAsync(async () => {
+      const rows = await this.db.getAllAsync(
+        'SELECT MAX(position) AS maxPosition FROM vector_documents WHERE collection = ?',
+        [collectionName]
+      );
+      let position = (rows[0]?.maxPosition ?? -1) + 1;
+
+      for (let i = 0; i < documents.length; i++) {
+        await this.db.runAsync(
+          `INSERT OR REPLACE INTO vector_documents (collection, id, position, document, embedding)
+           VALUES (?, ?, ?, ?, ?)`,
+          [
+            collectionName,
+            documents[i].id,
+            position++,
+            JSON.stringify(documents[i]),
+            JSON.stringify(embeddings[i])
+          ]
+        );
+      }
+    });
+  }
+
+  async deleteDocuments(collectionName, documentIds) {
+    if (documentIds.length === 0) return;
+
+    await this.db.withTransactionAsync(async () => {
+      for (const id of documentIds) {
+        await this.db.runAsync(
+          'DELETE FROM vector_documents WHERE collection = ? AND id = ?',
+          [collectionName, id]
+        );
+      }
+    });
+  }
+
+  async loadDocuments(collectionName) {
+    const rows = await this.db.getAllAsync(
+      'SELECT document FROM vector_documents WHERE collection = ? ORDER BY position',
+      [collectionName]
+    );
+    return rows.map(row => JSON.parse(row.document));
+  }
+
+  async loadEmbeddings(collectionName) {
+    const rows = await this.db.getAllAsync(
+      'SELECT id, embedding FROM vector_documents WHERE collection = ? ORDER BY position',
+      [collectionName]
+    );
+    return rows.map(row => ({ id: row.id, embedding: JSON.parse(row.embedding) }));
+  }
+
+  async clear() {
+    await this.db.execAsync('DELETE FROM vector_documents; DELETE FROM vector_collections;');
+  }
+}
+
+export default SQLiteVectorAdapter;
@@ -0,0 +1,65 @@
+// Vector Storage Adapter
+// Base interface for VectorDatabase persistence backends
+
+// Every adapter stores three things per collection:
+//   - collection record: { name, metadata, createdAt, updatedAt }
+//   - documents: plain document objects, kept in insertion order
+//   - embeddings: { id, embedding } pairs, loaded lazily by VectorDatabase
+// Writes are incremental: appending or deleting documents must not rewrite
+// the rest of the collection.
+
+export class VectorStorageAdapter {
+  constructor() {
+    this.name = 'base';
+    // Upper bound on documents per collection (Infinity = unbounded)
+    this.maxDocumentsPerCollection = Infinity;
+  }
+
+  // Prepare the backend (open handles, create tables/directories)
+  async initialize() {}
+
+  // Return all collection records (without documents or embeddings)
+  async listCollections() {
+    throw new Error(`${this.name} adapter does not implement listCollections`);
+  }
+
+  // Create or update a collection record
+  async saveCollection(collection) {
+    throw new Error(`${this.name} adapter does not implement saveCollection`);
+  }
+
+  // Remove a collection with all its documents and embeddings
+  async deleteCollection(collectionName) {
+    throw new Error(`${this.name} adapter does not implement deleteCollection`);
+  }
+
+  // Append documents and their embeddings (arrays of equal length)
+  async appendDocuments(collectionName, documents, embeddings) {
+    throw new Error(`${this.name} adapter does not implement appendDocuments`);
+  }
+
+  // Delete documents (and embeddings) by id
+  async deleteDocuments(collectionName, documentIds) {
+    throw new Error(`${this.name} adapter does not implement deleteDocuments`);
+  }
+
+  // Load documents of a collection in insertion order
+  async loadDocuments(collectionName) {
+    throw new Error(`${this.name} adapter does not implement loadDocuments`);
+  }
+
+  // Load { id, embedding } pairs of a collection
+  async loadEmbeddings(collectionName) {
+    throw new Error(`${this.name} adapter does not implement loadEmbeddings`);
+  }
+
+  // Remove everything this adapter has stored
+  async clear() {
+    const collections = await this.listCollections();
+    for (const collection of collections) {
+      await this.deleteCollection(collection.name);
+    }
+  }
+}
+
+export default VectorStorageAdapter;
@@ -0,0 +1,89 @@
+// JSON Schema helpers
+// Validates values against the subset of JSON Schema that tool definitions use:
+// type (or a list of types), enum, required, properties, additionalProperties: false, items,
+// minimum/maximum, minLength/maxLength, minItems/maxItems and default.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+// Problems with value as readable strings like "$.count: expected integer"; empty when valid
+export function validate(schema, value, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    });
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      if (properties[key]) {
+        errors.push(...validate(properties[key], propertyValue, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Copy of value with schema defaults filled in for missing object properties
+export function applyDefaults(schema, value) {
+  if (!schema || typeOf(value) !== 'object' || !schema.properties) return value;
+
+  const result = { ...value };
+  Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+    if (result[key] === undefined && propertySchema.default !== undefined) {
+      result[key] = JSON.parse(JSON.stringify(propertySchema.default));
+    } else if (result[key] !== undefined) {
+      result[key] = applyDefaults(propertySchema, result[key]);
+    }
+  });
+  return result;
+}
@@ -0,0 +1,180 @@
+// SoulAI chat tools
+// Registers the services the chat model may call. Handlers receive validated arguments and a
+// context with the signed-in userId, and return compact JSON the model can read.
+
+import ToolRegistry from './ToolRegistry';
+import MatchmakingBackendService from '../MatchmakingBackendService';
+import AIDatePlanningAssistant from '../AIDatePlanningAssistant';
+import RAGService from '../RAGService';
+import RelationshipMilestoneTracker from '../RelationshipMilestoneTracker';
+
+const BUDGETS = ['free', 'low', 'low_medium', 'medium', 'medium_high', 'high'];
+const INTERACTION_TYPES = ['message', 'date_plan', 'photo_share', 'call', 'meeting'];
+
+function requireUser(context) {
+  if (!context.userId) {
+    throw new Error('No signed-in user for this conversation');
+  }
+  return context.userId;
+}
+
+ToolRegistry.register('get_match_recommendations', {
+  description: 'Get compatible people to introduce to the user, best matches first.',
+  parameters: {
+    type: 'object',
+    properties: {
+      count: { type: 'integer', minimum: 1, maximum: 10, default: 3, description: 'How many matches to return' }
+    },
+    additionalProperties: false
+  },
+  returns: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        userId: { type: 'string' },
+        compatibility: { type: 'number', minimum: 0, maximum: 100 }
+      },
+      required: ['userId', 'compatibility']
+    }
+  },
+  handler: async ({ count }, context) => {
+    const recommendations = await MatchmakingBackendService.getRecommendations(requireUser(context), count);
+    return recommendations.slice(0, count).map(recommendation => {
+      const candidate = recommendation.candidateData || {};
+      return {
+        userId: String(recommendation.candidateUserId),
+        name: candidate.fullProfile?.name || candidate.displayName || candidate.name || null,
+        age: candidate.fullProfile?.age || candidate.age || null,
+        compatibility: Math.round((recommendation.compatibilityScore || 0) * 100),
+        bio: candidate.bio || null,
+        location: candidate.location || null,
+        interests: candidate.interests || []
+      };
+    });
+  }
+});
+
+ToolRegistry.register('plan_date', {
+  description: 'Suggest personalised date ideas for the user and someone they are talking to or dating.',
+  parameters: {
+    type: 'object',
+    properties: {
+      partnerUserId: { type: 'string', minLength: 1, description: 'The other person' },
+      budget: { type: 'string', enum: BUDGETS },
+      weather: { type: 'string', enum: ['good', 'bad'] },
+      location: { type: 'string', description: 'City or neighbourhood' },
+      preferredActivities: { type: 'array', items: { type: 'string' }, maxItems: 10 }
+    },
+    required: ['partnerUserId'],
+    additionalProperties: false
+  },
+  returns: {
+    type: 'object',
+    properties: {
+      ideas: { type: 'array' }
+    },
+    required: ['ideas']
+  },
+  handler: async ({ partnerUserId, budget, weather, location, preferredActivities }, context) => {
+    const plan = await AIDatePlanningAssistant.generateDatePlan(requireUser(context), partnerUserId, {
+      budget,
+      weather,
+      location,
+      preferred_activities: preferredActivities
+    });
+
+    return {
+      relationshipStage: plan?.relationshipStage || null,
+      compatibilityScore: plan?.compatibilityScore ?? null,
+      ideas: (plan?.recommendations || []).slice(0, 3).map(recommendation => ({
+        name: recommendation.activity?.name || recommendation.id,
+        description: recommendation.activity?.description || null,
+        duration: recommendation.activity?.duration || null,
+        cost: recommendation.activity?.cost || null,
+        why: recommendation.personalizedReason || null
+      })),
+      tips: (plan?.tips || []).slice(0, 3)
+    };
+  }
+});
+
+ToolRegistry.register('search_knowledge_base', {
+  description: 'Search the relationship psychology library (attachment, love languages, emotional wounds, etc.) for passages to ground an answer.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', minLength: 2, maxLength: 500 },
+      topK: { type: 'integer', minimum: 1, maximum: 8, default: 4 },
+      textbook: { type: 'string', description: 'Limit to one book id, e.g. attached or 5_love_languages' }
+    },
+    required: ['query'],
+    additionalProperties: false
+  },
+  returns: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        content: { type: 'string' }
+      },
+      required: ['content']
+    }
+  },
+  handler: async ({ query, topK, textbook }) => {
+    const results = await RAGService.retrieve(query, {
+      topK,
+      filter: textbook ? { textbook } : null
+    });
+
+    return results.map(result => ({
+      book: result.sourceInfo?.textbookTitle || result.textbook || null,
+      chapter: result.chapter || null,
+      concept: result.concept || null,
+      content: String(result.content || '').slice(0, 800),
+      score: Number((result.fusedScore ?? result.score ?? 0).toFixed(3))
+    }));
+  }
+});
+
+ToolRegistry.register('track_relationship_progress', {
+  description: 'Record an interaction between the user and a partner and get the relationship stage, progress and new milestones.',
+  parameters: {
+    type: 'object',
+    properties: {
+      partnerUserId: { type: 'string', minLength: 1 },
+      type: { type: 'string', enum: INTERACTION_TYPES },
+      content: { type: 'string', maxLength: 2000, description: 'What happened or what was said' },
+      duration: { type: 'number', minimum: 0, description: 'Minutes, for calls and meetings' }
+    },
+    required: ['partnerUserId', 'type'],
+    additionalProperties: false
+  },
+  returns: {
+    type: 'object',
+    properties: {
+      relationshipStage: { type: 'string' },
+      progressScore: { type: 'number' }
+    },
+    required: ['relationshipStage', 'progressScore']
+  },
+  handler: async ({ partnerUserId, ...interactionData }, context) => {
+    const progress = await RelationshipMilestoneTracker.trackRelationshipProgress(
+      requireUser(context),
+      partnerUserId,
+      interactionData
+    );
+    if (!progress) {
+      throw new Error('Relationship progress could not be updated');
+    }
+
+    return {
+      relationshipStage: progress.relationshipStage,
+      progressScore: progress.progressScore,
+      newMilestones: (progress.newMilestones || []).map(achievement => achievement.milestone?.name || achievement.id),
+      recommendations: (progress.recommendations || []).slice(0, 3).map(({ title, description }) => ({ title, description }))
+    };
+  }
+});
+
+export default ToolRegistry;
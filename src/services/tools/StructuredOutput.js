@@ -0,0 +1,228 @@
+// Structured output for SoulAI
+// Turns model text into validated JSON. Callers declare a schema once, then parse responses
+// against it; the JSON is pulled out of code fences or surrounding prose, truncated output is
+// closed where possible, and invalid output is sent back to the model with the validation errors
+// for a bounded number of repair attempts. Per-schema counts show which prompts drift.
+//
+//   StructuredOutput.define('affective_state', { schema, description: 'Emotional state analysis' });
+//   const state = await StructuredOutput.parse('affective_state', text, {
+//     repair: (prompt) => llm.pipe(new StringOutputParser()).invoke(prompt)
+//   });
+//
+// parse() throws when the output cannot be used, so callers keep their existing fallbacks.
+
+import { validate, applyDefaults } from './JsonSchema';
+import PromptRegistry from '../prompts/SoulPrompts';
+
+const FENCE_PATTERN = /```[a-zA-Z]*[ \t]*\n?([\s\S]*?)(?:```|$)/;
+const MAX_START_POSITIONS = 10;
+const MAX_TRUNCATION_CUTS = 20;
+
+// Walk a JSON fragment from start, tracking open brackets and strings. balanced means the value
+// opened at start closed; commas are positions a truncated fragment can be cut back to.
+function scanJSON(text, start) {
+  const closers = [];
+  const commas = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      closers.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (closers.pop() !== char) return { balanced: false, mismatched: true };
+      if (closers.length === 0) return { balanced: true, end: i + 1 };
+    } else if (char === ',') {
+      commas.push(i);
+    }
+  }
+
+  return { balanced: false, mismatched: false, closers, commas, inString, escaped };
+}
+
+function tryParse(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (error) {
+    return { ok: false };
+  }
+}
+
+// Close a fragment cut off mid-value, dropping trailing members until the rest parses
+function completeTruncated(text, start, scan) {
+  const cuts = [text.length, ...scan.commas.slice(-MAX_TRUNCATION_CUTS).reverse()];
+
+  for (const cut of cuts) {
+    const fragment = text.slice(start, cut);
+    const state = cut === text.length ? scan : scanJSON(fragment, 0);
+    if (state.balanced || state.mismatched) continue;
+
+    let closed = state.escaped ? fragment.slice(0, -1) : fragment;
+    if (state.inString) closed += '"';
+    closed += state.closers.slice().reverse().join('');
+
+    const parsed = tryParse(closed);
+    if (parsed.ok) return parsed;
+  }
+  return { ok: false };
+}
+
+function extractFrom(text) {
+  let position = text.search(/[{[]/);
+  for (let attempt = 0; position !== -1 && attempt < MAX_START_POSITIONS; attempt++) {
+    const scan = scanJSON(text, position);
+    if (scan.balanced) {
+      const parsed = tryParse(text.slice(position, scan.end));
+      if (parsed.ok) return { value: parsed.value, partial: false };
+    } else if (!scan.mismatched) {
+      const completed = completeTruncated(text, position, scan);
+      if (completed.ok) return { value: completed.value, partial: true };
+    }
+
+    const next = text.slice(position + 1).search(/[{[]/);
+    position = next === -1 ? -1 : position + 1 + next;
+  }
+  return null;
+}
+
+// First JSON object or array in model output as { value, partial }, or null when there is none.
+// Fenced blocks win over bare JSON; partial is true when truncated output had to be closed.
+export function extractJSON(text) {
+  const value = String(text ?? '');
+  const fenced = value.match(FENCE_PATTERN);
+  return (fenced && extractFrom(fenced[1])) || extractFrom(value);
+}
+
+class StructuredOutput {
+  constructor() {
+    this.schemas = new Map(); // name -> { name, description, schema, normalize }
+    this.stats = new Map(); // name -> { requests, valid, repaired, partial, failed, repairAttempts }
+    this.maxRepairs = parseInt(process.env.EXPO_PUBLIC_STRUCTURED_OUTPUT_MAX_REPAIRS || '1', 10);
+  }
+
+  // Declare an output schema. normalize(value) may reshape extracted JSON before validation,
+  // e.g. wrap a bare array or lower-case enum values.
+  define(name, { schema, description = '', normalize = null } = {}) {
+    if (!schema || typeof schema !== 'object') {
+      throw new Error(`Structured output ${name} needs a JSON schema`);
+    }
+    const definition = { name, description: description || name, schema, normalize };
+    this.schemas.set(name, definition);
+    return definition;
+  }
+
+  has(name) {
+    return this.schemas.has(name);
+  }
+
+  get(name) {
+    const definition = this.schemas.get(name);
+    if (!definition) {
+      throw new Error(`Unknown structured output '${name}'`);
+    }
+    return definition;
+  }
+
+  // Extract, normalize and validate without repairing: { value, partial, errors }
+  check(name, text) {
+    const definition = this.get(name);
+    const extracted = extractJSON(text);
+    if (!extracted) {
+      return { value: null, partial: false, errors: ['$: no JSON object or array found in the response'] };
+    }
+
+    let value = extracted.value;
+    try {
+      value = definition.normalize ? definition.normalize(value) : value;
+    } catch (error) {
+      return { value: null, partial: extracted.partial, errors: [`$: ${error.message}`] };
+    }
+    value = applyDefaults(definition.schema, value);
+    return { value, partial: extracted.partial, errors: validate(definition.schema, value) };
+  }
+
+  // Prompt asking the model to fix output that failed validation
+  buildRepairPrompt(name, text, errors) {
+    const definition = this.get(name);
+    return PromptRegistry.render('structured_output_repair', {
+      description: definition.description,
+      errors,
+      schema: JSON.stringify(definition.schema, null, 2),
+      response: String(text ?? '')
+    }).text;
+  }
+
+  // Validated value for a response. repair(prompt, { attempt, errors }) should return the model's
+  // answer to the repair prompt; without it, or once maxRepairs is spent, invalid output throws.
+  async parse(name, text, { repair = null, maxRepairs = this.maxRepairs } = {}) {
+    const stats = this.getCounters(name);
+    stats.requests++;
+
+    let output = text;
+    let result = this.check(name, output);
+    let attempt = 0;
+
+    while (result.errors.length > 0 && repair && attempt < maxRepairs) {
+      attempt++;
+      stats.repairAttempts++;
+      console.log(`🔧 Repairing ${name} output (attempt ${attempt}/${maxRepairs}): ${result.errors.slice(0, 3).join('; ')}`);
+      try {
+        output = await repair(this.buildRepairPrompt(name, output, result.errors), { attempt, errors: result.errors });
+      } catch (error) {
+        console.warn(`⚠️ Repair request for ${name} failed:`, error.message);
+        break;
+      }
+      result = this.check(name, output);
+    }
+
+    if (result.errors.length > 0) {
+      stats.failed++;
+      const error = new Error(`Structured output ${name} is invalid: ${result.errors.join('; ')}`);
+      error.validationErrors = result.errors;
+      throw error;
+    }
+
+    stats.valid++;
+    if (attempt > 0) stats.repaired++;
+    if (result.partial) stats.partial++;
+    return result.value;
+  }
+
+  getCounters(name) {
+    this.get(name);
+    if (!this.stats.has(name)) {
+      this.stats.set(name, { requests: 0, valid: 0, repaired: 0, partial: 0, failed: 0, repairAttempts: 0 });
+    }
+    return this.stats.get(name);
+  }
+
+  // Counts plus failure and repair rates, for one schema or keyed by schema name
+  getStats(name = null) {
+    const report = (counters) => ({
+      ...counters,
+      failureRate: counters.requests > 0 ? counters.failed / counters.requests : 0,
+      repairRate: counters.requests > 0 ? counters.repaired / counters.requests : 0
+    });
+
+    if (name) {
+      return report(this.getCounters(name));
+    }
+    return Object.fromEntries(Array.from(this.schemas.keys()).map(schemaName => [schemaName, report(this.getCounters(schemaName))]));
+  }
+
+  resetStats() {
+    this.stats.clear();
+  }
+}
+
+export default new StructuredOutput();
@@ -0,0 +1,233 @@
+// Tool Registry for SoulAI chat
+// Services expose typed tools the model can call. Each tool has a JSON schema for its
+// arguments (and optionally its result); calls are validated before and after the handler runs
+// and every call lands in a transcript that the chat shows in debug mode.
+//
+//   ToolRegistry.register('search_knowledge_base', {
+//     description: 'Search the relationship psychology library',
+//     parameters: { type: 'object', properties: { query: { type: 'string' } }, required: ['query'] },
+//     handler: async ({ query }, context) => RAGService.retrieve(query)
+//   });
+//   const entry = await ToolRegistry.execute({ id, name, arguments: '{"query":"jealousy"}' }, { userId });
+
+import { validate, applyDefaults } from './JsonSchema';
+
+function toGeminiSchema(schema = {}) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const type = types.find(candidate => candidate && candidate !== 'null') || 'string';
+  const converted = { type };
+
+  if (schema.description) converted.description = schema.description;
+  if (types.includes('null')) converted.nullable = true;
+  if (type === 'string' && Array.isArray(schema.enum)) {
+    converted.format = 'enum';
+    converted.enum = schema.enum.map(String);
+  }
+  if (type === 'object') {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties || {}).map(([key, property]) => [key, toGeminiSchema(property)])
+    );
+    if (schema.required?.length) converted.required = schema.required;
+  }
+  if (type === 'array') {
+    converted.items = toGeminiSchema(schema.items);
+    if (schema.minItems !== undefined) converted.minItems = schema.minItems;
+    if (schema.maxItems !== undefined) converted.maxItems = schema.maxItems;
+  }
+  return converted;
+}
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map(); // name -> { name, description, parameters, returns, handler, timeoutMs }
+    this.transcript = []; // Most recent tool calls, newest last
+    this.maxTranscriptSize = 50;
+    this.maxResultChars = 4000; // Longer results are truncated before going back to the model
+    this.maxToolRounds = 3; // Model -> tools -> model round trips per reply
+    this.defaultTimeoutMs = 15000;
+    this.debug = process.env.EXPO_PUBLIC_AI_DEBUG === 'true' || (typeof __DEV__ !== 'undefined' && __DEV__);
+    this.callCounter = 0;
+  }
+
+  // Add or replace a tool. Names follow the function-calling APIs: letters, digits, _ and -
+  register(name, definition = {}) {
+    if (!/^[a-zA-Z0-9_-]{1,64}$/.test(name || '')) {
+      throw new Error(`Invalid tool name '${name}'`);
+    }
+    if (typeof definition.handler !== 'function') {
+      throw new Error(`Tool ${name} needs a handler`);
+    }
+    if (definition.parameters?.type !== 'object') {
+      throw new Error(`Tool ${name} parameters must be an object schema`);
+    }
+
+    const tool = {
+      name,
+      description: definition.description || '',
+      parameters: definition.parameters,
+      returns: definition.returns || null,
+      handler: definition.handler,
+      timeoutMs: definition.timeoutMs || this.defaultTimeoutMs
+    };
+    this.tools.set(name, tool);
+    return tool;
+  }
+
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  getNames() {
+    return Array.from(this.tools.keys());
+  }
+
+  // Tools to offer: all of them, or only the listed names
+  select(names = null) {
+    const tools = Array.from(this.tools.values());
+    return Array.isArray(names) ? tools.filter(tool => names.includes(tool.name)) : tools;
+  }
+
+  // OpenAI-compatible chat completions format (OpenAI, Ollama, llama.cpp)
+  toOpenAITools(names = null) {
+    return this.select(names).map(tool => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+    }));
+  }
+
+  // Anthropic Messages API format
+  toAnthropicTools(names = null) {
+    return this.select(names).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.parameters
+    }));
+  }
+
+  // Gemini function declarations. Gemini reads an OpenAPI subset of JSON Schema, so keywords
+  // it rejects (default, minimum, additionalProperties, ...) are dropped from the declaration;
+  // execute() still validates arguments against the full schema.
+  toGeminiTools(names = null) {
+    const functionDeclarations = this.select(names).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: toGeminiSchema(tool.parameters)
+    }));
+    return functionDeclarations.length > 0 ? [{ functionDeclarations }] : [];
+  }
+
+  parseArguments(raw) {
+    if (raw === undefined || raw === null || raw === '') return {};
+    if (typeof raw === 'object') return raw;
+    return JSON.parse(raw);
+  }
+
+  // Run one call { id, name, arguments } and return its transcript entry:
+  // { id, name, arguments, result, error, durationMs, startedAt }
+  async execute(call, context = {}) {
+    const startedAt = Date.now();
+    const entry = {
+      id: call.id || `call_${++this.callCounter}`,
+      name: call.name,
+      arguments: null,
+      result: null,
+      error: null,
+      durationMs: 0,
+      startedAt: new Date(startedAt).toISOString()
+    };
+
+    try {
+      const tool = this.get(call.name);
+      if (!tool) {
+        throw new Error(`Unknown tool '${call.name}'. Available tools: ${this.getNames().join(', ')}`);
+      }
+
+      let args;
+      try {
+        args = this.parseArguments(call.arguments);
+      } catch (parseError) {
+        throw new Error(`Arguments are not valid JSON: ${parseError.message}`);
+      }
+
+      const argumentErrors = validate(tool.parameters, args);
+      if (argumentErrors.length > 0) {
+        throw new Error(`Invalid arguments: ${argumentErrors.join('; ')}`);
+      }
+      entry.arguments = applyDefaults(tool.parameters, args);
+
+      let timer = null;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Tool timed out after ${tool.timeoutMs}ms`)), tool.timeoutMs);
+      });
+      try {
+        entry.result = await Promise.race([tool.handler(entry.arguments, context), timeout]);
+      } finally {
+        clearTimeout(timer);
+      }
+
+      const resultErrors = tool.returns ? validate(tool.returns, entry.result) : [];
+      if (resultErrors.length > 0) {
+        entry.result = null;
+        throw new Error(`Invalid result: ${resultErrors.join('; ')}`);
+      }
+    } catch (error) {
+      entry.error = error.message;
+      console.warn(`🔧 Tool ${call.name} failed:`, error.message);
+    }
+
+    entry.durationMs = Date.now() - startedAt;
+    this.recordTranscript(entry);
+    if (this.debug) {
+      console.log(`🔧 ${entry.name}(${JSON.stringify(entry.arguments)}) ${entry.error ? `❌ ${entry.error}` : '✅'} ${entry.durationMs}ms`);
+    }
+    return entry;
+  }
+
+  // Run the calls from one model turn in order, reporting each finished call through onToolCall
+  async executeAll(calls, context = {}, onToolCall = () => {}) {
+    const entries = [];
+    for (const call of calls) {
+      const entry = await this.execute(call, context);
+      onToolCall(entry);
+      entries.push(entry);
+    }
+    return entries;
+  }
+
+  // Tool output as the model sees it: JSON, truncated, or an error the model can react to
+  formatResult(entry) {
+    if (entry.error) {
+      return JSON.stringify({ error: entry.error });
+    }
+
+    const text = JSON.stringify(entry.result ?? null) ?? 'null';
+    return text.length > this.maxResultChars
+      ? `${text.slice(0, this.maxResultChars)}... [truncated ${text.length - this.maxResultChars} chars]`
+      : text;
+  }
+
+  recordTranscript(entry) {
+    this.transcript.push(entry);
+    if (this.transcript.length > this.maxTranscriptSize) {
+      this.transcript.shift();
+    }
+  }
+
+  getTranscript(limit = this.maxTranscriptSize) {
+    return this.transcript.slice(-limit);
+  }
+
+  clearTranscript() {
+    this.transcript = [];
+  }
+}
+
+export default new ToolRegistry();